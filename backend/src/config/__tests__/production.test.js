@@ -0,0 +1,43 @@
+describe('validateConfig', () => {
+  const env = process.env;
+
+  // The configuration is read from the environment when the module loads
+  const loadConfig = (variables) => {
+    const { LLM_PROVIDER, LLM_API_KEY, OPENAI_API_KEY, LLM_BASE_URL, ...rest } = env;
+    process.env = { ...rest, ...variables };
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require('../production');
+    });
+    return loaded;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('should accept the OpenAI provider with only LLM_API_KEY set', () => {
+    const { config, validateConfig } = loadConfig({ LLM_PROVIDER: 'openai', LLM_API_KEY: 'sk-test' });
+
+    expect(config.llm.apiKey).toBe('sk-test');
+    expect(() => validateConfig()).not.toThrow();
+  });
+
+  test('should default to the OpenAI provider when either key is set', () => {
+    expect(loadConfig({ LLM_API_KEY: 'sk-test' }).config.llm.provider).toBe('openai');
+    expect(loadConfig({ OPENAI_API_KEY: 'sk-test' }).config.llm.provider).toBe('openai');
+    expect(loadConfig({}).config.llm.provider).toBe('offline');
+  });
+
+  test('should name both key variables when the OpenAI provider has no key', () => {
+    const { validateConfig } = loadConfig({ LLM_PROVIDER: 'openai' });
+
+    expect(() => validateConfig()).toThrow('Missing required environment variables: LLM_API_KEY or OPENAI_API_KEY');
+  });
+
+  test('should require a base URL for the OpenAI-compatible provider', () => {
+    const { validateConfig } = loadConfig({ LLM_PROVIDER: 'openai-compatible' });
+
+    expect(() => validateConfig()).toThrow('LLM_BASE_URL');
+  });
+});
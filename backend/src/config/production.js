@@ -28,13 +28,66 @@ const config = {
     retryDelay: parseInt(process.env.OPENAI_RETRY_DELAY) || 1000
   },
 
+  // LLM provider configuration
+  // provider: openai | openai-compatible (local or self-hosted endpoint) | offline (deterministic, no network)
+  llm: {
+    provider: process.env.LLM_PROVIDER || (process.env.LLM_API_KEY || process.env.OPENAI_API_KEY ? 'openai' : 'offline'),
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseURL: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+    organization: process.env.OPENAI_ORG_ID,
+    timeout: parseInt(process.env.LLM_TIMEOUT || process.env.OPENAI_TIMEOUT) || 30000,
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || process.env.OPENAI_MAX_RETRIES) || 3,
+    jsonMode: process.env.LLM_JSON_MODE !== 'false' // Disable for servers without response_format support
+  },
+
+  // Session storage configuration
+  // driver: file (JSON files under dataDir) | memory (lost on restart)
+  storage: {
+    driver: process.env.SESSION_STORE || 'file',
+    dataDir: process.env.DATA_DIR || 'data'
+  },
+
+  // Answer scoring rubrics: a directory of <questionType>.json files
+  // Defaults to the rubrics shipped in src/data/rubrics
+  rubrics: {
+    dir: process.env.RUBRICS_DIR || null
+  },
+
+  // Offline question bank: a directory of JSON/YAML question files
+  // Defaults to the bank shipped in src/data/questionBank; imported questions
+  // are saved in importDir. An import may only drop the earlier imports when
+  // allowReplace is set
+  questionBank: {
+    dir: process.env.QUESTION_BANK_DIR || null,
+    importDir: process.env.QUESTION_BANK_IMPORT_DIR || `${process.env.DATA_DIR || 'data'}/question-bank`,
+    allowReplace: process.env.QUESTION_BANK_ALLOW_REPLACE === 'true'
+  },
+
+  // Skill taxonomy: a JSON file of skills with their aliases and categories
+  // Defaults to src/data/skillTaxonomy.json
+  skills: {
+    taxonomyFile: process.env.SKILL_TAXONOMY_FILE || null
+  },
+
+  // Resume privacy: the parser returns contact details in their own block and
+  // redacts them from the text; the original extracted text is only sent back
+  // to the client when returnRawText is set
+  privacy: {
+    returnRawText: process.env.RETURN_RAW_TEXT === 'true'
+  },
+
   // File upload configuration
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+    // Uploads are also sniffed by content; see utils/documentFormat.js
     allowedMimeTypes: [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
+      'application/vnd.oasis.opendocument.text',
+      'application/rtf',
+      'text/markdown',
+      'text/plain'
     ],
     tempDir: process.env.UPLOAD_TEMP_DIR || '/tmp/uploads',
     cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000 // 1 hour
@@ -92,18 +145,31 @@ const config = {
 
 // Validation function
 const validateConfig = () => {
-  const required = [
-    'OPENAI_API_KEY'
-  ]
+  // Checked on config.llm, as createProvider reads it, with the variables that set each field
+  const required = {
+    openai: { apiKey: 'LLM_API_KEY or OPENAI_API_KEY' },
+    'openai-compatible': { baseURL: 'LLM_BASE_URL' },
+    offline: {}
+  }[config.llm.provider]
+
+  if (!required) {
+    throw new Error(`Unknown LLM_PROVIDER: ${config.llm.provider}`)
+  }
+
+  if (!['file', 'memory'].includes(config.storage.driver)) {
+    throw new Error(`Unknown SESSION_STORE: ${config.storage.driver}`)
+  }
 
-  const missing = required.filter(key => !process.env[key])
+  const missing = Object.keys(required)
+    .filter(field => !config.llm[field])
+    .map(field => required[field])
   
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`)
   }
 
   // Validate OpenAI API key format
-  if (process.env.OPENAI_API_KEY && !process.env.OPENAI_API_KEY.startsWith('sk-')) {
+  if (config.llm.provider === 'openai' && !config.llm.apiKey.startsWith('sk-')) {
     console.warn('Warning: OpenAI API key does not appear to be in the correct format')
   }
 
@@ -129,6 +195,7 @@ const initializeConfig = () => {
     if (config.environment.isProduction) {
       console.log('Production configuration loaded:', {
         server: { port: config.server.port, host: config.server.host },
+        llm: { provider: config.llm.provider, model: config.llm.model },
         upload: { maxFileSize: config.upload.maxFileSize },
         cache: { defaultTTL: config.cache.defaultTTL },
         security: { rateLimitMax: config.security.rateLimitMax }
@@ -41,6 +41,9 @@ const resumeRoutes = require('./routes/resume');
 const questionsRoutes = require('./routes/questions');
 const analyzeRoutes = require('./routes/analyze');
 const analyzeIndividualRoutes = require('./routes/analyzeIndividual');
+const sessionsRoutes = require('./routes/sessions');
+const jobDescriptionRoutes = require('./routes/jobDescription');
+const questionBankRoutes = require('./routes/questionBank');
 
 // API routes
 app.use('/api', (req, res, next) => {
@@ -53,6 +56,9 @@ app.use('/api/resume', resumeRoutes);
 app.use('/api/questions', questionsRoutes);
 app.use('/api/analyze-answers', analyzeRoutes);
 app.use('/api/analyze-individual', analyzeIndividualRoutes);
+app.use('/api/sessions', sessionsRoutes);
+app.use('/api/job-description', jobDescriptionRoutes);
+app.use('/api/question-bank', questionBankRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
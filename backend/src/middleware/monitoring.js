@@ -4,6 +4,7 @@
 
 const os = require('os')
 const { apiCache } = require('./cache')
+const { config } = require('../config/production')
 
 // Metrics collection
 const metrics = {
@@ -179,8 +180,10 @@ const healthCheck = (req, res) => {
       }
     },
     services: {
-      openai: {
-        configured: !!process.env.OPENAI_API_KEY,
+      llm: {
+        provider: config.llm.provider,
+        model: config.llm.provider === 'offline' ? 'offline' : config.llm.model,
+        configured: isLLMConfigured(),
         status: 'unknown' // Could add actual API health check
       },
       cache: {
@@ -215,6 +218,18 @@ const healthCheck = (req, res) => {
   res.status(statusCode).json(health)
 }
 
+// Whether the selected LLM provider has what it needs to run
+const isLLMConfigured = () => {
+  switch (config.llm.provider) {
+    case 'offline':
+      return true
+    case 'openai-compatible':
+      return !!config.llm.baseURL
+    default:
+      return !!config.llm.apiKey
+  }
+}
+
 // Metrics endpoint
 const getMetrics = (req, res) => {
   const currentMetrics = {
@@ -247,7 +262,7 @@ const getMetrics = (req, res) => {
 const readyCheck = (req, res) => {
   // Check if all required services are available
   const checks = {
-    openai: !!process.env.OPENAI_API_KEY,
+    llm: isLLMConfigured(),
     memory: process.memoryUsage().heapUsed < process.memoryUsage().heapTotal * 0.95
   }
 
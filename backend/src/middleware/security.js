@@ -1,5 +1,7 @@
 const helmet = require('helmet')
 const rateLimit = require('express-rate-limit')
+const path = require('path')
+const DocumentFormat = require('../utils/documentFormat')
 
 /**
  * Security middleware configuration for production
@@ -116,16 +118,12 @@ const fileUploadSecurity = {
   },
   fileFilter: (req, file, cb) => {
     // Only allow specific file types
-    const allowedMimes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
-    ]
-    
-    if (allowedMimes.includes(file.mimetype)) {
+    const extension = path.extname(file.originalname).toLowerCase()
+
+    if (DocumentFormat.mimeTypes.includes(file.mimetype) || DocumentFormat.extensions.includes(extension)) {
       cb(null, true)
     } else {
-      cb(new Error('Invalid file type. Only PDF and Word documents are allowed.'))
+      cb(new Error(`Invalid file type. Only ${DocumentFormat.labels.join(', ')} files are allowed.`))
     }
   }
 }
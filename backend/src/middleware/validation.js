@@ -1,5 +1,13 @@
 const multer = require('multer');
 const path = require('path');
+const QuestionComposition = require('../utils/questionComposition');
+const SkillGaps = require('../utils/skillGaps');
+const FollowUps = require('../utils/followUps');
+const AnswerTiming = require('../utils/answerTiming');
+const DocumentFormat = require('../utils/documentFormat');
+const { SessionRepository } = require('../services/storage');
+const { QuestionBank } = require('../services/questionBank');
+const { config } = require('../config/production');
 
 /**
  * File upload validation middleware
@@ -20,16 +28,15 @@ const storage = multer.diskStorage({
 });
 
 // File filter for allowed file types
+// Browsers report text, Markdown and RTF files with inconsistent MIME types, so
+// a known extension is enough here; the parser checks the actual content.
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-  ];
-  
-  if (allowedMimeTypes.includes(file.mimetype)) {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (DocumentFormat.mimeTypes.includes(file.mimetype) || DocumentFormat.extensions.includes(extension)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF and DOCX files are allowed.'), false);
+    cb(new Error(`Invalid file type. Only ${DocumentFormat.labels.join(', ')} files are allowed.`), false);
   }
 };
 
@@ -83,9 +90,9 @@ const handleUploadError = (error, req, res, next) => {
   if (error.message.includes('Invalid file type')) {
     return res.status(415).json({
       error: {
-        message: 'Unsupported file format. Please upload PDF or DOCX files only.',
+        message: `Unsupported file format. Please upload ${DocumentFormat.labels.join(', ')} files only.`,
         code: 'UNSUPPORTED_FORMAT',
-        supportedFormats: ['PDF', 'DOCX']
+        supportedFormats: DocumentFormat.labels
       }
     });
   }
@@ -107,13 +114,13 @@ const validateFileUpload = (req, res, next) => {
   }
   
   // Additional file validation
-  const allowedExtensions = ['.pdf', '.docx'];
+  const allowedExtensions = DocumentFormat.extensions;
   const fileExtension = path.extname(req.file.originalname).toLowerCase();
   
   if (!allowedExtensions.includes(fileExtension)) {
     return res.status(415).json({
       error: {
-        message: 'Invalid file extension. Please upload PDF or DOCX files only.',
+        message: `Invalid file extension. Please upload ${DocumentFormat.labels.join(', ')} files only.`,
         code: 'INVALID_EXTENSION',
         supportedExtensions: allowedExtensions
       }
@@ -133,6 +140,171 @@ const validateFileUpload = (req, res, next) => {
   next();
 };
 
+/**
+ * Check the optional rubric inputs of an analysis body
+ * @param {Object} body - Request body
+ * @param {number} [questionCount] - Number of questions, when questionTypes is allowed
+ * @returns {Object|null} { message, code } of the first problem, or null
+ */
+const getRubricInputError = (body, questionCount) => {
+  const { questionType, questionTypes, resumeSummary } = body;
+
+  if (questionType !== undefined && typeof questionType !== 'string') {
+    return { message: 'Question type must be a string.', code: 'INVALID_QUESTION_TYPE' };
+  }
+
+  if (questionTypes !== undefined && (
+    !Array.isArray(questionTypes) ||
+    questionTypes.length !== questionCount ||
+    questionTypes.some(type => typeof type !== 'string')
+  )) {
+    return {
+      message: 'Question types must be an array of strings with one entry per question.',
+      code: 'INVALID_QUESTION_TYPE'
+    };
+  }
+
+  if (resumeSummary !== undefined && (
+    resumeSummary === null || typeof resumeSummary !== 'object' || Array.isArray(resumeSummary)
+  )) {
+    return { message: 'Resume summary must be an object.', code: 'INVALID_RESUME_SUMMARY' };
+  }
+
+  return null;
+};
+
+/**
+ * Check the question, answer, role and level of a single-answer request
+ * @param {Object} body - Request body
+ * @returns {Object|null} { message, code } for the first invalid field, or null
+ */
+const getAnswerFieldError = (body) => {
+  const { question, answer, role, level } = body;
+
+  if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    return {
+      message: 'Question is required and must be a non-empty string.',
+      code: 'INVALID_QUESTION'
+    };
+  }
+
+  if (!answer || typeof answer !== 'string' || answer.trim().length === 0) {
+    return {
+      message: 'Answer is required and must be a non-empty string.',
+      code: 'INVALID_ANSWER'
+    };
+  }
+
+  if (!role || typeof role !== 'string') {
+    return {
+      message: 'Role is required and must be a string.',
+      code: 'INVALID_ROLE'
+    };
+  }
+
+  const validLevels = ['fresher', 'intermediate', 'experienced'];
+  if (!level || !validLevels.includes(level)) {
+    return {
+      message: 'Level is required and must be one of: fresher, intermediate, experienced.',
+      code: 'INVALID_LEVEL',
+      validLevels
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check the fields of a session create/update body
+ * @param {Object} body - Request body
+ * @returns {Object|null} { message, code } of the first problem, or null
+ */
+const getSessionFieldError = (body) => {
+  const {
+    status, role, level, mode, resume, questions, answers, analysis, currentQuestionIndex, followUpDepth, timing
+  } = body;
+
+  if (status !== undefined && !SessionRepository.SESSION_STATUSES.includes(status)) {
+    return {
+      message: `Status must be one of: ${SessionRepository.SESSION_STATUSES.join(', ')}.`,
+      code: 'INVALID_STATUS'
+    };
+  }
+
+  if (role !== undefined && (typeof role !== 'string' || role.trim().length === 0)) {
+    return { message: 'Role must be a non-empty string.', code: 'INVALID_ROLE' };
+  }
+
+  const validLevels = ['fresher', 'intermediate', 'experienced'];
+  if (level !== undefined && !validLevels.includes(level)) {
+    return {
+      message: 'Level must be one of: fresher, intermediate, experienced.',
+      code: 'INVALID_LEVEL'
+    };
+  }
+
+  if (mode !== undefined && typeof mode !== 'string') {
+    return { message: 'Mode must be a string.', code: 'INVALID_MODE' };
+  }
+
+  if (resume !== undefined && (resume === null || typeof resume !== 'object' || Array.isArray(resume))) {
+    return { message: 'Resume must be an object.', code: 'INVALID_RESUME' };
+  }
+
+  if (questions !== undefined && (
+    !Array.isArray(questions) ||
+    questions.some(q => !q || typeof q.id !== 'string' || typeof q.text !== 'string')
+  )) {
+    return {
+      message: 'Questions must be an array of objects with id and text.',
+      code: 'INVALID_QUESTIONS'
+    };
+  }
+
+  if (answers !== undefined && (
+    !Array.isArray(answers) ||
+    answers.some(a => !a || typeof a.questionId !== 'string' || typeof a.transcription !== 'string')
+  )) {
+    return {
+      message: 'Answers must be an array of objects with questionId and transcription.',
+      code: 'INVALID_ANSWERS'
+    };
+  }
+
+  if (analysis !== undefined && analysis !== null && (typeof analysis !== 'object' || Array.isArray(analysis))) {
+    return { message: 'Analysis must be an object or null.', code: 'INVALID_ANALYSIS' };
+  }
+
+  if (currentQuestionIndex !== undefined && (!Number.isInteger(currentQuestionIndex) || currentQuestionIndex < 0)) {
+    return {
+      message: 'Current question index must be a non-negative integer.',
+      code: 'INVALID_QUESTION_INDEX'
+    };
+  }
+
+  if (followUpDepth !== undefined && (
+    !Number.isInteger(followUpDepth) || followUpDepth < 0 || followUpDepth > FollowUps.MAX_DEPTH
+  )) {
+    return {
+      message: `Follow-up depth must be an integer from 0 to ${FollowUps.MAX_DEPTH}.`,
+      code: 'INVALID_FOLLOW_UP_DEPTH'
+    };
+  }
+
+  const timingError = AnswerTiming.validateSettings(timing);
+  if (timingError) {
+    return { message: timingError, code: 'INVALID_TIMING' };
+  }
+
+  return null;
+};
+
+// Pasted job descriptions longer than this are almost certainly not a single posting
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+// Question bank import errors listed in a response; the rest are only counted
+const MAX_REPORTED_IMPORT_ERRORS = 20;
+
 /**
  * Request validation middleware
  */
@@ -146,11 +318,51 @@ const validateRequest = {
     validateFileUpload
   ],
 
+  /**
+   * Validate resume review request
+   */
+  resumeReview: (req, res, next) => {
+    const { resumeSummary } = req.body;
+
+    if (!resumeSummary || typeof resumeSummary !== 'object' || Array.isArray(resumeSummary)) {
+      return res.status(400).json({
+        error: {
+          message: 'Resume summary is required and must be an object.',
+          code: 'INVALID_RESUME_SUMMARY'
+        }
+      });
+    }
+
+    const text = (resumeSummary.raw && resumeSummary.raw.originalText) || resumeSummary.text;
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Resume summary must include the resume text as returned by POST /api/resume.',
+          code: 'MISSING_RESUME_FIELD',
+          missingField: 'text'
+        }
+      });
+    }
+
+    const listFields = ['skills', 'workHistory', 'education', 'projects'];
+    const invalidField = listFields.find(field => resumeSummary[field] !== undefined && !Array.isArray(resumeSummary[field]));
+    if (invalidField) {
+      return res.status(400).json({
+        error: {
+          message: `Resume summary ${invalidField} must be an array.`,
+          code: 'INVALID_RESUME_SUMMARY'
+        }
+      });
+    }
+
+    next();
+  },
+
   /**
    * Validate question generation request
    */
   questionGeneration: (req, res, next) => {
-    const { role, level, resumeSummary } = req.body;
+    const { role, level, resumeSummary, composition } = req.body;
     
     if (!role || typeof role !== 'string' || role.trim().length === 0) {
       return res.status(400).json({
@@ -195,9 +407,93 @@ const validateRequest = {
       }
     }
     
+    const compositionError = QuestionComposition.validate(composition);
+    if (compositionError) {
+      return res.status(400).json({
+        error: {
+          message: compositionError,
+          code: 'INVALID_COMPOSITION',
+          categories: QuestionComposition.CATEGORIES,
+          maxPerCategory: QuestionComposition.MAX_PER_CATEGORY,
+          maxTotal: QuestionComposition.MAX_TOTAL
+        }
+      });
+    }
+    
+    const skillGapsError = SkillGaps.validate(req.body.skillGaps);
+    if (skillGapsError) {
+      return res.status(400).json({
+        error: {
+          message: skillGapsError,
+          code: 'INVALID_SKILL_GAPS'
+        }
+      });
+    }
+    
     next();
   },
 
+  /**
+   * Validate job description match request
+   * The job description is either pasted text or an uploaded document in one
+   * of the resume formats;
+   * multipart requests send resumeSummary as a JSON string.
+   */
+  jobDescriptionMatch: [
+    upload.single('jobDescription'),
+    handleUploadError,
+    (req, res, next) => {
+      const { jobDescription } = req.body;
+
+      if (req.file) {
+        const fileExtension = path.extname(req.file.originalname).toLowerCase();
+        if (!DocumentFormat.extensions.includes(fileExtension) || req.file.size === 0) {
+          return res.status(400).json({
+            error: {
+              message: `Job description file must be a non-empty ${DocumentFormat.labels.join(', ')} file.`,
+              code: 'INVALID_JOB_DESCRIPTION_FILE'
+            }
+          });
+        }
+      } else if (!jobDescription || typeof jobDescription !== 'string' || jobDescription.trim().length === 0) {
+        return res.status(400).json({
+          error: {
+            message: 'Job description text or file is required.',
+            code: 'MISSING_JOB_DESCRIPTION'
+          }
+        });
+      } else if (jobDescription.length > MAX_JOB_DESCRIPTION_LENGTH) {
+        return res.status(400).json({
+          error: {
+            message: `Job description must be at most ${MAX_JOB_DESCRIPTION_LENGTH} characters.`,
+            code: 'JOB_DESCRIPTION_TOO_LONG'
+          }
+        });
+      }
+
+      let { resumeSummary } = req.body;
+      if (typeof resumeSummary === 'string') {
+        try {
+          resumeSummary = JSON.parse(resumeSummary);
+        } catch (error) {
+          resumeSummary = null;
+        }
+      }
+
+      if (!resumeSummary || typeof resumeSummary !== 'object' || !Array.isArray(resumeSummary.skills)) {
+        return res.status(400).json({
+          error: {
+            message: 'Resume summary is required and must include a skills array.',
+            code: 'INVALID_RESUME_SUMMARY'
+          }
+        });
+      }
+
+      req.body.resumeSummary = resumeSummary;
+      next();
+    }
+  ],
+
   /**
    * Validate answer analysis request
    */
@@ -251,6 +547,21 @@ const validateRequest = {
       });
     }
     
+    const rubricInputError = getRubricInputError(req.body, questions.length);
+    if (rubricInputError) {
+      return res.status(400).json({ error: rubricInputError });
+    }
+    
+    const timingsError = AnswerTiming.validate(req.body.timings, questions.length);
+    if (timingsError) {
+      return res.status(400).json({
+        error: {
+          message: timingsError,
+          code: 'INVALID_TIMINGS'
+        }
+      });
+    }
+    
     next();
   },
 
@@ -258,46 +569,147 @@ const validateRequest = {
    * Validate individual answer analysis request
    */
   individualAnalysis: (req, res, next) => {
-    const { question, answer, role, level } = req.body;
+    const answerError = getAnswerFieldError(req.body);
+    if (answerError) {
+      return res.status(400).json({ error: answerError });
+    }
+    
+    const rubricInputError = getRubricInputError(req.body);
+    if (rubricInputError) {
+      return res.status(400).json({ error: rubricInputError });
+    }
     
-    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    next();
+  },
+
+  /**
+   * Validate follow-up question request
+   */
+  followUp: (req, res, next) => {
+    const answerError = getAnswerFieldError(req.body);
+    if (answerError) {
+      return res.status(400).json({ error: answerError });
+    }
+
+    const countError = FollowUps.validateCount(req.body.count);
+    if (countError) {
       return res.status(400).json({
         error: {
-          message: 'Question is required and must be a non-empty string.',
-          code: 'INVALID_QUESTION'
+          message: countError,
+          code: 'INVALID_FOLLOW_UP_COUNT'
         }
       });
     }
-    
-    if (!answer || typeof answer !== 'string' || answer.trim().length === 0) {
+
+    next();
+  },
+
+  /**
+   * Validate question bank import request
+   * A bank file in content is parsed here; the checked questions replace
+   * req.body.questions. Dropping earlier imports with replace: true is only
+   * allowed when the server enables it.
+   */
+  questionBankImport: (req, res, next) => {
+    const { questions, content, format = 'json', replace = false } = req.body || {};
+    let parsed = questions;
+
+    if (typeof replace !== 'boolean') {
       return res.status(400).json({
         error: {
-          message: 'Answer is required and must be a non-empty string.',
-          code: 'INVALID_ANSWER'
+          message: 'Replace must be true or false.',
+          code: 'INVALID_IMPORT'
         }
       });
     }
-    
-    if (!role || typeof role !== 'string') {
+
+    if (replace && !config.questionBank.allowReplace) {
+      return res.status(403).json({
+        error: {
+          message: 'Replacing imported questions is disabled on this server; set QUESTION_BANK_ALLOW_REPLACE=true to allow it.',
+          code: 'REPLACE_DISABLED'
+        }
+      });
+    }
+
+    if (typeof content === 'string') {
+      if (!QuestionBank.FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: {
+            message: `Format must be one of: ${QuestionBank.FORMATS.join(', ')}.`,
+            code: 'INVALID_FORMAT'
+          }
+        });
+      }
+      try {
+        parsed = QuestionBank.parse(content, format);
+      } catch (error) {
+        return res.status(400).json({
+          error: {
+            message: `Could not parse the ${format.toUpperCase()} content: ${error.message}`,
+            code: 'INVALID_IMPORT'
+          }
+        });
+      }
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+    if (!Array.isArray(list) || list.length === 0) {
       return res.status(400).json({
         error: {
-          message: 'Role is required and must be a string.',
-          code: 'INVALID_ROLE'
+          message: 'Send a non-empty questions list, or a bank file in content.',
+          code: 'INVALID_IMPORT'
         }
       });
     }
-    
-    const validLevels = ['fresher', 'intermediate', 'experienced'];
-    if (!level || !validLevels.includes(level)) {
+
+    const { questions: valid, errors } = QuestionBank.check(parsed);
+    if (errors.length > 0) {
       return res.status(400).json({
         error: {
-          message: 'Level is required and must be one of: fresher, intermediate, experienced.',
-          code: 'INVALID_LEVEL',
-          validLevels
+          message: `${errors.length} question(s) are invalid; nothing was imported.`,
+          code: 'INVALID_BANK_QUESTIONS',
+          details: errors.slice(0, MAX_REPORTED_IMPORT_ERRORS)
         }
       });
     }
-    
+
+    req.body.questions = valid;
+    next();
+  },
+
+  /**
+   * Validate session creation request
+   */
+  sessionCreate: (req, res, next) => {
+    const { role, level, questions } = req.body;
+
+    if (!role || !level || !Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Role, level and a non-empty questions array are required.',
+          code: 'MISSING_SESSION_FIELDS'
+        }
+      });
+    }
+
+    const fieldError = getSessionFieldError(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    next();
+  },
+
+  /**
+   * Validate session update request
+   */
+  sessionUpdate: (req, res, next) => {
+    const fieldError = getSessionFieldError(req.body || {});
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
     next();
   }
 };
@@ -0,0 +1,75 @@
+const request = require('supertest')
+const express = require('express')
+const jobDescriptionRouter = require('../jobDescription')
+
+const app = express()
+app.use(express.json())
+app.use('/api/job-description', jobDescriptionRouter)
+
+describe('Job Description API', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('POST /api/job-description/match', () => {
+    test('should return a gap report for pasted text', async () => {
+      const response = await request(app)
+        .post('/api/job-description/match')
+        .send({
+          jobDescription: 'Requirements:\n- React\n- TypeScript\n\nNice to have:\n- GraphQL',
+          resumeSummary: { skills: ['React', 'Python'], experience: '2 years' }
+        })
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.matched.required).toEqual(['React'])
+      expect(response.body.data.missing).toEqual({ required: ['TypeScript'], niceToHave: ['GraphQL'] })
+      expect(response.body.data.extra).toEqual(['Python'])
+      expect(response.body.data.matchScore).toBe(40)
+    })
+
+    test('should reject a request without a job description', async () => {
+      const response = await request(app)
+        .post('/api/job-description/match')
+        .send({ resumeSummary: { skills: [] } })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('MISSING_JOB_DESCRIPTION')
+    })
+
+    test('should reject a request without resume skills', async () => {
+      const response = await request(app)
+        .post('/api/job-description/match')
+        .send({ jobDescription: 'Requirements: React', resumeSummary: { experience: '2 years' } })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_RESUME_SUMMARY')
+    })
+
+    test('should read an uploaded job description in any resume format', async () => {
+      const response = await request(app)
+        .post('/api/job-description/match')
+        .field('resumeSummary', JSON.stringify({ skills: ['React'] }))
+        .attach('jobDescription', Buffer.from('Requirements:\n- React\n- TypeScript\n'), 'posting.txt')
+        .expect(200)
+
+      expect(response.body.data.requiredSkills).toEqual(['React', 'TypeScript'])
+    })
+
+    test('should give upload errors the codes the resume upload gives', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const response = await request(app)
+        .post('/api/job-description/match')
+        .field('resumeSummary', JSON.stringify({ skills: ['React'] }))
+        .attach('jobDescription', Buffer.from('Requirements: React and TypeScript'), 'posting.pdf')
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_PDF')
+    })
+  })
+})
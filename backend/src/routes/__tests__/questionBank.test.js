@@ -0,0 +1,196 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-bank-imports-'))
+process.env.QUESTION_BANK_IMPORT_DIR = importDir
+
+const request = require('supertest')
+const express = require('express')
+const yaml = require('js-yaml')
+const questionBankRouter = require('../questionBank')
+const { config } = require('../../config/production')
+
+const app = express()
+app.use(express.json())
+app.use('/api/question-bank', questionBankRouter)
+
+describe('Question Bank API', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(importDir, { recursive: true, force: true })
+  })
+
+  describe('GET /api/question-bank', () => {
+    it('should search by role, level and category', async () => {
+      const response = await request(app)
+        .get('/api/question-bank')
+        .query({ role: 'QA Engineer', level: 'fresher', category: 'technical', limit: 3 })
+
+      expect(response.status).toBe(200)
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.total).toBeGreaterThanOrEqual(5)
+      expect(response.body.data.questions).toHaveLength(3)
+      response.body.data.questions.forEach(question => {
+        expect(question.category).toBe('technical')
+      })
+    })
+
+    it('should reject unknown filter values', async () => {
+      const response = await request(app).get('/api/question-bank').query({ difficulty: 'brutal' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_FILTER')
+    })
+
+    it('should reject an out-of-range limit', async () => {
+      const response = await request(app).get('/api/question-bank').query({ limit: 1000 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_LIMIT')
+    })
+  })
+
+  describe('GET /api/question-bank/:id', () => {
+    it('should return one question', async () => {
+      const response = await request(app).get('/api/question-bank/frontend-closures')
+
+      expect(response.status).toBe(200)
+      expect(response.body.data).toMatchObject({
+        id: 'frontend-closures',
+        roles: ['Frontend Developer'],
+        levels: ['intermediate'],
+        skills: ['JavaScript']
+      })
+    })
+
+    it('should return 404 for an unknown id', async () => {
+      const response = await request(app).get('/api/question-bank/no-such-question')
+
+      expect(response.status).toBe(404)
+      expect(response.body.error.code).toBe('QUESTION_NOT_FOUND')
+    })
+  })
+
+  describe('GET /api/question-bank/facets', () => {
+    it('should count the questions per tag value', async () => {
+      const response = await request(app).get('/api/question-bank/facets')
+
+      expect(response.status).toBe(200)
+      expect(Object.keys(response.body.data.roles)).toHaveLength(10)
+      expect(response.body.data.levels.experienced).toBeGreaterThan(0)
+    })
+  })
+
+  describe('POST /api/question-bank/import', () => {
+    it('should import a YAML bank file and save it', async () => {
+      const content = [
+        'defaults:',
+        '  category: technical',
+        '  roles: [Data Engineer]',
+        'questions:',
+        '  - id: data-engineer-airflow',
+        '    text: How do you make an Airflow DAG safe to re-run?',
+        '    skills: [Airflow]',
+        '  - text: How do you test a data pipeline?'
+      ].join('\n')
+
+      const response = await request(app)
+        .post('/api/question-bank/import')
+        .send({ content, format: 'yaml' })
+
+      expect(response.status).toBe(201)
+      expect(response.body.data).toMatchObject({ added: 2, updated: 0 })
+
+      const saved = JSON.parse(fs.readFileSync(path.join(importDir, 'imported.json'), 'utf8'))
+      expect(saved.questions.map(question => question.text)).toContain('How do you test a data pipeline?')
+
+      const search = await request(app).get('/api/question-bank').query({ role: 'Data Engineer', skill: 'airflow' })
+      expect(search.body.data.questions.map(question => question.id)).toEqual(['data-engineer-airflow'])
+    })
+
+    it('should import nothing when any question is invalid', async () => {
+      const response = await request(app)
+        .post('/api/question-bank/import')
+        .send({
+          questions: [
+            { text: 'A valid question?', category: 'behavioral' },
+            { text: 'Missing a category' }
+          ]
+        })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_BANK_QUESTIONS')
+      expect(response.body.error.details).toEqual([
+        { index: 1, message: expect.stringContaining('category must be one of') }
+      ])
+
+      const search = await request(app).get('/api/question-bank').query({ q: 'A valid question' })
+      expect(search.body.data.total).toBe(0)
+    })
+
+    it('should reject content that does not parse', async () => {
+      const response = await request(app)
+        .post('/api/question-bank/import')
+        .send({ content: '{ "questions": [', format: 'json' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_IMPORT')
+    })
+
+    it('should reject a body without questions', async () => {
+      const response = await request(app).post('/api/question-bank/import').send({ questions: [] })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_IMPORT')
+    })
+
+    it('should only replace earlier imports when the server allows it', async () => {
+      const questions = [{ id: 'replace-check', text: 'How do you review a pull request?', category: 'behavioral' }]
+
+      const refused = await request(app).post('/api/question-bank/import').send({ questions, replace: true })
+
+      expect(refused.status).toBe(403)
+      expect(refused.body.error.code).toBe('REPLACE_DISABLED')
+      expect(JSON.parse(fs.readFileSync(path.join(importDir, 'imported.json'), 'utf8')).questions.map(question => question.id))
+        .toContain('data-engineer-airflow')
+
+      config.questionBank.allowReplace = true
+      try {
+        const response = await request(app).post('/api/question-bank/import').send({ questions, replace: true })
+
+        expect(response.status).toBe(201)
+        const saved = JSON.parse(fs.readFileSync(path.join(importDir, 'imported.json'), 'utf8'))
+        expect(saved.questions.map(question => question.id)).toEqual(['replace-check'])
+      } finally {
+        config.questionBank.allowReplace = false
+      }
+    })
+  })
+
+  describe('GET /api/question-bank/export', () => {
+    it('should download matching questions as YAML', async () => {
+      const response = await request(app)
+        .get('/api/question-bank/export')
+        .query({ format: 'yaml', role: 'Mobile Developer', category: 'technical' })
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-disposition']).toContain('question-bank.yaml')
+
+      const file = yaml.load(response.text)
+      expect(file.questions.length).toBeGreaterThanOrEqual(15)
+      expect(file.questions.every(question => question.category === 'technical')).toBe(true)
+    })
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app).get('/api/question-bank/export').query({ format: 'csv' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_FORMAT')
+    })
+  })
+})
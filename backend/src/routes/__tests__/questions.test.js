@@ -173,4 +173,67 @@ describe('Questions API', () => {
       expect(response.body.error.message).toContain('Failed to generate questions')
     })
   })
-})
\ No newline at end of file
+
+  describe('POST /api/questions/follow-up', () => {
+    const validFollowUpBody = {
+      question: 'How do you optimize a slow React page?',
+      answer: 'I profile the page, memoize expensive components and virtualize long lists.',
+      role: 'Frontend Developer',
+      level: 'intermediate'
+    }
+
+    it('should return follow-up questions', async () => {
+      const result = {
+        followUps: ['How did you decide which components to memoize?'],
+        metadata: { model: 'offline', tokensUsed: 0 }
+      }
+      openaiService.prototype.generateFollowUps.mockResolvedValue(result)
+
+      const response = await request(app)
+        .post('/api/questions/follow-up')
+        .send({ ...validFollowUpBody, count: 1 })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual({ success: true, data: result })
+      expect(openaiService.prototype.generateFollowUps).toHaveBeenCalledWith(
+        validFollowUpBody.question,
+        validFollowUpBody.answer,
+        'Frontend Developer',
+        'intermediate',
+        { count: 1 }
+      )
+    })
+
+    it('should return 400 for a missing answer', async () => {
+      const response = await request(app)
+        .post('/api/questions/follow-up')
+        .send({ ...validFollowUpBody, answer: '' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_ANSWER')
+    })
+
+    it('should return 400 for an invalid count', async () => {
+      const response = await request(app)
+        .post('/api/questions/follow-up')
+        .send({ ...validFollowUpBody, count: 3 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_FOLLOW_UP_COUNT')
+    })
+
+    it('should return 500 when generation fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      openaiService.prototype.generateFollowUps.mockRejectedValue(new Error('Follow-up generation failed: boom'))
+
+      const response = await request(app)
+        .post('/api/questions/follow-up')
+        .send(validFollowUpBody)
+
+      expect(response.status).toBe(500)
+      expect(response.body.success).toBe(false)
+      expect(response.body.error.code).toBe('FOLLOW_UP_ERROR')
+      console.error.mockRestore()
+    })
+  })
+})
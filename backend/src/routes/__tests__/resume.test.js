@@ -63,17 +63,41 @@ Built using React, Node.js, and MongoDB
     });
 
     test('should return 415 for unsupported file types', async () => {
-      const textFilePath = path.join(testFilesDir, 'sample-resume.txt');
+      const imagePath = path.join(testFilesDir, 'photo.png');
+      fs.writeFileSync(imagePath, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
       
       const response = await request(app)
         .post('/api/resume')
-        .attach('resume', textFilePath)
+        .attach('resume', imagePath)
         .expect(415);
 
       expect(response.body).toHaveProperty('error');
       expect(response.body.error.code).toBe('UNSUPPORTED_FORMAT');
       expect(response.body.error.message).toContain('Unsupported file format');
-      expect(response.body.error.supportedFormats).toEqual(['PDF', 'DOCX']);
+      expect(response.body.error.supportedFormats).toEqual(['PDF', 'DOCX', 'ODT', 'RTF', 'Markdown', 'TXT']);
+    });
+
+    test('should parse plain text resumes', async () => {
+      const response = await request(app)
+        .post('/api/resume')
+        .attach('resume', path.join(testFilesDir, 'sample-resume.txt'))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.raw.fileType).toBe('text/plain');
+      expect(response.body.data.skills).toEqual(expect.arrayContaining(['JavaScript', 'React']));
+    });
+
+    test('should return 415 when the content is not a supported format', async () => {
+      const disguisedPath = path.join(testFilesDir, 'disguised.txt');
+      fs.writeFileSync(disguisedPath, Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00, 0x00]));
+
+      const response = await request(app)
+        .post('/api/resume')
+        .attach('resume', disguisedPath)
+        .expect(415);
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_FORMAT');
     });
 
     test('should return 400 for files that are too large', async () => {
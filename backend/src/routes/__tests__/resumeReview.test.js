@@ -0,0 +1,69 @@
+const request = require('supertest')
+const express = require('express')
+const resumeRouter = require('../resume')
+
+const app = express()
+app.use(express.json())
+app.use('/api/resume', resumeRouter)
+
+describe('Resume Review API', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('POST /api/resume/review', () => {
+    test('should return a report for a parsed resume', async () => {
+      const response = await request(app)
+        .post('/api/resume/review')
+        .send({
+          resumeSummary: {
+            text: 'Jane Doe',
+            skills: ['React'],
+            workHistory: [{ title: 'Engineer', bullets: ['Worked on the React app'] }],
+            education: [],
+            projects: [],
+            raw: { originalText: 'Jane Doe\njane@example.com\n- Worked on the React app' }
+          }
+        })
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.score).toEqual(expect.any(Number))
+      expect(response.body.data.stats.bulletCount).toBe(1)
+      expect(response.body.data.findings.map(finding => finding.check)).toEqual(
+        expect.arrayContaining(['missing-section', 'missing-contact', 'weak-verb', 'no-quantified-results'])
+      )
+    })
+
+    test('should reject a request without a resume summary', async () => {
+      const response = await request(app)
+        .post('/api/resume/review')
+        .send({})
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_RESUME_SUMMARY')
+    })
+
+    test('should reject a resume summary without its text', async () => {
+      const response = await request(app)
+        .post('/api/resume/review')
+        .send({ resumeSummary: { skills: ['React'] } })
+        .expect(400)
+
+      expect(response.body.error).toMatchObject({ code: 'MISSING_RESUME_FIELD', missingField: 'text' })
+    })
+
+    test('should reject sections that are not lists', async () => {
+      const response = await request(app)
+        .post('/api/resume/review')
+        .send({ resumeSummary: { text: 'Jane Doe', projects: 'Shop' } })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_RESUME_SUMMARY')
+    })
+  })
+})
@@ -0,0 +1,226 @@
+process.env.SESSION_STORE = 'memory'
+
+const request = require('supertest')
+const express = require('express')
+const sessionsRouter = require('../sessions')
+
+const app = express()
+app.use(express.json())
+app.use('/api/sessions', sessionsRouter)
+
+describe('Sessions API', () => {
+  const validSession = {
+    role: 'Frontend Developer',
+    level: 'intermediate',
+    mode: 'text-only',
+    resume: { skills: ['React'], experience: '3 years of experience' },
+    questions: [
+      { id: 'technical-0', type: 'technical', text: 'What is React?', order: 0 },
+      { id: 'behavioral-0', type: 'behavioral', text: 'Describe a challenge', order: 1 }
+    ]
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  const createSession = (body = validSession) =>
+    request(app).post('/api/sessions').send(body)
+
+  describe('POST /api/sessions', () => {
+    it('should create an in-progress session', async () => {
+      const response = await createSession()
+
+      expect(response.status).toBe(201)
+      expect(response.body.success).toBe(true)
+      expect(response.body.data).toMatchObject({
+        status: 'in_progress',
+        role: 'Frontend Developer',
+        answers: [],
+        analysis: null,
+        currentQuestionIndex: 0
+      })
+      expect(response.body.data.id).toBeDefined()
+      expect(response.body.data.createdAt).toBeDefined()
+    })
+
+    it('should return 400 without questions', async () => {
+      const response = await createSession({ ...validSession, questions: [] })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('MISSING_SESSION_FIELDS')
+    })
+
+    it('should return 400 for an invalid level', async () => {
+      const response = await createSession({ ...validSession, level: 'guru' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_LEVEL')
+    })
+  })
+
+  describe('PATCH /api/sessions/:id', () => {
+    it('should store answers and complete the session', async () => {
+      const { body: created } = await createSession()
+      const id = created.data.id
+
+      const answers = [
+        { questionId: 'technical-0', transcription: 'A UI library', timestamp: '2024-01-15T10:30:00.000Z' }
+      ]
+      const progress = await request(app)
+        .patch(`/api/sessions/${id}`)
+        .send({ answers, currentQuestionIndex: 1 })
+
+      expect(progress.status).toBe(200)
+      expect(progress.body.data.answers).toEqual(answers)
+      expect(progress.body.data.completedAt).toBeNull()
+
+      const completed = await request(app)
+        .patch(`/api/sessions/${id}`)
+        .send({ status: 'completed', analysis: { overallScore: 70, feedback: [], summary: 'Good' } })
+
+      expect(completed.body.data.status).toBe('completed')
+      expect(completed.body.data.completedAt).not.toBeNull()
+      expect(completed.body.data.answers).toEqual(answers)
+    })
+
+    it('should ignore fields that are managed by the server', async () => {
+      const { body: created } = await createSession()
+
+      const response = await request(app)
+        .patch(`/api/sessions/${created.data.id}`)
+        .send({ id: 'other', createdAt: '2000-01-01T00:00:00.000Z' })
+
+      expect(response.body.data.id).toBe(created.data.id)
+      expect(response.body.data.createdAt).toBe(created.data.createdAt)
+    })
+
+    it('should return 400 for malformed answers', async () => {
+      const { body: created } = await createSession()
+
+      const response = await request(app)
+        .patch(`/api/sessions/${created.data.id}`)
+        .send({ answers: [{ text: 'missing ids' }] })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_ANSWERS')
+    })
+
+    it('should store inserted follow-up questions', async () => {
+      const { body: created } = await createSession({ ...validSession, followUpDepth: 1 })
+      const followUp = { id: 'technical-0-f1', type: 'technical', text: 'Why that approach?', followUpOf: 'technical-0', depth: 1 }
+
+      const response = await request(app)
+        .patch(`/api/sessions/${created.data.id}`)
+        .send({ questions: [...validSession.questions.slice(0, 1), followUp, ...validSession.questions.slice(1)] })
+
+      expect(created.data.followUpDepth).toBe(1)
+      expect(response.body.data.questions[1]).toEqual(followUp)
+    })
+
+    it('should return 400 for an invalid follow-up depth', async () => {
+      const response = await createSession({ ...validSession, followUpDepth: 5 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_FOLLOW_UP_DEPTH')
+    })
+
+    it('should store timed-mode settings', async () => {
+      const { body: created } = await createSession({
+        ...validSession,
+        timing: { thinkingSeconds: 30, answerSeconds: 120 }
+      })
+
+      expect(created.data.timing).toEqual({ thinkingSeconds: 30, answerSeconds: 120 })
+    })
+
+    it('should return 400 for an invalid answer time limit', async () => {
+      const response = await createSession({
+        ...validSession,
+        timing: { thinkingSeconds: 30, answerSeconds: 5 }
+      })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_TIMING')
+    })
+
+    it('should return 404 for an unknown session', async () => {
+      const response = await request(app)
+        .patch('/api/sessions/does-not-exist')
+        .send({ status: 'completed' })
+
+      expect(response.status).toBe(404)
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND')
+    })
+  })
+
+  describe('GET /api/sessions', () => {
+    it('should fetch a session by id', async () => {
+      const { body: created } = await createSession()
+
+      const response = await request(app).get(`/api/sessions/${created.data.id}`)
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.resume).toEqual(validSession.resume)
+      expect(response.body.data.questions).toHaveLength(2)
+    })
+
+    it('should list summaries filtered by status', async () => {
+      const { body: created } = await createSession()
+      await new Promise(resolve => setTimeout(resolve, 5))
+      await request(app)
+        .patch(`/api/sessions/${created.data.id}`)
+        .send({ status: 'completed', analysis: { overallScore: 82 } })
+
+      const response = await request(app).get('/api/sessions?status=completed')
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.length).toBeGreaterThan(0)
+      response.body.data.forEach(summary => {
+        expect(summary.status).toBe('completed')
+        expect(summary.resume).toBeUndefined()
+      })
+      expect(response.body.data[0]).toMatchObject({
+        id: created.data.id,
+        overallScore: 82,
+        questionCount: 2
+      })
+    })
+
+    it('should report history for completed sessions', async () => {
+      const { body: created } = await createSession({ ...validSession, role: 'Data Scientist' })
+      await request(app)
+        .patch(`/api/sessions/${created.data.id}`)
+        .send({
+          status: 'completed',
+          analysis: {
+            feedback: [
+              { questionId: '1', score: 8, feedback: 'Good' },
+              { questionId: '2', score: 6, feedback: 'Fine' }
+            ],
+            overallScore: 70,
+            summary: 'Solid',
+            improvements: ['Use examples']
+          }
+        })
+
+      const response = await request(app).get('/api/sessions/history?role=Data%20Scientist')
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.sessionCount).toBe(1)
+      expect(response.body.data.sessions[0].categoryScores).toEqual({ technical: 8, behavioral: 6 })
+      expect(response.body.data.trend.latest).toBe(70)
+    })
+
+    it('should return 400 for an invalid status filter', async () => {
+      const response = await request(app).get('/api/sessions?status=archived')
+
+      expect(response.status).toBe(400)
+      expect(response.body.error.code).toBe('INVALID_STATUS')
+    })
+  })
+})
@@ -0,0 +1,101 @@
+process.env.LLM_PROVIDER = 'offline'
+
+const request = require('supertest')
+const express = require('express')
+const questionsRouter = require('../questions')
+const analyzeRouter = require('../analyze')
+
+const app = express()
+app.use(express.json())
+app.use('/api/questions', questionsRouter)
+app.use('/api/analyze-answers', analyzeRouter)
+
+/**
+ * Parse a Server-Sent Events body into { event, data } pairs
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n')
+      return {
+        event: eventLine.slice('event: '.length),
+        data: JSON.parse(dataLine.slice('data: '.length))
+      }
+    })
+}
+
+describe('Streaming API', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('POST /api/questions/stream', () => {
+    it('should stream each question before the summary', async () => {
+      const response = await request(app)
+        .post('/api/questions/stream')
+        .send({
+          role: 'Backend Developer',
+          level: 'intermediate',
+          resumeSummary: { skills: ['Node.js'], experience: '3 years' },
+          composition: { technical: 2, behavioral: 1 }
+        })
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-type']).toContain('text/event-stream')
+
+      const events = parseEvents(response.text)
+      const questions = events.filter(e => e.event === 'question')
+      const summary = events[events.length - 1]
+
+      expect(events[0]).toEqual({ event: 'progress', data: { stage: 'started', completed: 0, total: 3 } })
+      expect(questions.map(e => e.data.category)).toEqual(['technical', 'technical', 'behavioral'])
+      expect(summary.event).toBe('summary')
+      expect(summary.data.data.categories.technical).toEqual(
+        questions.filter(e => e.data.category === 'technical').map(e => e.data.text)
+      )
+    })
+
+    it('should reject an invalid request before streaming', async () => {
+      const response = await request(app)
+        .post('/api/questions/stream')
+        .send({ role: 'Backend Developer' })
+
+      expect(response.status).toBe(400)
+      expect(response.headers['content-type']).toContain('application/json')
+    })
+  })
+
+  describe('POST /api/analyze-answers/stream', () => {
+    it('should stream rubric-scored feedback items before the summary', async () => {
+      const response = await request(app)
+        .post('/api/analyze-answers/stream')
+        .send({
+          questions: ['What is a closure?', 'Tell me about a time you missed a deadline.'],
+          answers: [
+            'A closure is a function that remembers the scope it was created in.',
+            'At my last job a release slipped. I told the team early and we shipped a week later.'
+          ],
+          role: 'Frontend Developer',
+          level: 'intermediate',
+          questionTypes: ['technical', 'behavioral']
+        })
+
+      const events = parseEvents(response.text)
+      const feedback = events.filter(e => e.event === 'feedback')
+      const summary = events[events.length - 1]
+
+      expect(feedback.map(e => e.data.questionId)).toEqual(['1', '2'])
+      expect(feedback[1].data.rubric).toBe('behavioral')
+      expect(feedback[1].data.star).toBeDefined()
+      expect(events.filter(e => e.event === 'progress').pop().data).toEqual({ stage: 'streaming', completed: 2, total: 2 })
+      expect(summary.event).toBe('summary')
+      expect(summary.data.data.feedback).toEqual(feedback.map(e => e.data))
+    })
+  })
+})
@@ -1,6 +1,7 @@
 const express = require('express');
 const OpenAIService = require('../services/openai');
 const { validateRequest } = require('../middleware/validation');
+const EventStream = require('../utils/eventStream');
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ const router = express.Router();
  */
 router.post('/', validateRequest.answerAnalysis, async (req, res) => {
   try {
-    const { questions, answers, role, level } = req.body;
+    const { questions, answers, role, level, questionTypes, resumeSummary, timings } = req.body;
     
     console.log(`Analyzing ${answers.length} answers for ${level} ${role} position`);
     
@@ -18,7 +19,11 @@ router.post('/', validateRequest.answerAnalysis, async (req, res) => {
     const openaiService = new OpenAIService();
     
     // Analyze answers
-    const analysis = await openaiService.analyzeAnswers(questions, answers, role, level);
+    const analysis = await openaiService.analyzeAnswers(questions, answers, role, level, {
+      questionTypes,
+      resumeSummary,
+      timings
+    });
     
     console.log(`Analysis complete. Overall score: ${analysis.overallScore}`);
     
@@ -56,4 +61,50 @@ router.post('/', validateRequest.answerAnalysis, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analyze-answers/stream
+ * Analyze answers, sending each rubric-scored feedback item as a Server-Sent
+ * Event as soon as it is parsed from the streamed completion
+ */
+router.post('/stream', validateRequest.answerAnalysis, async (req, res) => {
+  const { questions, answers, role, level, questionTypes, resumeSummary, timings } = req.body;
+  const total = questions.length;
+  const stream = new EventStream(res);
+  let completed = 0;
+
+  stream.send('progress', { stage: 'started', completed, total });
+
+  try {
+    const openaiService = new OpenAIService();
+    const analysis = await openaiService.analyzeAnswers(questions, answers, role, level, {
+      questionTypes,
+      resumeSummary,
+      timings,
+      onFeedback: (item) => {
+        completed += 1;
+        stream.send('feedback', item);
+        stream.send('progress', { stage: 'streaming', completed, total });
+      }
+    });
+
+    // Fallback analyses are not streamed; the summary carries every item
+    stream.send('summary', { data: analysis });
+  } catch (error) {
+    console.error('Streaming answer analysis error:', error);
+
+    let errorCode = 'ANALYSIS_ERROR';
+    if (error.message.includes('API key')) {
+      errorCode = 'INVALID_API_KEY';
+    } else if (error.message.includes('rate limit')) {
+      errorCode = 'RATE_LIMIT_EXCEEDED';
+    } else if (error.message.includes('OpenAI')) {
+      errorCode = 'OPENAI_ERROR';
+    }
+
+    stream.sendError(error.message, errorCode);
+  }
+
+  stream.end();
+});
+
 module.exports = router;
\ No newline at end of file
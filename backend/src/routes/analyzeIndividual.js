@@ -11,7 +11,7 @@ const router = express.Router();
 router.post('/', validateRequest.individualAnalysis, async (req, res) => {
   try {
 
-    const { question, answer, role, level } = req.body;
+    const { question, answer, role, level, questionType, resumeSummary } = req.body;
     
     console.log(`Analyzing individual answer for ${level} ${role} position`);
     
@@ -19,7 +19,10 @@ router.post('/', validateRequest.individualAnalysis, async (req, res) => {
     const openaiService = new OpenAIService();
     
     // Analyze single answer
-    const analysis = await openaiService.analyzeIndividualAnswer(question, answer, role, level);
+    const analysis = await openaiService.analyzeIndividualAnswer(question, answer, role, level, {
+      questionType,
+      resumeSummary
+    });
     
     console.log(`Individual analysis complete. Score: ${analysis.score}`);
     
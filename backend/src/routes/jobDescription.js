@@ -0,0 +1,71 @@
+const express = require('express');
+const fs = require('fs');
+const ResumeParser = require('../services/parser');
+const JobDescriptionMatcher = require('../services/jobMatcher');
+const DocumentFormat = require('../utils/documentFormat');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+const parser = new ResumeParser();
+const matcher = new JobDescriptionMatcher(parser);
+
+/**
+ * Text of an uploaded job description file
+ * @param {Object} file - Multer file
+ * @returns {Promise<string>} Extracted text
+ */
+const extractFileText = async (file) => {
+  const { text } = await parser.extractText(file.path, file.originalname);
+  return text;
+};
+
+/**
+ * POST /api/job-description/match
+ * Extract required and nice-to-have skills from a job description and compare
+ * them with the resume skills
+ * Body: jobDescription (text, or a document file in multipart requests), resumeSummary
+ */
+router.post('/match', validateRequest.jobDescriptionMatch, async (req, res) => {
+  const filePath = req.file ? req.file.path : null;
+
+  try {
+    const text = req.file ? await extractFileText(req.file) : req.body.jobDescription;
+    const report = matcher.match(text, req.body.resumeSummary.skills);
+
+    console.log(`Job description match: ${report.requiredSkills.length} required, ${report.niceToHaveSkills.length} nice-to-have skills, score ${report.matchScore}`);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        jobDescriptionText: parser.cleanText(text)
+      }
+    });
+
+  } catch (error) {
+    console.error('Job description matching error:', error);
+
+    const { statusCode, code } = DocumentFormat.describeError(error) || { statusCode: 500, code: 'MATCHING_ERROR' };
+
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (cleanupError) {
+        console.error('File cleanup error:', cleanupError);
+      }
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { getQuestionBank, QuestionBank } = require('../services/questionBank');
+const QuestionComposition = require('../utils/questionComposition');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+const sendError = (res, status, message, code) => {
+  res.status(status).json({
+    success: false,
+    error: {
+      message,
+      code,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+/**
+ * Search filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} { filters } or { error: { message, code } }
+ */
+const readFilters = (query) => {
+  const { q, role, level, skill, category, difficulty, tag } = query;
+
+  if (category && !QuestionComposition.CATEGORIES.includes(category)) {
+    return { error: { message: `Category must be one of: ${QuestionComposition.CATEGORIES.join(', ')}.`, code: 'INVALID_FILTER' } };
+  }
+  if (level && !QuestionBank.LEVELS.includes(level)) {
+    return { error: { message: `Level must be one of: ${QuestionBank.LEVELS.join(', ')}.`, code: 'INVALID_FILTER' } };
+  }
+  if (difficulty && !QuestionBank.DIFFICULTIES.includes(difficulty)) {
+    return { error: { message: `Difficulty must be one of: ${QuestionBank.DIFFICULTIES.join(', ')}.`, code: 'INVALID_FILTER' } };
+  }
+
+  const limit = query.limit !== undefined ? Number(query.limit) : undefined;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > QuestionBank.MAX_LIMIT)) {
+    return { error: { message: `Limit must be an integer from 1 to ${QuestionBank.MAX_LIMIT}.`, code: 'INVALID_LIMIT' } };
+  }
+
+  const offset = query.offset !== undefined ? Number(query.offset) : undefined;
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    return { error: { message: 'Offset must be a non-negative integer.', code: 'INVALID_LIMIT' } };
+  }
+
+  return { filters: { q, role, level, skill, category, difficulty, tag, limit, offset } };
+};
+
+/**
+ * GET /api/question-bank
+ * Search the question bank
+ * Query: q, role, level, skill, category, difficulty, tag, limit, offset
+ */
+router.get('/', (req, res) => {
+  const { filters, error } = readFilters(req.query);
+  if (error) {
+    return sendError(res, 400, error.message, error.code);
+  }
+
+  res.json({
+    success: true,
+    data: getQuestionBank().search(filters)
+  });
+});
+
+/**
+ * GET /api/question-bank/facets
+ * Categories, roles, levels, difficulties, skills and tags in use, with counts
+ */
+router.get('/facets', (req, res) => {
+  res.json({
+    success: true,
+    data: getQuestionBank().facets()
+  });
+});
+
+/**
+ * GET /api/question-bank/export
+ * Download matching questions as a bank file
+ * Query: format (json|yaml) and the search filters
+ */
+router.get('/export', (req, res) => {
+  const format = req.query.format || 'json';
+  if (!QuestionBank.FORMATS.includes(format)) {
+    return sendError(res, 400, `Format must be one of: ${QuestionBank.FORMATS.join(', ')}.`, 'INVALID_FORMAT');
+  }
+
+  const { filters, error } = readFilters(req.query);
+  if (error) {
+    return sendError(res, 400, error.message, error.code);
+  }
+
+  res
+    .type(format === 'yaml' ? 'application/yaml' : 'application/json')
+    .attachment(`question-bank.${format}`)
+    .send(getQuestionBank().exportQuestions(filters, format));
+});
+
+/**
+ * POST /api/question-bank/import
+ * Add or update questions in bulk
+ * Body: { questions: [...] } or { content: "<bank file>", format: "json"|"yaml" },
+ * plus replace: true to drop previously imported questions first, when
+ * QUESTION_BANK_ALLOW_REPLACE is set
+ */
+router.post('/import', validateRequest.questionBankImport, async (req, res) => {
+  const { questions, replace = false } = req.body;
+
+  try {
+    const result = await getQuestionBank().importQuestions(questions, { replace });
+
+    console.log(`Imported ${questions.length} questions into the question bank`);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Question bank import error:', error);
+    sendError(res, 500, 'Failed to save the imported questions', 'STORAGE_ERROR');
+  }
+});
+
+/**
+ * GET /api/question-bank/:id
+ * Get one question
+ */
+router.get('/:id', (req, res) => {
+  const question = getQuestionBank().getById(req.params.id);
+  if (!question) {
+    return sendError(res, 404, `Question ${req.params.id} not found`, 'QUESTION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: question
+  });
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const OpenAIService = require('../services/openai');
 const { validateRequest } = require('../middleware/validation');
+const QuestionComposition = require('../utils/questionComposition');
+const EventStream = require('../utils/eventStream');
 
 const router = express.Router();
 
@@ -9,7 +11,7 @@ const router = express.Router();
  * Generate interview questions based on resume and role
  */
 router.post('/', validateRequest.questionGeneration, async (req, res) => {
-  const { role, level, resumeSummary } = req.body;
+  const { role, level, resumeSummary, composition, skillGaps } = req.body;
   
   try {
     console.log(`Generating questions for ${level} ${role} position`);
@@ -18,9 +20,12 @@ router.post('/', validateRequest.questionGeneration, async (req, res) => {
     const openaiService = new OpenAIService();
     
     // Generate questions
-    const questions = await openaiService.generateQuestions(role, level, resumeSummary);
+    const questions = await openaiService.generateQuestions(role, level, resumeSummary, composition, skillGaps);
     
-    console.log(`Generated ${questions.roleQuestions.length} role questions and ${questions.openEnded.length} open-ended questions`);
+    const counts = Object.entries(questions.categories)
+      .map(([category, list]) => `${list.length} ${category}`)
+      .join(', ');
+    console.log(`Generated questions: ${counts}`);
     
     res.json({
       success: true,
@@ -34,7 +39,7 @@ router.post('/', validateRequest.questionGeneration, async (req, res) => {
     // Use fallback questions when OpenAI fails
     try {
       const openaiService = new OpenAIService();
-      const fallbackQuestions = openaiService.getFallbackQuestions(role, level);
+      const fallbackQuestions = openaiService.getFallbackQuestions(role, level, composition, skillGaps, resumeSummary && resumeSummary.skills);
       
       console.log('Using fallback questions due to OpenAI API issues');
       
@@ -75,4 +80,90 @@ router.post('/', validateRequest.questionGeneration, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/questions/stream
+ * Generate interview questions, sending each one as a Server-Sent Event as
+ * soon as it is parsed from the streamed completion
+ */
+router.post('/stream', validateRequest.questionGeneration, async (req, res) => {
+  const { role, level, resumeSummary, composition, skillGaps } = req.body;
+  const total = QuestionComposition.total(QuestionComposition.normalize(composition));
+  const stream = new EventStream(res);
+  const openaiService = new OpenAIService();
+  let completed = 0;
+
+  stream.send('progress', { stage: 'started', completed, total });
+
+  try {
+    const questions = await openaiService.generateQuestions(role, level, resumeSummary, composition, skillGaps, {
+      onQuestion: (category, index, text) => {
+        completed += 1;
+        stream.send('question', { category, index, text });
+        stream.send('progress', { stage: 'streaming', completed, total });
+      }
+    });
+
+    stream.send('summary', { data: questions });
+  } catch (error) {
+    console.error('Streaming question generation error:', error);
+
+    // Same fallback as POST /api/questions; the summary replaces any streamed questions
+    try {
+      const fallbackQuestions = openaiService.getFallbackQuestions(role, level, composition, skillGaps, resumeSummary && resumeSummary.skills);
+      stream.send('progress', { stage: 'fallback', completed: 0, total });
+      stream.send('summary', {
+        data: fallbackQuestions,
+        fallback: true,
+        message: 'Using default questions due to API limitations'
+      });
+    } catch (fallbackError) {
+      console.error('Fallback generation error:', fallbackError);
+      stream.sendError(error.message, 'GENERATION_ERROR');
+    }
+  }
+
+  stream.end();
+});
+
+/**
+ * POST /api/questions/follow-up
+ * Generate probing follow-up questions for an answer
+ */
+router.post('/follow-up', validateRequest.followUp, async (req, res) => {
+  const { question, answer, role, level, count } = req.body;
+
+  try {
+    const openaiService = new OpenAIService();
+    const result = await openaiService.generateFollowUps(question, answer, role, level, { count });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Follow-up generation error:', error);
+
+    let statusCode = 500;
+    let errorCode = 'FOLLOW_UP_ERROR';
+
+    if (error.message.includes('API key')) {
+      statusCode = 401;
+      errorCode = 'INVALID_API_KEY';
+    } else if (error.message.includes('OpenAI')) {
+      statusCode = 502;
+      errorCode = 'OPENAI_ERROR';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        message: error.message,
+        code: errorCode,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,9 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const ResumeParser = require('../services/parser');
+const ResumeReviewer = require('../services/resumeReviewer');
+const DocumentFormat = require('../utils/documentFormat');
+const { config } = require('../config/production');
 const { validateRequest } = require('../middleware/validation');
 
 const router = express.Router();
@@ -28,10 +31,11 @@ router.post('/', validateRequest.resumeUpload, async (req, res) => {
     const mimeType = req.file.mimetype;
     const originalName = req.file.originalname;
     
-    console.log(`Processing resume: ${originalName} (${mimeType})`);
+    // File names often carry the candidate's name, so they are not logged
+    console.log(`Processing resume: ${mimeType}, ${req.file.size} bytes`);
     
     // Parse the resume
-    const resumeData = await parser.parseResume(filePath, mimeType);
+    const resumeData = await parser.parseResume(filePath, originalName);
     
     // Add file metadata
     resumeData.metadata = {
@@ -41,10 +45,18 @@ router.post('/', validateRequest.resumeUpload, async (req, res) => {
       processingTime: Date.now() - req.uploadStartTime
     };
     
+    // The original text still holds the contact details redacted from `text`
+    if (!config.privacy.returnRawText) {
+      delete resumeData.raw.originalText;
+    }
+
     console.log(`Resume parsed successfully: ${resumeData.skills.length} skills, ${resumeData.projects.length} projects`);
     console.log('Extracted skills:', resumeData.skills.slice(0, 10));
     console.log('Extracted projects:', resumeData.projects.map(p => p.title || p));
     console.log('Experience:', resumeData.experience);
+    if (resumeData.warnings.length > 0) {
+      console.log('Parse warnings:', resumeData.warnings.map(warning => warning.code));
+    }
     
     // Return parsed data
     res.json({
@@ -56,25 +68,13 @@ router.post('/', validateRequest.resumeUpload, async (req, res) => {
     console.error('Resume parsing error:', error);
     
     // Determine error type and status code
-    let statusCode = 500;
-    let errorCode = 'PARSING_ERROR';
-    
-    if (error.message.includes('Unsupported file format')) {
-      statusCode = 415;
-      errorCode = 'UNSUPPORTED_FORMAT';
-    } else if (error.message.includes('PDF parsing failed')) {
-      statusCode = 422;
-      errorCode = 'PDF_PARSING_ERROR';
-    } else if (error.message.includes('DOCX parsing failed')) {
-      statusCode = 422;
-      errorCode = 'DOCX_PARSING_ERROR';
-    }
+    const { statusCode, code } = DocumentFormat.describeError(error) || { statusCode: 500, code: 'PARSING_ERROR' };
     
     res.status(statusCode).json({
       success: false,
       error: {
         message: error.message,
-        code: errorCode,
+        code,
         timestamp: new Date().toISOString()
       }
     });
@@ -92,6 +92,37 @@ router.post('/', validateRequest.resumeUpload, async (req, res) => {
   }
 });
 
+const reviewer = new ResumeReviewer();
+
+/**
+ * POST /api/resume/review
+ * Quality and ATS-readiness report for a parsed resume
+ * Body: { resumeSummary } as returned by POST /api/resume
+ */
+router.post('/review', validateRequest.resumeReview, (req, res) => {
+  try {
+    const report = reviewer.review(req.body.resumeSummary);
+
+    console.log(`Resume review: score ${report.score}, ${report.findings.length} findings`);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Resume review error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to review the resume',
+        code: 'REVIEW_ERROR',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 /**
  * Middleware to track upload start time
  */
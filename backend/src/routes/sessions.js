@@ -0,0 +1,161 @@
+const express = require('express');
+const { getSessionRepository, SessionRepository } = require('../services/storage');
+const SessionHistoryService = require('../services/history');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Send a storage failure in the standard error format
+ */
+const sendStorageError = (res, error) => {
+  console.error('Session storage error:', error);
+
+  res.status(500).json({
+    success: false,
+    error: {
+      message: 'Failed to access session storage',
+      code: 'STORAGE_ERROR',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+const sendNotFound = (res, id) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      message: `Session ${id} not found`,
+      code: 'SESSION_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+/**
+ * POST /api/sessions
+ * Create an interview session
+ */
+router.post('/', validateRequest.sessionCreate, async (req, res) => {
+  try {
+    const session = await getSessionRepository().create(req.body);
+
+    console.log(`Created session ${session.id} for ${session.level} ${session.role}`);
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+/**
+ * GET /api/sessions
+ * List session summaries, most recently updated first
+ * Query: status (in_progress|completed), limit
+ */
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+  if (status && !SessionRepository.SESSION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Status must be one of: ${SessionRepository.SESSION_STATUSES.join(', ')}.`,
+        code: 'INVALID_STATUS',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Limit must be a positive integer.',
+        code: 'INVALID_LIMIT',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  try {
+    const sessions = await getSessionRepository().list({ status, limit });
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+/**
+ * GET /api/sessions/history
+ * Score trends, per-category averages and recurring improvements across
+ * completed sessions
+ * Query: role, level
+ */
+router.get('/history', async (req, res) => {
+  const { role, level } = req.query;
+
+  try {
+    const historyService = new SessionHistoryService(getSessionRepository());
+    const history = await historyService.getHistory({ role, level });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Fetch a full session
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await getSessionRepository().get(req.params.id);
+
+    if (!session) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/sessions/:id
+ * Replace the given fields of a session (answers, analysis, status, ...)
+ */
+router.patch('/:id', validateRequest.sessionUpdate, async (req, res) => {
+  try {
+    const session = await getSessionRepository().update(req.params.id, req.body);
+
+    if (!session) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendStorageError(res, error);
+  }
+});
+
+module.exports = router;
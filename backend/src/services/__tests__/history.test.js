@@ -0,0 +1,138 @@
+const SessionHistoryService = require('../history');
+const { MemorySessionRepository } = require('../storage');
+
+describe('SessionHistoryService', () => {
+  let repository;
+  let service;
+
+  const questions = [
+    { id: 'technical-0', type: 'technical', text: 'What is a closure?' },
+    { id: 'technical-1', type: 'technical', text: 'Explain the event loop' },
+    { id: 'behavioral-0', type: 'behavioral', text: 'Describe a conflict' }
+  ];
+
+  const complete = async ({ role = 'Frontend Developer', level = 'intermediate', scores, overallScore, improvements, completedAt }) => {
+    const session = await repository.create({ role, level, questions });
+    await repository.update(session.id, {
+      status: 'completed',
+      analysis: {
+        feedback: scores.map((score, index) => ({ questionId: String(index + 1), score, feedback: 'ok' })),
+        overallScore,
+        summary: 'Summary',
+        improvements
+      }
+    });
+
+    // Pin the completion time so the chronological order is deterministic
+    const stored = await repository.get(session.id);
+    await repository.writeRecord({ ...stored, completedAt });
+    return session.id;
+  };
+
+  beforeEach(() => {
+    repository = new MemorySessionRepository();
+    service = new SessionHistoryService(repository);
+  });
+
+  test('should return an empty report without completed sessions', async () => {
+    await repository.create({ role: 'QA Engineer', level: 'fresher', questions });
+
+    const history = await service.getHistory();
+
+    expect(history.sessionCount).toBe(0);
+    expect(history.trend).toBeNull();
+    expect(history.recurringImprovements).toEqual([]);
+  });
+
+  test('should chart sessions chronologically with category scores', async () => {
+    const later = await complete({
+      scores: [8, 6, 9], overallScore: 78, improvements: [], completedAt: '2024-02-01T10:00:00.000Z'
+    });
+    const earlier = await complete({
+      scores: [4, 6, 5], overallScore: 50, improvements: [], completedAt: '2024-01-01T10:00:00.000Z'
+    });
+
+    const history = await service.getHistory();
+
+    expect(history.sessions.map(s => s.id)).toEqual([earlier, later]);
+    expect(history.sessions[0].categoryScores).toEqual({ technical: 5, behavioral: 5 });
+    expect(history.sessions[1].categoryScores).toEqual({ technical: 7, behavioral: 9 });
+    expect(history.trend).toEqual({ first: 50, latest: 78, best: 78, average: 64, change: 28 });
+    expect(history.categoryAverages).toEqual({ technical: 6, behavioral: 7 });
+  });
+
+  test('should map legacy question types to categories', () => {
+    const scores = service.scoreCategories({
+      questions: [
+        { id: 'role-0', type: 'role', text: 'Q1' },
+        { id: 'open-0', type: 'openEnded', text: 'Q2' }
+      ],
+      analysis: { feedback: [{ questionId: '1', score: 7 }, { questionId: '2', score: 5 }] }
+    });
+
+    expect(scores).toEqual({ technical: 7, behavioral: 5 });
+  });
+
+  test('should filter by role and level and group sessions', async () => {
+    await complete({ scores: [5, 5, 5], overallScore: 50, improvements: [], completedAt: '2024-01-01T10:00:00.000Z' });
+    await complete({ scores: [7, 7, 7], overallScore: 70, improvements: [], completedAt: '2024-01-02T10:00:00.000Z' });
+    await complete({
+      role: 'Backend Developer', level: 'fresher', scores: [6, 6, 6], overallScore: 60, improvements: [],
+      completedAt: '2024-01-03T10:00:00.000Z'
+    });
+
+    const all = await service.getHistory();
+    expect(all.groups).toEqual([
+      { role: 'Frontend Developer', level: 'intermediate', sessionCount: 2, averageScore: 60, latestScore: 70 },
+      { role: 'Backend Developer', level: 'fresher', sessionCount: 1, averageScore: 60, latestScore: 60 }
+    ]);
+
+    const backend = await service.getHistory({ role: 'Backend Developer' });
+    expect(backend.sessionCount).toBe(1);
+    expect(backend.filters).toEqual({ role: 'Backend Developer', level: null });
+  });
+
+  test('should surface improvements repeated across sessions', async () => {
+    await complete({
+      scores: [5, 5, 5], overallScore: 50, completedAt: '2024-01-01T10:00:00.000Z',
+      improvements: ['Use specific examples', 'Structure answers logically', 'Use specific examples.']
+    });
+    await complete({
+      scores: [6, 6, 6], overallScore: 60, completedAt: '2024-01-05T10:00:00.000Z',
+      improvements: ['use specific examples', 'Quantify your impact']
+    });
+    await complete({
+      scores: [7, 7, 7], overallScore: 70, completedAt: '2024-01-09T10:00:00.000Z',
+      improvements: ['Quantify your impact!', 'Use specific examples']
+    });
+
+    const history = await service.getHistory();
+
+    expect(history.recurringImprovements).toEqual([
+      { text: 'Use specific examples', count: 3, lastSeen: '2024-01-09T10:00:00.000Z' },
+      { text: 'Quantify your impact', count: 2, lastSeen: '2024-01-09T10:00:00.000Z' }
+    ]);
+  });
+
+  test('should count reworded improvements about the same rubric signal as recurring', async () => {
+    await complete({
+      scores: [5, 5, 5], overallScore: 50, completedAt: '2024-01-01T10:00:00.000Z',
+      improvements: ['Back up your claims with concrete examples from past projects', 'Slow down your pace']
+    });
+    await complete({
+      scores: [6, 6, 6], overallScore: 60, completedAt: '2024-01-05T10:00:00.000Z',
+      improvements: ['Give a specific instance instead of describing general habits', 'Add numbers to show the outcome']
+    });
+    await complete({
+      scores: [7, 7, 7], overallScore: 70, completedAt: '2024-01-09T10:00:00.000Z',
+      improvements: ['Frame the answer with the STAR method', 'Try to quantify the results you achieved']
+    });
+
+    const history = await service.getHistory();
+
+    expect(history.recurringImprovements).toEqual([
+      { text: 'Add numbers to show the outcome', count: 2, lastSeen: '2024-01-09T10:00:00.000Z' },
+      { text: 'Back up your claims with concrete examples from past projects', count: 2, lastSeen: '2024-01-05T10:00:00.000Z' }
+    ]);
+  });
+});
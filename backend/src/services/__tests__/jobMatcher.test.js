@@ -0,0 +1,129 @@
+const JobDescriptionMatcher = require('../jobMatcher');
+const SkillGaps = require('../../utils/skillGaps');
+
+describe('JobDescriptionMatcher', () => {
+  let matcher;
+
+  const jobDescription = `Senior Backend Engineer
+We are building a payments platform.
+
+Requirements:
+- 5+ years with Node.js and TypeScript
+- Strong PostgreSQL skills
+- Docker experience
+
+Nice to have:
+- Kubernetes
+- GraphQL
+
+Experience with Kafka is a plus.`;
+
+  beforeEach(() => {
+    matcher = new JobDescriptionMatcher();
+  });
+
+  describe('extractRequirements', () => {
+    test('should split skills by required and nice-to-have sections', () => {
+      const { required, niceToHave } = matcher.extractRequirements(jobDescription);
+
+      expect(required).toEqual(['Docker', 'Node.js', 'PostgreSQL', 'TypeScript']);
+      expect(niceToHave).toEqual(['GraphQL', 'Kafka', 'Kubernetes']);
+    });
+
+    test('should treat skills without any section as required', () => {
+      const { required, niceToHave } = matcher.extractRequirements('We use React and Redis every day.');
+
+      expect(required).toEqual(['React', 'Redis']);
+      expect(niceToHave).toEqual([]);
+    });
+
+    test('should keep a skill required when it is also listed as a plus', () => {
+      const { required, niceToHave } = matcher.extractRequirements(
+        'Requirements\n- Python\n\nPreferred qualifications\n- Python and Django'
+      );
+
+      expect(required).toEqual(['Python']);
+      expect(niceToHave).toEqual(['Django']);
+    });
+
+    test('should not switch sections on bullets that mention a cue', () => {
+      const { required, niceToHave } = matcher.extractRequirements(
+        'Requirements\n- AWS preferred\n- Java'
+      );
+
+      expect(required).toEqual(['Java']);
+      expect(niceToHave).toEqual(['AWS']);
+    });
+
+    test('should bucket each sentence of a paragraph by its own cue', () => {
+      const text = 'Required: Python, Kubernetes, PostgreSQL. Nice to have: Go, Terraform.';
+
+      expect(matcher.extractRequirements(text)).toEqual({
+        required: ['Kubernetes', 'PostgreSQL', 'Python'],
+        niceToHave: ['Go', 'Terraform']
+      });
+      expect(matcher.extractRequirements('Required: Python, Kubernetes Nice to have: Go').required)
+        .toEqual(['Kubernetes', 'Python']);
+      expect(matcher.match(text, ['Python', 'Kubernetes', 'PostgreSQL']).matchScore).toBe(75);
+    });
+  });
+
+  describe('match', () => {
+    test('should report matched, missing and extra skills with a weighted score', () => {
+      const report = matcher.match(jobDescription, ['Node.js', 'JavaScript', 'PostgreSQL', 'GraphQL', 'React']);
+
+      expect(report.matched).toEqual({ required: ['Node.js', 'PostgreSQL'], niceToHave: ['GraphQL'] });
+      expect(report.missing).toEqual({ required: ['Docker', 'TypeScript'], niceToHave: ['Kafka', 'Kubernetes'] });
+      expect(report.extra).toEqual(['JavaScript', 'React']);
+      // (2 required x 2 + 1 nice-to-have) / (4 x 2 + 3) = 5 / 11
+      expect(report.matchScore).toBe(45);
+    });
+
+    test('should accept skill objects and compare case-insensitively', () => {
+      const report = matcher.match('Requirements: Docker', [{ name: 'docker' }]);
+
+      expect(report.matched.required).toEqual(['Docker']);
+      expect(report.matchScore).toBe(100);
+    });
+
+    test('should match skills spelt with an alias on either side', () => {
+      const report = matcher.match('Requirements: ReactJS, k8s', ['React.js', 'Kubernetes', 'golang']);
+
+      expect(report.matched.required).toEqual(['Kubernetes', 'React']);
+      expect(report.extra).toEqual(['Go']);
+    });
+
+    test('should return a null score when no known skills are requested', () => {
+      const report = matcher.match('We value curiosity and teamwork.', ['React']);
+
+      expect(report.matchScore).toBeNull();
+      expect(report.extra).toEqual(['React']);
+    });
+  });
+});
+
+describe('SkillGaps', () => {
+  test('should accept missing gaps and reject malformed ones', () => {
+    expect(SkillGaps.validate(undefined)).toBeNull();
+    expect(SkillGaps.validate({ required: ['Docker'] })).toBeNull();
+    expect(SkillGaps.validate(['Docker'])).toMatch(/must be an object/);
+    expect(SkillGaps.validate({ niceToHave: 'Kafka' })).toMatch(/niceToHave/);
+    expect(SkillGaps.validate({ required: [''] })).toMatch(/required/);
+  });
+
+  test('should list required gaps first and cap the focus list', () => {
+    const required = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const focus = SkillGaps.focusList({ required, niceToHave: ['B1', 'B2', 'B3', 'A1'] });
+
+    expect(focus).toHaveLength(SkillGaps.MAX_GAPS);
+    expect(focus.slice(0, 6).every(item => item.required)).toBe(true);
+    expect(focus.map(item => item.skill)).not.toContain('B3');
+  });
+
+  test('should word questions by whether the skill is required', () => {
+    const [required, niceToHave] = SkillGaps.toQuestions({ required: ['Docker'], niceToHave: ['Kafka'] });
+
+    expect(required).toMatch(/requires Docker/);
+    expect(niceToHave).toMatch(/Kafka is a plus/);
+  });
+});
@@ -0,0 +1,398 @@
+const { createProvider, OpenAIProvider, OfflineProvider } = require('../llm');
+const OpenAIService = require('../openai');
+
+describe('LLM providers', () => {
+  describe('createProvider', () => {
+    test('should create the offline provider', () => {
+      const provider = createProvider({ provider: 'offline' });
+      expect(provider).toBeInstanceOf(OfflineProvider);
+      expect(provider.name).toBe('offline');
+    });
+
+    test('should create an OpenAI provider when an API key is set', () => {
+      const provider = createProvider({ provider: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini' });
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.name).toBe('openai');
+      expect(provider.model).toBe('gpt-4o-mini');
+    });
+
+    test('should fall back to offline when the OpenAI key is missing', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const provider = createProvider({ provider: 'openai' });
+      expect(provider).toBeInstanceOf(OfflineProvider);
+      warn.mockRestore();
+    });
+
+    test('should create an OpenAI-compatible provider with a base URL', () => {
+      const provider = createProvider({
+        provider: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        model: 'llama3'
+      });
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.name).toBe('openai-compatible');
+    });
+
+    test('should require a base URL for OpenAI-compatible providers', () => {
+      expect(() => createProvider({ provider: 'openai-compatible' })).toThrow('LLM_BASE_URL');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'unknown' })).toThrow('Unknown LLM provider');
+    });
+  });
+
+  describe('OfflineProvider', () => {
+    test('should return identical output for identical input', async () => {
+      const provider = new OfflineProvider();
+      const request = {
+        task: 'questions',
+        context: { role: 'Backend Developer', level: 'intermediate', resumeSummary: { skills: ['Node.js'] } }
+      };
+
+      const first = await provider.complete(request);
+      const second = await provider.complete(request);
+
+      expect(first).toEqual(second);
+      expect(first.tokensUsed).toBe(0);
+      expect(JSON.parse(first.content).technical[0]).toContain('Node.js');
+    });
+
+    test('should score detailed answers higher than short ones', () => {
+      const question = 'Describe how you improved API performance';
+      const short = OfflineProvider.scoreAnswer(question, 'I made it faster.');
+      const detailed = OfflineProvider.scoreAnswer(
+        question,
+        'In my previous role our API performance was poor, with p95 latency above 800 ms. ' +
+        'I profiled the slowest endpoints, added Redis caching for repeated lookups and rewrote two N+1 queries. ' +
+        'For example, the orders endpoint went from 900 ms to 120 ms and we cut database load by 40%.'
+      );
+
+      expect(detailed.score).toBeGreaterThan(short.score);
+      expect(short.suggestions.length).toBeGreaterThan(0);
+    });
+
+    test('should reject unsupported tasks', async () => {
+      await expect(new OfflineProvider().complete({ task: 'translate' })).rejects.toThrow('does not support');
+    });
+
+    test('should stream the same reply it completes', async () => {
+      const provider = new OfflineProvider();
+      const request = { task: 'questions', context: { role: 'QA Engineer', level: 'fresher' } };
+      const pieces = [];
+
+      const result = await provider.stream(request, piece => pieces.push(piece));
+
+      expect(pieces.length).toBeGreaterThan(1);
+      expect(pieces.join('')).toBe(result.content);
+      expect(result).toEqual(await provider.complete(request));
+    });
+  });
+
+  describe('OpenAIProvider streaming', () => {
+    test('should pass on deltas and report usage from the final chunk', async () => {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test', model: 'gpt-4o-mini' });
+      const chunks = [
+        { model: 'gpt-4o-mini-2024', choices: [{ delta: { content: '{"a": ' } }] },
+        { model: 'gpt-4o-mini-2024', choices: [{ delta: { content: '[1]}' } }] },
+        { model: 'gpt-4o-mini-2024', choices: [], usage: { total_tokens: 42 } }
+      ];
+      const create = jest.fn().mockResolvedValue((async function* () { yield* chunks; })());
+      provider.client = { chat: { completions: { create } } };
+      const deltas = [];
+
+      const result = await provider.stream({ messages: [], maxTokens: 10, temperature: 0 }, delta => deltas.push(delta));
+
+      expect(deltas).toEqual(['{"a": ', '[1]}']);
+      expect(result).toEqual({ content: '{"a": [1]}', tokensUsed: 42, model: 'gpt-4o-mini-2024' });
+      expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    });
+  });
+
+  describe('OpenAIService with the offline provider', () => {
+    let service;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      service = new OpenAIService(new OfflineProvider());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should generate valid questions without network access', async () => {
+      const result = await service.generateQuestions('Frontend Developer', 'fresher', {
+        skills: ['React', 'JavaScript'],
+        experience: 'Less than a month of experience',
+        projects: []
+      });
+
+      expect(result.roleQuestions.length).toBeGreaterThan(0);
+      expect(result.openEnded.length).toBeGreaterThan(0);
+      expect(result.metadata.provider).toBe('offline');
+      expect(result.metadata.model).toBe('offline');
+      expect(result.metadata.tokensUsed).toBe(0);
+    });
+
+    test('should honor the requested question composition', async () => {
+      const result = await service.generateQuestions(
+        'Backend Developer',
+        'experienced',
+        { skills: ['Node.js'], experience: '6 years of experience' },
+        { intro: 1, technical: 3, situational: 1, 'system-design': 2 }
+      );
+
+      expect(Object.keys(result.categories)).toEqual(['intro', 'technical', 'situational', 'systemDesign']);
+      expect(result.categories.technical).toHaveLength(3);
+      expect(result.categories.systemDesign).toHaveLength(2);
+      expect(result.composition.behavioral).toBe(0);
+      expect(result.roleQuestions).toHaveLength(5);
+      expect(result.openEnded).toHaveLength(2);
+    });
+
+    test('should probe job description skill gaps first', async () => {
+      const result = await service.generateQuestions(
+        'Backend Developer',
+        'intermediate',
+        { skills: ['Node.js'], experience: '3 years of experience' },
+        { technical: 3, behavioral: 1 },
+        { required: ['Docker'], niceToHave: ['Kafka'] }
+      );
+
+      expect(result.categories.technical).toHaveLength(3);
+      expect(result.categories.technical[0]).toContain('Docker');
+      expect(result.categories.technical[1]).toContain('Kafka');
+      expect(result.categories.technical[2]).toContain('Node.js');
+      expect(result.metadata.promptUsed).toContain('Job requirements missing from the resume: Docker, Kafka (nice to have)');
+    });
+
+    test('should put the strongest and most recent skills first', async () => {
+      const result = await service.generateQuestions(
+        'Backend Developer',
+        'experienced',
+        {
+          skills: ['Angular', 'Go', 'Python'],
+          skillDetails: [
+            { name: 'Angular', proficiency: 'intermediate', score: 30, years: 1.5, lastUsed: '2018-06', recency: 'past' },
+            { name: 'Python', proficiency: 'expert', score: 90, years: 6, lastUsed: 'Present', recency: 'current' }
+          ],
+          experience: '7 years of experience'
+        },
+        { technical: 2 }
+      );
+
+      expect(result.metadata.promptUsed).toContain(
+        'Skills: Python (expert, 6 years, current), Angular (intermediate, 1.5 years, last used 2018-06), Go\n'
+        + 'Skills are listed strongest and most recent first.'
+      );
+      expect(result.categories.technical[0]).toContain('Python');
+      expect(result.categories.technical[1]).toContain('Angular');
+    });
+
+    test('should ask about a claimed certification', async () => {
+      const result = await service.generateQuestions(
+        'Cloud Engineer',
+        'intermediate',
+        {
+          skills: ['AWS'],
+          experience: '3 years of experience',
+          certifications: [{ name: 'AWS Certified Solutions Architect – Associate', issuer: 'Amazon Web Services', date: '2022-03' }],
+          awards: [{ title: 'Employee of the Year', issuer: 'Acme', date: '2022' }]
+        },
+        { technical: 2 }
+      );
+
+      expect(result.metadata.promptUsed).toContain(
+        'Certifications: AWS Certified Solutions Architect – Associate\n'
+        + 'Publications and awards: Employee of the Year\n'
+        + 'Use one technical question to check the knowledge a listed certification claims.'
+      );
+      expect(result.categories.technical[0]).toContain('AWS Certified Solutions Architect – Associate certification');
+      expect(result.categories.technical[1]).toContain('AWS');
+    });
+
+    test('should take fallback questions from the question bank, resume skills first', () => {
+      const result = service.getFallbackQuestions(
+        'QA Engineer',
+        'intermediate',
+        { technical: 3, systemDesign: 1 },
+        { required: ['Kubernetes'] },
+        ['Docker']
+      );
+
+      expect(result.categories.technical).toEqual([
+        expect.stringContaining('Kubernetes'),
+        'How do Docker image layers work, and how do they affect build times?',
+        'How do you decide which tests to automate?'
+      ]);
+      expect(result.categories.systemDesign).toHaveLength(1);
+      expect(result.metadata.model).toBe('fallback');
+    });
+
+    test('should fall back to generic role questions for roles the bank does not cover', () => {
+      const questions = service.getRoleSpecificQuestions('Data Engineer', 'fresher', ['Git']);
+
+      expect(questions[0]).toContain('Git');
+      expect(questions[1]).toBe('What interests you most about working as a Data Engineer?');
+    });
+
+    test('should score an individual answer with the rubric for its type', async () => {
+      const result = await service.analyzeIndividualAnswer(
+        'Tell me about a time you missed a deadline.',
+        'At my last job a release slipped by 2 days. I told the team early, we cut scope and delivered the core feature, and I learned to flag risks sooner.',
+        'Backend Developer',
+        'intermediate',
+        { questionType: 'behavioral' }
+      );
+
+      const weighted = result.criteria.reduce((sum, criterion) => sum + criterion.weight * criterion.score, 0) / 100;
+      expect(result.rubric).toBe('behavioral');
+      expect(result.criteria.map(criterion => criterion.key)).toContain('impact');
+      expect(result.score).toBeCloseTo(weighted, 0);
+    });
+
+    test('should analyze answers without network access', async () => {
+      const result = await service.analyzeAnswers(
+        ['Tell me about yourself', 'How do you handle deadlines?'],
+        ['I am a developer with 3 years of experience building web apps.', ''],
+        'Frontend Developer',
+        'intermediate'
+      );
+
+      expect(result.feedback).toHaveLength(2);
+      expect(result.feedback[1].score).toBe(1);
+      expect(result.feedback[0].rubric).toBe('technical');
+      expect(result.feedback[0].criteria.length).toBeGreaterThan(0);
+      expect(result.overallScore).toBeGreaterThanOrEqual(0);
+      expect(result.overallScore).toBeLessThanOrEqual(100);
+      expect(result.metadata.provider).toBe('offline');
+      expect(result.feedback[0].star).toBeUndefined();
+    });
+
+    test('should attach STAR coverage to behavioral answers', async () => {
+      const result = await service.analyzeIndividualAnswer(
+        'Tell me about a time you missed a deadline.',
+        'At my last job a release slipped by 2 days. I told the team early and we cut scope.',
+        'Backend Developer',
+        'intermediate',
+        { questionType: 'behavioral' }
+      );
+
+      expect(result.star.components.situation.present).toBe(true);
+      expect(result.star.missing).toContain('result');
+      expect(result.star.coverage).toBeLessThan(100);
+    });
+
+    test('should fall back to local analysis when the LLM is unreachable', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const unreachable = {
+        name: 'openai-compatible',
+        model: 'local',
+        complete: jest.fn().mockRejectedValue(Object.assign(new Error('Connection error.'), { code: 'ECONNREFUSED' }))
+      };
+      const offlineService = new OpenAIService(unreachable);
+
+      const result = await offlineService.analyzeAnswers(
+        ['Describe a time you disagreed with a teammate.'],
+        ['When I was at my first job we disagreed on a schema. I proposed a short spike. As a result we shipped on time.'],
+        'Backend Developer',
+        'intermediate'
+      );
+
+      expect(result.metadata.model).toBe('fallback');
+      expect(result.feedback[0].star.present).toEqual(['situation', 'action', 'result']);
+      expect(result.feedback[0].star.missing).toEqual(['task']);
+    });
+
+    test('should report the time used per question in timed interviews', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const offlineService = new OpenAIService(new OfflineProvider());
+
+      const result = await offlineService.analyzeAnswers(
+        ['What is a closure?', 'Describe a conflict.'],
+        ['A function that keeps access to its scope.', ''],
+        'Frontend Developer',
+        'fresher',
+        { timings: [{ thinkingSeconds: 10, answerSeconds: 45, limitSeconds: 90 }, null] }
+      );
+
+      expect(result.feedback[0].timeUsed).toEqual({
+        thinkingSeconds: 10,
+        answerSeconds: 45,
+        limitSeconds: 90,
+        limitUsed: 50,
+        autoSubmitted: false
+      });
+      expect(result.feedback[1].timeUsed).toBeUndefined();
+      expect(result.timing.totalSeconds).toBe(55);
+    });
+  });
+
+  describe('follow-up questions', () => {
+    let service;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      service = new OpenAIService(new OfflineProvider());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should probe what the answer dwells on', async () => {
+      const result = await service.generateFollowUps(
+        'How do you speed up a slow API?',
+        'I added caching with Redis in front of the database. The caching layer cut the load a lot.',
+        'Backend Developer',
+        'intermediate'
+      );
+
+      expect(result.followUps).toHaveLength(2);
+      expect(result.followUps[0]).toContain('caching');
+      expect(result.metadata.provider).toBe('offline');
+    });
+
+    test('should honor the requested count', async () => {
+      const result = await service.generateFollowUps('Why React?', 'It is popular.', 'Frontend Developer', 'fresher', { count: 1 });
+
+      expect(result.followUps).toHaveLength(1);
+    });
+
+    test('should fall back when the model returns no follow-ups', async () => {
+      const provider = {
+        name: 'openai',
+        model: 'gpt',
+        complete: jest.fn().mockResolvedValue({ content: '{"followUps": []}', tokensUsed: 10 })
+      };
+      const result = await new OpenAIService(provider).generateFollowUps(
+        'Describe your testing approach.',
+        'I write unit tests.',
+        'QA Engineer',
+        'fresher',
+        { count: 2 }
+      );
+
+      expect(result.metadata.model).toBe('fallback');
+      expect(result.followUps).toEqual([
+        'Can you give a specific example from your own experience where you did this?',
+        'What was the measurable outcome, and how did you know it worked?'
+      ]);
+    });
+  });
+
+  describe('parseJSONContent', () => {
+    const service = new OpenAIService(new OfflineProvider());
+
+    test('should parse fenced JSON from local models', () => {
+      const content = 'Here you go:\n```json\n{"roleQuestions": ["Q1"], "openEnded": ["Q2"]}\n```';
+      expect(service.parseJSONContent(content)).toEqual({ roleQuestions: ['Q1'], openEnded: ['Q2'] });
+    });
+
+    test('should throw a JSON error for non-JSON content', () => {
+      expect(() => service.parseJSONContent('no json here')).toThrow('JSON');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const ResumeParser = require('../parser');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 describe('ResumeParser', () => {
@@ -20,7 +21,7 @@ describe('ResumeParser', () => {
   describe('Skills Extraction', () => {
     test('should extract common programming skills', () => {
       const text = 'I have experience with JavaScript, Python, React, and Node.js. Also worked with MongoDB and AWS.';
-      const skills = parser.extractSkills(text);
+      const skills = parser.extractSkills(text).map(skill => skill.name);
       
       expect(skills).toContain('JavaScript');
       expect(skills).toContain('Python');
@@ -32,7 +33,7 @@ describe('ResumeParser', () => {
 
     test('should handle case insensitive matching', () => {
       const text = 'Skills: javascript, PYTHON, React.js, node.js';
-      const skills = parser.extractSkills(text);
+      const skills = parser.extractSkills(text).map(skill => skill.name);
       
       expect(skills).toContain('JavaScript');
       expect(skills).toContain('Python');
@@ -42,12 +43,67 @@ describe('ResumeParser', () => {
 
     test('should not duplicate skills', () => {
       const text = 'JavaScript JavaScript React React Python';
-      const skills = parser.extractSkills(text);
+      const skills = parser.extractSkills(text).map(skill => skill.name);
       
       expect(skills.filter(skill => skill === 'JavaScript')).toHaveLength(1);
       expect(skills.filter(skill => skill === 'React')).toHaveLength(1);
       expect(skills.filter(skill => skill === 'Python')).toHaveLength(1);
     });
+
+    test('should recognize aliases and report canonical names', () => {
+      const text = 'Stack: JS, ReactJS, Golang, k8s, Postgres and Nest.js';
+      const skills = parser.extractSkills(text).map(skill => skill.name);
+
+      expect(skills).toEqual(['Go', 'JavaScript', 'Kubernetes', 'NestJS', 'PostgreSQL', 'React']);
+    });
+
+    test('should report category, count, sections and related skills', () => {
+      const text = [
+        'SUMMARY',
+        'Backend engineer who likes Python.',
+        'EXPERIENCE',
+        'Engineer | Acme | 2020 - Present',
+        '- Built Python services on Kubernetes',
+        'SKILLS',
+        'Python, Docker, Leadership'
+      ].join('\n');
+      const skills = parser.extractSkills(text);
+
+      expect(skills.find(skill => skill.name === 'Python')).toEqual({
+        name: 'Python',
+        category: 'language',
+        count: 3,
+        sections: ['summary', 'experience', 'skills'],
+        related: ['Django', 'Flask', 'Pandas']
+      });
+      expect(skills.find(skill => skill.name === 'Kubernetes')).toMatchObject({ category: 'cloud', sections: ['experience'] });
+      expect(skills.find(skill => skill.name === 'Leadership')).toMatchObject({ category: 'soft-skill', count: 1 });
+    });
+
+    test('should estimate proficiency and recency from the work history', () => {
+      const text = [
+        'EXPERIENCE',
+        'Backend Engineer | Acme | Jan 2020 - Present',
+        '- Built Python services',
+        'Software Intern | Initech | Jun 2015 - Aug 2015',
+        '- Wrote PHP scripts',
+        'SKILLS',
+        'Python, PHP, familiar with Rust'
+      ].join('\n');
+      const skills = parser.assessSkills(parser.extractSkills(text), text, parser.extractWorkHistory(text), new Date(2024, 0, 31));
+      const byName = name => skills.find(skill => skill.name === name);
+
+      expect(byName('Python')).toMatchObject({ proficiency: 'expert', years: 4.1, lastUsed: 'Present', recency: 'current' });
+      expect(byName('PHP')).toMatchObject({ proficiency: 'intermediate', years: 0.3, lastUsed: '2015-08', recency: 'past' });
+      expect(byName('Rust')).toMatchObject({ proficiency: 'beginner', years: null, recency: 'unknown' });
+    });
+
+    test('should prefer the longest match and skip lookalike words', () => {
+      const text = 'React Native and Apache Kafka. C-level reports on R&D, Spring 2020 intake; the rest of the team.';
+      const skills = parser.extractSkills(text).map(skill => skill.name);
+
+      expect(skills).toEqual(['Kafka', 'React Native']);
+    });
   });
 
   describe('Experience Extraction', () => {
@@ -79,6 +135,75 @@ describe('ResumeParser', () => {
     });
   });
 
+  describe('Work History Extraction', () => {
+    const text = `
+      Experience:
+      Senior Engineer | Acme Corp | Remote | Jan 2021 – Mar 2023
+      • Led the migration to Kubernetes
+      • Cut deployment time by 40%
+
+      Software Engineer at Initech
+      06/2019 - 02/2021
+      - Built REST APIs with Node.js
+
+      Education:
+      B.Tech Computer Science (2012 - 2016)
+    `;
+
+    test('should extract roles with title, company, location and dates', () => {
+      const workHistory = parser.extractWorkHistory(text);
+
+      expect(workHistory).toHaveLength(2);
+      expect(workHistory[0]).toMatchObject({
+        title: 'Senior Engineer',
+        company: 'Acme Corp',
+        location: 'Remote',
+        startDate: '2021-01',
+        endDate: '2023-03',
+        isCurrent: false
+      });
+      expect(workHistory[0].bullets).toEqual(['Led the migration to Kubernetes', 'Cut deployment time by 40%']);
+      expect(workHistory[1]).toMatchObject({
+        title: 'Software Engineer',
+        company: 'Initech',
+        startDate: '2019-06',
+        endDate: '2021-02'
+      });
+    });
+
+    test('should split company and location from a comma separated heading', () => {
+      const workHistory = parser.extractWorkHistory(`
+        Work Experience
+        Globex, Austin, TX Jan 2020 - Present
+        Backend Developer
+      `);
+
+      expect(workHistory[0]).toMatchObject({
+        title: 'Backend Developer',
+        company: 'Globex',
+        location: 'Austin, TX',
+        endDate: 'Present',
+        isCurrent: true
+      });
+    });
+
+    test('should not count education years as experience', () => {
+      const workHistory = parser.extractWorkHistory(text);
+
+      // Jun 2019 - Mar 2023 with the Jan-Feb 2021 overlap counted once
+      expect(parser.calculateExperienceMonths(workHistory)).toBe(46);
+      expect(parser.extractExperience(text, workHistory)).toBe('3 years 10 months of experience');
+      expect(parser.estimateExperienceYears(text, workHistory)).toBe(3.8);
+    });
+
+    test('should fall back when no dated roles are found', () => {
+      expect(parser.extractWorkHistory('Skills: JavaScript')).toEqual([]);
+      expect(parser.estimateExperienceYears('I have 4 years of experience', [])).toBe(4);
+      expect(parser.estimateExperienceYears('Recent graduate', [])).toBe(0);
+      expect(parser.estimateExperienceYears('Hello world', [])).toBeNull();
+    });
+  });
+
   describe('Education Extraction', () => {
     test('should extract education information', () => {
       const text = 'B.Tech in Computer Science from XYZ University. Also completed MBA in 2020.';
@@ -127,6 +252,56 @@ describe('ResumeParser', () => {
     });
   });
 
+  describe('Certifications, Languages, Publications and Awards', () => {
+    const text = [
+      'SKILLS',
+      'Languages: Go, Python',
+      'Languages: English (native), Spanish (B2)',
+      'LICENSES & CERTIFICATIONS',
+      '- AWS Certified Solutions Architect – Associate | Amazon Web Services | Mar 2022',
+      '- Certified Kubernetes Administrator (CKA), 2021',
+      '- PMP, Issued Jun 2020, Credential ID 998877',
+      'PUBLICATIONS',
+      '- J. Doe, A. Lee. "Scheduling Batch Jobs on Spot Instances." SoCC 2021',
+      'HONORS & AWARDS',
+      '- Employee of the Year – Acme (2022)',
+      'LANGUAGES',
+      'German - conversational'
+    ].join('\n');
+
+    test('should read certifications with their issuer and date', () => {
+      expect(parser.extractCertifications(text)).toEqual([
+        { name: 'AWS Certified Solutions Architect – Associate', issuer: 'Amazon Web Services', date: '2022-03' },
+        { name: 'Certified Kubernetes Administrator (CKA)', issuer: 'Cloud Native Computing Foundation', date: '2021' },
+        { name: 'PMP', issuer: 'Project Management Institute', date: '2020-06' }
+      ]);
+    });
+
+    test('should read spoken languages but not programming languages', () => {
+      expect(parser.extractLanguages(text)).toEqual([
+        { language: 'German', proficiency: 'conversational' },
+        { language: 'English', proficiency: 'native' },
+        { language: 'Spanish', proficiency: 'professional' }
+      ]);
+    });
+
+    test('should read publications and awards', () => {
+      expect(parser.extractPublications(text)).toEqual([
+        { title: 'Scheduling Batch Jobs on Spot Instances', venue: 'SoCC', date: '2021' }
+      ]);
+      expect(parser.extractAwards(text)).toEqual([{ title: 'Employee of the Year', issuer: 'Acme', date: '2022' }]);
+    });
+
+    test('should find nothing in a resume without these sections', () => {
+      const plain = 'EXPERIENCE\nEngineer | Acme | 2020 - Present\n- Built APIs';
+
+      expect(parser.extractCertifications(plain)).toEqual([]);
+      expect(parser.extractLanguages(plain)).toEqual([]);
+      expect(parser.extractPublications(plain)).toEqual([]);
+      expect(parser.extractAwards(plain)).toEqual([]);
+    });
+  });
+
   describe('Section Extraction', () => {
     test('should extract specific sections', () => {
       const text = `
@@ -166,6 +341,120 @@ describe('ResumeParser', () => {
     });
   });
 
+  describe('Sample Resumes', () => {
+    const corpusDir = path.join(__dirname, '../../../test-data/resumes');
+    const expected = JSON.parse(fs.readFileSync(path.join(corpusDir, 'expected.json'), 'utf8'));
+
+    Object.keys(expected).forEach(file => {
+      describe(file, () => {
+        let result;
+
+        beforeAll(async () => {
+          result = await new ResumeParser().parseResume(path.join(corpusDir, file), file);
+        });
+
+        test('should keep every section heading with its own content', () => {
+          Object.entries(expected[file].sections).forEach(([heading, lines]) => {
+            expect(parser.findSectionLines(result.text, [parser.normalizeHeading(heading)])).toEqual([lines]);
+          });
+        });
+
+        test('should extract the listed skills', () => {
+          expect(result.skills).toEqual(expect.arrayContaining(expected[file].skills));
+          expect(result.skillDetails.map(skill => skill.name)).toEqual(result.skills);
+        });
+
+        test('should read the contact details and redact them from every other field', () => {
+          const { contact, raw, ...fields } = result;
+          const parsed = JSON.stringify(fields);
+
+          expect(contact).toMatchObject(expected[file].contact);
+          Object.values(expected[file].contact).forEach(detail => {
+            expect(parsed).not.toContain(detail.replace(/^https:\/\//, ''));
+          });
+        });
+
+        test('should extract each role with its bullets', () => {
+          expect(result.workHistory.map(role => ({
+            title: role.title,
+            company: role.company,
+            bullets: role.bullets.length
+          }))).toEqual(expected[file].workHistory);
+        });
+
+        test('should warn only about what went wrong and be confident in the rest', () => {
+          expect(result.warnings.map(warning => warning.code)).toEqual(expected[file].warnings);
+          ['contact', 'skills', 'experience', 'workHistory', 'education'].forEach(field => {
+            expect(result.confidence[field]).toBeGreaterThanOrEqual(0.8);
+          });
+        });
+      });
+    });
+
+    test('should sniff the format from the content rather than the file name', async () => {
+      const { format } = await parser.extractText(path.join(corpusDir, 'rich-text.rtf'), 'resume.txt');
+      const { format: markdown } = await parser.extractText(path.join(corpusDir, 'markdown.md'), 'resume.txt');
+
+      expect(format).toBe('rtf');
+      expect(markdown).toBe('markdown');
+    });
+
+    test('should read certifications and languages from sidebars', async () => {
+      const sidebar = await parser.parseResume(path.join(corpusDir, 'right-sidebar.pdf'), 'right-sidebar.pdf');
+      const columns = await parser.parseResume(path.join(corpusDir, 'two-column-sidebar.pdf'), 'two-column-sidebar.pdf');
+
+      expect(sidebar.certifications.map(certification => certification.issuer)).toEqual([
+        'Amazon Web Services', 'Cloud Native Computing Foundation'
+      ]);
+      expect(columns.languages.map(entry => entry.language)).toEqual(['English', 'Hindi']);
+    });
+
+    test('should end a section at any Markdown heading', async () => {
+      const result = await parser.parseResume(path.join(corpusDir, 'markdown.md'), 'markdown.md');
+      const [junior] = result.workHistory.filter(role => role.company === 'CodeBase');
+
+      // "Open Source" is not a known heading, but its items are not experience bullets
+      expect(junior.bullets).toEqual(['Built Flutter widgets for a banking app']);
+    });
+
+    test('should read side-by-side columns one after the other', async () => {
+      const file = path.join(corpusDir, 'two-column-sidebar.pdf');
+      const flat = await parser.extractPdfText(file, { layout: false });
+      const text = await parser.extractPdfText(file);
+
+      // Row-by-row text puts the sidebar's headings among the experience entries
+      expect(flat).toMatch(/Senior Developer[^\n]*\nEDUCATION\n/);
+      expect(text.indexOf('Docker, AWS')).toBeLessThan(text.indexOf('EDUCATION'));
+      expect(text.indexOf('English, Hindi')).toBeLessThan(text.indexOf('SUMMARY'));
+    });
+  });
+
+  describe('Contact Details', () => {
+    test('should not redact a job title at the top of the resume as the name', async () => {
+      const filePath = path.join(os.tmpdir(), `parser-test-${process.pid}.txt`);
+      fs.writeFileSync(filePath, [
+        'Software Engineer',
+        'Jane Doe',
+        'jane@example.com | (512) 555-0142',
+        '',
+        'Experience',
+        'Software Engineer | Acme | Jan 2020 - Present',
+        '- Built real-time features with socket.io and Node.js'
+      ].join('\n'));
+
+      try {
+        const result = await parser.parseResume(filePath, 'resume.txt');
+
+        expect(result.contact.name).toBe('Jane Doe');
+        expect(result.workHistory[0]).toMatchObject({ title: 'Software Engineer', company: 'Acme' });
+        expect(result.text).not.toContain('Jane Doe');
+        expect(result.text).toContain('socket.io');
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle invalid file paths gracefully', async () => {
       await expect(parser.parseResume('/invalid/path', 'application/pdf'))
@@ -173,8 +462,27 @@ describe('ResumeParser', () => {
     });
 
     test('should handle unsupported file types', async () => {
-      await expect(parser.parseResume('/some/path', 'text/plain'))
-        .rejects.toThrow('Unsupported file format');
+      const filePath = path.join(os.tmpdir(), `parser-test-${process.pid}.png`);
+      fs.writeFileSync(filePath, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]));
+
+      try {
+        await expect(parser.parseResume(filePath, 'photo.png'))
+          .rejects.toThrow('Unsupported file format');
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    test('should explain that legacy Word files are not supported', async () => {
+      const filePath = path.join(os.tmpdir(), `parser-test-${process.pid}.doc`);
+      fs.writeFileSync(filePath, Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00, 0x00]));
+
+      try {
+        await expect(parser.parseResume(filePath, 'resume.doc'))
+          .rejects.toThrow(/Unsupported file format: legacy Word/);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
     });
   });
 
@@ -208,7 +516,7 @@ describe('ResumeParser', () => {
         Developed a task management application with real-time features using Socket.io.
       `;
       
-      const skills = parser.extractSkills(sampleResume);
+      const skills = parser.extractSkills(sampleResume).map(skill => skill.name);
       const experience = parser.extractExperience(sampleResume);
       const education = parser.extractEducation(sampleResume);
       const projects = parser.extractProjects(sampleResume);
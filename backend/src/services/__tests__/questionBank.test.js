@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuestionBank } = require('../questionBank');
+
+describe('QuestionBank', () => {
+  const questions = [
+    { id: 'qa-flaky', text: 'How do you deal with flaky tests?', category: 'technical', roles: ['QA Engineer'], levels: ['intermediate'], difficulty: 'medium' },
+    { id: 'qa-cypress', text: 'How do you structure a Cypress suite?', category: 'technical', roles: ['QA Engineer'], skills: ['Cypress'], difficulty: 'medium' },
+    { id: 'general-docker', text: 'How do Docker image layers work?', category: 'technical', skills: ['Docker'], tags: ['containers'] },
+    { id: 'general-kafka', text: 'How does Kafka order messages?', category: 'technical', skills: ['Kafka'], levels: ['experienced'], difficulty: 'hard' },
+    { id: 'general-cache', text: 'How would you design a cache?', category: 'systemDesign' }
+  ];
+
+  const createBank = () => new QuestionBank(QuestionBank.check(questions).questions);
+
+  describe('bundled bank', () => {
+    const bank = QuestionBank.fromDirectory(QuestionBank.DEFAULT_DIRECTORY);
+    const roles = [
+      'Frontend Developer', 'Backend Developer', 'Full Stack Developer', 'Software Engineer', 'DevOps Engineer',
+      'Data Scientist', 'Product Manager', 'UI/UX Designer', 'Mobile Developer', 'QA Engineer'
+    ];
+
+    test('should cover every role and level with role-specific technical questions', () => {
+      roles.forEach(role => {
+        QuestionBank.LEVELS.forEach(level => {
+          const specific = bank.filter({ role, level, category: 'technical' }).filter(question => question.roles.length > 0);
+          expect(specific.length).toBeGreaterThanOrEqual(5);
+        });
+      });
+    });
+
+    test('should load the YAML file of role-agnostic questions', () => {
+      expect(bank.getById('general-git-merge-rebase')).toMatchObject({ roles: [], skills: ['Git'], category: 'technical' });
+    });
+  });
+
+  describe('check', () => {
+    test('should apply file defaults and fill in optional fields', () => {
+      const { questions: loaded, errors } = QuestionBank.check({
+        defaults: { category: 'behavioral', roles: ['Product Manager'] },
+        questions: [{ text: '  Tell me about a launch that failed.  ' }]
+      });
+
+      expect(errors).toEqual([]);
+      expect(loaded[0]).toEqual({
+        id: expect.stringMatching(/^behavioral-[0-9a-f]{10}$/),
+        text: 'Tell me about a launch that failed.',
+        category: 'behavioral',
+        roles: ['Product Manager'],
+        levels: [],
+        skills: [],
+        difficulty: 'medium',
+        tags: []
+      });
+    });
+
+    test('should give the same text the same generated id', () => {
+      const first = QuestionBank.check([{ text: 'What is a closure?', category: 'technical' }]).questions[0];
+      const second = QuestionBank.check([{ text: 'what is a closure?', category: 'technical' }]).questions[0];
+
+      expect(first.id).toBe(second.id);
+    });
+
+    test('should report every invalid question by index', () => {
+      const { questions: loaded, errors } = QuestionBank.check([
+        { text: 'Fine', category: 'technical' },
+        { text: 'Unknown category', category: 'trivia' },
+        { text: 'Bad level', category: 'technical', levels: ['senior'] },
+        { id: 'Not An Id', text: 'Bad id', category: 'technical' },
+        { text: 'Fine', category: 'technical' }
+      ]);
+
+      expect(loaded).toHaveLength(1);
+      expect(errors.map(error => error.index)).toEqual([1, 2, 3, 4]);
+      expect(errors[0].message).toMatch(/category must be one of/);
+      expect(errors[1].message).toMatch(/level senior/);
+      expect(errors[3].message).toMatch(/used twice/);
+    });
+  });
+
+  describe('search', () => {
+    test('should combine filters and include questions for any role or level', () => {
+      const bank = createBank();
+
+      expect(bank.filter({ role: 'QA Engineer', level: 'intermediate', category: 'technical' }).map(question => question.id))
+        .toEqual(['qa-flaky', 'qa-cypress', 'general-docker']);
+      expect(bank.filter({ q: 'kafka' }).map(question => question.id)).toEqual(['general-kafka']);
+      expect(bank.filter({ tag: 'Containers' }).map(question => question.id)).toEqual(['general-docker']);
+      expect(bank.filter({ difficulty: 'hard' }).map(question => question.id)).toEqual(['general-kafka']);
+    });
+
+    test('should page through the results', () => {
+      const result = createBank().search({ category: 'technical', limit: 2, offset: 1 });
+
+      expect(result.total).toBe(4);
+      expect(result.questions.map(question => question.id)).toEqual(['qa-cypress', 'general-docker']);
+    });
+
+    test('should count the values of every tag field', () => {
+      const facets = createBank().facets();
+
+      expect(facets.categories).toEqual({ technical: 4, systemDesign: 1 });
+      expect(facets.roles).toEqual({ 'QA Engineer': 2 });
+      expect(facets.skills).toEqual({ Cypress: 1, Docker: 1, Kafka: 1 });
+    });
+  });
+
+  describe('select', () => {
+    test('should put questions on resume skills first, then the role questions', () => {
+      const texts = createBank().select({
+        role: 'QA Engineer',
+        level: 'intermediate',
+        category: 'technical',
+        skills: ['docker', { name: 'Cypress' }]
+      });
+
+      expect(texts).toEqual([
+        'How do you structure a Cypress suite?',
+        'How do Docker image layers work?',
+        'How do you deal with flaky tests?'
+      ]);
+    });
+
+    test('should leave out questions for any role on skills the resume lacks', () => {
+      const texts = createBank().select({ role: 'Data Scientist', level: 'experienced', category: 'technical', skills: [] });
+
+      expect(texts).toEqual([]);
+    });
+
+    test('should keep untagged questions for any role', () => {
+      expect(createBank().select({ role: 'Data Scientist', level: 'fresher', category: 'systemDesign' }))
+        .toEqual(['How would you design a cache?']);
+    });
+  });
+
+  describe('import and export', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'question-bank-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load JSON and YAML files and reject duplicate ids', () => {
+      fs.writeFileSync(path.join(directory, 'qa.json'), JSON.stringify({ questions: questions.slice(0, 2) }));
+      fs.writeFileSync(path.join(directory, 'general.yaml'), 'defaults:\n  category: intro\nquestions:\n  - id: intro-hello\n    text: Tell me about yourself.\n');
+
+      const bank = QuestionBank.fromDirectory(directory);
+      expect(bank.questions.map(question => question.id)).toEqual(['intro-hello', 'qa-flaky', 'qa-cypress']);
+
+      fs.writeFileSync(path.join(directory, 'copy.json'), JSON.stringify([questions[0]]));
+      expect(() => QuestionBank.fromDirectory(directory)).toThrow(/qa-flaky is defined twice/);
+    });
+
+    test('should name the file and question of an invalid entry', () => {
+      fs.writeFileSync(path.join(directory, 'broken.yaml'), 'questions:\n  - text: No category\n');
+
+      expect(() => QuestionBank.fromDirectory(directory)).toThrow(/Invalid question bank file broken.yaml: question 1 category/);
+    });
+
+    test('should save imports and let them replace bundled questions', async () => {
+      const importDir = path.join(directory, 'imports');
+      const bank = new QuestionBank(createBank().questions, { importDir });
+
+      const result = await bank.importQuestions(QuestionBank.check([
+        { ...questions[0], text: 'How do you stop tests from flaking?' },
+        { text: 'Why do you want this job?', category: 'intro' }
+      ]).questions);
+
+      expect(result).toEqual({ added: 1, updated: 1, total: 6 });
+      expect(bank.getById('qa-flaky').text).toBe('How do you stop tests from flaking?');
+
+      fs.mkdirSync(path.join(directory, 'bundled'));
+      fs.writeFileSync(path.join(directory, 'bundled', 'qa.json'), JSON.stringify(questions));
+      const reloaded = QuestionBank.fromDirectory(path.join(directory, 'bundled'), { importDir });
+      expect(reloaded.questions).toEqual(bank.questions);
+    });
+
+    test('should export a file that imports back to the same questions', () => {
+      const bank = createBank();
+
+      ['json', 'yaml'].forEach(format => {
+        const text = bank.exportQuestions({ category: 'technical' }, format);
+        const { questions: roundTrip, errors } = QuestionBank.check(QuestionBank.parse(text, format));
+
+        expect(errors).toEqual([]);
+        expect(roundTrip).toEqual(bank.filter({ category: 'technical' }));
+      });
+    });
+  });
+});
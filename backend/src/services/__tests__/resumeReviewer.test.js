@@ -0,0 +1,120 @@
+const ResumeReviewer = require('../resumeReviewer');
+
+describe('ResumeReviewer', () => {
+  const reviewer = new ResumeReviewer();
+
+  const strongResume = {
+    text: 'cleaned text',
+    skills: ['React', 'Node.js'],
+    workHistory: [{
+      title: 'Software Engineer',
+      company: 'Acme',
+      bullets: ['Built a React checkout used by 20,000 customers a day', 'Cut Node.js API latency by 40%']
+    }],
+    education: ['BSc Computer Science, 2019'],
+    projects: [{ title: 'Shop', summary: 'Online shop', technologies: ['React'] }],
+    raw: {
+      originalText: [
+        'Jane Doe',
+        'jane@example.com | +1 415 555 0100',
+        'linkedin.com/in/janedoe | github.com/janedoe',
+        'Experience',
+        '• Built a React checkout used by 20,000 customers a day',
+        '• Cut Node.js API latency by 40%'
+      ].join('\n')
+    }
+  };
+
+  test('should find nothing to fix in a complete, quantified resume', () => {
+    const report = reviewer.review(strongResume);
+
+    expect(report.findings).toEqual([]);
+    expect(report.score).toBe(100);
+    expect(report.stats).toMatchObject({ bulletCount: 2, quantifiedBullets: 2 });
+    expect(report.stats.readability).toEqual(expect.any(Number));
+  });
+
+  test('should report missing sections and contact details by severity', () => {
+    const report = reviewer.review({ text: 'Jane Doe\nSome text', skills: [], workHistory: [], education: [], projects: [] });
+    const missing = report.findings.map(finding => `${finding.severity}:${finding.message}`);
+
+    expect(missing).toEqual([
+      'high:No Skills section was found',
+      'high:No Experience section was found',
+      'high:No email address was found',
+      'medium:No Education section was found',
+      'medium:No phone number was found',
+      'low:No Projects section was found',
+      'low:No LinkedIn profile link was found',
+      'low:No GitHub, portfolio or personal website link was found'
+    ]);
+    expect(report.summary).toEqual({ high: 3, medium: 2, low: 3 });
+    expect(report.score).toBe(100 - 3 * 15 - 2 * 8 - 3 * 3);
+    report.findings.forEach(finding => expect(finding.suggestion).toEqual(expect.any(String)));
+  });
+
+  test('should read contact details from the contact block of a redacted resume', () => {
+    const report = reviewer.review({
+      ...strongResume,
+      text: '[NAME]\n[EMAIL] | [PHONE]',
+      contact: { name: 'Jane Doe', email: 'jane@example.com', phone: '+1 415 555 0100', linkedin: null, github: null, portfolio: null },
+      raw: {}
+    });
+
+    expect(report.findings.filter(finding => finding.check === 'missing-contact').map(finding => finding.message)).toEqual([
+      'No LinkedIn profile link was found',
+      'No GitHub, portfolio or personal website link was found'
+    ]);
+  });
+
+  test('should flag weak openings, unquantified and long bullets', () => {
+    const longBullet = `Designed ${'and shipped many features '.repeat(8)}for the team`;
+    const report = reviewer.review({
+      ...strongResume,
+      workHistory: [{
+        title: 'Engineer',
+        bullets: ['Responsible for the React frontend', 'Helped with deployments', longBullet, 'Cut build time by 50%']
+      }],
+      raw: { originalText: strongResume.raw.originalText.split('\n').slice(0, 3).join('\n') }
+    });
+    const byCheck = check => report.findings.filter(finding => finding.check === check);
+
+    expect(byCheck('weak-verb').map(finding => finding.message)).toEqual([
+      'Bullet opens with "Responsible for"',
+      'Bullet opens with "Helped"'
+    ]);
+    expect(byCheck('weak-verb')[0].excerpt).toBe('Responsible for the React frontend');
+    expect(byCheck('no-quantified-results')[0].message).toBe('Only 1 of 4 bullet points include a number');
+    expect(byCheck('long-bullet')).toHaveLength(1);
+    expect(byCheck('long-bullet')[0].excerpt).toMatch(/\.\.\.$/);
+  });
+
+  test('should quote a few bullets per check and count the rest', () => {
+    const bullets = Array.from({ length: 7 }, (_, i) => `Worked on feature number ${i}`);
+    const findings = reviewer.review({ ...strongResume, workHistory: [{ title: 'Engineer', bullets }] }).findings
+      .filter(finding => finding.check === 'weak-verb');
+
+    expect(findings).toHaveLength(5);
+    expect(findings[4].message).toBe('Bullet opens with "Worked on" (and 2 more like it)');
+  });
+
+  test('should list skills that no project or role shows', () => {
+    const report = reviewer.review({ ...strongResume, skills: ['React', 'Node.js', 'Kubernetes', 'C++'] });
+    const finding = report.findings.find(entry => entry.check === 'unproven-skills');
+
+    expect(finding).toMatchObject({ severity: 'low', items: ['Kubernetes', 'C++'] });
+  });
+
+  test('should flag hard to read bullet points', () => {
+    const report = reviewer.review({
+      ...strongResume,
+      workHistory: [{
+        title: 'Engineer',
+        bullets: ['Operationalized multidimensional organizational infrastructure modernization initiatives across 3 heterogeneous international subsidiaries, institutionalizing comprehensive interdepartmental collaboration methodologies']
+      }],
+      raw: { originalText: strongResume.raw.originalText.split('\n').slice(0, 3).join('\n') }
+    });
+
+    expect(report.findings.find(finding => finding.check === 'readability')).toMatchObject({ severity: 'medium' });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RubricEngine, getRubricEngine } = require('../rubrics');
+
+describe('RubricEngine', () => {
+  const technical = {
+    type: 'technical',
+    label: 'Technical',
+    criteria: [
+      { key: 'correctness', label: 'Correctness', weight: 3, signal: 'correctness' },
+      { key: 'communication', label: 'Communication', weight: 1, signal: 'communication' }
+    ]
+  };
+
+  const context = {
+    question: 'What is a closure in JavaScript?',
+    answer: 'A closure is a function that keeps access to the variables of the scope it was created in.'
+  };
+
+  describe('bundled rubrics', () => {
+    test('should load a valid rubric for every question category', () => {
+      const engine = getRubricEngine();
+
+      ['intro', 'technical', 'behavioral', 'situational', 'systemDesign'].forEach(type => {
+        expect(engine.getRubric(type).type).toBe(type);
+      });
+    });
+
+    test('should map legacy and unknown types to a rubric', () => {
+      const engine = getRubricEngine();
+
+      expect(engine.getRubric('role').type).toBe('technical');
+      expect(engine.getRubric('openEnded').type).toBe('behavioral');
+      expect(engine.getRubric(undefined).type).toBe('technical');
+    });
+  });
+
+  describe('evaluate', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new RubricEngine([technical]);
+    });
+
+    test('should compute the overall score from the criterion weights', () => {
+      const result = engine.evaluate('technical', context, { correctness: 8, communication: { score: 4, comment: 'Rushed' } });
+
+      // (8 x 3 + 4 x 1) / 4 = 7
+      expect(result.score).toBe(7);
+      expect(result.rubric).toBe('technical');
+      expect(result.criteria).toEqual([
+        { key: 'correctness', label: 'Correctness', weight: 75, score: 8, source: 'model' },
+        { key: 'communication', label: 'Communication', weight: 25, score: 4, source: 'model', comment: 'Rushed' }
+      ]);
+    });
+
+    test('should score missing or out-of-range criteria with heuristics', () => {
+      const result = engine.evaluate('technical', context, { correctness: 14 });
+
+      expect(result.criteria.map(criterion => criterion.source)).toEqual(['heuristic', 'heuristic']);
+      expect(result.score).toBeGreaterThanOrEqual(1);
+      expect(result.score).toBeLessThanOrEqual(10);
+    });
+
+    test('should be deterministic for the same answer', () => {
+      expect(engine.evaluate('technical', context)).toEqual(engine.evaluate('technical', context));
+    });
+
+    test('should give empty answers the minimum score', () => {
+      const result = engine.evaluate('technical', { question: context.question, answer: '  ' });
+
+      expect(result.score).toBe(1);
+    });
+
+    test('should reward a detailed answer over a short one', () => {
+      const short = engine.evaluate('technical', { question: context.question, answer: 'A function.' });
+      const detailed = engine.evaluate('technical', {
+        question: context.question,
+        answer: 'A closure is a function bundled with references to its surrounding scope. Because the inner function keeps those variables alive, it can read them after the outer function returns. For example, in my last project we used closures to build private counters for 3 widgets.'
+      });
+
+      expect(detailed.score).toBeGreaterThan(short.score);
+    });
+  });
+
+  describe('loading rubric files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rubrics-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load every JSON file in the directory', () => {
+      fs.writeFileSync(path.join(directory, 'technical.json'), JSON.stringify(technical));
+
+      const engine = RubricEngine.fromDirectory(directory);
+
+      expect(engine.getRubric('behavioral')).toEqual(technical);
+    });
+
+    test('should name the file of an invalid rubric', () => {
+      fs.writeFileSync(path.join(directory, 'technical.json'), JSON.stringify({
+        ...technical,
+        criteria: [{ key: 'depth', label: 'Depth', weight: 1, signal: 'vibes' }]
+      }));
+
+      expect(() => RubricEngine.fromDirectory(directory)).toThrow(/Invalid rubric file technical.json: criterion depth signal/);
+    });
+
+    test('should require a technical rubric', () => {
+      fs.writeFileSync(path.join(directory, 'intro.json'), JSON.stringify({ ...technical, type: 'intro' }));
+
+      expect(() => RubricEngine.fromDirectory(directory)).toThrow(/technical question type is required/);
+    });
+  });
+
+  describe('validateRubric', () => {
+    test('should reject duplicate keys and non-positive weights', () => {
+      expect(RubricEngine.validateRubric({
+        ...technical,
+        criteria: [technical.criteria[0], technical.criteria[0]]
+      })).toMatch(/defined twice/);
+      expect(RubricEngine.validateRubric({
+        ...technical,
+        criteria: [{ ...technical.criteria[0], weight: 0 }]
+      })).toMatch(/positive weight/);
+      expect(RubricEngine.validateRubric({ ...technical, type: 'trivia' })).toMatch(/type must be one of/);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionRepository, FileSessionRepository, MemorySessionRepository } = require('../storage');
+
+describe('Session repositories', () => {
+  describe('createSessionRepository', () => {
+    test('should create the configured driver', () => {
+      expect(createSessionRepository({ driver: 'memory' })).toBeInstanceOf(MemorySessionRepository);
+      expect(createSessionRepository({ driver: 'file', dataDir: os.tmpdir() })).toBeInstanceOf(FileSessionRepository);
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createSessionRepository({ driver: 'mongo' })).toThrow('Unknown session store');
+    });
+  });
+
+  describe('FileSessionRepository', () => {
+    let dataDir;
+    let repository;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+      repository = new FileSessionRepository(dataDir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should persist sessions across repository instances', async () => {
+      const session = await repository.create({
+        role: 'Backend Developer',
+        level: 'fresher',
+        questions: [{ id: 'technical-0', text: 'What is REST?' }]
+      });
+
+      const reopened = new FileSessionRepository(dataDir);
+      const loaded = await reopened.get(session.id);
+
+      expect(loaded).toEqual(session);
+      expect(fs.existsSync(path.join(dataDir, 'sessions', `${session.id}.json`))).toBe(true);
+    });
+
+    test('should update fields and stamp completion once', async () => {
+      const session = await repository.create({ role: 'QA Engineer', level: 'intermediate', questions: [] });
+
+      const completed = await repository.update(session.id, { status: 'completed', analysis: { overallScore: 65 } });
+      const edited = await repository.update(session.id, { mode: 'text-only' });
+
+      expect(completed.completedAt).not.toBeNull();
+      expect(edited.completedAt).toBe(completed.completedAt);
+      expect(edited.analysis.overallScore).toBe(65);
+    });
+
+    test('should apply concurrent updates to one session one after another', async () => {
+      const session = await repository.create({ role: 'QA Engineer', level: 'intermediate', questions: [] });
+
+      const updates = await Promise.all([
+        repository.update(session.id, { mode: 'text-only' }),
+        repository.update(session.id, { currentQuestionIndex: 2 }),
+        repository.update(session.id, { status: 'completed' })
+      ]);
+      const stored = await repository.get(session.id);
+
+      expect(updates[2]).toEqual(stored);
+      expect(stored).toMatchObject({ mode: 'text-only', currentQuestionIndex: 2, status: 'completed' });
+      expect(fs.readdirSync(path.join(dataDir, 'sessions'))).toEqual([`${session.id}.json`]);
+    });
+
+    test('should not store the contact details or original text of the resume', async () => {
+      const session = await repository.create({
+        role: 'QA Engineer',
+        resume: {
+          text: '[NAME]\n[EMAIL]',
+          skills: ['Cypress'],
+          contact: { name: 'Noor Haddad', email: 'noor@example.com' },
+          raw: { originalText: 'Noor Haddad\nnoor@example.com' }
+        }
+      });
+      await repository.update(session.id, { resume: { skills: ['Jest'], contact: { phone: '+971 4 555 0187' } } });
+
+      const stored = fs.readFileSync(path.join(dataDir, 'sessions', `${session.id}.json`), 'utf8');
+      expect(session.resume).toEqual({ text: '[NAME]\n[EMAIL]', skills: ['Cypress'] });
+      expect(stored).not.toMatch(/Noor|noor@example\.com|555 0187/);
+    });
+
+    test('should return null for unknown or malformed ids', async () => {
+      expect(await repository.get('missing')).toBeNull();
+      expect(await repository.get('../../etc/passwd')).toBeNull();
+      expect(await repository.update('missing', { status: 'completed' })).toBeNull();
+    });
+
+    test('should list summaries newest first and skip corrupt files', async () => {
+      const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+      const first = await repository.create({ role: 'A', level: 'fresher', questions: [] });
+      await tick();
+      const second = await repository.create({ role: 'B', level: 'fresher', questions: [] });
+      await tick();
+      await repository.update(first.id, { status: 'completed' });
+      fs.writeFileSync(path.join(dataDir, 'sessions', 'broken.json'), '{not json');
+
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const sessions = await repository.list();
+      const inProgress = await repository.list({ status: 'in_progress', limit: 1 });
+      warn.mockRestore();
+
+      expect(sessions.map(s => s.id)).toEqual([first.id, second.id]);
+      expect(sessions[0].answerCount).toBe(0);
+      expect(inProgress.map(s => s.id)).toEqual([second.id]);
+    });
+  });
+});
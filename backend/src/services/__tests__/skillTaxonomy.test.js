@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SkillTaxonomy, getSkillTaxonomy } = require('../skills');
+const TextCleaner = require('../../utils/textCleaner');
+
+describe('SkillTaxonomy', () => {
+  const taxonomy = {
+    categories: { language: 'Languages', framework: 'Frameworks' },
+    skills: [
+      { name: 'JavaScript', category: 'language', aliases: ['JS'], related: ['Node.js'] },
+      { name: 'Node.js', category: 'framework', related: ['JavaScript'] },
+      { name: 'C', category: 'language', caseSensitive: true },
+      { name: 'C++', category: 'language', aliases: ['CPP'] }
+    ]
+  };
+
+  describe('bundled taxonomy', () => {
+    test('should load and know the common aliases', () => {
+      const skills = getSkillTaxonomy();
+
+      expect(skills.normalize('ReactJS')).toBe('React');
+      expect(skills.normalize('golang')).toBe('Go');
+      expect(skills.normalize('K8s')).toBe('Kubernetes');
+      expect(skills.find('postgres')).toMatchObject({ name: 'PostgreSQL', category: 'database' });
+      expect(skills.categoryLabel('soft-skill')).toBe('Soft Skills');
+    });
+  });
+
+  describe('find and normalize', () => {
+    const skills = new SkillTaxonomy(taxonomy);
+
+    test('should ignore case and punctuation but tell C, C++ and C# apart', () => {
+      expect(skills.find('nodejs').name).toBe('Node.js');
+      expect(skills.find('Node JS').name).toBe('Node.js');
+      expect(skills.find('c++').name).toBe('C++');
+      expect(skills.find('C').name).toBe('C');
+      expect(skills.find('C#')).toBeNull();
+    });
+
+    test('should tidy unknown skill names', () => {
+      expect(skills.normalize('  machine   learning ')).toBe('Machine Learning');
+      expect(skills.normalize('gRPC')).toBe('gRPC');
+      expect(skills.normalize('JS')).toBe('JavaScript');
+    });
+  });
+
+  describe('findMentions', () => {
+    const skills = new SkillTaxonomy(taxonomy);
+    const names = text => skills.findMentions(text).map(mention => mention.skill.name);
+
+    test('should match whole names with optional separators', () => {
+      expect(names('NodeJS and node.js, JS but not JSON')).toEqual(['Node.js', 'Node.js', 'JavaScript']);
+    });
+
+    test('should prefer the longer of two overlapping names', () => {
+      expect(names('C, C++ and C#')).toEqual(['C', 'C++']);
+      expect(names('a c compiler')).toEqual([]);
+    });
+
+    test('should skip links and email addresses', () => {
+      const mentions = skills.findMentions('js@example.com, github.com/jane/node-js-tools and JS');
+
+      expect(mentions).toEqual([{ skill: skills.find('JavaScript'), index: 50, length: 2 }]);
+    });
+  });
+
+  describe('loading taxonomy files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load a taxonomy file', () => {
+      const file = path.join(directory, 'skills.json');
+      fs.writeFileSync(file, JSON.stringify(taxonomy));
+
+      expect(SkillTaxonomy.fromFile(file).skills.map(skill => skill.name)).toEqual(['JavaScript', 'Node.js', 'C', 'C++']);
+    });
+
+    test('should name the file of an invalid taxonomy', () => {
+      const file = path.join(directory, 'skills.json');
+      fs.writeFileSync(file, JSON.stringify({ ...taxonomy, skills: [{ name: 'Go', category: 'tool' }] }));
+
+      expect(() => SkillTaxonomy.fromFile(file)).toThrow(/Invalid skill taxonomy file skills.json: skill Go needs a category/);
+    });
+
+    test('should reject aliases shared by two skills and unknown related skills', () => {
+      expect(() => new SkillTaxonomy({
+        ...taxonomy,
+        skills: [...taxonomy.skills, { name: 'Java', category: 'language', aliases: ['JavaScript'] }]
+      })).toThrow(/JavaScript is defined twice/);
+      expect(() => new SkillTaxonomy({
+        ...taxonomy,
+        skills: [{ name: 'Go', category: 'language', related: ['Docker'] }]
+      })).toThrow(/unknown related skill Docker/);
+    });
+  });
+});
+
+describe('TextCleaner.normalizeSkill', () => {
+  test('should keep symbols that belong to skill names', () => {
+    expect(TextCleaner.normalizeSkill('c++')).toBe('C++');
+    expect(TextCleaner.normalizeSkill(' node.js, ')).toBe('Node.js');
+    expect(TextCleaner.normalizeSkill('LaTeX')).toBe('LaTeX');
+  });
+});
@@ -0,0 +1,78 @@
+const StarAnalyzer = require('../starAnalyzer');
+
+describe('StarAnalyzer', () => {
+  const analyzer = new StarAnalyzer();
+
+  const fullAnswer = [
+    'At my previous company our checkout service was failing under peak load.',
+    'My task was to bring the error rate down before the holiday sale.',
+    'I investigated the slow queries and then I added caching for the product lookups.',
+    'As a result the error rate dropped by 80% and the sale ran without incidents.'
+  ].join(' ');
+
+  describe('appliesTo', () => {
+    test('should apply to behavioral question types', () => {
+      expect(analyzer.appliesTo('How do you prioritise work?', 'behavioral')).toBe(true);
+      expect(analyzer.appliesTo('How do you prioritise work?', 'openEnded')).toBe(true);
+    });
+
+    test('should detect behavioral wording in other questions', () => {
+      expect(analyzer.appliesTo('Tell me about a time you fixed a production bug.', 'technical')).toBe(true);
+      expect(analyzer.appliesTo('What is a closure in JavaScript?', 'technical')).toBe(false);
+      expect(analyzer.appliesTo('What is a closure in JavaScript?')).toBe(false);
+    });
+  });
+
+  describe('analyze', () => {
+    test('should find every component of a complete answer', () => {
+      const result = analyzer.analyze(fullAnswer);
+
+      expect(result.present).toEqual(['situation', 'task', 'action', 'result']);
+      expect(result.missing).toEqual([]);
+      expect(result.coverage).toBe(100);
+      expect(result.complete).toBe(true);
+      expect(result.suggestions).toEqual([]);
+      expect(result.components.task.sentences).toEqual([1]);
+      expect(result.components.result.excerpt).toContain('error rate dropped');
+    });
+
+    test('should flag missing components with suggestions', () => {
+      const result = analyzer.analyze('We used React for the dashboard. It was a fun project.');
+
+      expect(result.present).toEqual(['situation']);
+      expect(result.missing).toEqual(['task', 'action', 'result']);
+      expect(result.coverage).toBe(25);
+      expect(result.complete).toBe(false);
+      expect(result.suggestions).toHaveLength(3);
+    });
+
+    test('should report nothing for an empty answer', () => {
+      const result = analyzer.analyze('');
+
+      expect(result.present).toEqual([]);
+      expect(result.coverage).toBe(0);
+      expect(result.suggestions).toHaveLength(4);
+    });
+
+    test('should shorten long excerpts', () => {
+      const longSituation = `When I was at my first job ${'the team maintained a large legacy billing system '.repeat(4)}.`;
+      const result = analyzer.analyze(longSituation);
+
+      expect(result.components.situation.excerpt.length).toBe(120);
+      expect(result.components.situation.excerpt.endsWith('...')).toBe(true);
+    });
+  });
+
+  describe('classifySentence', () => {
+    test('should break ties by position in the answer', () => {
+      const sentence = 'I had to fix it and I fixed it.';
+
+      expect(analyzer.classifySentence(sentence, 0, 4)).toBe('task');
+      expect(analyzer.classifySentence(sentence, 3, 4)).toBe('action');
+    });
+
+    test('should leave sentences without cues unlabelled after the first', () => {
+      expect(analyzer.classifySentence('It was a fun project.', 1, 2)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const { getSessionRepository } = require('./storage');
+const QuestionComposition = require('../utils/questionComposition');
+
+// An improvement counts as recurring once it shows up in this many sessions
+const RECURRING_THRESHOLD = 2;
+const MAX_RECURRING_ITEMS = 10;
+
+// Improvements are worded anew by the model in every analysis, so they are
+// matched on the rubric signal they are about; the first theme that matches wins
+const IMPROVEMENT_THEMES = [
+  { signal: 'star', pattern: /\b(star|situation|structur\w*|organi[sz]\w*|framework|logical\w*)\b/ },
+  { signal: 'impact', pattern: /\b(quantif\w*|metrics?|numbers?|measur\w*|outcomes?|results?|impact)\b/ },
+  { signal: 'examples', pattern: /\b(specific\w*|concrete|examples?|instances?|anecdotes?|real[- ]world)\b/ },
+  { signal: 'tradeoffs', pattern: /\b(trade[- ]?offs?|alternatives?|pros and cons)\b/ },
+  { signal: 'depth', pattern: /\b(depth|deeper|detail\w*|elaborat\w*|thorough\w*|expand\w*)\b/ },
+  { signal: 'communication', pattern: /\b(concise\w*|clear\w*|clarity|confiden\w*|filler|rambl\w*|pac(e|ing)|articulat\w*)\b/ },
+  { signal: 'correctness', pattern: /\b(accura\w*|correct\w*|precise\w*|fundamentals?)\b/ },
+  { signal: 'relevance', pattern: /\b(relevan\w*|on topic|focus\w*)\b/ }
+];
+
+/**
+ * Practice history built from completed, stored interview sessions
+ */
+class SessionHistoryService {
+  /**
+   * @param {Object} [repository] - Session repository; defaults to the shared one
+   */
+  constructor(repository = getSessionRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Score trends and recurring improvements across completed sessions
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.role] - Only sessions for this role
+   * @param {string} [filters.level] - Only sessions at this level
+   * @returns {Promise<Object>} History report
+   */
+  async getHistory({ role, level } = {}) {
+    const completed = await this.repository.findAll({ status: 'completed' });
+
+    const sessions = completed
+      .filter(session => session.analysis)
+      .filter(session => !role || session.role === role)
+      .filter(session => !level || session.level === level)
+      .map(session => this.toHistoryEntry(session))
+      .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+    return {
+      filters: { role: role || null, level: level || null },
+      sessionCount: sessions.length,
+      sessions,
+      trend: this.buildTrend(sessions),
+      categoryAverages: this.averageCategories(sessions),
+      groups: this.groupByRoleAndLevel(sessions),
+      recurringImprovements: this.findRecurringImprovements(sessions)
+    };
+  }
+
+  /**
+   * One chart point per session
+   * @param {Object} session - Stored session
+   * @returns {Object} History entry
+   */
+  toHistoryEntry(session) {
+    const { analysis } = session;
+
+    return {
+      id: session.id,
+      role: session.role,
+      level: session.level,
+      mode: session.mode,
+      completedAt: session.completedAt || session.updatedAt,
+      questionCount: session.questions.length,
+      overallScore: typeof analysis.overallScore === 'number' ? analysis.overallScore : null,
+      categoryScores: this.scoreCategories(session),
+      improvements: Array.isArray(analysis.improvements) ? analysis.improvements : []
+    };
+  }
+
+  /**
+   * Average question score (1-10) per category in a session
+   * Feedback is matched by its 1-based questionId, falling back to position.
+   * @param {Object} session - Stored session
+   * @returns {Object} Average score per category that has scored questions
+   */
+  scoreCategories(session) {
+    const feedbackList = Array.isArray(session.analysis.feedback) ? session.analysis.feedback : [];
+    const totals = {};
+
+    session.questions.forEach((question, index) => {
+      const feedback = feedbackList.find(item => String(item.questionId) === String(index + 1))
+        || feedbackList[index];
+      const category = QuestionComposition.categoryOf(question.type);
+
+      if (!category || typeof feedback?.score !== 'number') {
+        return;
+      }
+
+      totals[category] = totals[category] || { sum: 0, count: 0 };
+      totals[category].sum += feedback.score;
+      totals[category].count += 1;
+    });
+
+    const scores = {};
+    Object.entries(totals).forEach(([category, { sum, count }]) => {
+      scores[category] = this.round(sum / count);
+    });
+    return scores;
+  }
+
+  /**
+   * Overall score movement from the first to the latest session
+   * @param {Object[]} sessions - History entries, oldest first
+   * @returns {Object|null} Trend summary, or null without scored sessions
+   */
+  buildTrend(sessions) {
+    const scores = sessions
+      .map(session => session.overallScore)
+      .filter(score => typeof score === 'number');
+
+    if (scores.length === 0) {
+      return null;
+    }
+
+    const first = scores[0];
+    const latest = scores[scores.length - 1];
+
+    return {
+      first,
+      latest,
+      best: Math.max(...scores),
+      average: this.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+      change: latest - first
+    };
+  }
+
+  /**
+   * Average of each category's per-session scores
+   * @param {Object[]} sessions - History entries
+   * @returns {Object} Average score per category
+   */
+  averageCategories(sessions) {
+    const averages = {};
+
+    QuestionComposition.CATEGORIES.forEach(category => {
+      const scores = sessions
+        .map(session => session.categoryScores[category])
+        .filter(score => typeof score === 'number');
+
+      if (scores.length > 0) {
+        averages[category] = this.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+      }
+    });
+
+    return averages;
+  }
+
+  /**
+   * Session counts and scores per role and level
+   * @param {Object[]} sessions - History entries, oldest first
+   * @returns {Object[]} Groups, most practised first
+   */
+  groupByRoleAndLevel(sessions) {
+    const groups = new Map();
+
+    sessions.forEach(session => {
+      const key = `${session.role}|${session.level}`;
+      if (!groups.has(key)) {
+        groups.set(key, { role: session.role, level: session.level, sessionCount: 0, scores: [] });
+      }
+      const group = groups.get(key);
+      group.sessionCount += 1;
+      if (typeof session.overallScore === 'number') {
+        group.scores.push(session.overallScore);
+      }
+    });
+
+    return [...groups.values()]
+      .map(({ scores, ...group }) => ({
+        ...group,
+        averageScore: scores.length
+          ? this.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+          : null,
+        latestScore: scores.length ? scores[scores.length - 1] : null
+      }))
+      .sort((a, b) => b.sessionCount - a.sessionCount);
+  }
+
+  /**
+   * Improvements suggested in more than one session
+   * Improvements about the same rubric signal are one item, whatever their
+   * wording; others are compared case- and punctuation-insensitively. Each
+   * item is counted once per session and keeps its first wording.
+   * @param {Object[]} sessions - History entries, oldest first
+   * @returns {Object[]} { text, count, lastSeen }, most frequent first
+   */
+  findRecurringImprovements(sessions) {
+    const items = new Map();
+
+    sessions.forEach(session => {
+      const seen = new Set();
+
+      session.improvements.forEach(improvement => {
+        const key = this.improvementKey(improvement);
+        if (!key || seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+
+        const item = items.get(key) || { text: improvement.trim(), count: 0, lastSeen: null };
+        item.count += 1;
+        item.lastSeen = session.completedAt;
+        items.set(key, item);
+      });
+    });
+
+    return [...items.values()]
+      .filter(item => item.count >= RECURRING_THRESHOLD)
+      .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+      .slice(0, MAX_RECURRING_ITEMS);
+  }
+
+  /**
+   * @param {string} text - Improvement as worded in an analysis
+   * @returns {string} The rubric signal it is about, or its normalized wording
+   */
+  improvementKey(text) {
+    const normalized = this.normalizeImprovement(text);
+    const theme = IMPROVEMENT_THEMES.find(({ pattern }) => pattern.test(normalized));
+    return theme ? `signal:${theme.signal}` : normalized;
+  }
+
+  normalizeImprovement(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+    return text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = SessionHistoryService;
@@ -0,0 +1,152 @@
+const ResumeParser = require('./parser');
+
+// Skills under these cues are a plus rather than a requirement
+const NICE_TO_HAVE_CUES = /\b(nice[\s-]to[\s-]haves?|good[\s-]to[\s-]haves?|preferred|bonus( points)?|(is|are|would be) a plus|desirable|desired|advantageous|an advantage|optional)\b/i;
+const REQUIRED_CUES = /\b(requirements?|required|must[\s-]haves?|qualifications|what you('|’)ll need|what we('|’)re looking for|you (have|bring)|responsibilities|minimum)\b/i;
+
+const MAX_HEADING_LENGTH = 60;
+
+// A paragraph is bucketed by sentence, and by cue-led label within a
+// sentence: "Required: Python, Go. Nice to have: Terraform"
+const SEGMENT_BREAK = /(?<=[.!?;])\s+|\s+(?=(?:nice[\s-]to[\s-]haves?|good[\s-]to[\s-]haves?|preferred|bonus|required|requirements|must[\s-]haves?)\s*:)/i;
+// "Required: ..." inside a nice-to-have section
+const REQUIRED_LABEL = /^(?:required|requirements|must[\s-]haves?)\s*:/i;
+
+// Required skills count twice as much as nice-to-have skills in the match score
+const REQUIRED_WEIGHT = 2;
+const NICE_TO_HAVE_WEIGHT = 1;
+
+/**
+ * Matches a job description against resume skills
+ *
+ * Skills are detected with the resume parser's skill taxonomy, so a skill
+ * named in the job description is spelt exactly as it is on a parsed resume,
+ * whichever alias either of them uses.
+ */
+class JobDescriptionMatcher {
+  /**
+   * @param {ResumeParser} [parser] - Parser providing the skill taxonomy
+   */
+  constructor(parser = new ResumeParser()) {
+    this.parser = parser;
+  }
+
+  /**
+   * Skills asked for by a job description, split into required and nice-to-have
+   * Lines under a "Nice to have"/"Preferred" heading, or sentences mentioning
+   * such a cue themselves, are nice-to-have; everything else is treated as
+   * required.
+   * @param {string} text - Job description text
+   * @returns {Object} { required, niceToHave } skill names, sorted
+   */
+  extractRequirements(text) {
+    const buckets = { required: [], niceToHave: [] };
+    let section = 'required';
+
+    this.parser.cleanText(text).split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return;
+      }
+
+      if (this.isHeading(trimmed)) {
+        if (NICE_TO_HAVE_CUES.test(trimmed)) {
+          section = 'niceToHave';
+        } else if (REQUIRED_CUES.test(trimmed)) {
+          section = 'required';
+        }
+      }
+
+      trimmed.split(SEGMENT_BREAK).forEach(segment => {
+        let bucket = section;
+        if (NICE_TO_HAVE_CUES.test(segment)) {
+          bucket = 'niceToHave';
+        } else if (REQUIRED_LABEL.test(segment)) {
+          bucket = 'required';
+        }
+        buckets[bucket].push(segment);
+      });
+    });
+
+    // Soft skills are left to the behavioral questions
+    const names = lines => this.parser.extractSkills(lines.join('\n'))
+      .filter(skill => skill.category !== 'soft-skill')
+      .map(skill => skill.name);
+    const required = names(buckets.required);
+    const niceToHave = names(buckets.niceToHave).filter(skill => !required.includes(skill));
+
+    return { required, niceToHave };
+  }
+
+  /**
+   * Compare a job description with the skills on a resume
+   * @param {string} text - Job description text
+   * @param {Array<string|Object>} resumeSkills - Skills from the parsed resume
+   * @returns {Object} Gap report: requiredSkills, niceToHaveSkills, matched,
+   *   missing and extra skills, and a 0-100 matchScore (null when the job
+   *   description names no known skills)
+   */
+  match(text, resumeSkills = []) {
+    const { required, niceToHave } = this.extractRequirements(text);
+
+    // "ReactJS" entered during review is the React a job description asks for
+    const candidateSkills = resumeSkills
+      .map(skill => (typeof skill === 'string' ? skill : skill && skill.name))
+      .filter(Boolean)
+      .map(skill => this.parser.taxonomy.normalize(skill));
+    const owned = new Set(candidateSkills.map(skill => skill.toLowerCase()));
+    const has = skill => owned.has(skill.toLowerCase());
+
+    const matched = {
+      required: required.filter(has),
+      niceToHave: niceToHave.filter(has)
+    };
+    const missing = {
+      required: required.filter(skill => !has(skill)),
+      niceToHave: niceToHave.filter(skill => !has(skill))
+    };
+
+    const requested = new Set([...required, ...niceToHave].map(skill => skill.toLowerCase()));
+    const extra = [...new Set(candidateSkills)]
+      .filter(skill => !requested.has(skill.toLowerCase()))
+      .sort();
+
+    return {
+      requiredSkills: required,
+      niceToHaveSkills: niceToHave,
+      matched,
+      missing,
+      extra,
+      matchScore: this.score(required.length, niceToHave.length, matched)
+    };
+  }
+
+  /**
+   * Weighted share of requested skills found on the resume
+   * @returns {number|null} Score 0-100, or null when nothing was requested
+   */
+  score(requiredCount, niceToHaveCount, matched) {
+    const possible = requiredCount * REQUIRED_WEIGHT + niceToHaveCount * NICE_TO_HAVE_WEIGHT;
+    if (possible === 0) {
+      return null;
+    }
+
+    const earned = matched.required.length * REQUIRED_WEIGHT
+      + matched.niceToHave.length * NICE_TO_HAVE_WEIGHT;
+    return Math.round((earned / possible) * 100);
+  }
+
+  /**
+   * A heading is short, is not a bullet or sentence and names no skills itself
+   * @param {string} line - Trimmed line
+   * @returns {boolean} Whether the line introduces a section
+   */
+  isHeading(line) {
+    return line.length <= MAX_HEADING_LENGTH
+      && !/^[-•·*▪]/.test(line)
+      && !/[.!?]$/.test(line)
+      && this.parser.extractSkills(line).length === 0;
+  }
+}
+
+module.exports = JobDescriptionMatcher;
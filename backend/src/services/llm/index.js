@@ -0,0 +1,49 @@
+const OpenAIProvider = require("./openaiProvider");
+const OfflineProvider = require("./offlineProvider");
+
+const PROVIDERS = ["openai", "openai-compatible", "offline"];
+
+/**
+ * Create the chat completion provider described by the configuration
+ * @param {Object} llmConfig - config.llm from config/production.js
+ * @returns {OpenAIProvider|OfflineProvider} Provider instance
+ */
+function createProvider(llmConfig = {}) {
+  const provider = llmConfig.provider || "offline";
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown LLM provider "${provider}". Expected one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+
+  if (provider === "offline") {
+    return new OfflineProvider();
+  }
+
+  if (provider === "openai-compatible" && !llmConfig.baseURL) {
+    throw new Error("LLM_BASE_URL is required for the openai-compatible provider");
+  }
+
+  if (provider === "openai" && !llmConfig.apiKey) {
+    console.warn("No API key is set (LLM_API_KEY or OPENAI_API_KEY), using the offline provider instead");
+    return new OfflineProvider();
+  }
+
+  return new OpenAIProvider({
+    apiKey: llmConfig.apiKey,
+    baseURL: provider === "openai-compatible" ? llmConfig.baseURL : undefined,
+    model: llmConfig.model,
+    organization: llmConfig.organization,
+    timeout: llmConfig.timeout,
+    maxRetries: llmConfig.maxRetries,
+    jsonMode: llmConfig.jsonMode,
+  });
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  OfflineProvider,
+  PROVIDERS,
+};
@@ -0,0 +1,220 @@
+/**
+ * Deterministic provider that needs no network or API key
+ *
+ * It answers the same prompts as a real model by building the JSON reply
+ * from the structured context the service passes along, so the whole app can
+ * be run and tested offline. Identical input always yields identical output.
+ */
+
+const QuestionComposition = require("../../utils/questionComposition");
+const SkillGaps = require("../../utils/skillGaps");
+const SkillProficiency = require("../../utils/skillProficiency");
+const FollowUps = require("../../utils/followUps");
+const { EXAMPLE_CUES, QUANTIFIED, keywords } = require("../rubrics/signals");
+
+// Characters per streamed piece; roughly what a model sends per token batch
+const STREAM_CHUNK_SIZE = 48;
+
+const ROLE_QUESTIONS_BY_LEVEL = {
+  fresher: (role) =>
+    `What fundamentals do you think matter most for a ${role}, and how have you practised them?`,
+  intermediate: (role) =>
+    `How do you approach debugging a difficult production issue as a ${role}?`,
+  experienced: (role) =>
+    `How would you design and lead a major initiative as a ${role}, and how would you measure its success?`,
+};
+
+/**
+ * Score an answer 1-10 from length, specificity and relevance
+ * @param {string} question - Question text
+ * @param {string} answer - Answer text
+ * @returns {Object} { score, feedback, suggestions }
+ */
+function scoreAnswer(question, answer) {
+  const text = (answer || "").trim();
+  const wordCount = text ? text.split(/\s+/).length : 0;
+
+  if (wordCount === 0) {
+    return {
+      score: 1,
+      feedback: "No answer was given for this question.",
+      suggestions: ["Attempt every question, even with a partial answer"],
+    };
+  }
+
+  const questionWords = [...new Set(keywords(question))];
+  const answerWords = new Set(keywords(text));
+  const overlap = questionWords.length
+    ? questionWords.filter((word) => answerWords.has(word)).length / questionWords.length
+    : 1;
+
+  let score = wordCount < 10 ? 2 : wordCount < 30 ? 4 : wordCount < 80 ? 6 : 7;
+  const strengths = [];
+  const suggestions = [];
+
+  if (EXAMPLE_CUES.test(text)) {
+    score += 1;
+    strengths.push("uses a concrete example");
+  } else {
+    suggestions.push("Back your answer with a specific example from your experience");
+  }
+
+  if (QUANTIFIED.test(text)) {
+    score += 1;
+    strengths.push("quantifies the outcome");
+  } else {
+    suggestions.push("Quantify results where you can (time saved, users, percentages)");
+  }
+
+  if (overlap >= 0.3) {
+    score += 1;
+    strengths.push("stays on topic");
+  } else {
+    suggestions.push("Address the key terms of the question directly");
+  }
+
+  if (wordCount < 30) {
+    suggestions.unshift("Expand your answer with more detail and context");
+  }
+
+  score = Math.max(1, Math.min(10, score));
+
+  const feedback = strengths.length
+    ? `The answer ${strengths.join(", ")}${wordCount < 30 ? " but is brief" : ""}.`
+    : "The answer is too general to assess in depth.";
+
+  return {
+    score,
+    feedback,
+    suggestions: suggestions.length ? suggestions.slice(0, 3) : ["Keep practising this structure"],
+  };
+}
+
+class OfflineProvider {
+  constructor() {
+    this.name = "offline";
+    this.model = "offline";
+  }
+
+  /**
+   * Build a reply for a task without calling a model
+   * @param {Object} request - Completion request
+   * @param {string} request.task - questions | analysis | individualAnalysis | followUps
+   * @param {Object} request.context - Structured inputs of the prompt
+   * @returns {Promise<Object>} { content, tokensUsed, model }
+   */
+  async complete({ task, context = {} }) {
+    let result;
+
+    switch (task) {
+      case "questions":
+        result = this.buildQuestions(context);
+        break;
+      case "analysis":
+        result = this.buildAnalysis(context);
+        break;
+      case "individualAnalysis":
+        result = scoreAnswer(context.question, context.answer);
+        break;
+      case "followUps":
+        result = {
+          followUps: FollowUps.fromAnswer(context.question, context.answer, context.count),
+        };
+        break;
+      default:
+        throw new Error(`Offline provider does not support task: ${task}`);
+    }
+
+    return {
+      content: JSON.stringify(result),
+      tokensUsed: 0,
+      model: this.model,
+    };
+  }
+
+  /**
+   * Build a reply and hand it on in small pieces, like a streamed completion
+   * @param {Object} request - Completion request, as for complete()
+   * @param {Function} onDelta - Called with each piece of reply text
+   * @returns {Promise<Object>} { content, tokensUsed, model }
+   */
+  async stream(request, onDelta) {
+    const result = await this.complete(request);
+
+    for (let start = 0; start < result.content.length; start += STREAM_CHUNK_SIZE) {
+      onDelta(result.content.slice(start, start + STREAM_CHUNK_SIZE));
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Object} context - { role, level, resumeSummary, composition, skillGaps }
+   * @returns {Object} Questions keyed by category, as many as the composition asks for
+   */
+  buildQuestions({ role, level, resumeSummary = {}, composition, skillGaps }) {
+    const counts = QuestionComposition.normalize(composition);
+    const skills = SkillProficiency.rank(resumeSummary.skills, resumeSummary.skillDetails).map(
+      (skill) => skill.name
+    );
+    const roleQuestion = (ROLE_QUESTIONS_BY_LEVEL[level] || ROLE_QUESTIONS_BY_LEVEL.intermediate)(role);
+
+    const certification = (Array.isArray(resumeSummary.certifications) ? resumeSummary.certifications : []).find(
+      (entry) => entry && typeof entry.name === "string" && entry.name.trim()
+    );
+
+    // Job description gaps first, then the first certification and one
+    // question per resume skill, strongest first, then the level and generic
+    // role questions
+    const technical = [
+      ...SkillGaps.toQuestions(skillGaps),
+      ...(certification
+        ? [
+            `Your resume lists the ${certification.name.trim()} certification. Which parts of it have you used in real work, and what did it not prepare you for?`,
+          ]
+        : []),
+      ...skills.map(
+        (skill) =>
+          `Walk me through a recent piece of work where you used ${skill}. What would you do differently today?`
+      ),
+      roleQuestion,
+      ...QuestionComposition.GENERIC_QUESTIONS.technical,
+    ];
+
+    const pools = { ...QuestionComposition.GENERIC_QUESTIONS, technical };
+    const questions = {};
+    QuestionComposition.activeCategories(counts).forEach((category) => {
+      questions[category] = pools[category].slice(0, counts[category]);
+    });
+
+    return questions;
+  }
+
+  /**
+   * @param {Object} context - { questions, answers }
+   * @returns {Object} Analysis in the answer analysis response format
+   */
+  buildAnalysis({ questions = [], answers = [] }) {
+    const feedback = questions.map((question, index) => ({
+      questionId: (index + 1).toString(),
+      ...scoreAnswer(question, answers[index]),
+    }));
+
+    const average = feedback.length
+      ? feedback.reduce((total, item) => total + item.score, 0) / feedback.length
+      : 0;
+
+    const improvements = [...new Set(feedback.flatMap((item) => item.suggestions))].slice(0, 3);
+
+    return {
+      feedback,
+      overallScore: Math.round(average * 10),
+      summary: `Offline assessment of ${feedback.length} answers based on length, examples, quantified results and relevance.`,
+      improvements,
+    };
+  }
+}
+
+OfflineProvider.scoreAnswer = scoreAnswer;
+
+module.exports = OfflineProvider;
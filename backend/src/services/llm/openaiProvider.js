@@ -0,0 +1,96 @@
+const OpenAI = require("openai");
+
+/**
+ * Chat completion provider for the OpenAI API and any server that speaks the
+ * same protocol (llama.cpp, vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - API key (optional for local servers)
+   * @param {string} [options.baseURL] - Endpoint base URL, e.g. http://localhost:11434/v1
+   * @param {string} options.model - Model name
+   * @param {string} [options.organization] - OpenAI organization ID
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {number} [options.maxRetries] - Retries on transient errors
+   * @param {boolean} [options.jsonMode] - Send response_format json_object
+   */
+  constructor(options = {}) {
+    this.name = options.baseURL ? "openai-compatible" : "openai";
+    this.model = options.model;
+    this.jsonMode = options.jsonMode !== false;
+
+    this.client = new OpenAI({
+      // The SDK refuses to start without a key; local servers ignore it
+      apiKey: options.apiKey || "not-needed",
+      ...(options.baseURL && { baseURL: options.baseURL }),
+      ...(options.organization && { organization: options.organization }),
+      ...(options.timeout && { timeout: options.timeout }),
+      ...(options.maxRetries !== undefined && { maxRetries: options.maxRetries }),
+    });
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {Object[]} request.messages - Chat messages
+   * @param {number} request.maxTokens - Token limit for the reply
+   * @param {number} request.temperature - Sampling temperature
+   * @param {boolean} [request.json] - Whether a JSON object reply is expected
+   * @returns {Promise<Object>} { content, tokensUsed, model }
+   */
+  async complete({ messages, maxTokens, temperature, json = true }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && this.jsonMode && { response_format: { type: "json_object" } }),
+    });
+
+    return {
+      content: response.choices[0]?.message?.content || "",
+      tokensUsed: response.usage?.total_tokens || 0,
+      model: response.model || this.model,
+    };
+  }
+
+  /**
+   * Run a chat completion, passing the reply text on as it streams in
+   * @param {Object} request - Completion request, as for complete()
+   * @param {Function} onDelta - Called with each new piece of reply text
+   * @returns {Promise<Object>} { content, tokensUsed, model } once the reply is complete
+   */
+  async stream({ messages, maxTokens, temperature, json = true }, onDelta) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      ...(json && this.jsonMode && { response_format: { type: "json_object" } }),
+      // Compatible servers may reject stream_options, so usage is only requested from OpenAI
+      ...(this.name === "openai" && { stream_options: { include_usage: true } }),
+    });
+
+    let content = "";
+    let tokensUsed = 0;
+    let model = this.model;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.usage) {
+        tokensUsed = chunk.usage.total_tokens || 0;
+      }
+      model = chunk.model || model;
+    }
+
+    return { content, tokensUsed, model };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,18 +1,90 @@
-const OpenAI = require("openai");
+const { config } = require("../config/production");
+const { createProvider } = require("./llm");
+const QuestionComposition = require("../utils/questionComposition");
+const SkillGaps = require("../utils/skillGaps");
+const SkillProficiency = require("../utils/skillProficiency");
+const FollowUps = require("../utils/followUps");
+const AnswerTiming = require("../utils/answerTiming");
+const JsonArrayScanner = require("../utils/jsonArrayScanner");
+const TextCleaner = require("../utils/textCleaner");
+const { getRubricEngine } = require("./rubrics");
+const { getQuestionBank } = require("./questionBank");
+const StarAnalyzer = require("./starAnalyzer");
 
 class OpenAIService {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error("OPENAI_API_KEY environment variable is required");
+  /**
+   * @param {Object} [provider] - Chat completion provider; defaults to the one
+   *   selected by config.llm (see services/llm)
+   * @param {RubricEngine} [rubrics] - Answer scoring rubrics; defaults to the
+   *   rubric data files (see services/rubrics)
+   */
+  constructor(provider = createProvider(config.llm), rubrics = getRubricEngine()) {
+    this.provider = provider;
+    this.rubrics = rubrics;
+    this.starAnalyzer = new StarAnalyzer();
+    this.model = provider.model;
+    this.maxTokens = 1500;
+    this.temperature = 0.7;
+  }
+
+  /**
+   * Send a prompt through the configured provider and parse the JSON reply
+   * @param {Object} request - Provider request (task, context, messages, limits)
+   * @param {Function} [onElement] - Streams the reply and is called with each
+   *   completed array element ({ key, index, value }) as it arrives
+   * @returns {Promise<Object>} { data, tokensUsed, model }
+   */
+  async completeJSON(request, onElement) {
+    const response = onElement
+      ? await this.streamCompletion(request, onElement)
+      : await this.provider.complete({ json: true, ...request });
+
+    return {
+      data: this.parseJSONContent(response.content),
+      tokensUsed: response.tokensUsed || 0,
+      model: response.model || this.model,
+    };
+  }
+
+  /**
+   * Stream a completion through a JSON array scanner
+   * Providers without streaming support deliver the whole reply at once.
+   * @param {Object} request - Provider request
+   * @param {Function} onElement - Called with each completed array element
+   * @returns {Promise<Object>} { content, tokensUsed, model }
+   */
+  async streamCompletion(request, onElement) {
+    const scanner = new JsonArrayScanner();
+    const scan = (text) => scanner.push(text).forEach(onElement);
+
+    if (typeof this.provider.stream !== "function") {
+      const response = await this.provider.complete({ json: true, ...request });
+      scan(response.content || "");
+      return response;
     }
 
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    return this.provider.stream({ json: true, ...request }, scan);
+  }
 
-    this.model = "gpt-3.5-turbo";
-    this.maxTokens = 1500;
-    this.temperature = 0.7;
+  /**
+   * Parse a JSON reply, tolerating code fences and surrounding prose that
+   * local models often add when response_format is unsupported
+   * @param {string} content - Raw completion text
+   * @returns {Object} Parsed object
+   */
+  parseJSONContent(content) {
+    const text = (content || "").trim();
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const start = text.indexOf("{");
+      const end = text.lastIndexOf("}");
+      if (start === -1 || end <= start) {
+        throw new Error(`Invalid JSON in model response: ${error.message}`);
+      }
+      return JSON.parse(text.slice(start, end + 1));
+    }
   }
 
   /**
@@ -20,14 +92,26 @@ class OpenAIService {
    * @param {string} role - Target job role
    * @param {string} level - Experience level (fresher/intermediate/experienced)
    * @param {Object} resumeSummary - Parsed resume data
+   * @param {Object} [composition] - Question count per category; defaults to
+   *   2 technical and 1 behavioral question
+   * @param {Object} [skillGaps] - Job description skills missing from the
+   *   resume ({ required, niceToHave }) for technical questions to probe
+   * @param {Object} [options] - Streaming options
+   * @param {Function} [options.onQuestion] - Streams the completion and is
+   *   called with (category, index, text) for each question as it arrives
    * @returns {Promise<Object>} Generated questions
    */
-  async generateQuestions(role, level, resumeSummary) {
+  async generateQuestions(role, level, resumeSummary, composition, skillGaps, options = {}) {
+    const counts = QuestionComposition.normalize(composition);
+    const gaps = SkillGaps.normalize(skillGaps);
+    const { onQuestion } = options;
+
     try {
-      const prompt = this.buildQuestionPrompt(role, level, resumeSummary);
+      const prompt = this.buildQuestionPrompt(role, level, resumeSummary, counts, gaps);
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const response = await this.completeJSON({
+        task: "questions",
+        context: { role, level, resumeSummary, composition: counts, skillGaps: gaps },
         messages: [
           {
             role: "system",
@@ -38,28 +122,32 @@ class OpenAIService {
             content: prompt,
           },
         ],
-        max_tokens: this.maxTokens,
+        maxTokens: this.maxTokens,
         temperature: this.temperature,
-        response_format: { type: "json_object" },
-      });
+      }, onQuestion && (({ key, index, value }) => {
+        // Only questions the composition asked for
+        if (index < (counts[key] || 0) && typeof value === "string" && value.trim()) {
+          onQuestion(key, index, value.trim());
+        }
+      }));
 
-      const content = response.choices[0].message.content;
-      const questions = JSON.parse(content);
+      const questions = response.data;
 
       // Validate response structure
-      this.validateQuestionResponse(questions);
+      this.validateQuestionResponse(questions, counts);
 
       return {
-        ...questions,
+        ...this.buildQuestionSet(questions, counts),
         metadata: {
           promptUsed: prompt,
-          model: this.model,
+          model: response.model,
+          provider: this.provider.name,
           generatedAt: new Date().toISOString(),
-          tokensUsed: response.usage?.total_tokens || 0,
+          tokensUsed: response.tokensUsed,
         },
       };
     } catch (error) {
-      console.error("OpenAI question generation error:", error);
+      console.error("LLM question generation error:", error);
 
       if (error.message.includes("API key")) {
         throw new Error("Invalid OpenAI API key");
@@ -67,7 +155,7 @@ class OpenAIService {
         throw new Error("OpenAI rate limit exceeded. Please try again later.");
       } else if (error.message.includes("JSON")) {
         // Fallback to default questions if JSON parsing fails
-        return this.getFallbackQuestions(role, level);
+        return this.getFallbackQuestions(role, level, counts, gaps, resumeSummary && resumeSummary.skills);
       }
 
       throw new Error(`Question generation failed: ${error.message}`);
@@ -80,14 +168,25 @@ class OpenAIService {
    * @param {string[]} answers - User answers
    * @param {string} role - Target job role
    * @param {string} level - Experience level
+   * @param {Object} [options] - Rubric inputs
+   * @param {string[]} [options.questionTypes] - Question type per question,
+   *   selecting its rubric
+   * @param {Object} [options.resumeSummary] - Parsed resume, for resume relevance
+   * @param {Function} [options.onFeedback] - Streams the completion and is
+   *   called with each rubric-scored feedback item as it arrives
+   * @param {Array<Object|null>} [options.timings] - Time used per question in
+   *   timed interviews, reported with the feedback
    * @returns {Promise<Object>} Analysis results
    */
-  async analyzeAnswers(questions, answers, role, level) {
+  async analyzeAnswers(questions, answers, role, level, options = {}) {
+    const { questionTypes = [], resumeSummary, onFeedback, timings } = options;
+
     try {
-      const prompt = this.buildAnalysisPrompt(questions, answers, role, level);
+      const prompt = this.buildAnalysisPrompt(questions, answers, role, level, questionTypes);
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const response = await this.completeJSON({
+        task: "analysis",
+        context: { questions, answers, role, level, questionTypes },
         messages: [
           {
             role: "system",
@@ -98,40 +197,48 @@ class OpenAIService {
             content: prompt,
           },
         ],
-        max_tokens: 800, // Reduced from 2000 to 800
+        // Criterion scores take roughly 100 tokens per question
+        maxTokens: Math.min(2000, 600 + questions.length * 100),
         temperature: 0.3,
-        response_format: { type: "json_object" },
-      });
+      }, onFeedback && (({ key, value }) => {
+        const index = Number(value && value.questionId) - 1;
+        if (key === "feedback" && index >= 0 && index < questions.length) {
+          onFeedback(this.scoreFeedbackItem(value, index, questions, answers, questionTypes, resumeSummary, timings));
+        }
+      }));
 
-      const content = response.choices[0].message.content;
-      const analysis = JSON.parse(content);
+      const analysis = response.data;
 
       // Validate analysis response
       this.validateAnalysisResponse(analysis);
 
-      const tokensUsed = response.usage?.total_tokens || 0;
+      const tokensUsed = response.tokensUsed;
       console.log(`Analysis completed. Tokens used: ${tokensUsed}`);
 
       return {
-        ...analysis,
+        ...this.scoreAnalysis(analysis, questions, answers, questionTypes, resumeSummary, timings),
         metadata: {
           analyzedAt: new Date().toISOString(),
-          model: this.model,
+          model: response.model,
+          provider: this.provider.name,
           tokensUsed: tokensUsed,
         },
       };
     } catch (error) {
-      console.error("OpenAI answer analysis error:", error);
+      console.error("LLM answer analysis error:", error);
 
       if (
         error.message.includes("rate limit") ||
         error.message.includes("quota")
       ) {
         console.log("Using fallback analysis due to API limits");
-        return this.getFallbackAnalysis(questions, answers);
+        return this.getFallbackAnalysis(questions, answers, options);
+      } else if (this.isUnavailableError(error)) {
+        console.log("Using fallback analysis because the LLM is unreachable");
+        return this.getFallbackAnalysis(questions, answers, options);
       } else if (error.message.includes("JSON")) {
         // Fallback to basic analysis
-        return this.getFallbackAnalysis(questions, answers);
+        return this.getFallbackAnalysis(questions, answers, options);
       }
 
       throw new Error(`Answer analysis failed: ${error.message}`);
@@ -144,19 +251,26 @@ class OpenAIService {
    * @param {string} answer - User's answer
    * @param {string} role - Target job role
    * @param {string} level - Experience level
+   * @param {Object} [options] - Rubric inputs
+   * @param {string} [options.questionType] - Question type selecting the rubric
+   * @param {Object} [options.resumeSummary] - Parsed resume, for resume relevance
    * @returns {Promise<Object>} Individual analysis result
    */
-  async analyzeIndividualAnswer(question, answer, role, level) {
+  async analyzeIndividualAnswer(question, answer, role, level, options = {}) {
+    const { questionType, resumeSummary } = options;
+
     try {
       const prompt = this.buildIndividualAnalysisPrompt(
         question,
         answer,
         role,
-        level
+        level,
+        questionType
       );
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const response = await this.completeJSON({
+        task: "individualAnalysis",
+        context: { question, answer, role, level, questionType },
         messages: [
           {
             role: "system",
@@ -167,46 +281,113 @@ class OpenAIService {
             content: prompt,
           },
         ],
-        max_tokens: 300, // Even smaller for individual analysis
+        maxTokens: 450, // Small, but with room for the criterion scores
         temperature: 0.3,
-        response_format: { type: "json_object" },
       });
 
-      const content = response.choices[0].message.content;
-      const analysis = JSON.parse(content);
+      const analysis = response.data;
 
       // Validate individual analysis response
       this.validateIndividualAnalysisResponse(analysis);
 
-      const tokensUsed = response.usage?.total_tokens || 0;
+      const tokensUsed = response.tokensUsed;
       console.log(`Individual analysis completed. Tokens used: ${tokensUsed}`);
 
+      const { criteria: modelCriteria, ...rest } = analysis;
+
       return {
-        ...analysis,
+        ...rest,
+        ...this.rubrics.evaluate(questionType, { question, answer, resumeSummary }, modelCriteria),
+        ...this.starFor(question, answer, questionType),
         metadata: {
           analyzedAt: new Date().toISOString(),
-          model: this.model,
+          model: response.model,
+          provider: this.provider.name,
           tokensUsed: tokensUsed,
         },
       };
     } catch (error) {
-      console.error("OpenAI individual analysis error:", error);
+      console.error("LLM individual analysis error:", error);
 
       if (
         error.message.includes("rate limit") ||
         error.message.includes("quota")
       ) {
         console.log("Using fallback for individual analysis due to API limits");
-        return this.getFallbackIndividualAnalysis(question, answer);
+        return this.getFallbackIndividualAnalysis(question, answer, options);
+      } else if (this.isUnavailableError(error)) {
+        console.log("Using fallback for individual analysis because the LLM is unreachable");
+        return this.getFallbackIndividualAnalysis(question, answer, options);
       } else if (error.message.includes("JSON")) {
         // Fallback to basic analysis
-        return this.getFallbackIndividualAnalysis(question, answer);
+        return this.getFallbackIndividualAnalysis(question, answer, options);
       }
 
       throw new Error(`Individual analysis failed: ${error.message}`);
     }
   }
 
+  /**
+   * Generate probing follow-up questions for an answer
+   * @param {string} question - Question that was answered
+   * @param {string} answer - User's answer
+   * @param {string} role - Target job role
+   * @param {string} level - Experience level
+   * @param {Object} [options] - Follow-up options
+   * @param {number} [options.count] - Number of follow-ups, 1 to FollowUps.MAX_COUNT
+   * @returns {Promise<Object>} { followUps, metadata }
+   */
+  async generateFollowUps(question, answer, role, level, options = {}) {
+    const count = options.count || FollowUps.MAX_COUNT;
+
+    try {
+      const response = await this.completeJSON({
+        task: "followUps",
+        context: { question, answer, role, level, count },
+        messages: [
+          {
+            role: "system",
+            content: this.getFollowUpSystemPrompt(),
+          },
+          {
+            role: "user",
+            content: this.buildFollowUpPrompt(question, answer, role, level, count),
+          },
+        ],
+        maxTokens: 200,
+        temperature: 0.5,
+      });
+
+      const { followUps } = response.data;
+      this.validateFollowUpResponse(followUps);
+
+      return {
+        followUps: followUps.slice(0, count),
+        metadata: {
+          generatedAt: new Date().toISOString(),
+          model: response.model,
+          provider: this.provider.name,
+          tokensUsed: response.tokensUsed,
+        },
+      };
+    } catch (error) {
+      console.error("LLM follow-up generation error:", error);
+
+      if (
+        error.message.includes("rate limit") ||
+        error.message.includes("quota") ||
+        error.message.includes("JSON") ||
+        error.message.includes("follow-up") ||
+        this.isUnavailableError(error)
+      ) {
+        console.log("Using fallback follow-up questions");
+        return this.getFallbackFollowUps(question, answer, count);
+      }
+
+      throw new Error(`Follow-up generation failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get system prompt for question generation
    * @returns {string} System prompt
@@ -216,7 +397,7 @@ class OpenAIService {
     Return only questions in the exact JSON format requested.
     Focus purely on creating relevant, professional questions without any additional commentary.
     
-    Always return JSON with these exact keys: "roleQuestions", "hrQuestions"`;
+    Always return JSON with exactly the category keys and question counts requested.`;
   }
 
   /**
@@ -239,40 +420,131 @@ class OpenAIService {
     Return only valid JSON.`;
   }
 
+  /**
+   * Get system prompt for follow-up questions
+   * @returns {string} System prompt for follow-ups
+   */
+  getFollowUpSystemPrompt() {
+    return `You are an experienced interviewer. Ask short probing follow-up questions
+    that dig into what the candidate just said: vague claims, missing specifics,
+    unstated trade-offs or outcomes. Return only valid JSON.`;
+  }
+
+  /**
+   * Build prompt for follow-up questions
+   * @param {string} question - Question that was answered
+   * @param {string} answer - User's answer
+   * @param {string} role - Target role
+   * @param {string} level - Experience level
+   * @param {number} count - Number of follow-ups
+   * @returns {string} Follow-up prompt
+   */
+  buildFollowUpPrompt(question, answer, role, level, count) {
+    // Follow-ups need more of the answer than scoring does, but not all of it
+    const truncatedAnswer =
+      answer.length > 600 ? answer.substring(0, 600) + "..." : answer;
+
+    return `${role} ${level} interview.
+
+Q: ${question}
+A: ${truncatedAnswer}
+
+Ask ${count} follow-up question${count === 1 ? "" : "s"} that probe this specific answer.
+
+Return JSON:
+{
+  "followUps": [${Array.from({ length: count }, (_, i) => `"Follow-up ${i + 1}"`).join(", ")}]
+}`;
+  }
+
   /**
    * Build prompt for question generation
    * @param {string} role - Target role
    * @param {string} level - Experience level
    * @param {Object} resumeSummary - Resume data
+   * @param {Object} [composition] - Normalized question count per category
+   * @param {Object} [skillGaps] - Normalized skill gaps from a job description match
    * @returns {string} Formatted prompt
    */
-  buildQuestionPrompt(role, level, resumeSummary) {
-    const skillsList = Array.isArray(resumeSummary.skills)
-      ? resumeSummary.skills.slice(0, 10).join(", ")
+  buildQuestionPrompt(
+    role,
+    level,
+    resumeSummary,
+    composition = QuestionComposition.normalize(),
+    skillGaps = SkillGaps.normalize()
+  ) {
+    // Strongest and most recent skills first, for the hardest questions to target
+    const rankedSkills = Array.isArray(resumeSummary.skills)
+      ? SkillProficiency.rank(resumeSummary.skills, resumeSummary.skillDetails).slice(0, 10)
+      : [];
+    // Skills can be edited on the client, so they are redacted again here
+    const skillsList = rankedSkills.length
+      ? TextCleaner.removePII(rankedSkills.map((skill) => SkillProficiency.describe(skill)).join(", "))
       : "Not specified";
+    const skillFocus = rankedSkills.some((skill) => skill.score !== null) && composition.technical > 0
+      ? "Skills are listed strongest and most recent first. Aim the hardest technical questions at the first skills and keep questions on weaker or older skills at a basic level.\n"
+      : "";
+
+    // Claimed certifications, publications and awards, for questions to check
+    const entryNames = (entries, field) => (Array.isArray(entries) ? entries : [])
+      .map((entry) => (typeof entry === "string" ? entry : entry && entry[field]))
+      .filter((name) => typeof name === "string" && name.trim())
+      .slice(0, 5);
+    const certifications = entryNames(resumeSummary.certifications, "name");
+    const achievements = [
+      ...entryNames(resumeSummary.publications, "title"),
+      ...entryNames(resumeSummary.awards, "title"),
+    ];
+    const credentialsSection = TextCleaner.removePII(
+      (certifications.length ? `Certifications: ${certifications.join(", ")}\n` : "") +
+        (achievements.length ? `Publications and awards: ${achievements.join(", ")}\n` : "")
+    );
+    const credentialFocus = certifications.length && composition.technical > 0
+      ? "Use one technical question to check the knowledge a listed certification claims.\n"
+      : "";
 
+    // Project titles are edited in the review step, so they are redacted too
     const projectsList = Array.isArray(resumeSummary.projects)
-      ? resumeSummary.projects
-          .slice(0, 3)
-          .map((p) => p.title || p)
-          .join(", ")
+      ? TextCleaner.removePII(
+          resumeSummary.projects
+            .slice(0, 3)
+            .map((p) => p.title || p)
+            .join(", ")
+        )
       : "Not specified";
 
+    const categories = QuestionComposition.activeCategories(composition);
+    const format = categories
+      .map((category) => {
+        const placeholders = Array.from(
+          { length: composition[category] },
+          (_, i) =>
+            `    "${QuestionComposition.DESCRIPTIONS[category]} ${i + 1}"`
+        );
+        return `  "${category}": [\n${placeholders.join(",\n")}\n  ]`;
+      })
+      .join(",\n");
+
+    const focus = SkillGaps.focusList(skillGaps);
+    const gapsSection = focus.length && composition.technical > 0
+      ? `
+Job requirements missing from the resume: ${focus
+          .map(({ skill, required }) => (required ? skill : `${skill} (nice to have)`))
+          .join(", ")}
+Use the technical questions to probe these gaps first, required skills before nice-to-have ones.
+`
+      : "";
+
     return `Role: ${role}
 Level: ${level}
 Skills: ${skillsList}
-
-Generate exactly 3 interview questions in this JSON format:
+${skillFocus}${credentialsSection}${credentialFocus}${gapsSection}
+Generate exactly ${QuestionComposition.total(composition)} interview questions in this JSON format:
 {
-  "roleQuestions": [
-    "Technical question 1 based on candidate skills",
-    "Technical question 2 based on ${role} role"
-  ],
-  "openEnded": [
-    "One behavioral/HR question"
-  ]
+${format}
 }
 
+Return exactly the number of questions shown for each key and no other keys.
 Keep questions concise and relevant.`;
   }
 
@@ -282,39 +554,49 @@ Keep questions concise and relevant.`;
    * @param {string[]} answers - User answers
    * @param {string} role - Target role
    * @param {string} level - Experience level
+   * @param {string[]} [questionTypes] - Question type per question
    * @returns {string} Analysis prompt
    */
-  buildAnalysisPrompt(questions, answers, role, level) {
+  buildAnalysisPrompt(questions, answers, role, level, questionTypes = []) {
+    const rubrics = questions.map((q, i) => this.rubrics.getRubric(questionTypes[i]));
+
     // Truncate long answers to save tokens
     const qaList = questions
       .map((q, i) => {
         const answer = answers[i] || "No answer";
         const truncatedAnswer =
           answer.length > 200 ? answer.substring(0, 200) + "..." : answer;
-        return `Q${i + 1}: ${q}\nA${i + 1}: ${truncatedAnswer}`;
+        return `Q${i + 1} (${rubrics[i].type} rubric): ${q}\nA${i + 1}: ${truncatedAnswer}`;
       })
       .join("\n\n");
 
+    const rubricList = [...new Set(rubrics)]
+      .map((rubric) => `${rubric.type} rubric:\n${this.rubrics.describe(rubric)}`)
+      .join("\n\n");
+
     return `${role} ${level} interview analysis:
 
 ${qaList}
 
+Score every criterion of each answer's rubric from 1-10:
+
+${rubricList}
+
 Return JSON:
 {
   "feedback": [
     {
       "questionId": "1",
-      "score": 7,
+      "criteria": { "${rubrics[0].criteria[0].key}": 7 },
       "feedback": "Brief feedback",
       "suggestions": ["Tip 1", "Tip 2"]
     }
   ],
-  "overallScore": 75,
   "summary": "Brief summary",
   "improvements": ["Area 1", "Area 2"]
 }
 
-Keep feedback concise. Score 1-10.`;
+Keep feedback concise. Include every criterion key of the rubric in "criteria".`;
   }
 
   /**
@@ -323,50 +605,85 @@ Keep feedback concise. Score 1-10.`;
    * @param {string} answer - User's answer
    * @param {string} role - Target role
    * @param {string} level - Experience level
+   * @param {string} [questionType] - Question type selecting the rubric
    * @returns {string} Individual analysis prompt
    */
-  buildIndividualAnalysisPrompt(question, answer, role, level) {
+  buildIndividualAnalysisPrompt(question, answer, role, level, questionType) {
+    const rubric = this.rubrics.getRubric(questionType);
+
     // Truncate answer to save tokens
     const truncatedAnswer =
       answer.length > 150 ? answer.substring(0, 150) + "..." : answer;
 
+    const criteriaFormat = rubric.criteria
+      .map((criterion) => `    "${criterion.key}": { "score": 7, "comment": "One sentence" }`)
+      .join(",\n");
+
     return `${role} ${level} interview question:
 
 Q: ${question}
 A: ${truncatedAnswer}
 
+Score each criterion 1-10:
+${this.rubrics.describe(rubric)}
+
 Return JSON:
 {
-  "score": 7,
+  "criteria": {
+${criteriaFormat}
+  },
   "feedback": "Brief feedback on the answer",
   "suggestions": ["Tip 1", "Tip 2"]
 }
 
-Score 1-10. Keep feedback concise.`;
+Keep feedback concise.`;
   }
 
   /**
    * Validate question generation response
-   * @param {Object} questions - Generated questions
+   * @param {Object} questions - Generated questions keyed by category
+   * @param {Object} [composition] - Normalized question count per category
    */
-  validateQuestionResponse(questions) {
-    if (
-      !Array.isArray(questions.roleQuestions) ||
-      questions.roleQuestions.length !== 2
-    ) {
-      throw new Error(
-        "Invalid response: roleQuestions must be array of 2 questions"
-      );
-    }
+  validateQuestionResponse(
+    questions,
+    composition = QuestionComposition.normalize()
+  ) {
+    QuestionComposition.activeCategories(composition).forEach((category) => {
+      const expected = composition[category];
+      const list = questions[category];
 
-    if (
-      !Array.isArray(questions.openEnded) ||
-      questions.openEnded.length !== 1
-    ) {
-      throw new Error(
-        "Invalid response: openEnded must be array of 1 question"
-      );
-    }
+      if (
+        !Array.isArray(list) ||
+        list.length !== expected ||
+        list.some((q) => typeof q !== "string" || q.trim().length === 0)
+      ) {
+        throw new Error(
+          `Invalid response: ${category} must be array of ${expected} question${
+            expected === 1 ? "" : "s"
+          }`
+        );
+      }
+    });
+  }
+
+  /**
+   * Shape validated questions into the API response: questions per category
+   * plus the legacy roleQuestions/openEnded lists
+   * @param {Object} questions - Questions keyed by category
+   * @param {Object} composition - Normalized question count per category
+   * @returns {Object} { categories, composition, roleQuestions, openEnded }
+   */
+  buildQuestionSet(questions, composition) {
+    const categories = {};
+    QuestionComposition.activeCategories(composition).forEach((category) => {
+      categories[category] = questions[category].map((q) => q.trim());
+    });
+
+    return {
+      categories,
+      composition,
+      ...QuestionComposition.toLegacy(categories),
+    };
   }
 
   /**
@@ -378,23 +695,13 @@ Score 1-10. Keep feedback concise.`;
       throw new Error("Invalid analysis: feedback must be an array");
     }
 
-    if (
-      typeof analysis.overallScore !== "number" ||
-      analysis.overallScore < 0 ||
-      analysis.overallScore > 100
-    ) {
-      throw new Error(
-        "Invalid analysis: overallScore must be number between 0-100"
-      );
-    }
-
     if (!analysis.summary || typeof analysis.summary !== "string") {
       throw new Error("Invalid analysis: summary must be a string");
     }
 
-    // Validate each feedback item has required fields
+    // Validate each feedback item has required fields; scores come from the criteria
     analysis.feedback.forEach((item, index) => {
-      if (!item.questionId || !item.score || !item.feedback) {
+      if (!item.questionId || !item.feedback) {
         throw new Error(
           `Invalid feedback item at index ${index}: missing required fields`
         );
@@ -402,18 +709,31 @@ Score 1-10. Keep feedback concise.`;
     });
   }
 
+  /**
+   * Validate follow-up response
+   * @param {string[]} followUps - Generated follow-up questions
+   */
+  validateFollowUpResponse(followUps) {
+    if (
+      !Array.isArray(followUps) ||
+      followUps.length === 0 ||
+      followUps.some((item) => typeof item !== "string" || !item.trim())
+    ) {
+      throw new Error("Invalid follow-up response: followUps must be a non-empty array of strings");
+    }
+  }
+
   /**
    * Validate individual analysis response
    * @param {Object} analysis - Individual analysis results
    */
   validateIndividualAnalysisResponse(analysis) {
     if (
-      typeof analysis.score !== "number" ||
-      analysis.score < 1 ||
-      analysis.score > 10
+      analysis.criteria !== undefined &&
+      (typeof analysis.criteria !== "object" || Array.isArray(analysis.criteria))
     ) {
       throw new Error(
-        "Invalid individual analysis: score must be number between 1-10"
+        "Invalid individual analysis: criteria must be an object of criterion scores"
       );
     }
 
@@ -428,21 +748,131 @@ Score 1-10. Keep feedback concise.`;
     }
   }
 
+  /**
+   * Score every answer of a model analysis against its rubric and derive the
+   * overall score from the per-question scores
+   * Questions the model left out are scored with the rubric heuristics.
+   * @param {Object} analysis - Validated model analysis
+   * @param {string[]} questions - Questions asked
+   * @param {string[]} answers - User answers
+   * @param {string[]} [questionTypes] - Question type per question
+   * @param {Object} [resumeSummary] - Parsed resume
+   * @param {Array<Object|null>} [timings] - Time used per question
+   * @returns {Object} Analysis with rubric scores per feedback item
+   */
+  scoreAnalysis(analysis, questions, answers, questionTypes = [], resumeSummary, timings) {
+    const feedback = questions.map((question, index) => {
+      const questionId = (index + 1).toString();
+      const item = analysis.feedback.find((entry) => String(entry.questionId) === questionId)
+        || {};
+      return this.scoreFeedbackItem(item, index, questions, answers, questionTypes, resumeSummary, timings);
+    });
+
+    const average = feedback.reduce((sum, item) => sum + item.score, 0) / feedback.length;
+    const improvements = Array.isArray(analysis.improvements) && analysis.improvements.length
+      ? analysis.improvements
+      : [...new Set(feedback.flatMap((item) => item.suggestions))].slice(0, 3);
+
+    const timing = AnswerTiming.summarize(timings);
+
+    return {
+      ...analysis,
+      feedback,
+      overallScore: Math.round(average * 10),
+      improvements,
+      ...(timing && { timing }),
+    };
+  }
+
+  /**
+   * STAR coverage for answers to behavioral questions
+   * @param {string} question - Question text
+   * @param {string} answer - User's answer
+   * @param {string} [questionType] - Question type
+   * @returns {Object} { star } for behavioral questions, otherwise empty
+   */
+  starFor(question, answer, questionType) {
+    if (!this.starAnalyzer.appliesTo(question, questionType)) {
+      return {};
+    }
+    return { star: this.starAnalyzer.analyze(answer) };
+  }
+
+  /**
+   * Whether an error means the LLM could not be reached at all
+   * @param {Error} error - Provider error
+   * @returns {boolean} True for connection failures and timeouts
+   */
+  isUnavailableError(error) {
+    return ["ECONNREFUSED", "ENOTFOUND", "ETIMEDOUT", "ECONNRESET"].includes(error.code)
+      || /connection error|timed out|fetch failed/i.test(error.message);
+  }
+
+  /**
+   * Score one model feedback item with the rubric for its question
+   * @param {Object} item - Model feedback item (may be empty)
+   * @param {number} index - Question position
+   * @param {string[]} questions - Questions asked
+   * @param {string[]} answers - User answers
+   * @param {string[]} [questionTypes] - Question type per question
+   * @param {Object} [resumeSummary] - Parsed resume
+   * @param {Array<Object|null>} [timings] - Time used per question
+   * @returns {Object} Feedback item with rubric scores
+   */
+  scoreFeedbackItem(item, index, questions, answers, questionTypes = [], resumeSummary, timings = []) {
+    const question = questions[index];
+    const answer = answers[index] || "";
+    const { criteria: modelCriteria, score, ...rest } = item;
+    const result = this.rubrics.evaluate(
+      questionTypes[index],
+      { question, answer, resumeSummary },
+      modelCriteria
+    );
+
+    return {
+      ...rest,
+      questionId: (index + 1).toString(),
+      ...result,
+      ...this.starFor(question, answer, questionTypes[index]),
+      ...(timings[index] && { timeUsed: AnswerTiming.forQuestion(timings[index]) }),
+      feedback: rest.feedback || "Scored with the rubric heuristics.",
+      suggestions: Array.isArray(rest.suggestions) && rest.suggestions.length
+        ? rest.suggestions
+        : this.suggestionsForCriteria(result.criteria),
+    };
+  }
+
+  /**
+   * Tips for the weakest criteria of an answer
+   * @param {Object[]} criteria - Scored rubric criteria
+   * @returns {string[]} Up to two suggestions
+   */
+  suggestionsForCriteria(criteria) {
+    return [...criteria]
+      .sort((a, b) => a.score - b.score || b.weight - a.weight)
+      .slice(0, 2)
+      .map((criterion) => `Work on ${criterion.label.toLowerCase()} (scored ${criterion.score}/10)`);
+  }
+
   /**
    * Get fallback analysis for individual question
    * @param {string} question - Question text
    * @param {string} answer - User's answer
-   * @returns {Object} Fallback individual analysis
+   * @param {Object} [options] - { questionType, resumeSummary }
+   * @returns {Object} Fallback individual analysis scored with the rubric heuristics
    */
-  getFallbackIndividualAnalysis(question, answer) {
+  getFallbackIndividualAnalysis(question, answer, options = {}) {
+    const result = this.rubrics.evaluate(options.questionType, {
+      question,
+      answer,
+      resumeSummary: options.resumeSummary,
+    });
+
     return {
-      score: 6,
-      feedback: "Analysis unavailable. Your answer has been recorded.",
-      suggestions: [
-        "Practice clear communication",
-        "Use specific examples",
-        "Structure your response logically",
-      ],
+      ...result,
+      ...this.starFor(question, answer, options.questionType),
+      feedback: "Detailed feedback is unavailable, so this answer was scored with the rubric heuristics.",
+      suggestions: this.suggestionsForCriteria(result.criteria),
       metadata: {
         analyzedAt: new Date().toISOString(),
         model: "fallback",
@@ -453,22 +883,34 @@ Score 1-10. Keep feedback concise.`;
 
   /**
    * Get fallback questions when AI generation fails
+   * Questions come from the question bank, best matches for the role and the
+   * resume skills first, topped up with the generic questions per category.
    * @param {string} role - Target role
    * @param {string} level - Experience level
+   * @param {Object} [composition] - Question count per category
+   * @param {Object} [skillGaps] - Skill gaps to probe before the role questions
+   * @param {Array<string|Object>} [skills] - Resume skills
    * @returns {Object} Fallback questions
    */
-  getFallbackQuestions(role, level) {
-    // Role-specific technical questions (only 2)
-    const roleQuestions = this.getRoleSpecificQuestions(role, level).slice(
-      0,
-      2
-    );
+  getFallbackQuestions(role, level, composition, skillGaps, skills) {
+    const counts = QuestionComposition.normalize(composition);
+    const bank = getQuestionBank();
+    const pool = (category) => [
+      ...new Set([
+        ...(category === "technical"
+          ? [...SkillGaps.toQuestions(skillGaps), ...this.getRoleSpecificQuestions(role, level, skills)]
+          : bank.select({ role, level, category, skills })),
+        ...QuestionComposition.GENERIC_QUESTIONS[category],
+      ]),
+    ];
+
+    const questions = {};
+    QuestionComposition.activeCategories(counts).forEach((category) => {
+      questions[category] = pool(category).slice(0, counts[category]);
+    });
 
     return {
-      roleQuestions: roleQuestions,
-      openEnded: [
-        "Tell me about a challenging project you worked on and how you overcame the difficulties.",
-      ],
+      ...this.buildQuestionSet(questions, counts),
       metadata: {
         promptUsed: "Fallback questions due to AI generation failure",
         model: "fallback",
@@ -479,92 +921,25 @@ Score 1-10. Keep feedback concise.`;
   }
 
   /**
-   * Get role-specific technical questions
+   * Get role-specific technical questions from the question bank
    * @param {string} role - Target role
    * @param {string} level - Experience level
+   * @param {Array<string|Object>} [skills] - Resume skills, matched first
    * @returns {string[]} Role-specific questions
    */
-  getRoleSpecificQuestions(role, level) {
-    const questionSets = {
-      "Frontend Developer": {
-        fresher: [
-          "What is the difference between HTML, CSS, and JavaScript?",
-          "Explain the box model in CSS.",
-          "What are the different ways to include CSS in a webpage?",
-          "What is the DOM and how do you manipulate it?",
-          "Explain the difference between var, let, and const in JavaScript.",
-        ],
-        intermediate: [
-          "Explain the concept of closures in JavaScript.",
-          "What are React hooks and why are they useful?",
-          "How do you optimize website performance?",
-          "Explain the difference between synchronous and asynchronous JavaScript.",
-          "What is responsive design and how do you implement it?",
-        ],
-        experienced: [
-          "How would you implement state management in a large React application?",
-          "Explain the virtual DOM and its benefits.",
-          "How do you handle cross-browser compatibility issues?",
-          "Describe your approach to testing frontend applications.",
-          "How would you optimize a web application for mobile devices?",
-        ],
-      },
-      "Backend Developer": {
-        fresher: [
-          "What is the difference between GET and POST HTTP methods?",
-          "Explain what an API is and how it works.",
-          "What is a database and what types are there?",
-          "What is the difference between SQL and NoSQL databases?",
-          "Explain what server-side rendering means.",
-        ],
-        intermediate: [
-          "How do you handle authentication and authorization in web applications?",
-          "Explain the concept of RESTful APIs.",
-          "What are microservices and their advantages?",
-          "How do you handle database transactions?",
-          "Explain caching strategies in backend development.",
-        ],
-        experienced: [
-          "How would you design a scalable backend architecture?",
-          "Explain different database indexing strategies.",
-          "How do you handle high-traffic scenarios?",
-          "Describe your approach to API versioning.",
-          "How would you implement a distributed system?",
-        ],
-      },
-      "Full Stack Developer": {
-        fresher: [
-          "What does full stack development mean to you?",
-          "Explain the difference between frontend and backend development.",
-          "What is a web framework and name a few you know?",
-          "How do frontend and backend communicate?",
-          "What is version control and why is it important?",
-        ],
-        intermediate: [
-          "How do you manage state between frontend and backend?",
-          "Explain the MVC architecture pattern.",
-          "How do you handle user authentication in a full stack application?",
-          "What are the considerations for deploying a web application?",
-          "How do you ensure data security in web applications?",
-        ],
-        experienced: [
-          "How would you architect a full stack application for scalability?",
-          "Explain your approach to testing across the full stack.",
-          "How do you handle real-time features in web applications?",
-          "Describe your deployment and CI/CD strategies.",
-          "How would you optimize performance across the entire stack?",
-        ],
-      },
-    };
-
-    // Get questions for the specific role and level, or use generic ones
-    const roleSet = questionSets[role];
-    if (roleSet && roleSet[level]) {
-      return roleSet[level];
+  getRoleSpecificQuestions(role, level, skills) {
+    const bank = getQuestionBank();
+    const questions = bank.select({ role, level, category: "technical", skills });
+    const covered = bank
+      .filter({ role, level, category: "technical" })
+      .some((question) => question.roles.length > 0);
+    if (covered) {
+      return questions;
     }
 
-    // Generic fallback questions
+    // Generic questions for roles the bank does not cover, after any skill matches
     return [
+      ...questions,
       `What interests you most about working as a ${role}?`,
       `Describe a project you've worked on that's relevant to this ${role} role.`,
       `What technologies or tools are you most comfortable working with?`,
@@ -573,29 +948,46 @@ Score 1-10. Keep feedback concise.`;
     ];
   }
 
+  /**
+   * Get fallback follow-ups built from the answer text
+   * @param {string} question - Question that was answered
+   * @param {string} answer - User's answer
+   * @param {number} [count] - Number of follow-ups
+   * @returns {Object} Fallback follow-ups
+   */
+  getFallbackFollowUps(question, answer, count) {
+    return {
+      followUps: FollowUps.fromAnswer(question, answer, count),
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        model: "fallback",
+        tokensUsed: 0,
+      },
+    };
+  }
+
   /**
    * Get fallback analysis when AI analysis fails
    * @param {string[]} questions - Questions asked
    * @param {string[]} answers - User answers
-   * @returns {Object} Fallback analysis
+   * @param {Object} [options] - { questionTypes, resumeSummary, timings }
+   * @returns {Object} Fallback analysis scored with the rubric heuristics
    */
-  getFallbackAnalysis(questions, answers) {
-    const feedback = questions.map((question, index) => ({
-      questionId: (index + 1).toString(),
-      score: 6,
-      feedback: "Analysis unavailable. Try again later.",
-      suggestions: ["Practice clear communication", "Use specific examples"],
-    }));
+  getFallbackAnalysis(questions, answers, options = {}) {
+    const analysis = this.scoreAnalysis(
+      {
+        feedback: [],
+        summary: "Detailed analysis is temporarily unavailable, so answers were scored with the rubric heuristics.",
+      },
+      questions,
+      answers,
+      options.questionTypes,
+      options.resumeSummary,
+      options.timings
+    );
 
     return {
-      feedback,
-      overallScore: 60,
-      summary: "Analysis temporarily unavailable. Responses recorded.",
-      improvements: [
-        "Practice technical explanations",
-        "Prepare specific examples",
-        "Structure answers logically",
-      ],
+      ...analysis,
       metadata: {
         analyzedAt: new Date().toISOString(),
         model: "fallback",
@@ -1,41 +1,45 @@
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
 const fs = require('fs');
+const DateParser = require('../utils/dateParser');
+const PdfLayout = require('../utils/pdfLayout');
+const DocumentFormat = require('../utils/documentFormat');
+const MarkupText = require('../utils/markupText');
+const SkillProficiency = require('../utils/skillProficiency');
+const ContactDetails = require('../utils/contactDetails');
+const TextCleaner = require('../utils/textCleaner');
+const SectionEntries = require('../utils/sectionEntries');
+const ParseQuality = require('../utils/parseQuality');
+const { getSkillTaxonomy } = require('./skills');
+
+// Kinds of section reported with extracted skills, by heading
+const SECTION_KINDS = {
+  skills: /\b(skills|competencies|technologies|expertise|tools|tech stack)\b/,
+  projects: /\bprojects\b/,
+  education: /\b(education|academic background)\b/,
+  summary: /\b(summary|objective|profile|about me)\b/
+};
+
+// Headings of the sections read by SectionEntries, as extractSection names
+const CERTIFICATION_SECTIONS = ['certifications', 'certificates', 'licenses'];
+const LANGUAGE_SECTIONS = ['languages'];
+const PUBLICATION_SECTIONS = ['publications'];
+const AWARD_SECTIONS = ['awards', 'honors', 'honours', 'achievements'];
+const MAX_SECTION_ENTRIES = 10;
+
+// "Languages: English, Spanish" inside another section
+const INLINE_LANGUAGES = /^(?:spoken\s+)?languages\s*:\s*(.+)$/i;
+
+// Skills headings that are not in sectionHeadings, such as "Programming Languages"
+const SKILL_SECTION_HEADING = /^[a-z& ]{0,30}\b(skills|competencies|technologies|expertise|tools|tech stack|programming languages)$/;
 
 class ResumeParser {
-  constructor() {
-    // Common skills database for matching
-    this.skillsDatabase = [
-      // Programming Languages
-      'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Go', 'Rust', 'Swift',
-      'Kotlin', 'TypeScript', 'Scala', 'R', 'MATLAB', 'Perl', 'Shell', 'PowerShell',
-      
-      // Web Technologies
-      'HTML', 'CSS', 'React', 'Angular', 'Vue.js', 'Node.js', 'Express', 'Django', 'Flask',
-      'Spring', 'Laravel', 'Rails', 'ASP.NET', 'jQuery', 'Bootstrap', 'Tailwind',
-      
-      // Databases
-      'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 'SQLite', 'Oracle', 'SQL Server',
-      'Cassandra', 'DynamoDB', 'Firebase', 'Elasticsearch',
-      
-      // Cloud & DevOps
-      'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Jenkins', 'GitLab CI', 'GitHub Actions',
-      'Terraform', 'Ansible', 'Chef', 'Puppet', 'Nginx', 'Apache',
-      
-      // Tools & Frameworks
-      'Git', 'SVN', 'Jira', 'Confluence', 'Slack', 'Trello', 'Figma', 'Sketch', 'Photoshop',
-      'Illustrator', 'InDesign', 'Canva', 'Postman', 'Swagger', 'REST API', 'GraphQL',
-      
-      // Data & Analytics
-      'Pandas', 'NumPy', 'Scikit-learn', 'TensorFlow', 'PyTorch', 'Keras', 'Tableau',
-      'Power BI', 'Excel', 'Google Analytics', 'Hadoop', 'Spark', 'Kafka',
-      
-      // Mobile Development
-      'React Native', 'Flutter', 'iOS', 'Android', 'Xamarin', 'Ionic', 'Cordova',
-      
-      // Testing
-      'Jest', 'Mocha', 'Cypress', 'Selenium', 'JUnit', 'PyTest', 'Postman', 'TestNG'
-    ];
+  /**
+   * @param {SkillTaxonomy} [taxonomy] - Skills to look for; the shared taxonomy by default
+   */
+  constructor(taxonomy) {
+    this.taxonomy = taxonomy || getSkillTaxonomy();
 
     // Education keywords
     this.educationKeywords = [
@@ -45,45 +49,91 @@ class ResumeParser {
       'Mechanical', 'Civil', 'Electrical', 'Chemical', 'Biotechnology', 'Mathematics',
       'Physics', 'Chemistry', 'Biology', 'Business Administration', 'Management'
     ];
+
+    // Headings that introduce a work history section
+    this.workHistoryHeaders = [
+      'experience', 'work experience', 'professional experience', 'relevant experience',
+      'employment', 'employment history', 'work history', 'career history',
+      'internships', 'internship experience'
+    ];
+
+    // Headings that end a section when they appear on a line of their own
+    this.sectionHeadings = [
+      ...this.workHistoryHeaders,
+      'education', 'academic background', 'skills', 'technical skills', 'core competencies',
+      'projects', 'key projects', 'academic projects', 'personal projects', 'certifications',
+      'certificates', 'licenses & certifications', 'achievements', 'awards', 'honors & awards',
+      'awards & achievements', 'summary', 'professional summary', 'objective', 'profile',
+      'contact', 'languages', 'spoken languages', 'interests', 'hobbies', 'references', 'publications',
+      'volunteer experience', 'qualifications', 'training'
+    ];
+
+    // Words that mark a segment of a role heading as a job title
+    this.jobTitlePattern = /\b(engineer|developer|programmer|intern|internship|trainee|manager|analyst|designer|consultant|lead|architect|scientist|specialist|administrator|associate|director|officer|tester|qa|sde|devops|head|founder|co-founder|president|assistant|coordinator|executive|technician|researcher)\b/i;
   }
 
   /**
    * Parse resume file and extract structured information
    * @param {string} filePath - Path to the resume file
-   * @param {string} mimeType - MIME type of the file
+   * @param {string} [fileName] - Original file name; the format is sniffed from the content
    * @returns {Promise<Object>} Parsed resume data
    */
-  async parseResume(filePath, mimeType) {
+  async parseResume(filePath, fileName) {
     try {
-      let text = '';
-      
-      // Extract text based on file type
-      if (mimeType === 'application/pdf') {
-        text = await this.extractPdfText(filePath);
-      } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        text = await this.extractDocxText(filePath);
-      } else {
-        throw new Error('Unsupported file format');
-      }
+      const { text, format, pages, layouts } = await this.extractText(filePath, fileName);
 
       // Clean and normalize text
       const cleanedText = this.cleanText(text);
-      
+
+      // Contact details are read first; everything else is extracted from the
+      // redacted text, so no field can carry them into a prompt or a log
+      const contact = ContactDetails.extract(cleanedText, { jobTitlePattern: this.jobTitlePattern });
+      const redactedText = TextCleaner.removePII(cleanedText, {
+        names: [contact.name],
+        headerLines: ContactDetails.header(cleanedText).length
+      });
+
       // Extract structured information
-      const skills = this.extractSkills(cleanedText);
-      const experience = this.extractExperience(cleanedText);
-      const education = this.extractEducation(cleanedText);
-      const projects = this.extractProjects(cleanedText);
+      const workHistory = this.extractWorkHistory(redactedText);
+      const skillDetails = this.assessSkills(this.extractSkills(redactedText), redactedText, workHistory);
+      const experience = this.extractExperience(redactedText, workHistory);
+      const experienceYears = this.estimateExperienceYears(redactedText, workHistory);
+      const education = this.extractEducation(redactedText);
+      const projects = this.extractProjects(redactedText);
+      const certifications = this.extractCertifications(redactedText);
+      const languages = this.extractLanguages(redactedText);
+      const publications = this.extractPublications(redactedText);
+      const awards = this.extractAwards(redactedText);
 
-      return {
-        text: cleanedText,
-        skills,
+      const fields = {
+        text: redactedText,
+        contact,
+        skills: skillDetails.map(skill => skill.name),
+        skillDetails,
         experience,
+        experienceYears,
+        workHistory,
         education,
         projects,
+        certifications,
+        languages,
+        publications,
+        awards
+      };
+      const { confidence, warnings } = ParseQuality.assess(fields, {
+        format,
+        pages,
+        layouts,
+        sections: this.findSections(redactedText)
+      });
+
+      return {
+        ...fields,
+        confidence,
+        warnings,
         raw: {
           originalText: text,
-          fileType: mimeType,
+          fileType: DocumentFormat.FORMATS[format].mimeType,
           extractedAt: new Date().toISOString()
         }
       };
@@ -93,16 +143,83 @@ class ResumeParser {
     }
   }
 
+  /**
+   * Extract the text of a resume file in any supported format
+   * @param {string} filePath - Path to the file
+   * @param {string} [fileName] - Original file name
+   * @returns {Promise<Object>} { text, format } with format a DocumentFormat.FORMATS key;
+   *   PDFs also report their `pages` and `layouts` (see readPdf)
+   */
+  async extractText(filePath, fileName) {
+    const buffer = fs.readFileSync(filePath);
+    const format = await DocumentFormat.detect(buffer, fileName || filePath);
+
+    if (DocumentFormat.isInvalidPdf(format, fileName || filePath)) {
+      throw new Error('Invalid PDF file: the file has no PDF header');
+    }
+
+    if (!format) {
+      const hint = DocumentFormat.isLegacyWord(buffer)
+        ? 'legacy Word (.doc) files cannot be read, save the resume as DOCX or PDF'
+        : `supported formats are ${DocumentFormat.labels.join(', ')}`;
+      throw new Error(`Unsupported file format: ${hint}`);
+    }
+
+    if (format === 'pdf') {
+      return { ...(await this.readPdf(filePath)), format };
+    }
+
+    const extractors = {
+      docx: () => this.extractDocxText(filePath),
+      odt: () => this.extractOdtText(buffer),
+      rtf: () => this.extractRtfText(buffer),
+      markdown: () => MarkupText.fromMarkdown(DocumentFormat.decodeText(buffer)),
+      text: () => DocumentFormat.decodeText(buffer)
+    };
+
+    return { text: await extractors[format](), format };
+  }
+
   /**
    * Extract text from PDF file
    * @param {string} filePath - Path to PDF file
+   * @param {Object} [options] - See readPdf
    * @returns {Promise<string>} Extracted text
    */
-  async extractPdfText(filePath) {
+  async extractPdfText(filePath, options) {
+    const { text } = await this.readPdf(filePath, options);
+    return text;
+  }
+
+  /**
+   * Read the text of a PDF file with what is known about its layout
+   * Text is rebuilt from item positions so columns are read one after the
+   * other and table rows stay together; pdf-parse's content-stream text is
+   * the fallback when a page has no positioned text.
+   * @param {string} filePath - Path to PDF file
+   * @param {Object} [options]
+   * @param {boolean} [options.layout=true] - Use layout-aware extraction
+   * @returns {Promise<Object>} { text, pages, layouts } with layouts the kinds
+   *   of side-by-side regions found ('columns', 'labels' or 'table')
+   */
+  async readPdf(filePath, { layout = true } = {}) {
     try {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdfParse(dataBuffer);
-      return data.text;
+      // A copy, since pdf.js misreads Buffers that share a pooled ArrayBuffer
+      const data = new Uint8Array(fs.readFileSync(filePath));
+
+      if (layout) {
+        const layouts = new Set();
+        const isHeading = line => this.sectionHeadings.includes(this.normalizeHeading(line));
+        const result = await pdfParse(data, {
+          pagerender: pageData => PdfLayout.renderPage(pageData, { isHeading, onRegion: kind => layouts.add(kind) })
+        });
+        if (result.text.trim().length > 0) {
+          return { text: result.text, pages: result.numpages, layouts: [...layouts] };
+        }
+      }
+
+      const result = await pdfParse(data);
+      return { text: result.text, pages: result.numpages, layouts: [] };
     } catch (error) {
       throw new Error(`PDF parsing failed: ${error.message}`);
     }
@@ -122,6 +239,37 @@ class ResumeParser {
     }
   }
 
+  /**
+   * Extract text from an OpenDocument text (ODT) file
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractOdtText(buffer) {
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      const content = zip.file('content.xml');
+      if (!content) {
+        throw new Error('content.xml is missing');
+      }
+      return MarkupText.fromOdtXml(await content.async('string'));
+    } catch (error) {
+      throw new Error(`ODT parsing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from an RTF file
+   * @param {Buffer} buffer - File content
+   * @returns {string} Extracted text
+   */
+  extractRtfText(buffer) {
+    try {
+      return MarkupText.fromRtf(DocumentFormat.decodeText(buffer));
+    } catch (error) {
+      throw new Error(`RTF parsing failed: ${error.message}`);
+    }
+  }
+
   /**
    * Clean and normalize extracted text
    * @param {string} text - Raw extracted text
@@ -131,91 +279,128 @@ class ResumeParser {
     return text
       .replace(/\r\n/g, '\n')  // Normalize line endings
       .replace(/\n{3,}/g, '\n\n')  // Remove excessive line breaks
-      .replace(/\s{2,}/g, ' ')  // Remove excessive spaces
+      .replace(/[ \t]{2,}/g, ' ')  // Remove excessive spaces (line breaks carry section structure)
+      .replace(/^[ \t]+|[ \t]+$/gm, '')  // Trim each line
       .trim();
   }
 
   /**
    * Extract skills from resume text
+   * Names and aliases from the skill taxonomy are matched as whole words and
+   * reported under their canonical name, with the sections mentioning them.
    * @param {string} text - Resume text
-   * @returns {string[]} Array of identified skills
+   * @returns {Object[]} { name, category, count, sections, related } per skill, sorted by name
    */
   extractSkills(text) {
-    const foundSkills = new Set();
-    const textLower = text.toLowerCase();
-    
-    // Check each skill in our database
-    this.skillsDatabase.forEach(skill => {
-      const skillLower = skill.toLowerCase();
-      
-      // Look for exact matches with word boundaries
-      const regex = new RegExp(`\\b${skillLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-      if (regex.test(textLower)) {
-        foundSkills.add(skill);
+    const found = new Map();
+    let section = 'other';
+
+    text.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      const heading = this.normalizeHeading(line);
+      const isHeading = line.length < 50 && (
+        this.sectionHeadings.includes(heading) || this.isMarkdownHeading(line) || SKILL_SECTION_HEADING.test(heading)
+      );
+
+      if (isHeading) {
+        // Other sections go by their heading ("certifications"); Markdown ones could be the candidate's name
+        section = this.sectionKind(heading) || (this.sectionHeadings.includes(heading) ? heading : 'other');
       }
-      
-      // Also check for variations with dots, dashes, etc.
-      const variations = [
-        skillLower.replace(/\./g, ''),  // Remove dots (e.g., "Node.js" -> "nodejs")
-        skillLower.replace(/-/g, ''),   // Remove dashes
-        skillLower.replace(/\s+/g, ''), // Remove spaces
-      ];
-      
-      variations.forEach(variation => {
-        if (variation !== skillLower && textLower.includes(variation)) {
-          foundSkills.add(skill);
+
+      // "Skills: Python, SQL" is a skills line wherever it appears
+      const label = !isHeading && line.match(/^([^:]{3,40}):\s*\S/);
+      const lineSection = (label && this.sectionKind(this.normalizeHeading(label[1]))) || section;
+
+      this.taxonomy.findMentions(line).forEach(({ skill }) => {
+        const entry = found.get(skill.name) || {
+          name: skill.name,
+          category: skill.category,
+          count: 0,
+          sections: [],
+          related: [...skill.related]
+        };
+        entry.count++;
+        if (!entry.sections.includes(lineSection)) {
+          entry.sections.push(lineSection);
         }
+        found.set(skill.name, entry);
       });
     });
 
-    // Look for skills in dedicated sections
-    const skillsSections = this.extractSection(text, ['skills', 'technical skills', 'technologies', 'expertise', 'tools', 'programming languages']);
-    skillsSections.forEach(section => {
-      // Split by common delimiters
-      const skillCandidates = section.split(/[,;|\n•·\-\*]/);
-      
-      skillCandidates.forEach(candidate => {
-        const cleanCandidate = candidate.trim().toLowerCase();
-        if (cleanCandidate.length > 1) {
-          this.skillsDatabase.forEach(skill => {
-            const skillLower = skill.toLowerCase();
-            if (cleanCandidate.includes(skillLower) || skillLower.includes(cleanCandidate)) {
-              foundSkills.add(skill);
-            }
-          });
+    return Array.from(found.values()).sort((a, b) => (a.name < b.name ? -1 : 1));
+  }
+
+  /**
+   * Add proficiency and recency estimates to extracted skills
+   * A skill is used in the roles whose title or bullets mention it; the
+   * words before each mention qualify it ("expert in", "familiar with") or
+   * state its years of use ("5 years of Python").
+   * @param {Object[]} skills - Skills from extractSkills
+   * @param {string} text - Resume text
+   * @param {Object[]} workHistory - Roles from extractWorkHistory
+   * @param {Date} [now] - Reference date for current roles and recency
+   * @returns {Object[]} Skills with proficiency, score, years, lastUsed and recency
+   */
+  assessSkills(skills, text, workHistory, now = new Date()) {
+    const roles = workHistory.map(role => ({
+      role,
+      names: new Set(this.taxonomy.findMentions([role.title, ...role.bullets].join('\n')).map(({ skill }) => skill.name))
+    }));
+
+    const qualifiers = {};
+    const statedYears = {};
+    text.split('\n').forEach(line => {
+      this.taxonomy.findMentions(line).forEach(({ skill, index, length }) => {
+        const before = line.slice(0, index);
+        const qualifier = SkillProficiency.qualifierBefore(before);
+        if (qualifier) {
+          qualifiers[skill.name] = [...(qualifiers[skill.name] || []), qualifier];
+        }
+
+        const years = SkillProficiency.statedYears(before, line.slice(index + length));
+        if (years !== null) {
+          statedYears[skill.name] = Math.max(statedYears[skill.name] || 0, years);
         }
       });
     });
 
-    // Look for programming languages specifically
-    const programmingPatterns = [
-      /programming languages?:?\s*([^\n]+)/gi,
-      /languages?:?\s*([^\n]+)/gi,
-      /technologies?:?\s*([^\n]+)/gi
-    ];
-    
-    programmingPatterns.forEach(pattern => {
-      const matches = text.match(pattern);
-      if (matches) {
-        matches.forEach(match => {
-          this.skillsDatabase.forEach(skill => {
-            if (match.toLowerCase().includes(skill.toLowerCase())) {
-              foundSkills.add(skill);
-            }
-          });
-        });
-      }
-    });
+    return skills.map(skill => ({
+      ...skill,
+      ...SkillProficiency.estimate({
+        count: skill.count,
+        sections: skill.sections,
+        roles: roles.filter(({ names }) => names.has(skill.name)).map(({ role }) => role),
+        qualifiers: qualifiers[skill.name],
+        statedYears: statedYears[skill.name] || null
+      }, now)
+    }));
+  }
 
-    return Array.from(foundSkills).sort();
+  /**
+   * Kind of section a heading starts, as reported with extracted skills
+   * @param {string} heading - Heading from normalizeHeading
+   * @returns {string|null} experience, skills, projects, education or summary
+   */
+  sectionKind(heading) {
+    if (this.workHistoryHeaders.includes(heading)) {
+      return 'experience';
+    }
+    return Object.keys(SECTION_KINDS).find(kind => SECTION_KINDS[kind].test(heading)) || null;
   }
 
   /**
    * Extract experience information
    * @param {string} text - Resume text
+   * @param {Object[]} [workHistory] - Roles from extractWorkHistory
    * @returns {string} Experience summary
    */
-  extractExperience(text) {
+  extractExperience(text, workHistory = this.extractWorkHistory(text)) {
+    // Dated roles are more reliable than anything the candidate states about themselves
+    const months = this.calculateExperienceMonths(workHistory);
+    if (months > 0) {
+      return `${DateParser.formatDuration(months)} of experience`;
+    }
+
     const experiencePatterns = [
       /(\d+)\+?\s*years?\s*of\s*experience/gi,
       /(\d+)\+?\s*years?\s*experience/gi,
@@ -232,17 +417,6 @@ class ResumeParser {
       }
     }
 
-    // Try to infer from work history dates
-    const datePattern = /\b(19|20)\d{2}\b/g;
-    const dates = text.match(datePattern);
-    if (dates && dates.length >= 2) {
-      const years = dates.map(d => parseInt(d)).sort();
-      const experienceYears = new Date().getFullYear() - Math.min(...years);
-      if (experienceYears > 0 && experienceYears < 50) {
-        return `Approximately ${experienceYears} years`;
-      }
-    }
-
     // Look for internship or fresher indicators
     const fresherKeywords = ['intern', 'internship', 'fresher', 'graduate', 'entry level'];
     const textLower = text.toLowerCase();
@@ -256,6 +430,244 @@ class ResumeParser {
     return 'Experience level not specified';
   }
 
+  /**
+   * Estimate total years of experience
+   * @param {string} text - Resume text
+   * @param {Object[]} workHistory - Roles from extractWorkHistory
+   * @returns {number|null} Years (one decimal place), or null when unknown
+   */
+  estimateExperienceYears(text, workHistory) {
+    const months = this.calculateExperienceMonths(workHistory);
+    if (months > 0) {
+      return Math.round((months / 12) * 10) / 10;
+    }
+
+    const explicit = text.match(/(\d+)\+?\s*(?:years?|yrs?)\s*(?:of\s*)?experience/i);
+    if (explicit) {
+      return parseInt(explicit[1]);
+    }
+
+    return this.extractExperience(text, workHistory) === 'Fresher/Entry Level' ? 0 : null;
+  }
+
+  /**
+   * Total months covered by dated roles, with overlapping roles counted once
+   * @param {Object[]} workHistory - Roles from extractWorkHistory
+   * @returns {number} Total months
+   */
+  calculateExperienceMonths(workHistory = []) {
+    const now = new Date();
+    const current = { year: now.getFullYear(), month: now.getMonth() + 1, precision: 'month' };
+
+    const ranges = workHistory
+      .filter(role => role.startDate && role.endDate)
+      .map(role => ({
+        start: DateParser.parseDate(role.startDate),
+        end: role.isCurrent ? current : DateParser.parseDate(role.endDate)
+      }))
+      .filter(range => range.start && range.end);
+
+    return DateParser.totalMonths(ranges);
+  }
+
+  /**
+   * Extract structured work history from the experience section
+   * @param {string} text - Resume text
+   * @returns {Object[]} Roles with title, company, location, dates and bullets
+   */
+  extractWorkHistory(text) {
+    const roles = [];
+
+    this.findSectionLines(text, this.workHistoryHeaders).forEach(lines => {
+      let current = null;
+
+      lines.forEach(line => {
+        const range = DateParser.findDateRange(line);
+        const isBullet = /^[•·▪▫‣⁃◦*-]\s*/.test(line);
+        const isDescription = isBullet ||
+          (current && !range && (line.length > 80 || this.looksLikeSentence(line)));
+
+        if (isDescription) {
+          if (current) {
+            current.bullets.push(line.replace(/^[•·▪▫‣⁃◦*-]\s*/, '').trim());
+          }
+          return;
+        }
+
+        // A heading line after bullets, or a second date range, starts the next role
+        if (!current || current.bullets.length > 0 || (range && current.range)) {
+          current = { headerLines: [], bullets: [], range: null };
+          roles.push(current);
+        }
+
+        current.headerLines.push(line);
+        if (range && !current.range) {
+          current.range = range;
+        }
+      });
+    });
+
+    return roles
+      .filter(role => role.range || role.bullets.length > 0)
+      .map(role => ({
+        ...this.parseRoleHeading(role.headerLines, role.range),
+        startDate: role.range ? DateParser.formatDate(role.range.start) : null,
+        endDate: role.range ? (role.range.isCurrent ? 'Present' : DateParser.formatDate(role.range.end)) : null,
+        isCurrent: role.range ? role.range.isCurrent : false,
+        bullets: role.bullets.filter(bullet => bullet.length > 0)
+      }));
+  }
+
+  /**
+   * Split a role heading into title, company and location
+   * Handles "Title | Company | Dates", "Title - Company (Dates)",
+   * "Title at Company" and "Company, City, ST  Dates" followed by a title line.
+   * @param {string[]} headerLines - Heading lines of one role
+   * @param {Object|null} range - Date range found in the heading
+   * @returns {Object} { title, company, location }
+   */
+  parseRoleHeading(headerLines, range) {
+    const role = { title: '', company: '', location: '' };
+    let heading = headerLines.join(' | ');
+
+    if (range) {
+      heading = heading.replace(range.matchedText, ' | ');
+    }
+
+    const segments = heading
+      .split(/\s+[-–—]\s+|\s*\|\s*|\s+at\s+|\s*@\s*|[()]/i)
+      .map(segment => segment.trim().replace(/^[,;:]+|[,;:]+$/g, '').trim())
+      .filter(segment => segment.length > 0);
+
+    const assign = (segment) => {
+      if (this.looksLikeLocation(segment)) {
+        role.location = role.location || segment;
+      } else if (!role.title && this.jobTitlePattern.test(segment)) {
+        role.title = segment;
+      } else if (!role.company) {
+        role.company = segment;
+      } else if (!role.title) {
+        role.title = segment;
+      }
+    };
+
+    segments.forEach(segment => {
+      const parts = segment.split(/\s*,\s*/).filter(Boolean);
+      if (parts.length === 1 || this.looksLikeLocation(segment)) {
+        assign(segment);
+        return;
+      }
+
+      // "Company, City, ST" or "Title, Company"
+      assign(parts[0]);
+      const rest = parts.slice(1).join(', ');
+      if (this.looksLikeLocation(rest)) {
+        role.location = role.location || rest;
+      } else {
+        assign(rest);
+      }
+    });
+
+    return role;
+  }
+
+  /**
+   * Check if a heading segment looks like a location
+   * @param {string} segment - Heading segment
+   * @returns {boolean} Whether it looks like a location
+   */
+  looksLikeLocation(segment) {
+    if (/^(remote|hybrid|on-?site)$/i.test(segment)) return true;
+    if (/\b(inc|llc|ltd|corp|corporation|pvt|limited|gmbh|technologies|solutions)\b\.?/i.test(segment)) return false;
+    if (this.jobTitlePattern.test(segment)) return false;
+
+    // "City, ST" or "City, Country"
+    return /^[A-Z][a-zA-Z.\s]+,\s*([A-Z]{2}|[A-Z][a-zA-Z\s]+)$/.test(segment);
+  }
+
+  /**
+   * Check if a line reads like a sentence rather than a heading
+   * @param {string} line - Text line
+   * @returns {boolean} Whether it looks like prose
+   */
+  looksLikeSentence(line) {
+    const connectors = ['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with'];
+    const lowercaseWords = line
+      .split(/\s+/)
+      .filter(word => /^[a-z]/.test(word) && !connectors.includes(word));
+
+    return lowercaseWords.length >= 3 || /[.!?]$/.test(line);
+  }
+
+  /**
+   * Collect the lines of every section whose heading matches one of the names
+   * Unlike extractSection, headings must stand on their own line, so content
+   * such as "3 years of experience" does not start or end a section.
+   * @param {string} text - Resume text
+   * @param {string[]} headerNames - Section headings to collect
+   * @returns {string[][]} Non-empty trimmed lines for each matching section
+   */
+  findSectionLines(text, headerNames) {
+    const sections = [];
+    let current = null;
+
+    text.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      const heading = this.normalizeHeading(line);
+
+      if (line.length < 50 && headerNames.includes(heading)) {
+        current = [];
+        sections.push(current);
+      } else if (line.length < 50 && (this.sectionHeadings.includes(heading) || this.isMarkdownHeading(line))) {
+        current = null;
+      } else if (current && line.length > 0) {
+        current.push(line);
+      }
+    });
+
+    return sections.filter(lines => lines.length > 0);
+  }
+
+  /**
+   * Kinds of the sections whose headings stand on their own line
+   * @param {string} text - Resume text
+   * @returns {string[]} Section kinds (see sectionKind), or the heading itself
+   *   for other known sections, each once
+   */
+  findSections(text) {
+    const sections = new Set();
+
+    text.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      const heading = this.normalizeHeading(line);
+      if (line.length < 50 && (this.sectionHeadings.includes(heading) || this.isMarkdownHeading(line))) {
+        sections.add(this.sectionKind(heading) || heading);
+      }
+    });
+
+    return [...sections];
+  }
+
+  /**
+   * Whether a line is a Markdown heading ("## Open Source")
+   * Markdown resumes keep their heading markers, so any heading ends a section
+   * even when it is not one of sectionHeadings.
+   * @param {string} line - Line of resume text
+   * @returns {boolean} Whether the line is a heading
+   */
+  isMarkdownHeading(line) {
+    return /^#{1,6}\s+\S/.test(line.trim());
+  }
+
+  /**
+   * Heading text in the form used by sectionHeadings
+   * @param {string} line - Line of resume text
+   * @returns {string} Lowercase words without punctuation
+   */
+  normalizeHeading(line) {
+    return line.toLowerCase().replace(/[^a-z&\s]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
   /**
    * Extract education information
    * @param {string} text - Resume text
@@ -386,6 +798,83 @@ class ResumeParser {
     return projects.slice(0, 8); // Limit to 8 projects
   }
 
+  /**
+   * Extract certifications with their issuer and date
+   * @param {string} text - Resume text
+   * @returns {Object[]} { name, issuer, date } per certification
+   */
+  extractCertifications(text) {
+    return this.extractSectionEntries(text, CERTIFICATION_SECTIONS, line => SectionEntries.parseCertification(line), 'name');
+  }
+
+  /**
+   * Extract spoken languages with their proficiency
+   * Read from languages sections and "Languages:" lines elsewhere; only
+   * spoken languages count, so "Programming Languages" adds nothing.
+   * @param {string} text - Resume text
+   * @returns {Object[]} { language, proficiency } per language
+   */
+  extractLanguages(text) {
+    const inline = text.split('\n')
+      .map(line => line.trim().match(INLINE_LANGUAGES))
+      .filter(Boolean)
+      .map(match => match[1]);
+    const lines = [
+      ...this.extractSection(text, LANGUAGE_SECTIONS).flatMap(section => section.split('\n')),
+      ...inline
+    ];
+
+    const languages = new Map();
+    lines.flatMap(line => SectionEntries.parseLanguages(line)).forEach(entry => {
+      const known = languages.get(entry.language);
+      if (!known || (!known.proficiency && entry.proficiency)) {
+        languages.set(entry.language, entry);
+      }
+    });
+    return [...languages.values()].slice(0, MAX_SECTION_ENTRIES);
+  }
+
+  /**
+   * Extract publications with their venue and date
+   * @param {string} text - Resume text
+   * @returns {Object[]} { title, venue, date } per publication
+   */
+  extractPublications(text) {
+    return this.extractSectionEntries(text, PUBLICATION_SECTIONS, line => SectionEntries.parsePublication(line), 'title');
+  }
+
+  /**
+   * Extract awards and achievements with who gave them and when
+   * @param {string} text - Resume text
+   * @returns {Object[]} { title, issuer, date } per award
+   */
+  extractAwards(text) {
+    return this.extractSectionEntries(text, AWARD_SECTIONS, line => SectionEntries.parseAward(line), 'title');
+  }
+
+  /**
+   * Parse each line of the sections with one of the names
+   * @param {string} text - Resume text
+   * @param {string[]} sectionNames - Section names for extractSection
+   * @param {Function} parse - Line parser returning an entry or null
+   * @param {string} nameField - Entry field that tells repeated entries apart
+   * @returns {Object[]} Unique entries, at most MAX_SECTION_ENTRIES
+   */
+  extractSectionEntries(text, sectionNames, parse, nameField) {
+    const seen = new Set();
+
+    return this.extractSection(text, sectionNames)
+      .flatMap(section => section.split('\n'))
+      .map(line => line.trim())
+      .filter(line => line.length > 2)
+      .map(parse)
+      .filter(entry => {
+        const key = entry && entry[nameField].toLowerCase();
+        return key && !seen.has(key) && seen.add(key);
+      })
+      .slice(0, MAX_SECTION_ENTRIES);
+  }
+
   /**
    * Check if a line looks like a project title
    * @param {string} line - Text line
@@ -415,16 +904,12 @@ class ResumeParser {
    * @returns {string[]} Array of technologies found
    */
   extractTechnologiesFromLine(line) {
-    const technologies = [];
-    const lineLower = line.toLowerCase();
-    
-    this.skillsDatabase.forEach(skill => {
-      if (lineLower.includes(skill.toLowerCase())) {
-        technologies.push(skill);
-      }
-    });
-    
-    return technologies;
+    const technologies = this.taxonomy.findMentions(line)
+      .map(({ skill }) => skill)
+      .filter(skill => skill.category !== 'soft-skill')
+      .map(skill => skill.name);
+
+    return [...new Set(technologies)];
   }
 
   /**
@@ -480,11 +965,13 @@ class ResumeParser {
    */
   looksLikeSectionHeader(line) {
     if (line.length > 50 || line.length < 3) return false;
+    if (this.isMarkdownHeading(line)) return true;
     
     const commonHeaders = [
       'experience', 'education', 'skills', 'projects', 'work', 'employment',
-      'qualifications', 'certifications', 'achievements', 'summary', 'objective',
-      'contact', 'personal', 'references', 'languages', 'interests', 'hobbies'
+      'qualifications', 'certifications', 'certificates', 'licenses', 'achievements', 'awards',
+      'honors', 'publications', 'summary', 'objective', 'contact', 'personal', 'references',
+      'languages', 'interests', 'hobbies'
     ];
     
     const lineLower = line.toLowerCase();
@@ -0,0 +1,23 @@
+const { config } = require('../../config/production');
+const QuestionBank = require('./questionBank');
+
+let sharedBank = null;
+
+/**
+ * Question bank loaded from config.questionBank.dir (or the bundled bank
+ * files) plus saved imports, created on first use
+ * @returns {QuestionBank} Shared bank
+ */
+function getQuestionBank() {
+  if (!sharedBank) {
+    sharedBank = QuestionBank.fromDirectory(config.questionBank.dir || QuestionBank.DEFAULT_DIRECTORY, {
+      importDir: config.questionBank.importDir
+    });
+  }
+  return sharedBank;
+}
+
+module.exports = {
+  QuestionBank,
+  getQuestionBank
+};
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const QuestionComposition = require('../../utils/questionComposition');
+
+const LEVELS = ['fresher', 'intermediate', 'experienced'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const FORMATS = ['json', 'yaml'];
+
+// Bank file formats by extension
+const EXTENSIONS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+const MAX_TEXT_LENGTH = 500;
+const MAX_TAG_LENGTH = 50;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Imported questions are kept in one file inside the import directory
+const IMPORT_FILE = 'imported.json';
+
+const lower = value => value.toLowerCase();
+
+/**
+ * Offline bank of interview questions
+ *
+ * Questions come from JSON or YAML files, each holding a `questions` list and
+ * optional `defaults` applied to every question in the file. A question is
+ * tagged with a category, the roles and levels it suits (none means any),
+ * the skills it probes, a difficulty and free-form tags. Imported questions
+ * are stored separately and replace bundled questions with the same id.
+ */
+class QuestionBank {
+  /**
+   * @param {Object[]} questions - Validated bundled questions
+   * @param {Object} [options]
+   * @param {Object[]} [options.imported] - Previously imported questions
+   * @param {string|null} [options.importDir] - Where imports are saved; in memory only when null
+   */
+  constructor(questions = [], options = {}) {
+    this.bundled = questions;
+    this.imported = options.imported || [];
+    this.importDir = options.importDir || null;
+    this.rebuild();
+  }
+
+  /**
+   * Load every JSON and YAML file in a directory, plus saved imports
+   * @param {string} directory - Bank directory
+   * @param {Object} [options] - { importDir }
+   * @returns {QuestionBank} Bank with the loaded questions
+   */
+  static fromDirectory(directory, options = {}) {
+    const questions = [];
+
+    fs.readdirSync(directory)
+      .filter(file => EXTENSIONS[path.extname(file)])
+      .sort()
+      .forEach(file => {
+        questions.push(...this.loadFile(path.join(directory, file)));
+      });
+
+    const duplicate = this.findDuplicateId(questions);
+    if (duplicate) {
+      throw new Error(`Question id ${duplicate} is defined twice in ${directory}`);
+    }
+
+    let imported = [];
+    const importFile = options.importDir && path.join(options.importDir, IMPORT_FILE);
+    if (importFile && fs.existsSync(importFile)) {
+      imported = this.loadFile(importFile);
+    }
+
+    return new QuestionBank(questions, { imported, importDir: options.importDir });
+  }
+
+  /**
+   * Read and validate one bank file
+   * @param {string} source - File path
+   * @returns {Object[]} Normalized questions
+   */
+  static loadFile(source) {
+    const file = path.basename(source);
+    let content;
+    try {
+      content = this.parse(fs.readFileSync(source, 'utf8'), EXTENSIONS[path.extname(source)]);
+    } catch (error) {
+      throw new Error(`Invalid question bank file ${file}: ${error.message}`);
+    }
+
+    const { questions, errors } = this.check(content);
+    if (errors.length > 0) {
+      const { index, message } = errors[0];
+      throw new Error(`Invalid question bank file ${file}: question ${index + 1} ${message}`);
+    }
+    return questions;
+  }
+
+  /**
+   * @param {string} text - File contents
+   * @param {string} format - json | yaml
+   * @returns {*} Parsed contents
+   */
+  static parse(text, format) {
+    return format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+  }
+
+  /**
+   * Validate and normalize the questions of a bank file or import
+   * @param {*} content - Parsed file: { defaults, questions } or a question array
+   * @returns {Object} { questions, errors }; errors hold { index, message }
+   */
+  static check(content) {
+    const file = Array.isArray(content) ? { questions: content } : content;
+    if (!file || typeof file !== 'object' || !Array.isArray(file.questions)) {
+      return { questions: [], errors: [{ index: -1, message: 'must be a list or an object with a questions list' }] };
+    }
+
+    const defaults = file.defaults && typeof file.defaults === 'object' ? file.defaults : {};
+    const questions = [];
+    const errors = [];
+    const ids = new Set();
+
+    file.questions.forEach((entry, index) => {
+      const question = entry && typeof entry === 'object' && !Array.isArray(entry) ? { ...defaults, ...entry } : entry;
+      const problem = this.validateQuestion(question);
+      if (problem) {
+        errors.push({ index, message: problem });
+        return;
+      }
+
+      const normalized = this.normalize(question);
+      if (ids.has(normalized.id)) {
+        errors.push({ index, message: `id ${normalized.id} is used twice` });
+        return;
+      }
+      ids.add(normalized.id);
+      questions.push(normalized);
+    });
+
+    return { questions, errors };
+  }
+
+  /**
+   * Check the shape of a question definition
+   * @param {*} question - Question with file defaults applied
+   * @returns {string|null} Problem description, or null when valid
+   */
+  static validateQuestion(question) {
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+      return 'must be an object';
+    }
+
+    if (question.id !== undefined && (typeof question.id !== 'string' || !ID_PATTERN.test(question.id))) {
+      return 'id must be lowercase letters, digits and dashes';
+    }
+
+    if (typeof question.text !== 'string' || !question.text.trim() || question.text.length > MAX_TEXT_LENGTH) {
+      return `text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`;
+    }
+
+    if (!QuestionComposition.CATEGORIES.includes(question.category)) {
+      return `category must be one of: ${QuestionComposition.CATEGORIES.join(', ')}`;
+    }
+
+    if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+      return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+    }
+
+    for (const field of ['roles', 'levels', 'skills', 'tags']) {
+      const values = question[field];
+      if (values === undefined) {
+        continue;
+      }
+      const valid = Array.isArray(values) && values.every(value =>
+        typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TAG_LENGTH
+      );
+      if (!valid) {
+        return `${field} must be a list of names of at most ${MAX_TAG_LENGTH} characters`;
+      }
+    }
+
+    const unknownLevel = (question.levels || []).find(level => !LEVELS.includes(level));
+    if (unknownLevel) {
+      return `level ${unknownLevel} must be one of: ${LEVELS.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Canonical form of a valid question; questions without an id get one
+   * derived from their category and text, so re-importing them updates them
+   * @param {Object} question - Valid question
+   * @returns {Object} { id, text, category, roles, levels, skills, difficulty, tags }
+   */
+  static normalize(question) {
+    const text = question.text.trim();
+    const list = values => [...new Set((values || []).map(value => value.trim()))];
+
+    return {
+      id: question.id || `${lower(question.category)}-${crypto.createHash('sha1').update(lower(text)).digest('hex').slice(0, 10)}`,
+      text,
+      category: question.category,
+      roles: list(question.roles),
+      levels: list(question.levels),
+      skills: list(question.skills),
+      difficulty: question.difficulty || 'medium',
+      tags: list(question.tags)
+    };
+  }
+
+  static findDuplicateId(questions) {
+    const ids = new Set();
+    const duplicate = questions.find(question => {
+      if (ids.has(question.id)) {
+        return true;
+      }
+      ids.add(question.id);
+      return false;
+    });
+    return duplicate ? duplicate.id : null;
+  }
+
+  /**
+   * Merge bundled and imported questions; imports win on the same id
+   */
+  rebuild() {
+    const importedIds = new Set(this.imported.map(question => question.id));
+    this.questions = [
+      ...this.bundled.filter(question => !importedIds.has(question.id)),
+      ...this.imported
+    ];
+  }
+
+  /**
+   * @param {string} id - Question id
+   * @returns {Object|null} Question, or null when unknown
+   */
+  getById(id) {
+    return this.questions.find(question => question.id === id) || null;
+  }
+
+  /**
+   * Questions matching every given filter, in bank order
+   * Role and level filters include questions meant for any role or level.
+   * @param {Object} [filters] - { q, role, level, skill, category, difficulty, tag }
+   * @returns {Object[]} Matching questions
+   */
+  filter({ q, role, level, skill, category, difficulty, tag } = {}) {
+    const text = q && lower(q.trim());
+    const has = (values, value) => values.some(entry => lower(entry) === lower(value));
+
+    return this.questions.filter(question =>
+      (!text || lower(question.text).includes(text) || has(question.skills, text) || has(question.tags, text))
+      && (!role || question.roles.length === 0 || has(question.roles, role))
+      && (!level || question.levels.length === 0 || question.levels.includes(level))
+      && (!skill || has(question.skills, skill))
+      && (!category || question.category === category)
+      && (!difficulty || question.difficulty === difficulty)
+      && (!tag || has(question.tags, tag))
+    );
+  }
+
+  /**
+   * One page of matching questions
+   * @param {Object} [filters] - filter() filters plus limit and offset
+   * @returns {Object} { total, limit, offset, questions }
+   */
+  search(filters = {}) {
+    const limit = Math.min(filters.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = filters.offset || 0;
+    const matches = this.filter(filters);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      questions: matches.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Values in use for every tag field, with question counts
+   * @returns {Object} { categories, roles, levels, difficulties, skills, tags }
+   */
+  facets() {
+    const count = values => {
+      const counts = {};
+      values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      return counts;
+    };
+
+    return {
+      categories: count(this.questions.map(question => question.category)),
+      roles: count(this.questions.flatMap(question => question.roles)),
+      levels: count(this.questions.flatMap(question => question.levels)),
+      difficulties: count(this.questions.map(question => question.difficulty)),
+      skills: count(this.questions.flatMap(question => question.skills)),
+      tags: count(this.questions.flatMap(question => question.tags))
+    };
+  }
+
+  /**
+   * Question texts for an interview, best matches first
+   * Questions probing a skill on the resume come first, then questions written
+   * for the role. Questions for any role that probe a skill are only picked
+   * when the resume lists one of their skills.
+   * @param {Object} options
+   * @param {string} options.role - Target role
+   * @param {string} options.level - Experience level
+   * @param {string} options.category - Question category
+   * @param {Array<string|Object>} [options.skills] - Resume skills, as names or { name }
+   * @returns {string[]} Question texts
+   */
+  select({ role, level, category, skills = [] }) {
+    const owned = new Set((skills || [])
+      .map(skill => (typeof skill === 'string' ? skill : skill && skill.name))
+      .filter(Boolean)
+      .map(lower));
+
+    return this.filter({ role, level, category })
+      .map((question, order) => {
+        const matchesSkill = question.skills.some(skill => owned.has(lower(skill)));
+        const forRole = question.roles.length > 0;
+        return { question, order, rank: (matchesSkill ? 2 : 0) + (forRole ? 1 : 0), matchesSkill, forRole };
+      })
+      .filter(({ matchesSkill, forRole, question }) => forRole || matchesSkill || question.skills.length === 0)
+      .sort((a, b) => b.rank - a.rank || a.order - b.order)
+      .map(({ question }) => question.text);
+  }
+
+  /**
+   * Add validated questions to the imported set and save it
+   * @param {Object[]} questions - Questions from check()
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Drop previously imported questions first
+   * @returns {Promise<Object>} { added, updated, total }
+   */
+  async importQuestions(questions, { replace = false } = {}) {
+    const existing = new Set(this.questions.map(question => question.id));
+    const incoming = new Set(questions.map(question => question.id));
+    const kept = replace ? [] : this.imported.filter(question => !incoming.has(question.id));
+    const imported = [...kept, ...questions];
+
+    if (this.importDir) {
+      await fs.promises.mkdir(this.importDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(this.importDir, IMPORT_FILE),
+        JSON.stringify({ name: 'Imported', questions: imported }, null, 2)
+      );
+    }
+
+    this.imported = imported;
+    this.rebuild();
+
+    const updated = questions.filter(question => existing.has(question.id)).length;
+    return {
+      added: questions.length - updated,
+      updated,
+      total: this.questions.length
+    };
+  }
+
+  /**
+   * Matching questions as a bank file that can be imported again
+   * @param {Object} [filters] - filter() filters
+   * @param {string} [format] - json | yaml
+   * @returns {string} File contents
+   */
+  exportQuestions(filters = {}, format = 'json') {
+    const file = {
+      name: 'Exported',
+      exportedAt: new Date().toISOString(),
+      questions: this.filter(filters)
+    };
+
+    return format === 'yaml' ? yaml.dump(file, { lineWidth: 120 }) : `${JSON.stringify(file, null, 2)}\n`;
+  }
+}
+
+QuestionBank.DEFAULT_DIRECTORY = path.join(__dirname, '../../data/questionBank');
+QuestionBank.LEVELS = LEVELS;
+QuestionBank.DIFFICULTIES = DIFFICULTIES;
+QuestionBank.FORMATS = FORMATS;
+QuestionBank.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = QuestionBank;
@@ -0,0 +1,251 @@
+const TextCleaner = require('../utils/textCleaner');
+const ContactDetails = require('../utils/contactDetails');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Score points lost per finding of each severity
+const PENALTIES = { high: 15, medium: 8, low: 3 };
+
+// Bullet openings that describe duties rather than achievements
+const WEAK_OPENINGS = /^(responsible for|duties (included|include)|tasked with|worked on|working on|helped|helping|assisted|assisting|involved in|participated in|handled|was|were|did|made|got|tried|in charge of)\b/i;
+
+// A digit, percentage or currency amount makes a result measurable
+const QUANTIFIED = /[\d%$€£]/;
+
+const MAX_BULLET_WORDS = 30;
+// Below this share of quantified bullets the resume reads as a list of duties
+const MIN_QUANTIFIED_SHARE = 0.3;
+// Flesch reading ease bands
+const HARD_TO_READ = 30;
+const FAIRLY_HARD_TO_READ = 50;
+// Bullets quoted per check; the rest are counted
+const MAX_EXAMPLES = 5;
+
+/**
+ * Resume quality and ATS-readiness checks
+ *
+ * Works on the parser's output, so the report needs no model and describes
+ * exactly what an applicant tracking system would have read from the file.
+ */
+class ResumeReviewer {
+  /**
+   * Review a parsed resume
+   * @param {Object} resume - ResumeParser output
+   * @returns {Object} { score, summary, stats, findings }
+   */
+  review(resume) {
+    const originalText = (resume.raw && resume.raw.originalText) || resume.text || '';
+    // The parser's text is redacted, so its contact block is what was found
+    const contact = resume.contact && typeof resume.contact === 'object'
+      ? resume.contact
+      : ContactDetails.extract(originalText);
+    const bullets = this.collectBullets(originalText, resume.workHistory);
+    const quantified = bullets.filter(bullet => QUANTIFIED.test(bullet));
+    const readability = bullets.length > 0
+      ? TextCleaner.calculateReadability(bullets.map(bullet => bullet.replace(/[.!?]+$/, '')).join('. '))
+      : null;
+
+    const findings = [
+      ...this.checkSections(resume),
+      ...this.checkContact(contact),
+      ...this.checkWeakVerbs(bullets),
+      ...this.checkQuantified(bullets, quantified),
+      ...this.checkLength(bullets),
+      ...this.checkReadability(readability),
+      ...this.checkUnprovenSkills(resume)
+    ].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    const summary = { high: 0, medium: 0, low: 0 };
+    findings.forEach(finding => {
+      summary[finding.severity] += 1;
+    });
+    const penalty = findings.reduce((total, finding) => total + PENALTIES[finding.severity], 0);
+
+    return {
+      score: Math.max(0, 100 - penalty),
+      summary,
+      stats: {
+        bulletCount: bullets.length,
+        quantifiedBullets: quantified.length,
+        readability
+      },
+      findings
+    };
+  }
+
+  /**
+   * Bullet points of the resume, from the original text and the parsed roles
+   * @param {string} text - Original resume text
+   * @param {Object[]} [workHistory] - Parsed roles
+   * @returns {string[]} Unique bullets
+   */
+  collectBullets(text, workHistory = []) {
+    const seen = new Set();
+    const roleBullets = (workHistory || []).flatMap(role => role.bullets || []);
+
+    return [...TextCleaner.extractBulletPoints(text), ...roleBullets]
+      .map(bullet => bullet.trim())
+      .filter(bullet => {
+        const key = bullet.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        if (!key || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
+
+  checkSections(resume) {
+    const sections = [
+      { field: 'skills', name: 'Skills', severity: 'high', suggestion: 'Add a "Skills" section listing the tools and technologies you use; ATS keyword matching relies on it' },
+      { field: 'workHistory', name: 'Experience', severity: 'high', suggestion: 'Add an "Experience" section with a title, company and dates (e.g. "Jan 2021 - Present") for every role' },
+      { field: 'education', name: 'Education', severity: 'medium', suggestion: 'Add an "Education" section with your degree, institution and graduation year' },
+      { field: 'projects', name: 'Projects', severity: 'low', suggestion: 'Add a "Projects" section showing the skills you list in action' }
+    ];
+
+    return sections
+      .filter(section => !Array.isArray(resume[section.field]) || resume[section.field].length === 0)
+      .map(section => ({
+        check: 'missing-section',
+        severity: section.severity,
+        message: `No ${section.name} section was found`,
+        suggestion: section.suggestion
+      }));
+  }
+
+  checkContact(contact) {
+    const findings = [];
+
+    if (!contact.email) {
+      findings.push({
+        check: 'missing-contact',
+        severity: 'high',
+        message: 'No email address was found',
+        suggestion: 'Put your email address in the header so recruiters can reach you'
+      });
+    }
+    if (!contact.phone) {
+      findings.push({
+        check: 'missing-contact',
+        severity: 'medium',
+        message: 'No phone number was found',
+        suggestion: 'Add a phone number with its country code to the header'
+      });
+    }
+    if (!contact.linkedin) {
+      findings.push({
+        check: 'missing-contact',
+        severity: 'low',
+        message: 'No LinkedIn profile link was found',
+        suggestion: 'Add your LinkedIn URL (linkedin.com/in/your-name) to the header'
+      });
+    }
+    if (!contact.github && !contact.portfolio) {
+      findings.push({
+        check: 'missing-contact',
+        severity: 'low',
+        message: 'No GitHub, portfolio or personal website link was found',
+        suggestion: 'Link to a GitHub profile or portfolio where your work can be seen'
+      });
+    }
+
+    return findings;
+  }
+
+  checkWeakVerbs(bullets) {
+    return this.perBullet(bullets.filter(bullet => WEAK_OPENINGS.test(bullet)), bullet => ({
+      check: 'weak-verb',
+      severity: 'medium',
+      message: `Bullet opens with "${bullet.match(WEAK_OPENINGS)[0]}"`,
+      suggestion: 'Start with a strong action verb such as Led, Built, Reduced or Automated, and say what changed',
+      excerpt: this.excerpt(bullet)
+    }));
+  }
+
+  checkQuantified(bullets, quantified) {
+    if (bullets.length === 0 || quantified.length / bullets.length >= MIN_QUANTIFIED_SHARE) {
+      return [];
+    }
+
+    return [{
+      check: 'no-quantified-results',
+      severity: 'medium',
+      message: `Only ${quantified.length} of ${bullets.length} bullet points include a number`,
+      suggestion: 'Quantify results where you can: percentages, time or money saved, users, requests per second, team size'
+    }];
+  }
+
+  checkLength(bullets) {
+    const long = bullets.filter(bullet => bullet.split(/\s+/).length > MAX_BULLET_WORDS);
+
+    return this.perBullet(long, bullet => ({
+      check: 'long-bullet',
+      severity: 'low',
+      message: `Bullet is ${bullet.split(/\s+/).length} words long`,
+      suggestion: `Keep bullets under ${MAX_BULLET_WORDS} words: one achievement each, split or trim the rest`,
+      excerpt: this.excerpt(bullet)
+    }));
+  }
+
+  checkReadability(score) {
+    if (score === null || score >= FAIRLY_HARD_TO_READ) {
+      return [];
+    }
+
+    return [{
+      check: 'readability',
+      severity: score < HARD_TO_READ ? 'medium' : 'low',
+      message: `Bullet points score ${score} for reading ease (0-100, higher is easier)`,
+      suggestion: 'Use shorter sentences and plainer words; recruiters skim a resume in seconds'
+    }];
+  }
+
+  checkUnprovenSkills(resume) {
+    const evidence = [
+      ...(resume.projects || []).map(project => (
+        typeof project === 'string'
+          ? project
+          : [project.title, project.summary, ...(project.technologies || [])].join(' ')
+      )),
+      ...(resume.workHistory || []).map(role => [role.title, ...(role.bullets || [])].join(' '))
+    ].join('\n').toLowerCase();
+
+    // Without projects or roles there is nothing to compare; the missing sections are reported instead
+    const unproven = (resume.skills || []).filter(skill => !this.mentions(evidence, String(skill).toLowerCase()));
+    if (unproven.length === 0 || evidence.trim().length === 0) {
+      return [];
+    }
+
+    return [{
+      check: 'unproven-skills',
+      severity: 'low',
+      message: `${unproven.length} listed skill(s) never appear in your projects or experience`,
+      suggestion: 'Mention each key skill in a project or role bullet, or drop the ones you would not want to be asked about',
+      items: unproven
+    }];
+  }
+
+  /**
+   * One finding per bullet, the first few quoted and the rest summed up
+   */
+  perBullet(bullets, toFinding) {
+    const findings = bullets.slice(0, MAX_EXAMPLES).map(toFinding);
+    if (bullets.length > MAX_EXAMPLES) {
+      findings[findings.length - 1].message += ` (and ${bullets.length - MAX_EXAMPLES} more like it)`;
+    }
+    return findings;
+  }
+
+  mentions(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+
+  excerpt(text) {
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  }
+}
+
+ResumeReviewer.SEVERITIES = SEVERITIES;
+
+module.exports = ResumeReviewer;
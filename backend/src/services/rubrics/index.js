@@ -0,0 +1,23 @@
+const { config } = require('../../config/production');
+const RubricEngine = require('./rubricEngine');
+const signals = require('./signals');
+
+let sharedEngine = null;
+
+/**
+ * Rubric engine loaded from config.rubrics.dir (or the bundled rubric files),
+ * created on first use
+ * @returns {RubricEngine} Shared engine
+ */
+function getRubricEngine() {
+  if (!sharedEngine) {
+    sharedEngine = RubricEngine.fromDirectory(config.rubrics.dir || RubricEngine.DEFAULT_DIRECTORY);
+  }
+  return sharedEngine;
+}
+
+module.exports = {
+  RubricEngine,
+  getRubricEngine,
+  signals
+};
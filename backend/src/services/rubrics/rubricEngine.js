@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const QuestionComposition = require('../../utils/questionComposition');
+const { SIGNAL_NAMES, scoreSignal } = require('./signals');
+
+// Used for question types without a rubric file of their own
+const DEFAULT_TYPE = 'technical';
+
+/**
+ * Weighted scoring rubrics per question type
+ *
+ * A rubric lists named criteria, each with a weight and the heuristic signal
+ * that scores it when the model does not. The overall answer score is always
+ * the weighted mean of the criterion scores, so the same criterion scores
+ * give the same overall score whoever produced them.
+ */
+class RubricEngine {
+  /**
+   * @param {Object[]} rubrics - Validated rubrics, one per question type
+   */
+  constructor(rubrics) {
+    this.rubrics = {};
+    rubrics.forEach(rubric => {
+      this.rubrics[rubric.type] = rubric;
+    });
+
+    if (!this.rubrics[DEFAULT_TYPE]) {
+      throw new Error(`A rubric for the ${DEFAULT_TYPE} question type is required`);
+    }
+  }
+
+  /**
+   * Load every *.json rubric file in a directory
+   * @param {string} directory - Rubric directory
+   * @returns {RubricEngine} Engine with the loaded rubrics
+   */
+  static fromDirectory(directory) {
+    const rubrics = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const source = path.join(directory, file);
+        let rubric;
+        try {
+          rubric = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (error) {
+          throw new Error(`Invalid rubric file ${file}: ${error.message}`);
+        }
+
+        const problem = this.validateRubric(rubric);
+        if (problem) {
+          throw new Error(`Invalid rubric file ${file}: ${problem}`);
+        }
+        return rubric;
+      });
+
+    return new RubricEngine(rubrics);
+  }
+
+  /**
+   * Check the shape of a rubric definition
+   * @param {*} rubric - Parsed rubric file
+   * @returns {string|null} Problem description, or null when valid
+   */
+  static validateRubric(rubric) {
+    if (!rubric || typeof rubric !== 'object') {
+      return 'rubric must be an object';
+    }
+
+    if (!QuestionComposition.CATEGORIES.includes(rubric.type)) {
+      return `type must be one of: ${QuestionComposition.CATEGORIES.join(', ')}`;
+    }
+
+    if (typeof rubric.label !== 'string' || !rubric.label.trim()) {
+      return 'label must be a non-empty string';
+    }
+
+    if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+      return 'criteria must be a non-empty array';
+    }
+
+    const keys = new Set();
+    for (const criterion of rubric.criteria) {
+      if (!criterion || typeof criterion.key !== 'string' || !/^[a-zA-Z]+$/.test(criterion.key)) {
+        return 'each criterion needs a key made of letters';
+      }
+      if (keys.has(criterion.key)) {
+        return `criterion ${criterion.key} is defined twice`;
+      }
+      keys.add(criterion.key);
+
+      if (typeof criterion.label !== 'string' || !criterion.label.trim()) {
+        return `criterion ${criterion.key} needs a label`;
+      }
+      if (typeof criterion.weight !== 'number' || !(criterion.weight > 0)) {
+        return `criterion ${criterion.key} needs a positive weight`;
+      }
+      if (!SIGNAL_NAMES.includes(criterion.signal)) {
+        return `criterion ${criterion.key} signal must be one of: ${SIGNAL_NAMES.join(', ')}`;
+      }
+      if (criterion.description !== undefined && typeof criterion.description !== 'string') {
+        return `criterion ${criterion.key} description must be a string`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rubric for a question type; legacy and unknown types map to a category
+   * @param {string} [type] - Question type
+   * @returns {Object} Rubric
+   */
+  getRubric(type) {
+    const category = QuestionComposition.categoryOf(type);
+    return this.rubrics[category] || this.rubrics[DEFAULT_TYPE];
+  }
+
+  /**
+   * Score an answer against the rubric for its question type
+   * Criteria the model scored keep the model's score; the rest are scored
+   * with their heuristic signal.
+   * @param {string} [type] - Question type
+   * @param {Object} context - { question, answer, resumeSummary }
+   * @param {Object} [modelCriteria] - Model scores by criterion key, each a
+   *   number or { score, comment }
+   * @returns {Object} { rubric, score, criteria }
+   */
+  evaluate(type, context, modelCriteria = {}) {
+    const rubric = this.getRubric(type);
+    const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    const criteria = rubric.criteria.map(criterion => {
+      const modelScore = this.readModelScore(modelCriteria && modelCriteria[criterion.key]);
+      const entry = {
+        key: criterion.key,
+        label: criterion.label,
+        weight: Math.round((criterion.weight / totalWeight) * 100),
+        score: modelScore ? modelScore.score : scoreSignal(criterion.signal, context),
+        source: modelScore ? 'model' : 'heuristic'
+      };
+      if (criterion.description) {
+        entry.description = criterion.description;
+      }
+      if (modelScore && modelScore.comment) {
+        entry.comment = modelScore.comment;
+      }
+      return entry;
+    });
+
+    const weighted = rubric.criteria.reduce(
+      (sum, criterion, index) => sum + criterion.weight * criteria[index].score,
+      0
+    );
+
+    return {
+      rubric: rubric.type,
+      score: Math.round((weighted / totalWeight) * 10) / 10,
+      criteria
+    };
+  }
+
+  /**
+   * @param {*} value - Model output for one criterion
+   * @returns {Object|null} { score, comment } when the score is usable
+   */
+  readModelScore(value) {
+    const score = typeof value === 'object' && value !== null ? value.score : value;
+    if (typeof score !== 'number' || !(score >= 1 && score <= 10)) {
+      return null;
+    }
+
+    const comment = typeof value === 'object' && typeof value.comment === 'string'
+      ? value.comment.trim()
+      : '';
+    return { score: Math.round(score * 10) / 10, comment };
+  }
+
+  /**
+   * Criteria of a rubric as prompt lines
+   * @param {Object} rubric - Rubric
+   * @returns {string} One "- key (label, weight%): description" line per criterion
+   */
+  describe(rubric) {
+    const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    return rubric.criteria
+      .map(criterion => {
+        const weight = Math.round((criterion.weight / totalWeight) * 100);
+        const description = criterion.description ? `: ${criterion.description}` : '';
+        return `- ${criterion.key} (${criterion.label}, ${weight}%)${description}`;
+      })
+      .join('\n');
+  }
+}
+
+RubricEngine.DEFAULT_DIRECTORY = path.join(__dirname, '../../data/rubrics');
+RubricEngine.DEFAULT_TYPE = DEFAULT_TYPE;
+
+module.exports = RubricEngine;
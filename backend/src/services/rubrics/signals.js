@@ -0,0 +1,182 @@
+/**
+ * Heuristic answer signals used when no model scores a rubric criterion
+ *
+ * Each signal rates one aspect of an answer from 1 to 10 using only the
+ * question, the answer text and the parsed resume, so scores are repeatable.
+ * Rubric files pick a signal for each criterion by name.
+ */
+
+const TextCleaner = require('../../utils/textCleaner');
+const StarAnalyzer = require('../starAnalyzer');
+
+const starAnalyzer = new StarAnalyzer();
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'because', 'been', 'before', 'being',
+  'could', 'describe', 'does', 'explain', 'from', 'have', 'into', 'just',
+  'more', 'most', 'other', 'should', 'some', 'tell', 'than', 'that', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'what', 'when', 'where',
+  'which', 'while', 'with', 'would', 'your'
+]);
+
+const EXAMPLE_CUES = /\b(for example|for instance|such as|e\.g\.|in my (last|previous|current)|when i|at my)\b/i;
+const QUANTIFIED = /\b\d+(\.\d+)?\s*(%|percent|x|ms|users|hours|days|weeks|months|years)?\b/i;
+const CONNECTORS = /\b(first(ly)?|second(ly)?|then|next|after that|finally|because|so that|as a result|therefore|however|which meant|in the end)\b/gi;
+const OUTCOME_CUES = /\b(result(ed)?|outcome|improv(ed|ing)|reduc(ed|ing)|increas(ed|ing)|saved|deliver(ed)?|launched|learn(ed|t)|achiev(ed|ing))\b/i;
+const DEPTH_CUES = /\b(because|under the hood|internally|trade-?offs?|edge cases?|complexity|for example|instead of|compared to|depends on|in practice)\b/gi;
+const TRADEOFF_CUES = /\b(trade-?offs?|scal(e|ing|able)|bottlenecks?|latency|throughput|cach(e|ing)|replica(s|tion)?|shard(s|ing)?|load balanc(er|ing)|queues?|consisten(t|cy)|availability|fail(ure|over)|alternatives?|downside|risk|on the other hand|pros and cons)\b/gi;
+const HEDGES = /\b(i think|i guess|maybe|probably|not sure|i don't know|kind of|sort of)\b/gi;
+const FILLERS = /\b(um+|uh+|like|you know|basically|actually|literally)\b/gi;
+
+/**
+ * Significant words of a text, lowercased
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Keywords
+ */
+function keywords(text) {
+  return ((text || '').toLowerCase().match(/[a-z][a-z+#.]{3,}/g) || [])
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function wordCount(text) {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+function clamp(score) {
+  return Math.max(1, Math.min(10, Math.round(score)));
+}
+
+/**
+ * Share of the question's keywords the answer picks up
+ */
+function questionOverlap(question, answer) {
+  const questionWords = [...new Set(keywords(question))];
+  if (questionWords.length === 0) {
+    return 1;
+  }
+  const answerWords = new Set(keywords(answer));
+  return questionWords.filter(word => answerWords.has(word)).length / questionWords.length;
+}
+
+/**
+ * Base score from answer length: very short answers cannot score well on anything
+ */
+function lengthScore(words) {
+  if (words < 10) return 2;
+  if (words < 30) return 4;
+  if (words < 80) return 6;
+  return 7;
+}
+
+const SIGNALS = {
+  relevance({ question, answer }) {
+    const overlap = questionOverlap(question, answer);
+    return clamp(3 + overlap * 7);
+  },
+
+  depth({ answer }) {
+    const words = wordCount(answer);
+    return clamp(lengthScore(words) + Math.min(3, countMatches(answer, DEPTH_CUES)));
+  },
+
+  structure({ answer }) {
+    const words = wordCount(answer);
+    const sentences = TextCleaner.splitIntoSentences(answer).length;
+    let score = lengthScore(words) - 1;
+    score += Math.min(2, countMatches(answer, CONNECTORS));
+    if (sentences >= 3) score += 1;
+    if (OUTCOME_CUES.test(answer)) score += 1;
+    return clamp(score);
+  },
+
+  communication({ answer }) {
+    const words = wordCount(answer);
+    const sentences = Math.max(1, TextCleaner.splitIntoSentences(answer).length);
+    const averageLength = words / sentences;
+    let score = words < 10 ? 3 : 7;
+    if (averageLength > 35) score -= 2;
+    score -= Math.min(3, Math.floor(countMatches(answer, FILLERS) / 3));
+    score -= Math.min(2, countMatches(answer, HEDGES));
+    if (words >= 30 && averageLength >= 8 && averageLength <= 25) score += 2;
+    return clamp(score);
+  },
+
+  correctness({ question, answer }) {
+    const words = wordCount(answer);
+    const overlap = questionOverlap(question, answer);
+    let score = lengthScore(words) + (overlap >= 0.3 ? 2 : 0);
+    score -= Math.min(2, countMatches(answer, HEDGES));
+    return clamp(score);
+  },
+
+  examples({ answer }) {
+    const words = wordCount(answer);
+    return clamp(lengthScore(words) - 1 + (EXAMPLE_CUES.test(answer) ? 3 : 0));
+  },
+
+  impact({ answer }) {
+    const words = wordCount(answer);
+    let score = lengthScore(words) - 2;
+    if (QUANTIFIED.test(answer)) score += 3;
+    if (OUTCOME_CUES.test(answer)) score += 2;
+    return clamp(score);
+  },
+
+  tradeoffs({ answer }) {
+    const words = wordCount(answer);
+    return clamp(lengthScore(words) - 2 + Math.min(5, countMatches(answer, TRADEOFF_CUES)));
+  },
+
+  // Situation, Task, Action and Result coverage of a behavioral answer
+  star({ answer }) {
+    const { coverage } = starAnalyzer.analyze(answer);
+    return clamp(1 + (coverage / 100) * 8 + (wordCount(answer) >= 60 ? 1 : 0));
+  },
+
+  resumeRelevance({ answer, resumeSummary }) {
+    const skills = ((resumeSummary && resumeSummary.skills) || [])
+      .map(skill => (typeof skill === 'string' ? skill : skill && skill.name))
+      .filter(Boolean);
+    const projects = ((resumeSummary && resumeSummary.projects) || [])
+      .map(project => (typeof project === 'string' ? project : project && project.title))
+      .filter(Boolean);
+
+    if (skills.length === 0 && projects.length === 0) {
+      // Nothing to compare with; do not penalise the answer for a missing resume
+      return clamp(lengthScore(wordCount(answer)));
+    }
+
+    const answerLower = (answer || '').toLowerCase();
+    const mentions = [...skills, ...projects]
+      .filter(item => answerLower.includes(item.toLowerCase())).length;
+    return clamp(3 + mentions * 2 + (wordCount(answer) >= 30 ? 1 : 0));
+  }
+};
+
+/**
+ * Score one signal; an empty answer scores the minimum on every signal
+ * @param {string} name - Signal name
+ * @param {Object} context - { question, answer, resumeSummary }
+ * @returns {number} Score 1-10
+ */
+function scoreSignal(name, context) {
+  if (wordCount(context.answer) === 0) {
+    return 1;
+  }
+  return SIGNALS[name](context);
+}
+
+module.exports = {
+  SIGNALS,
+  scoreSignal,
+  SIGNAL_NAMES: Object.keys(SIGNALS),
+  EXAMPLE_CUES,
+  QUANTIFIED,
+  keywords,
+  wordCount
+};
@@ -0,0 +1,21 @@
+const { config } = require('../../config/production');
+const SkillTaxonomy = require('./skillTaxonomy');
+
+let sharedTaxonomy = null;
+
+/**
+ * Skill taxonomy loaded from config.skills.taxonomyFile (or the bundled
+ * taxonomy), created on first use
+ * @returns {SkillTaxonomy} Shared taxonomy
+ */
+function getSkillTaxonomy() {
+  if (!sharedTaxonomy) {
+    sharedTaxonomy = SkillTaxonomy.fromFile(config.skills.taxonomyFile || SkillTaxonomy.DEFAULT_FILE);
+  }
+  return sharedTaxonomy;
+}
+
+module.exports = {
+  SkillTaxonomy,
+  getSkillTaxonomy
+};
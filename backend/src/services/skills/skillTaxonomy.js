@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const TextCleaner = require('../../utils/textCleaner');
+
+// Characters that continue a skill name, so "C" does not match inside "C++" or "C#"
+const NAME_CHARACTERS = 'A-Za-z0-9+#';
+
+// One- and two-letter names ("Go", "R", "JS") only match in their own case
+const SHORT_NAME = /^[A-Za-z]{1,2}$/;
+
+// Links and email addresses, where "github.com/jane/react-app" mentions no skills
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|[\w.+-]+@[\w-]+\.[\w.-]+|\b[\w-]+(?:\.[\w-]+)*\.(?:com|org|io|dev|me|app|co|ai)\b\S*/gi;
+
+/**
+ * Skill taxonomy: canonical skill names with their aliases, category and
+ * related skills
+ *
+ * Every name and alias is indexed by its key (lower case, letters and digits
+ * only, "+" and "#" spelt out), so "ReactJS", "React.js" and "react" are all
+ * React. In text, a skill matches as a whole word; where two matches overlap
+ * the longer one wins, so "React Native" is not also React.
+ */
+class SkillTaxonomy {
+  /**
+   * @param {Object} taxonomy - Validated taxonomy: { categories, skills }
+   */
+  constructor(taxonomy) {
+    this.categories = { ...taxonomy.categories };
+    this.skills = [];
+    this.index = new Map();
+    this.patterns = [];
+
+    taxonomy.skills.forEach(skill => {
+      const entry = {
+        name: skill.name,
+        category: skill.category,
+        aliases: skill.aliases || [],
+        related: skill.related || []
+      };
+
+      [entry.name, ...entry.aliases].forEach(term => {
+        // An alias may share its key with the name ("Nest.js" for NestJS) to be matched in text
+        const key = SkillTaxonomy.key(term);
+        if (this.index.has(key) && this.index.get(key) !== entry) {
+          throw new Error(`Skill ${term} is defined twice`);
+        }
+        this.index.set(key, entry);
+        this.patterns.push({ skill: entry, regex: this.termPattern(term, skill) });
+      });
+
+      this.skills.push(entry);
+    });
+
+    this.skills.forEach(skill => {
+      const unknown = skill.related.find(name => !this.find(name));
+      if (unknown) {
+        throw new Error(`Skill ${skill.name} lists unknown related skill ${unknown}`);
+      }
+    });
+  }
+
+  /**
+   * Load a taxonomy file
+   * @param {string} file - JSON taxonomy file
+   * @returns {SkillTaxonomy} Taxonomy
+   */
+  static fromFile(file) {
+    let taxonomy;
+    try {
+      taxonomy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid skill taxonomy file ${path.basename(file)}: ${error.message}`);
+    }
+
+    const problem = this.validateTaxonomy(taxonomy);
+    if (problem) {
+      throw new Error(`Invalid skill taxonomy file ${path.basename(file)}: ${problem}`);
+    }
+    return new SkillTaxonomy(taxonomy);
+  }
+
+  /**
+   * Check the shape of a taxonomy definition
+   * @param {*} taxonomy - Parsed taxonomy file
+   * @returns {string|null} Problem description, or null when valid
+   */
+  static validateTaxonomy(taxonomy) {
+    if (!taxonomy || typeof taxonomy !== 'object') {
+      return 'taxonomy must be an object';
+    }
+
+    const categories = taxonomy.categories;
+    if (!categories || typeof categories !== 'object' || Object.keys(categories).length === 0) {
+      return 'categories must map category keys to labels';
+    }
+    if (Object.values(categories).some(label => typeof label !== 'string' || !label.trim())) {
+      return 'each category needs a label';
+    }
+
+    if (!Array.isArray(taxonomy.skills) || taxonomy.skills.length === 0) {
+      return 'skills must be a non-empty array';
+    }
+
+    const isNameList = value => value === undefined
+      || (Array.isArray(value) && value.every(name => typeof name === 'string' && name.trim()));
+
+    for (const skill of taxonomy.skills) {
+      if (!skill || typeof skill.name !== 'string' || !skill.name.trim()) {
+        return 'each skill needs a name';
+      }
+      if (!Object.prototype.hasOwnProperty.call(categories, skill.category)) {
+        return `skill ${skill.name} needs a category, one of: ${Object.keys(categories).join(', ')}`;
+      }
+      if (!isNameList(skill.aliases) || !isNameList(skill.related)) {
+        return `skill ${skill.name} aliases and related skills must be arrays of names`;
+      }
+      if (skill.notFollowedBy !== undefined) {
+        try {
+          new RegExp(skill.notFollowedBy);
+        } catch (error) {
+          return `skill ${skill.name} notFollowedBy is not a valid pattern`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lookup key of a skill name
+   * @param {string} name - Skill name or alias
+   * @returns {string} Key, e.g. "nodejs" for "Node.js" and "cplusplus" for "C++"
+   */
+  static key(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/\+/g, 'plus')
+      .replace(/#/g, 'sharp')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Whole-word pattern for a name or alias
+   * Separators between letters are optional, so "Node.js" also matches
+   * "NodeJS" and "Spring Boot" matches "SpringBoot".
+   * @param {string} term - Name or alias
+   * @param {Object} skill - Taxonomy entry the term belongs to
+   * @returns {RegExp} Global pattern
+   */
+  termPattern(term, skill) {
+    const body = term
+      .trim()
+      .split(/(?<=[A-Za-z0-9])[\s.-]+(?=[A-Za-z0-9])/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+      .join('[\\s.-]?');
+    const notFollowedBy = skill.notFollowedBy ? `(?!${skill.notFollowedBy})` : '';
+    const flags = skill.caseSensitive || SHORT_NAME.test(term.trim()) ? 'g' : 'gi';
+
+    return new RegExp(`(?<![${NAME_CHARACTERS}])${body}(?![${NAME_CHARACTERS}])${notFollowedBy}`, flags);
+  }
+
+  /**
+   * Taxonomy entry for a name or alias
+   * @param {string} name - Skill name as written anywhere
+   * @returns {Object|null} { name, category, aliases, related }, or null when unknown
+   */
+  find(name) {
+    return this.index.get(SkillTaxonomy.key(name || '')) || null;
+  }
+
+  /**
+   * Canonical spelling of a skill name
+   * @param {string} name - Skill name as written anywhere
+   * @returns {string} Taxonomy name, or the tidied name when the skill is unknown
+   */
+  normalize(name) {
+    const skill = this.find(name);
+    return skill ? skill.name : TextCleaner.normalizeSkill(String(name || ''));
+  }
+
+  /**
+   * @param {string} category - Category key
+   * @returns {string} Category label
+   */
+  categoryLabel(category) {
+    return this.categories[category] || category;
+  }
+
+  /**
+   * Skills mentioned in a piece of text, outside links and email addresses
+   * @param {string} text - Text to search
+   * @returns {Object[]} { skill, index, length } for each mention, in text order
+   */
+  findMentions(text) {
+    // Blanked rather than removed, so indexes still point into the text
+    const searchable = text.replace(LINK_PATTERN, link => ' '.repeat(link.length));
+    const candidates = [];
+    this.patterns.forEach(({ skill, regex }) => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(searchable)) !== null) {
+        candidates.push({ skill, index: match.index, length: match[0].length });
+      }
+    });
+
+    // Leftmost first and, at the same place, longest first
+    candidates.sort((a, b) => a.index - b.index || b.length - a.length);
+
+    const mentions = [];
+    let end = 0;
+    candidates.forEach(candidate => {
+      if (candidate.index >= end) {
+        mentions.push(candidate);
+        end = candidate.index + candidate.length;
+      }
+    });
+    return mentions;
+  }
+}
+
+SkillTaxonomy.DEFAULT_FILE = path.join(__dirname, '../../data/skillTaxonomy.json');
+
+module.exports = SkillTaxonomy;
@@ -0,0 +1,123 @@
+const TextCleaner = require('../utils/textCleaner');
+
+const COMPONENTS = ['situation', 'task', 'action', 'result'];
+
+// Phrases that typically open each part of a STAR answer
+const CUES = {
+  situation: /\b(when i was|while (i was )?working|at my (last|previous|current|first)|in my (last|previous|current|first) (job|role|company|team|internship)|we were|there was|there were|the (project|team|company|client|product) (was|had)|last (year|summer|quarter)|back in|during (my|a|the|an)|our team|i was working|i joined)\b/gi,
+  task: /\b(my (role|task|job|responsibility|goal|assignment) was|i was (responsible|asked|tasked|assigned|expected)|i needed to|i had to|we needed to|we had to|the (goal|challenge|problem|objective|requirement) was|it was my job|was supposed to|needed someone to)\b/gi,
+  action: /\b(i (decided|started|built|created|implemented|designed|wrote|led|organi[sz]ed|set up|reached out|proposed|talked|spoke|met|analy[sz]ed|investigated|refactored|introduced|scheduled|prioriti[sz]ed|broke|split|added|fixed|took|asked|coordinated|migrated|automated|researched|suggested|negotiated|mentored|documented|tested|reviewed)|so i|then i|first,? i|next,? i|after that,? i|to do that,? i|my approach was)\b/gi,
+  result: /\b(as a result|result(ed)? in|in the end|eventually|ultimately|the outcome|which (led|meant)|this (led|meant|reduced|improved|increased|saved|helped)|reduc(ed|ing)|improv(ed|ing)|increas(ed|ing)|saved|delivered|launched|shipped|on time|i learn(ed|t)|taught me|the feedback was|was (praised|recogni[sz]ed))\b|\d+\s?%/gi
+};
+
+// Questions that ask for a past experience call for a STAR answer
+const BEHAVIORAL_QUESTION = /\b(tell me about a time|describe a (time|situation)|give (me )?an example|a time (when|you)|have you ever|walk me through a (time|situation)|share an experience)\b/i;
+const STAR_TYPES = ['behavioral', 'openEnded'];
+
+const SUGGESTIONS = {
+  situation: 'Open with the context: where you were, the project and what was at stake',
+  task: 'State what you were responsible for or the goal you had to reach',
+  action: 'Describe the specific steps you took yourself, using "I" rather than "we"',
+  result: 'Finish with the outcome, ideally measurable, and what you learned'
+};
+
+/**
+ * Local STAR (Situation, Task, Action, Result) analysis of an answer
+ *
+ * Sentences are labelled from cue phrases, falling back to their position in
+ * the answer, so the analysis needs no model and is repeatable.
+ */
+class StarAnalyzer {
+  /**
+   * Whether a question calls for a STAR-structured answer
+   * @param {string} question - Question text
+   * @param {string} [type] - Question type
+   * @returns {boolean} True for behavioral questions
+   */
+  appliesTo(question, type) {
+    return STAR_TYPES.includes(type) || BEHAVIORAL_QUESTION.test(question || '');
+  }
+
+  /**
+   * Segment an answer into STAR components
+   * @param {string} answer - Answer text
+   * @returns {Object} { components, present, missing, coverage, complete, suggestions }
+   */
+  analyze(answer) {
+    const sentences = TextCleaner.splitIntoSentences(answer || '');
+    const components = {};
+    COMPONENTS.forEach(component => {
+      components[component] = { present: false, sentences: [] };
+    });
+
+    sentences.forEach((sentence, index) => {
+      const component = this.classifySentence(sentence, index, sentences.length);
+      if (component) {
+        components[component].sentences.push(index);
+      }
+    });
+
+    COMPONENTS.forEach(component => {
+      const entry = components[component];
+      entry.present = entry.sentences.length > 0;
+      if (entry.present) {
+        entry.excerpt = this.excerpt(sentences[entry.sentences[0]]);
+      }
+    });
+
+    const present = COMPONENTS.filter(component => components[component].present);
+    const missing = COMPONENTS.filter(component => !components[component].present);
+
+    return {
+      components,
+      present,
+      missing,
+      coverage: Math.round((present.length / COMPONENTS.length) * 100),
+      complete: missing.length === 0,
+      suggestions: missing.map(component => SUGGESTIONS[component])
+    };
+  }
+
+  /**
+   * STAR component of one sentence
+   * The component with the most cue matches wins; ties go to the component
+   * expected at that point of the answer. A first sentence without cues is
+   * taken as the situation.
+   * @param {string} sentence - Sentence text
+   * @param {number} index - Position in the answer
+   * @param {number} count - Number of sentences
+   * @returns {string|null} Component name, or null when unclear
+   */
+  classifySentence(sentence, index, count) {
+    const matches = {};
+    COMPONENTS.forEach(component => {
+      matches[component] = (sentence.match(CUES[component]) || []).length;
+    });
+
+    const best = Math.max(...Object.values(matches));
+    if (best === 0) {
+      return index === 0 && count > 1 ? 'situation' : null;
+    }
+
+    const candidates = COMPONENTS.filter(component => matches[component] === best);
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    // Position 0..3 in the answer, matched to the nearest candidate in STAR order
+    const expected = count > 1 ? (index / (count - 1)) * (COMPONENTS.length - 1) : 0;
+    return candidates.reduce((closest, component) => (
+      Math.abs(COMPONENTS.indexOf(component) - expected) < Math.abs(COMPONENTS.indexOf(closest) - expected)
+        ? component
+        : closest
+    ));
+  }
+
+  excerpt(sentence) {
+    return sentence.length > 120 ? `${sentence.slice(0, 117)}...` : sentence;
+  }
+}
+
+StarAnalyzer.COMPONENTS = COMPONENTS;
+
+module.exports = StarAnalyzer;
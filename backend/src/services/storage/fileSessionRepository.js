@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SessionRepository = require('./sessionRepository');
+
+// Numbers the temporary files of concurrent writes
+let tempFileCount = 0;
+
+/**
+ * Stores each session as a JSON file in <dataDir>/sessions
+ */
+class FileSessionRepository extends SessionRepository {
+  /**
+   * @param {string} dataDir - Directory for persisted data
+   */
+  constructor(dataDir) {
+    super();
+    this.directory = path.join(dataDir, 'sessions');
+    this.ready = null;
+  }
+
+  async ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async readRecord(id) {
+    try {
+      const content = await fs.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeRecord(session) {
+    await this.ensureDirectory();
+
+    // Write to a temporary file first so a crash never leaves half a session
+    const target = this.filePath(session.id);
+    const temp = `${target}.${process.pid}.${++tempFileCount}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(session, null, 2), 'utf8');
+    await fs.rename(temp, target);
+  }
+
+  async readAllRecords() {
+    await this.ensureDirectory();
+
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const sessions = await Promise.all(
+      files.map(file => this.readRecord(path.basename(file, '.json')).catch(error => {
+        console.warn(`Skipping unreadable session file ${file}:`, error.message);
+        return null;
+      }))
+    );
+
+    return sessions.filter(Boolean);
+  }
+}
+
+module.exports = FileSessionRepository;
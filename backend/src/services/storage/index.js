@@ -0,0 +1,48 @@
+const { config } = require('../../config/production');
+const SessionRepository = require('./sessionRepository');
+const FileSessionRepository = require('./fileSessionRepository');
+const MemorySessionRepository = require('./memorySessionRepository');
+
+const DRIVERS = ['file', 'memory'];
+
+/**
+ * Create the session repository described by the configuration
+ * @param {Object} storageConfig - config.storage from config/production.js
+ * @returns {SessionRepository} Repository instance
+ */
+function createSessionRepository(storageConfig = {}) {
+  const driver = storageConfig.driver || 'file';
+
+  switch (driver) {
+    case 'file':
+      return new FileSessionRepository(storageConfig.dataDir || 'data');
+    case 'memory':
+      return new MemorySessionRepository();
+    default:
+      throw new Error(
+        `Unknown session store "${driver}". Expected one of: ${DRIVERS.join(', ')}`
+      );
+  }
+}
+
+let sharedRepository = null;
+
+/**
+ * Repository shared by the routes, created from config.storage on first use
+ * @returns {SessionRepository} Repository instance
+ */
+function getSessionRepository() {
+  if (!sharedRepository) {
+    sharedRepository = createSessionRepository(config.storage);
+  }
+  return sharedRepository;
+}
+
+module.exports = {
+  createSessionRepository,
+  getSessionRepository,
+  SessionRepository,
+  FileSessionRepository,
+  MemorySessionRepository,
+  DRIVERS
+};
@@ -0,0 +1,26 @@
+const SessionRepository = require('./sessionRepository');
+
+/**
+ * Keeps sessions in process memory; used by tests and throwaway instances
+ */
+class MemorySessionRepository extends SessionRepository {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  async readRecord(id) {
+    const session = this.sessions.get(id);
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  async writeRecord(session) {
+    this.sessions.set(session.id, JSON.parse(JSON.stringify(session)));
+  }
+
+  async readAllRecords() {
+    return [...this.sessions.values()].map(session => JSON.parse(JSON.stringify(session)));
+  }
+}
+
+module.exports = MemorySessionRepository;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+
+const SESSION_STATUSES = ['in_progress', 'completed'];
+
+// Fields a client may set on create and update; everything else is managed here
+const WRITABLE_FIELDS = [
+  'status', 'role', 'level', 'mode', 'resume', 'questions',
+  'answers', 'analysis', 'currentQuestionIndex', 'followUpDepth', 'timing'
+];
+
+// Parts of a parsed resume with personal information, never written to storage
+const PRIVATE_RESUME_FIELDS = ['contact', 'raw'];
+
+/**
+ * Interview session repository
+ *
+ * Subclasses provide the storage primitives (readRecord, writeRecord,
+ * readAllRecords); record creation, updates and listing are shared.
+ */
+class SessionRepository {
+  constructor() {
+    // Tail of the queue of updates to each session id
+    this.updateQueues = new Map();
+  }
+
+  /**
+   * Create a new session
+   * @param {Object} data - Initial session fields
+   * @returns {Promise<Object>} Stored session
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      status: 'in_progress',
+      role: null,
+      level: null,
+      mode: null,
+      resume: null,
+      questions: [],
+      answers: [],
+      analysis: null,
+      currentQuestionIndex: 0,
+      followUpDepth: 0,
+      // Timed-mode settings ({ thinkingSeconds, answerSeconds }); null when untimed
+      timing: null,
+      ...this.pickWritable(data),
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    if (session.status === 'completed') {
+      session.completedAt = now;
+    }
+
+    await this.writeRecord(session);
+    return session;
+  }
+
+  /**
+   * Fetch a session by id
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Session, or null when not found
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    return this.readRecord(id);
+  }
+
+  /**
+   * Apply changes to a session
+   * Updates to one session run one after another, so each reads the session
+   * the previous one wrote and none of them is lost.
+   * @param {string} id - Session id
+   * @param {Object} changes - Fields to replace
+   * @returns {Promise<Object|null>} Updated session, or null when not found
+   */
+  async update(id, changes) {
+    const previous = this.updateQueues.get(id) || Promise.resolve();
+    const result = previous.then(() => this.applyUpdate(id, changes));
+    const tail = result.catch(() => {});
+    this.updateQueues.set(id, tail);
+    tail.then(() => {
+      if (this.updateQueues.get(id) === tail) {
+        this.updateQueues.delete(id);
+      }
+    });
+    return result;
+  }
+
+  async applyUpdate(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      ...existing,
+      ...this.pickWritable(changes),
+      updatedAt: now
+    };
+
+    if (session.status === 'completed' && !existing.completedAt) {
+      session.completedAt = now;
+    }
+
+    await this.writeRecord(session);
+    return session;
+  }
+
+  /**
+   * Full sessions matching the filters, most recently updated first
+   * @param {Object} [options] - Filters
+   * @param {string} [options.status] - Only sessions with this status
+   * @param {number} [options.limit] - Maximum number of sessions
+   * @returns {Promise<Object[]>} Sessions
+   */
+  async findAll({ status, limit } = {}) {
+    const sessions = (await this.readAllRecords())
+      .filter(session => !status || session.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    return sessions.slice(0, limit || sessions.length);
+  }
+
+  /**
+   * List sessions, most recently updated first
+   * @param {Object} [options] - Filters, as for findAll
+   * @returns {Promise<Object[]>} Session summaries (without resume text and answers)
+   */
+  async list(options = {}) {
+    const sessions = await this.findAll(options);
+    return sessions.map(session => this.toSummary(session));
+  }
+
+  /**
+   * Compact view of a session for listings
+   * @param {Object} session - Stored session
+   * @returns {Object} Summary
+   */
+  toSummary(session) {
+    return {
+      id: session.id,
+      status: session.status,
+      role: session.role,
+      level: session.level,
+      mode: session.mode,
+      questionCount: session.questions.length,
+      answerCount: session.answers.length,
+      overallScore: session.analysis?.overallScore ?? null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      completedAt: session.completedAt
+    };
+  }
+
+  pickWritable(data = {}) {
+    const picked = {};
+    WRITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    if (picked.resume) {
+      picked.resume = this.withoutPrivateFields(picked.resume);
+    }
+    return picked;
+  }
+
+  /**
+   * @param {Object} resume - Parsed resume data
+   * @returns {Object} The resume without its contact details and original text
+   */
+  withoutPrivateFields(resume) {
+    const kept = { ...resume };
+    PRIVATE_RESUME_FIELDS.forEach(field => delete kept[field]);
+    return kept;
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && /^[a-zA-Z0-9-]{1,64}$/.test(id);
+  }
+
+  async readRecord() {
+    throw new Error('readRecord is not implemented');
+  }
+
+  async writeRecord() {
+    throw new Error('writeRecord is not implemented');
+  }
+
+  async readAllRecords() {
+    throw new Error('readAllRecords is not implemented');
+  }
+}
+
+SessionRepository.SESSION_STATUSES = SESSION_STATUSES;
+SessionRepository.WRITABLE_FIELDS = WRITABLE_FIELDS;
+
+module.exports = SessionRepository;
@@ -0,0 +1,63 @@
+const AnswerTiming = require('../answerTiming');
+
+describe('AnswerTiming', () => {
+  describe('validateSettings', () => {
+    test('should accept untimed sessions', () => {
+      expect(AnswerTiming.validateSettings(undefined)).toBeNull();
+      expect(AnswerTiming.validateSettings(null)).toBeNull();
+    });
+
+    test('should accept settings within range', () => {
+      expect(AnswerTiming.validateSettings({ thinkingSeconds: 0, answerSeconds: 120 })).toBeNull();
+    });
+
+    test('should reject out-of-range settings', () => {
+      expect(AnswerTiming.validateSettings({ thinkingSeconds: 400, answerSeconds: 120 })).toContain('Thinking time');
+      expect(AnswerTiming.validateSettings({ thinkingSeconds: 30, answerSeconds: 10 })).toContain('Answer time limit');
+      expect(AnswerTiming.validateSettings([])).toContain('object');
+    });
+  });
+
+  describe('validate', () => {
+    test('should accept one entry or null per question', () => {
+      expect(AnswerTiming.validate(undefined, 2)).toBeNull();
+      expect(AnswerTiming.validate([{ answerSeconds: 30, autoSubmitted: true }, null], 2)).toBeNull();
+    });
+
+    test('should reject mismatched or malformed entries', () => {
+      expect(AnswerTiming.validate([{ answerSeconds: 30 }], 2)).toContain('one entry per question');
+      expect(AnswerTiming.validate([{ answerSeconds: -1 }], 1)).toContain('answerSeconds');
+      expect(AnswerTiming.validate([{ thinkingSeconds: 5 }], 1)).toContain('answerSeconds');
+      expect(AnswerTiming.validate([{ answerSeconds: 5, autoSubmitted: 'yes' }], 1)).toContain('autoSubmitted');
+    });
+  });
+
+  describe('summarize', () => {
+    test('should total the timed answers', () => {
+      const summary = AnswerTiming.summarize([
+        { thinkingSeconds: 10, answerSeconds: 60, limitSeconds: 60, autoSubmitted: true },
+        { thinkingSeconds: 20, answerSeconds: 40.4, limitSeconds: 60 },
+        null
+      ]);
+
+      expect(summary).toEqual({
+        questionsTimed: 2,
+        totalSeconds: 130,
+        thinkingSeconds: 30,
+        answerSeconds: 100,
+        averageAnswerSeconds: 50,
+        autoSubmitted: 1,
+        advice: '1 of 2 answers ran out of time. Lead with your main point and keep examples short.'
+      });
+    });
+
+    test('should skip pacing advice when answers fit the limit', () => {
+      expect(AnswerTiming.summarize([{ answerSeconds: 30, limitSeconds: 60 }]).advice).toBeNull();
+    });
+
+    test('should return null without timed answers', () => {
+      expect(AnswerTiming.summarize(undefined)).toBeNull();
+      expect(AnswerTiming.summarize([null, null])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const ContactDetails = require('../contactDetails');
+const TextCleaner = require('../textCleaner');
+
+describe('ContactDetails', () => {
+  test('should read the name, contact details and profile links from the header', () => {
+    const text = [
+      '# Jane van Dijk',
+      'Austin, TX | jane.vd@example.com | (512) 555-0142',
+      'linkedin.com/in/janevd | github.com/janevd/dotfiles | https://janevd.dev',
+      'SUMMARY',
+      'Backend engineer building Node.js services.'
+    ].join('\n');
+
+    expect(ContactDetails.extract(text)).toEqual({
+      name: 'Jane van Dijk',
+      email: 'jane.vd@example.com',
+      phone: '(512) 555-0142',
+      location: 'Austin, TX',
+      linkedin: 'https://linkedin.com/in/janevd',
+      github: 'https://github.com/janevd',
+      portfolio: 'https://janevd.dev'
+    });
+  });
+
+  test('should not take headings, job lines or project links for contact details', () => {
+    const text = [
+      'PROFESSIONAL SUMMARY',
+      'Engineer, Acme Corp',
+      'EXPERIENCE',
+      'Engineer | Acme | 2019 - 2021',
+      'PROJECTS',
+      '- Demo at shop-demo.app'
+    ].join('\n');
+
+    expect(ContactDetails.extract(text)).toEqual({
+      name: null, email: null, phone: null, location: null, linkedin: null, github: null, portfolio: null
+    });
+  });
+
+  test('should not take a job title at the top of the resume for the name', () => {
+    const text = 'Software Engineer\nJane Doe\njane@example.com | (512) 555-0142';
+
+    expect(ContactDetails.extract(text, { jobTitlePattern: /\b(engineer|developer)\b/i }).name).toBe('Jane Doe');
+  });
+
+  test('should take a labelled location', () => {
+    expect(ContactDetails.extract('Ana Lima\nLocation: São Paulo, Brazil').location).toBe('São Paulo, Brazil');
+  });
+});
+
+describe('TextCleaner', () => {
+  test('should find international phone numbers but not years or counts', () => {
+    const text = '+44 20 7946 0321, +971 4 555 0187, 415.555.0134\n2015-2017-2019, 20,000 users, ISO 27001';
+
+    expect(TextCleaner.extractPhoneNumbers(text)).toEqual(['+44 20 7946 0321', '+971 4 555 0187', '415.555.0134']);
+  });
+
+  test('should find bare links but not names with dots', () => {
+    expect(TextCleaner.extractUrls('github.com/jane, www.jane.dev. ASP.NET, B.Com, Node.js, jane@example.com'))
+      .toEqual(['github.com/jane', 'www.jane.dev']);
+  });
+
+  test('should redact contact details and names but keep the rest of the line', () => {
+    const text = 'Jane Doe | jane@example.com | +1 415 555 0134 | 221 Baker Street\n'
+      + 'Built distributed systems at jane.dev/blog for 3 years; JANE DOE, Jan 2020 - Present';
+
+    expect(TextCleaner.removePII(text, { names: ['Jane Doe', null] })).toBe(
+      '[NAME] | [EMAIL] | [PHONE] | [ADDRESS]\n'
+      + 'Built distributed systems at [LINK] for 3 years; [NAME], Jan 2020 - Present'
+    );
+  });
+
+  test('should take bare domains for links only in the header and among contact details', () => {
+    const text = 'janevd.dev\nAustin, TX · jane.vd@example.com · janevd.app\nSkills: socket.io, Next.js, Vercel (vercel.com)';
+
+    expect(TextCleaner.removePII(text, { headerLines: 1 })).toBe(
+      '[LINK]\nAustin, TX · [EMAIL] · [LINK]\nSkills: socket.io, Next.js, Vercel (vercel.com)'
+    );
+    expect(TextCleaner.extractUrls(text)).toEqual(['janevd.dev', 'janevd.app']);
+  });
+});
@@ -0,0 +1,86 @@
+const DateParser = require('../dateParser');
+
+describe('DateParser', () => {
+  const now = new Date(2024, 5, 15); // June 2024
+
+  describe('parseDate', () => {
+    test('should parse month names, numeric months and years', () => {
+      expect(DateParser.parseDate('Jan 2021')).toEqual({ year: 2021, month: 1, precision: 'month' });
+      expect(DateParser.parseDate('September 2019')).toEqual({ year: 2019, month: 9, precision: 'month' });
+      expect(DateParser.parseDate('06/2019')).toEqual({ year: 2019, month: 6, precision: 'month' });
+      expect(DateParser.parseDate('2019-06')).toEqual({ year: 2019, month: 6, precision: 'month' });
+      expect(DateParser.parseDate('2020')).toEqual({ year: 2020, month: 1, precision: 'year' });
+    });
+
+    test('should reject invalid dates', () => {
+      expect(DateParser.parseDate('13/2019')).toBeNull();
+      expect(DateParser.parseDate('sometime')).toBeNull();
+      expect(DateParser.parseDate('')).toBeNull();
+    });
+  });
+
+  describe('findDateRange', () => {
+    test('should find ranges in common formats', () => {
+      const formats = [
+        ['Jan 2021 – Mar 2023', '2021-01', '2023-03'],
+        ['Software Developer | ABC | June 2021 - Present', '2021-06', '2024-06'],
+        ['06/2019 - 08/2020', '2019-06', '2020-08'],
+        ['Developer (2018-2019)', '2018', '2019'],
+        ['Intern, Jan 2020 to date', '2020-01', '2024-06']
+      ];
+
+      formats.forEach(([text, start, end]) => {
+        const range = DateParser.findDateRange(text, now);
+        expect(range).not.toBeNull();
+        expect(DateParser.formatDate(range.start)).toBe(start);
+        expect(DateParser.formatDate(range.end)).toBe(end);
+      });
+    });
+
+    test('should mark ranges ending in Present as current', () => {
+      expect(DateParser.findDateRange('Jan 2022 - Present', now).isCurrent).toBe(true);
+      expect(DateParser.findDateRange('Jan 2022 - Mar 2023', now).isCurrent).toBe(false);
+    });
+
+    test('should ignore phone numbers and backwards ranges', () => {
+      expect(DateParser.findDateRange('+1-234-567-8900', now)).toBeNull();
+      expect(DateParser.findDateRange('2023 - 2019', now)).toBeNull();
+    });
+  });
+
+  describe('findDate', () => {
+    test('should find the first single date in a line', () => {
+      expect(DateParser.findDate('PMP, issued Jun 2020')).toMatchObject({
+        matchedText: 'Jun 2020', index: 12, date: { year: 2020, month: 6, precision: 'month' }
+      });
+      expect(DateParser.findDate('CKA (2021)').date).toEqual({ year: 2021, month: 1, precision: 'year' });
+      expect(DateParser.findDate('Credential 123456')).toBeNull();
+    });
+  });
+
+  describe('totalMonths', () => {
+    test('should count month ranges inclusively and year ranges by difference', () => {
+      expect(DateParser.totalMonths([DateParser.findDateRange('Jan 2021 - Mar 2023', now)])).toBe(27);
+      expect(DateParser.totalMonths([DateParser.findDateRange('2021 - 2024', now)])).toBe(36);
+    });
+
+    test('should count overlapping ranges once', () => {
+      const ranges = [
+        DateParser.findDateRange('Jan 2020 - Dec 2021', now),
+        DateParser.findDateRange('Jun 2021 - Dec 2022', now),
+        DateParser.findDateRange('Jan 2024 - Mar 2024', now)
+      ];
+
+      expect(DateParser.totalMonths(ranges)).toBe(39);
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should describe durations in years and months', () => {
+      expect(DateParser.formatDuration(36)).toBe('3 years');
+      expect(DateParser.formatDuration(27)).toBe('2 years 3 months');
+      expect(DateParser.formatDuration(13)).toBe('1 year 1 month');
+      expect(DateParser.formatDuration(0)).toBe('Less than a month');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const JSZip = require('jszip');
+const DocumentFormat = require('../documentFormat');
+
+describe('DocumentFormat', () => {
+  const zipWith = async (files) => {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    return zip.generateAsync({ type: 'nodebuffer' });
+  };
+
+  describe('detect', () => {
+    test('should recognise PDF and RTF by their headers', async () => {
+      expect(await DocumentFormat.detect(Buffer.from('%PDF-1.7\n%âãÏÓ\n'), 'resume.docx')).toBe('pdf');
+      expect(await DocumentFormat.detect(Buffer.from('{\\rtf1\\ansi Jane Doe\\par}'), 'resume.txt')).toBe('rtf');
+    });
+
+    test('should tell DOCX from ODT by the package contents', async () => {
+      const docx = await zipWith({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' });
+      const odt = await zipWith({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': '<office:document-content/>' });
+      const other = await zipWith({ 'readme.txt': 'hello' });
+
+      expect(await DocumentFormat.detect(docx, 'resume.pdf')).toBe('docx');
+      expect(await DocumentFormat.detect(odt, 'resume.docx')).toBe('odt');
+      expect(await DocumentFormat.detect(other, 'resume.docx')).toBeNull();
+    });
+
+    test('should read text as Markdown by extension or headings', async () => {
+      const plain = Buffer.from('Jane Doe\nSKILLS\nPython, SQL\n');
+      const markdown = Buffer.from('# Jane Doe\n\n## Skills\nPython, SQL\n');
+
+      expect(await DocumentFormat.detect(plain, 'resume.txt')).toBe('text');
+      expect(await DocumentFormat.detect(plain, 'resume.md')).toBe('markdown');
+      expect(await DocumentFormat.detect(markdown, 'resume.txt')).toBe('markdown');
+      expect(await DocumentFormat.detect(Buffer.from('#hashtag\nC# developer'), 'resume.txt')).toBe('text');
+    });
+
+    test('should need more than one Markdown signal in a text file', async () => {
+      const oneHeading = Buffer.from('Jane Doe\n# Skills\nPython, SQL\n');
+      const headingAndBold = Buffer.from('# Jane Doe\n**Backend developer**, Python and SQL\n');
+
+      expect(await DocumentFormat.detect(oneHeading, 'resume.txt')).toBe('text');
+      expect(await DocumentFormat.detect(headingAndBold, 'resume.txt')).toBe('markdown');
+    });
+
+    test('should read UTF-16 text with a byte order mark', async () => {
+      const content = 'Jane Doe\nSKILLS\nPython, SQL\n';
+      const littleEndian = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(content, 'utf16le')]);
+      const bigEndian = Buffer.from(littleEndian).swap16();
+
+      expect(await DocumentFormat.detect(littleEndian, 'resume.txt')).toBe('text');
+      expect(await DocumentFormat.detect(bigEndian, 'resume.txt')).toBe('text');
+      expect(DocumentFormat.decodeText(littleEndian)).toBe(content);
+      expect(DocumentFormat.decodeText(bigEndian)).toBe(content);
+    });
+
+    test('should reject legacy Word files and binary content', async () => {
+      const doc = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00, 0x00]);
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+      expect(await DocumentFormat.detect(doc, 'resume.doc')).toBeNull();
+      expect(DocumentFormat.isLegacyWord(doc)).toBe(true);
+      expect(await DocumentFormat.detect(png, 'resume.txt')).toBeNull();
+      expect(await DocumentFormat.detect(Buffer.alloc(0), 'resume.txt')).toBeNull();
+    });
+
+    test('should treat text named as a PDF as an invalid PDF', async () => {
+      const text = Buffer.from('This is not a valid PDF file');
+
+      expect(DocumentFormat.isInvalidPdf(await DocumentFormat.detect(text, 'invalid.pdf'), 'invalid.pdf')).toBe(true);
+      expect(DocumentFormat.isInvalidPdf('docx', 'resume.pdf')).toBe(false);
+      expect(DocumentFormat.isInvalidPdf('text', 'resume.txt')).toBe(false);
+    });
+  });
+
+  describe('decodeText', () => {
+    test('should decode UTF-8 and fall back to Latin-1', () => {
+      expect(DocumentFormat.decodeText(Buffer.from('﻿José', 'utf8'))).toBe('José');
+      expect(DocumentFormat.decodeText(Buffer.from([0x4a, 0x6f, 0x73, 0xe9]))).toBe('José');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const JsonArrayScanner = require('../jsonArrayScanner');
+
+describe('JsonArrayScanner', () => {
+  const reply = '```json\n{"technical": ["What is a closure?", "Explain \\"this\\", briefly]"], ' +
+    '"feedback": [{"questionId": "1", "criteria": {"depth": {"score": 7}}, "note": "}"}, {"questionId": "2"}], ' +
+    '"scores": [7, 8.5], "summary": "Good"}\n```';
+
+  const scanInChunks = (size) => {
+    const scanner = new JsonArrayScanner();
+    const elements = [];
+    for (let start = 0; start < reply.length; start += size) {
+      elements.push(...scanner.push(reply.slice(start, start + size)));
+    }
+    return elements;
+  };
+
+  test('should return array elements as soon as they are complete', () => {
+    const scanner = new JsonArrayScanner();
+
+    expect(scanner.push('{"technical": ["What is a clo')).toEqual([]);
+    expect(scanner.push('sure?", "Expl')).toEqual([{ key: 'technical', index: 0, value: 'What is a closure?' }]);
+    expect(scanner.push('ain hoisting"]}')).toEqual([{ key: 'technical', index: 1, value: 'Explain hoisting' }]);
+  });
+
+  test('should give the same elements whatever the chunk size', () => {
+    const expected = [
+      { key: 'technical', index: 0, value: 'What is a closure?' },
+      { key: 'technical', index: 1, value: 'Explain "this", briefly]' },
+      { key: 'feedback', index: 0, value: { questionId: '1', criteria: { depth: { score: 7 } }, note: '}' } },
+      { key: 'feedback', index: 1, value: { questionId: '2' } },
+      { key: 'scores', index: 0, value: 7 },
+      { key: 'scores', index: 1, value: 8.5 }
+    ];
+
+    [1, 5, 64, reply.length].forEach(size => {
+      expect(scanInChunks(size)).toEqual(expected);
+    });
+  });
+
+  test('should skip elements that are not valid JSON', () => {
+    const scanner = new JsonArrayScanner();
+
+    expect(scanner.push('{"scores": [7, nope, 9]}').map(element => element.value)).toEqual([7, 9]);
+  });
+});
@@ -0,0 +1,88 @@
+const MarkupText = require('../markupText');
+
+describe('MarkupText', () => {
+  describe('fromMarkdown', () => {
+    test('should keep section heading markers and flatten deeper headings', () => {
+      const markdown = [
+        '# Jane Doe',
+        '## Experience',
+        '### Engineer | Acme | 2020 - Present',
+        '* Built **fast** APIs with `Go`',
+        'Projects',
+        '--------',
+        'Tracker'
+      ].join('\n');
+
+      expect(MarkupText.fromMarkdown(markdown).split('\n')).toEqual([
+        '# Jane Doe',
+        '## Experience',
+        'Engineer | Acme | 2020 - Present',
+        '- Built fast APIs with Go',
+        '## Projects',
+        'Tracker'
+      ]);
+    });
+
+    test('should turn links, tables and rules into plain text', () => {
+      const markdown = [
+        'Contact: [GitHub](https://github.com/jane) | <mailto:jane@example.com> | [jane.dev](https://jane.dev)',
+        '',
+        '| Area | Tools |',
+        '|:-----|------:|',
+        '| Data | Pandas, SQL |',
+        '---',
+        '> snake_case stays as it is'
+      ].join('\n');
+
+      expect(MarkupText.fromMarkdown(markdown).split('\n')).toEqual([
+        'Contact: GitHub (https://github.com/jane) | jane@example.com | jane.dev',
+        '',
+        'Area | Tools',
+        'Data | Pandas, SQL',
+        '',
+        'snake_case stays as it is'
+      ]);
+    });
+
+    test('should leave fenced code as it is', () => {
+      expect(MarkupText.fromMarkdown('```\n# not a heading\n**kept**\n```')).toBe('# not a heading\n**kept**');
+    });
+  });
+
+  describe('fromRtf', () => {
+    test('should extract body text with escapes, Unicode and tables', () => {
+      const rtf = [
+        '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer;}{\\info{\\author Jane}}',
+        '\\pard\\b SKILLS\\b0\\par',
+        'Caf\\\'e9 na\\u239?ve \\endash  \\{braces\\}\\par',
+        '\\trowd\\cellx1000\\cellx2000\\intbl Degree\\cell Year\\cell\\row',
+        '}'
+      ].join('\n');
+
+      expect(MarkupText.fromRtf(rtf).split('\n')).toEqual([
+        'SKILLS',
+        'Café naïve – {braces}',
+        'Degree | Year'
+      ]);
+    });
+  });
+
+  describe('fromOdtXml', () => {
+    test('should extract paragraphs, list items and table rows', () => {
+      const xml = '<office:document-content><office:body><office:text>' +
+        '<text:h text:outline-level="1">Experience</text:h>' +
+        '<text:p>Engineer<text:tab/>2020 &amp; on<office:annotation><text:p>note</text:p></office:annotation></text:p>' +
+        '<text:list><text:list-item><text:p>Built<text:s text:c="2"/>APIs</text:p></text:list-item></text:list>' +
+        '<table:table><table:table-row><table:table-cell><text:p>Degree</text:p></table:table-cell>' +
+        '<table:table-cell><text:p>2017</text:p></table:table-cell></table:table-row></table:table>' +
+        '</office:text></office:body></office:document-content>';
+
+      expect(MarkupText.fromOdtXml(xml).split('\n')).toEqual([
+        'Experience',
+        'Engineer\t2020 & on',
+        '- Built  APIs',
+        'Degree | 2017'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const ParseQuality = require('../parseQuality');
+
+describe('ParseQuality', () => {
+  const text = 'Experience\n' + 'Built and ran payment services for a retail bank. '.repeat(10);
+  const resume = {
+    text,
+    contact: { name: 'Jane Doe', email: 'jane@example.com', phone: null },
+    skillDetails: ['Java', 'SQL', 'Kafka', 'Docker', 'AWS'].map(name => ({ name, sections: ['skills'] })),
+    experienceYears: 4,
+    workHistory: [{ title: 'Engineer', company: 'Acme', startDate: '2020-01', endDate: 'Present' }],
+    education: ['B.Sc. Computer Science, State University, 2019'],
+    projects: []
+  };
+  const source = { format: 'docx', sections: ['experience', 'skills', 'education'] };
+  const codes = result => result.warnings.map(warning => warning.code);
+
+  test('should be confident in fields read from a well structured resume', () => {
+    const result = ParseQuality.assess(resume, source);
+
+    expect(result.warnings).toEqual([]);
+    expect(result.confidence).toEqual({
+      contact: 0.7,
+      skills: 1,
+      experience: 0.9,
+      workHistory: 1,
+      education: 1,
+      projects: 0
+    });
+  });
+
+  test('should warn about an image-only PDF and lower every confidence', () => {
+    const result = ParseQuality.assess({ ...resume, text: 'Jane Doe\nExperience' }, { ...source, format: 'pdf', pages: 2 });
+
+    expect(codes(result)).toEqual(['image-only']);
+    expect(result.confidence.skills).toBe(0.3);
+  });
+
+  test('should warn about missing headings, columns and empty fields', () => {
+    const result = ParseQuality.assess(
+      { ...resume, skillDetails: [], experienceYears: null, workHistory: [] },
+      { format: 'pdf', pages: 1, layouts: ['columns', 'table'], sections: [] }
+    );
+
+    expect(codes(result)).toEqual(['no-section-headings', 'multi-column-layout', 'no-skills', 'no-experience']);
+    expect(result.warnings[2].field).toBe('skills');
+    expect(result.confidence.education).toBe(0.44);
+  });
+
+  test('should warn when roles under an experience heading could not be read', () => {
+    expect(codes(ParseQuality.assess({ ...resume, workHistory: [] }, source))).toEqual(['no-work-history']);
+  });
+
+  test('should spot truncated education lines', () => {
+    expect(ParseQuality.looksTruncated('Bachelor')).toBe(true);
+    expect(ParseQuality.looksTruncated('B.Sc. in')).toBe(true);
+    expect(ParseQuality.looksTruncated('MIT (2015 -')).toBe(true);
+    expect(ParseQuality.looksTruncated('M.Sc. Data Science | Lakeside University | 2017')).toBe(false);
+
+    const result = ParseQuality.assess({ ...resume, education: [...resume.education, 'Master of'] }, source);
+    expect(result.warnings[0]).toMatchObject({ code: 'truncated-education', field: 'education' });
+    expect(result.warnings[0].message).toContain('"Master of"');
+    expect(result.confidence.education).toBe(0.5);
+  });
+});
@@ -0,0 +1,123 @@
+const PdfLayout = require('../pdfLayout');
+
+describe('PdfLayout', () => {
+  // Text items as pdf.js reports them, with Helvetica-like widths
+  const item = (x, y, text, size = 10) => ({ text, x, y, width: text.length * size * 0.5, size });
+  const column = (x, y, lines, leading = 14, size = 10) => lines
+    .map((text, index) => text && item(x, y - index * leading, text, size))
+    .filter(Boolean);
+
+  describe('groupLines', () => {
+    test('should merge items on one baseline and split them at wide gaps', () => {
+      const lines = PdfLayout.groupLines([
+        item(50, 700, 'Senior'),
+        item(85, 700.5, 'Developer'),
+        item(400, 700, 'Jan 2021 - Present'),
+        item(50, 686, '- Built APIs')
+      ]);
+
+      expect(lines).toHaveLength(2);
+      expect(lines[0].segments.map(segment => segment.text)).toEqual(['Senior Developer', 'Jan 2021 - Present']);
+      expect(lines[1].segments.map(segment => segment.text)).toEqual(['- Built APIs']);
+    });
+  });
+
+  describe('layoutText', () => {
+    test('should read a sidebar before the main column', () => {
+      const text = PdfLayout.layoutText([
+        item(50, 740, 'Jane Doe', 18),
+        ...column(50, 700, ['SKILLS', 'Python, SQL', 'Docker, AWS', 'Git', '', 'LANGUAGES', 'English'], 13, 9),
+        ...column(220, 700, ['SUMMARY', 'Engineer who ships data tools.', '', 'EXPERIENCE', 'Analyst | Acme | 2020 - Present', '- Built reports'])
+      ]);
+
+      expect(text.split('\n')).toEqual([
+        'Jane Doe',
+        '',
+        'SKILLS',
+        'Python, SQL',
+        'Docker, AWS',
+        'Git',
+        '',
+        'LANGUAGES',
+        'English',
+        '',
+        'SUMMARY',
+        'Engineer who ships data tools.',
+        '',
+        'EXPERIENCE',
+        'Analyst | Acme | 2020 - Present',
+        '- Built reports'
+      ]);
+    });
+
+    test('should keep table rows together', () => {
+      const text = PdfLayout.layoutText([
+        item(50, 700, 'EDUCATION'),
+        item(50, 686, 'Degree'), item(220, 686, 'Institution'), item(430, 686, 'Year'),
+        item(50, 672, 'M.Sc. Data Science'), item(220, 672, 'Lakeside University'), item(430, 672, '2017'),
+        item(50, 658, 'B.Sc. Statistics'), item(220, 658, 'Hill College'), item(430, 658, '2015')
+      ]);
+
+      expect(text.split('\n')).toEqual([
+        'EDUCATION',
+        'Degree | Institution | Year',
+        'M.Sc. Data Science | Lakeside University | 2017',
+        'B.Sc. Statistics | Hill College | 2015'
+      ]);
+    });
+
+    test('should report the kind of each side-by-side region', () => {
+      const kinds = [];
+      const onRegion = kind => kinds.push(kind);
+      PdfLayout.layoutText([
+        ...column(50, 700, ['SKILLS', 'Python, SQL', 'Docker, AWS', 'Git', '', 'LANGUAGES', 'English'], 13, 9),
+        ...column(220, 700, ['SUMMARY', 'Engineer who ships data tools.', '', 'EXPERIENCE', 'Analyst | Acme | 2020 - Present', '- Built reports'])
+      ], { onRegion });
+      PdfLayout.layoutText([
+        item(50, 686, 'Degree'), item(220, 686, 'Institution'), item(430, 686, 'Year'),
+        item(50, 672, 'M.Sc. Data Science'), item(220, 672, 'Lakeside University'), item(430, 672, '2017')
+      ], { onRegion });
+
+      expect(kinds).toEqual(['columns', 'table']);
+    });
+
+    test('should keep right-aligned dates on their role line', () => {
+      const text = PdfLayout.layoutText([
+        item(50, 700, 'Data Scientist, Insight Labs'), item(470, 700, 'Mar 2019 - Present'),
+        item(50, 686, '- Built churn models'),
+        item(50, 672, '- Shipped a dashboard'),
+        item(50, 658, 'Data Analyst, Numbers Inc'), item(470, 658, 'Jul 2017 - Feb 2019'),
+        item(50, 644, '- Automated reports')
+      ]);
+
+      expect(text.split('\n')).toEqual([
+        'Data Scientist, Insight Labs | Mar 2019 - Present',
+        '- Built churn models',
+        '- Shipped a dashboard',
+        'Data Analyst, Numbers Inc | Jul 2017 - Feb 2019',
+        '- Automated reports'
+      ]);
+    });
+
+    test('should put a heading in the label column right before its content', () => {
+      const isHeading = text => ['experience', 'skills'].includes(text.toLowerCase());
+      const text = PdfLayout.layoutText([
+        item(50, 700, 'EXPERIENCE'),
+        ...column(160, 700, ['Designer | BrightApps | 2020 - Present', '- Ran usability sessions', '- Built a design system']),
+        item(50, 640, 'SKILLS'),
+        ...column(160, 640, ['Figma, Sketch', 'HTML, CSS'])
+      ], { isHeading });
+
+      expect(text.split('\n')).toEqual([
+        'EXPERIENCE',
+        'Designer | BrightApps | 2020 - Present',
+        '- Ran usability sessions',
+        '- Built a design system',
+        '',
+        'SKILLS',
+        'Figma, Sketch',
+        'HTML, CSS'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const QuestionComposition = require('../questionComposition');
+
+describe('QuestionComposition', () => {
+  describe('validate', () => {
+    test('should accept a missing spec', () => {
+      expect(QuestionComposition.validate(undefined)).toBeNull();
+    });
+
+    test('should accept known categories and aliases', () => {
+      expect(QuestionComposition.validate({ intro: 1, technical: 3, 'system-design': 1 })).toBeNull();
+    });
+
+    test('should reject unknown categories', () => {
+      expect(QuestionComposition.validate({ trivia: 2 })).toContain('Unknown question category');
+    });
+
+    test('should reject counts out of range', () => {
+      expect(QuestionComposition.validate({ technical: 6 })).toContain('between 0 and 5');
+      expect(QuestionComposition.validate({ technical: 1.5 })).toContain('integer');
+      expect(QuestionComposition.validate({ technical: -1 })).toContain('integer');
+    });
+
+    test('should reject empty and oversized sets', () => {
+      expect(QuestionComposition.validate({ technical: 0 })).toContain('Total number');
+      expect(QuestionComposition.validate({
+        technical: 5, behavioral: 5, situational: 1
+      })).toContain('Total number');
+    });
+
+    test('should reject non-object specs', () => {
+      expect(QuestionComposition.validate([1, 2])).toContain('must be an object');
+      expect(QuestionComposition.validate('3')).toContain('must be an object');
+    });
+  });
+
+  describe('normalize', () => {
+    test('should default to 2 technical and 1 behavioral question', () => {
+      const composition = QuestionComposition.normalize();
+      expect(QuestionComposition.activeCategories(composition)).toEqual(['technical', 'behavioral']);
+      expect(QuestionComposition.total(composition)).toBe(3);
+    });
+
+    test('should fill missing categories with zero and map aliases', () => {
+      expect(QuestionComposition.normalize({ 'system-design': 2 })).toEqual({
+        intro: 0,
+        technical: 0,
+        behavioral: 0,
+        situational: 0,
+        systemDesign: 2
+      });
+    });
+  });
+
+  test('should provide enough generic questions for every category', () => {
+    QuestionComposition.CATEGORIES.forEach(category => {
+      expect(QuestionComposition.GENERIC_QUESTIONS[category].length)
+        .toBeGreaterThanOrEqual(QuestionComposition.MAX_PER_CATEGORY);
+    });
+  });
+
+  test('should map categories to the legacy role and open-ended lists', () => {
+    expect(QuestionComposition.toLegacy({
+      intro: ['I'],
+      technical: ['T'],
+      systemDesign: ['S'],
+      behavioral: ['B']
+    })).toEqual({
+      roleQuestions: ['T', 'S'],
+      openEnded: ['I', 'B']
+    });
+  });
+});
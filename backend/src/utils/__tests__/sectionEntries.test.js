@@ -0,0 +1,50 @@
+const SectionEntries = require('../sectionEntries');
+
+describe('SectionEntries', () => {
+  describe('parseCertification', () => {
+    test('should split the name, issuer and date in any order', () => {
+      expect(SectionEntries.parseCertification('Oracle Certified Professional (Oracle, Jan 2019)'))
+        .toEqual({ name: 'Oracle Certified Professional', issuer: 'Oracle', date: '2019-01' });
+      expect(SectionEntries.parseCertification('2023 - Microsoft Certified: Azure Fundamentals (AZ-900)'))
+        .toEqual({ name: 'Microsoft Certified: Azure Fundamentals (AZ-900)', issuer: 'Microsoft', date: '2023' });
+    });
+
+    test('should skip credential ids and expiry dates', () => {
+      expect(SectionEntries.parseCertification('CISSP, Credential ID 12345, Expires Jan 2027'))
+        .toEqual({ name: 'CISSP', issuer: 'ISC2', date: null });
+    });
+
+    test('should leave the issuer of an unknown certification empty', () => {
+      expect(SectionEntries.parseCertification('• Certified Widget Wrangler')).toEqual({
+        name: 'Certified Widget Wrangler', issuer: null, date: null
+      });
+      expect(SectionEntries.parseCertification('- 2020')).toBeNull();
+    });
+  });
+
+  describe('parseLanguages', () => {
+    test('should read the proficiency next to each language', () => {
+      expect(SectionEntries.parseLanguages('English (full professional), Hindi - mother tongue; Japanese: A2, Korean')).toEqual([
+        { language: 'English', proficiency: 'fluent' },
+        { language: 'Hindi', proficiency: 'native' },
+        { language: 'Japanese', proficiency: 'basic' },
+        { language: 'Korean', proficiency: null }
+      ]);
+      expect(SectionEntries.parseLanguages('Fluent in English and Arabic').map(entry => entry.proficiency)).toEqual(['fluent', 'fluent']);
+    });
+  });
+
+  describe('parsePublication and parseAward', () => {
+    test('should take a quoted title over the authors before it', () => {
+      expect(SectionEntries.parsePublication('Lee, K. and Doe, J. “Cheap Consensus.” OSDI, Jul 2022'))
+        .toEqual({ title: 'Cheap Consensus', venue: 'OSDI', date: '2022-07' });
+      expect(SectionEntries.parsePublication('Scaling event pipelines | InfoQ | Mar 2023'))
+        .toEqual({ title: 'Scaling event pipelines', venue: 'InfoQ', date: '2023-03' });
+    });
+
+    test('should read who gave an award', () => {
+      expect(SectionEntries.parseAward('Best Paper Award, ICSE 2021')).toEqual({ title: 'Best Paper Award', issuer: 'ICSE', date: '2021' });
+      expect(SectionEntries.parseAward("Dean's List")).toEqual({ title: "Dean's List", issuer: null, date: null });
+    });
+  });
+});
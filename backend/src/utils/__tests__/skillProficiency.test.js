@@ -0,0 +1,76 @@
+const SkillProficiency = require('../skillProficiency');
+
+describe('SkillProficiency', () => {
+  const now = new Date(2024, 5, 15);
+  const role = (title, startDate, endDate) => ({ title, startDate, endDate, isCurrent: endDate === 'Present' });
+
+  describe('qualifiers and stated years', () => {
+    test('should apply the last qualifier of the clause before a skill', () => {
+      expect(SkillProficiency.qualifierBefore('Expert in ')).toBe('strong');
+      expect(SkillProficiency.qualifierBefore('Expert in Go; familiar with ')).toBe('weak');
+      expect(SkillProficiency.qualifierBefore('Expert in Go. Built a CLI with ')).toBeNull();
+    });
+
+    test('should read years stated before or after a skill', () => {
+      expect(SkillProficiency.statedYears('5+ years of experience with ', '')).toBe(5);
+      expect(SkillProficiency.statedYears('Languages: ', ' (3 yrs), Go')).toBe(3);
+      expect(SkillProficiency.statedYears('Migrated ', ' 3 to 4')).toBeNull();
+    });
+  });
+
+  describe('estimate', () => {
+    test('should rate a skill used for years in the current job as expert', () => {
+      const result = SkillProficiency.estimate({
+        count: 4,
+        sections: ['experience', 'skills'],
+        roles: [role('Engineer', '2019-01', 'Present'), role('Developer', '2017-01', '2018-12')]
+      }, now);
+
+      expect(result).toEqual({ proficiency: 'expert', score: 92, years: 7.5, lastUsed: 'Present', recency: 'current' });
+    });
+
+    test('should count internships for less and date the last use', () => {
+      const internship = SkillProficiency.estimate({
+        count: 1, sections: ['experience'], roles: [role('Software Intern', '2016-01', '2016-12')]
+      }, now);
+      const job = SkillProficiency.estimate({
+        count: 1, sections: ['experience'], roles: [role('Engineer', '2016-01', '2016-12')]
+      }, now);
+
+      expect(internship).toMatchObject({ years: 1, lastUsed: '2016-12', recency: 'past' });
+      expect(internship.score).toBeLessThan(job.score);
+    });
+
+    test('should treat a listed skill as intermediate unless qualified', () => {
+      const listed = { count: 1, sections: ['skills'], roles: [] };
+
+      expect(SkillProficiency.estimate(listed, now)).toMatchObject({ proficiency: 'intermediate', years: null, recency: 'unknown' });
+      expect(SkillProficiency.estimate({ ...listed, qualifiers: ['weak'] }, now).proficiency).toBe('beginner');
+      expect(SkillProficiency.estimate({ ...listed, statedYears: 6, qualifiers: ['strong'] }, now))
+        .toMatchObject({ proficiency: 'advanced', years: 6 });
+    });
+  });
+
+  describe('rank', () => {
+    test('should put the strongest and most recent skills first', () => {
+      const ranked = SkillProficiency.rank(['Angular', 'Go', 'Python', 'Rust'], [
+        { name: 'Angular', proficiency: 'intermediate', score: 40, years: 2, lastUsed: '2019-03', recency: 'past' },
+        { name: 'Python', proficiency: 'expert', score: 88, years: 6, lastUsed: 'Present', recency: 'current' },
+        { name: 'Go', proficiency: 'intermediate', score: 40, years: 1, lastUsed: '2024-01', recency: 'recent' }
+      ]);
+
+      expect(ranked.map(skill => skill.name)).toEqual(['Python', 'Go', 'Angular', 'Rust']);
+      expect(ranked.map(skill => SkillProficiency.describe(skill))).toEqual([
+        'Python (expert, 6 years, current)',
+        'Go (intermediate, 1 year, last used 2024-01)',
+        'Angular (intermediate, 2 years, last used 2019-03)',
+        'Rust'
+      ]);
+    });
+
+    test('should keep the order of skills without estimates', () => {
+      expect(SkillProficiency.rank(['React', { name: 'Docker' }]).map(skill => skill.name)).toEqual(['React', 'Docker']);
+      expect(SkillProficiency.rank(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Timed interviews: the per-session time settings and the time each answer took
+ */
+
+// Thinking time before answering, in seconds
+const THINKING_RANGE = { min: 0, max: 300 };
+// Answer time limit per question, in seconds
+const ANSWER_RANGE = { min: 15, max: 900 };
+// Upper bound for any reported duration (one hour)
+const MAX_SECONDS = 3600;
+
+// Share of timed answers cut off by the limit before pacing advice is given
+const CUT_OFF_SHARE = 0.3;
+
+const isDuration = (value, max = MAX_SECONDS) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+class AnswerTiming {
+  /**
+   * Check the timed-mode settings of a session
+   * @param {*} settings - { thinkingSeconds, answerSeconds }, or null for untimed sessions
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateSettings(settings) {
+    if (settings === undefined || settings === null) {
+      return null;
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      return 'Timing must be an object or null.';
+    }
+
+    const { thinkingSeconds, answerSeconds } = settings;
+    if (!Number.isInteger(thinkingSeconds) || thinkingSeconds < THINKING_RANGE.min || thinkingSeconds > THINKING_RANGE.max) {
+      return `Thinking time must be an integer from ${THINKING_RANGE.min} to ${THINKING_RANGE.max} seconds.`;
+    }
+    if (!Number.isInteger(answerSeconds) || answerSeconds < ANSWER_RANGE.min || answerSeconds > ANSWER_RANGE.max) {
+      return `Answer time limit must be an integer from ${ANSWER_RANGE.min} to ${ANSWER_RANGE.max} seconds.`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the per-question time report of an analysis request
+   * @param {*} timings - One entry per question: null, or
+   *   { thinkingSeconds, answerSeconds, limitSeconds, autoSubmitted }
+   * @param {number} questionCount - Number of questions
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(timings, questionCount) {
+    if (timings === undefined) {
+      return null;
+    }
+    if (!Array.isArray(timings) || timings.length !== questionCount) {
+      return 'Timings must be an array with one entry per question.';
+    }
+
+    const invalid = timings.some(timing => {
+      if (timing === null) {
+        return false;
+      }
+      if (typeof timing !== 'object' || Array.isArray(timing) || !isDuration(timing.answerSeconds)) {
+        return true;
+      }
+      return (timing.thinkingSeconds !== undefined && !isDuration(timing.thinkingSeconds))
+        || (timing.limitSeconds !== undefined && !isDuration(timing.limitSeconds))
+        || (timing.autoSubmitted !== undefined && typeof timing.autoSubmitted !== 'boolean');
+    });
+
+    return invalid
+      ? 'Each timing must be null or have answerSeconds, and optionally thinkingSeconds, limitSeconds and autoSubmitted.'
+      : null;
+  }
+
+  /**
+   * Time used on one question, as reported with its feedback
+   * @param {Object|null} timing - Entry from the request
+   * @returns {Object|null} { thinkingSeconds, answerSeconds, limitSeconds, limitUsed, autoSubmitted }
+   */
+  static forQuestion(timing) {
+    if (!timing) {
+      return null;
+    }
+
+    const answerSeconds = Math.round(timing.answerSeconds);
+    const limitSeconds = timing.limitSeconds ? Math.round(timing.limitSeconds) : null;
+
+    return {
+      thinkingSeconds: Math.round(timing.thinkingSeconds || 0),
+      answerSeconds,
+      limitSeconds,
+      // Percentage of the answer time limit used
+      limitUsed: limitSeconds ? Math.min(100, Math.round((answerSeconds / limitSeconds) * 100)) : null,
+      autoSubmitted: Boolean(timing.autoSubmitted)
+    };
+  }
+
+  /**
+   * Time report for a whole interview
+   * @param {Array<Object|null>} [timings] - Entries from the request
+   * @returns {Object|null} Totals and pacing advice, or null without timed answers
+   */
+  static summarize(timings) {
+    const timed = (timings || []).map(timing => this.forQuestion(timing)).filter(Boolean);
+    if (timed.length === 0) {
+      return null;
+    }
+
+    const thinkingSeconds = timed.reduce((sum, timing) => sum + timing.thinkingSeconds, 0);
+    const answerSeconds = timed.reduce((sum, timing) => sum + timing.answerSeconds, 0);
+    const autoSubmitted = timed.filter(timing => timing.autoSubmitted).length;
+
+    let advice = null;
+    if (autoSubmitted / timed.length >= CUT_OFF_SHARE) {
+      advice = `${autoSubmitted} of ${timed.length} answers ran out of time. Lead with your main point and keep examples short.`;
+    }
+
+    return {
+      questionsTimed: timed.length,
+      totalSeconds: thinkingSeconds + answerSeconds,
+      thinkingSeconds,
+      answerSeconds,
+      averageAnswerSeconds: Math.round(answerSeconds / timed.length),
+      autoSubmitted,
+      advice
+    };
+  }
+}
+
+AnswerTiming.THINKING_RANGE = THINKING_RANGE;
+AnswerTiming.ANSWER_RANGE = ANSWER_RANGE;
+
+module.exports = AnswerTiming;
@@ -0,0 +1,119 @@
+/**
+ * Contact details from the header of a resume
+ *
+ * The name and location are guesses from the first lines, where resumes put
+ * them; email, phone and profile links are looked for in the whole text, and
+ * a portfolio only in the header, so project demo links are not taken for it.
+ */
+
+const TextCleaner = require('./textCleaner');
+
+// Lines at the top of a resume that hold the name and contact details; the
+// header also ends at the first section heading
+const HEADER_LINES = 8;
+const SECTION_HEADING = /^(?:professional |career )?(?:summary|profile|objective|about me|(?:work |professional )?experience|employment|education|(?:technical )?skills|projects)$/i;
+
+// Separators between details on one header line: "jane@example.com | +1 ..."
+const SEGMENT_SEPARATOR = /\s*[|•·]\s*|\s{3,}/;
+
+// Two to four capitalized words, allowing particles such as "van" and "de"
+const NAME_PATTERN = /^\p{Lu}[\p{L}'’.-]*(?:[ \t]+(?:\p{Lu}[\p{L}'’.-]*|van|von|de|der|del|da|di|la|le|bin|al)){1,3}$/u;
+const NOT_A_NAME = /\b(resume|résumé|curriculum|vitae|cv|summary|profile|objective|experience|education|skills|contact|projects)\b/i;
+
+// "Berlin, Germany", "Austin, TX"
+const LOCATION_PATTERN = /^\p{Lu}[\p{L} .'-]*,[ \t]*\p{Lu}[\p{L} .'-]*$/u;
+const LOCATION_LABEL = /^(?:location|based in)\s*:\s*(.+)$/i;
+
+const LINKEDIN_PATTERN = /linkedin\.com\/(in|pub)\//i;
+const GITHUB_PATTERN = /github\.com\/([\w-]+)/i;
+// Profiles that have their own field or are no place to show work
+const NOT_A_PORTFOLIO = /\b(linkedin|github|twitter|x|facebook|instagram)\.com/i;
+
+class ContactDetails {
+  /**
+   * Extract contact details from resume text
+   * @param {string} text - Resume text, before any redaction
+   * @param {Object} [options]
+   * @param {RegExp} [options.jobTitlePattern] - Words of a job title, so that a
+   *   resume starting with "Software Engineer" does not give it as the name
+   * @returns {Object} { name, email, phone, location, linkedin, github, portfolio },
+   *   each null when not found
+   */
+  static extract(text, options = {}) {
+    const source = typeof text === 'string' ? text : '';
+    const header = this.header(source);
+    // A location is only taken from a line that also holds contact details
+    const contactLines = header.filter(line => TextCleaner.extractEmails(line).length > 0
+      || TextCleaner.extractPhoneNumbers(line).length > 0
+      || TextCleaner.extractUrls(line, { domains: true }).length > 0);
+    const segments = contactLines.flatMap(line => line.split(SEGMENT_SEPARATOR).map(segment => segment.trim()));
+    const labelled = header.map(line => line.match(LOCATION_LABEL)).find(Boolean);
+    const urls = TextCleaner.extractUrls(source);
+
+    const github = urls.find(url => GITHUB_PATTERN.test(url));
+    const portfolio = TextCleaner.extractUrls(header.join('\n'), { domains: true })
+      .find(url => !NOT_A_PORTFOLIO.test(url));
+
+    return {
+      name: this.guessName(header, options.jobTitlePattern),
+      email: TextCleaner.extractEmails(source)[0] || null,
+      phone: TextCleaner.extractPhoneNumbers(source)[0] || null,
+      location: labelled ? labelled[1].trim() : this.guessLocation(segments),
+      linkedin: this.link(urls.find(url => LINKEDIN_PATTERN.test(url))),
+      // A repository link still names the profile it belongs to
+      github: github ? this.link(`github.com/${github.match(GITHUB_PATTERN)[1]}`) : null,
+      portfolio: this.link(portfolio)
+    };
+  }
+
+  /**
+   * The non-empty lines at the top of a resume, up to the first section heading
+   * @param {string} text - Resume text
+   * @returns {string[]} Header lines, without markdown heading marks
+   */
+  static header(text) {
+    const lines = text
+      .split('\n')
+      .map(line => line.replace(/^#+\s*/, '').trim())
+      .filter(line => line.length > 0)
+      .slice(0, HEADER_LINES);
+    const headingIndex = lines.findIndex(line => SECTION_HEADING.test(line));
+    return headingIndex < 0 ? lines : lines.slice(0, headingIndex);
+  }
+
+  /**
+   * The candidate's name: the first header line that reads as one
+   * @param {string[]} header - First lines of the resume
+   * @param {RegExp} [jobTitlePattern] - Words of a job title, which no name line has
+   * @returns {string|null} Name
+   */
+  static guessName(header, jobTitlePattern) {
+    const line = header
+      .map(text => text.split(SEGMENT_SEPARATOR)[0].trim())
+      .find(text => NAME_PATTERN.test(text) && !NOT_A_NAME.test(text)
+        && !(jobTitlePattern && jobTitlePattern.test(text)));
+    return line || null;
+  }
+
+  /**
+   * City and region or country: "Austin, TX"
+   * @param {string[]} segments - Contact lines split at their separators
+   * @returns {string|null} Location
+   */
+  static guessLocation(segments) {
+    return segments.find(segment => LOCATION_PATTERN.test(segment)) || null;
+  }
+
+  /**
+   * @param {string} [url] - Link as written
+   * @returns {string|null} Link with a scheme, so it can be opened
+   */
+  static link(url) {
+    if (!url) {
+      return null;
+    }
+    return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+  }
+}
+
+module.exports = ContactDetails;
@@ -0,0 +1,202 @@
+/**
+ * Date range parsing utilities for work history extraction
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const YEAR_PATTERN = '(?:19|20)\\d{2}';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*'?\\s*${YEAR_PATTERN}|\\d{1,2}\\s*\\/\\s*${YEAR_PATTERN}|${YEAR_PATTERN})`;
+// "date" covers "till date" / "to date", where the first word is the separator
+const PRESENT_PATTERN = '(?:present|current|currently|now|ongoing|today|date)';
+const SEPARATOR_PATTERN = '\\s*(?:-|–|—|to|until|till)\\s*';
+
+const DATE_REGEX = new RegExp(`\\b${DATE_PATTERN}\\b`, 'i');
+
+const RANGE_REGEX = new RegExp(
+  `\\b(${DATE_PATTERN})${SEPARATOR_PATTERN}(${DATE_PATTERN}|${PRESENT_PATTERN})\\b`,
+  'i'
+);
+
+class DateParser {
+  /**
+   * Parse a single date such as "Jan 2021", "06/2019", "2019-06" or "2020"
+   * @param {string} value - Date text
+   * @returns {Object|null} { year, month, precision } or null when not a date
+   */
+  static parseDate(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+
+    const text = value.trim().toLowerCase();
+
+    const monthName = text.match(new RegExp(`^(${MONTH_PATTERN})\\s*'?\\s*(${YEAR_PATTERN})$`, 'i'));
+    if (monthName) {
+      return {
+        year: parseInt(monthName[2]),
+        month: MONTHS[monthName[1].substring(0, 3)],
+        precision: 'month'
+      };
+    }
+
+    const iso = text.match(new RegExp(`^(${YEAR_PATTERN})-(\\d{2})$`));
+    if (iso) {
+      const month = parseInt(iso[2]);
+      if (month < 1 || month > 12) return null;
+      return { year: parseInt(iso[1]), month, precision: 'month' };
+    }
+
+    const numeric = text.match(new RegExp(`^(\\d{1,2})\\s*\\/\\s*(${YEAR_PATTERN})$`));
+    if (numeric) {
+      const month = parseInt(numeric[1]);
+      if (month < 1 || month > 12) return null;
+      return { year: parseInt(numeric[2]), month, precision: 'month' };
+    }
+
+    const yearOnly = text.match(new RegExp(`^(${YEAR_PATTERN})$`));
+    if (yearOnly) {
+      return { year: parseInt(yearOnly[1]), month: 1, precision: 'year' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the first date range in a line of text
+   * @param {string} text - Text to search
+   * @param {Date} [now] - Reference date used for "Present"
+   * @returns {Object|null} Parsed range with the matched text, or null
+   */
+  static findDateRange(text, now = new Date()) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const match = text.match(RANGE_REGEX);
+    if (!match) {
+      return null;
+    }
+
+    const start = this.parseDate(match[1]);
+    const isCurrent = new RegExp(`^${PRESENT_PATTERN}$`, 'i').test(match[2].trim());
+    const end = isCurrent
+      ? { year: now.getFullYear(), month: now.getMonth() + 1, precision: 'month' }
+      : this.parseDate(match[2]);
+
+    if (!start || !end || this.toMonthIndex(end) < this.toMonthIndex(start)) {
+      return null;
+    }
+
+    return {
+      matchedText: match[0],
+      start,
+      end,
+      isCurrent
+    };
+  }
+
+  /**
+   * Find the first single date in a line of text: "Mar 2022", "2021"
+   * @param {string} text - Text to search
+   * @returns {Object|null} { matchedText, index, date } with the parsed date, or null
+   */
+  static findDate(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const match = text.match(DATE_REGEX);
+    const date = match && this.parseDate(match[0]);
+    return date ? { matchedText: match[0], index: match.index, date } : null;
+  }
+
+  /**
+   * Format a parsed date as "YYYY-MM" (or "YYYY" when only the year is known)
+   * @param {Object} date - Parsed date
+   * @returns {string} Formatted date
+   */
+  static formatDate(date) {
+    if (date.precision === 'year') {
+      return `${date.year}`;
+    }
+    return `${date.year}-${String(date.month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Convert a parsed date to a month count for arithmetic
+   * @param {Object} date - Parsed date
+   * @returns {number} Months since year 0
+   */
+  static toMonthIndex(date) {
+    return date.year * 12 + (date.month - 1);
+  }
+
+  /**
+   * Convert a range to a half-open month interval [start, end)
+   * Month-precision ends are inclusive ("Jan 2021 - Mar 2023" covers March),
+   * year-only ends are not ("2021 - 2024" counts as three years).
+   * @param {Object} range - Range from findDateRange
+   * @returns {number[]} [startIndex, endIndex]
+   */
+  static toInterval(range) {
+    const start = this.toMonthIndex(range.start);
+    let end = this.toMonthIndex(range.end);
+
+    if (range.end.precision === 'month') {
+      end += 1;
+    }
+
+    // A role that starts and ends in the same year still counts for something
+    return [start, Math.max(end, start + 1)];
+  }
+
+  /**
+   * Total months covered by a set of ranges, counting overlaps once
+   * @param {Object[]} ranges - Ranges from findDateRange
+   * @returns {number} Total months
+   */
+  static totalMonths(ranges) {
+    const intervals = ranges
+      .filter(Boolean)
+      .map(range => this.toInterval(range))
+      .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    intervals.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    return merged.reduce((total, [start, end]) => total + (end - start), 0);
+  }
+
+  /**
+   * Describe a month count, e.g. "2 years 3 months"
+   * @param {number} months - Number of months
+   * @returns {string} Human readable duration
+   */
+  static formatDuration(months) {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    const parts = [];
+
+    if (years > 0) {
+      parts.push(`${years} ${years === 1 ? 'year' : 'years'}`);
+    }
+    if (remainder > 0) {
+      parts.push(`${remainder} ${remainder === 1 ? 'month' : 'months'}`);
+    }
+
+    return parts.join(' ') || 'Less than a month';
+  }
+}
+
+module.exports = DateParser;
@@ -0,0 +1,237 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+/**
+ * Resume file formats the parser can read
+ * The client's MIME type and the file extension are not trusted; the format
+ * is sniffed from the file content. The extension only tells Markdown apart
+ * from plain text.
+ */
+const FORMATS = {
+  pdf: { label: 'PDF', mimeType: 'application/pdf', extensions: ['.pdf'] },
+  docx: {
+    label: 'DOCX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx']
+  },
+  odt: { label: 'ODT', mimeType: 'application/vnd.oasis.opendocument.text', extensions: ['.odt'] },
+  rtf: { label: 'RTF', mimeType: 'application/rtf', extensions: ['.rtf'] },
+  markdown: { label: 'Markdown', mimeType: 'text/markdown', extensions: ['.md', '.markdown'] },
+  text: { label: 'TXT', mimeType: 'text/plain', extensions: ['.txt'] }
+};
+
+// MIME types browsers report for the formats above, besides the canonical ones
+const MIME_ALIASES = ['text/rtf', 'text/x-markdown', 'application/x-rtf'];
+
+// Parser errors about the uploaded document, by the start of their message
+const DOCUMENT_ERRORS = [
+  { message: 'Invalid PDF file', statusCode: 400, code: 'INVALID_PDF' },
+  { message: 'Unsupported file format', statusCode: 415, code: 'UNSUPPORTED_FORMAT' },
+  { message: 'PDF parsing failed', statusCode: 422, code: 'PDF_PARSING_ERROR' },
+  { message: 'DOCX parsing failed', statusCode: 422, code: 'DOCX_PARSING_ERROR' },
+  { message: 'ODT parsing failed', statusCode: 422, code: 'ODT_PARSING_ERROR' },
+  { message: 'RTF parsing failed', statusCode: 422, code: 'RTF_PARSING_ERROR' }
+];
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+// Compound File Binary header of legacy Word (.doc) files
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+// Bytes examined when deciding whether a file is text
+const SNIFF_LENGTH = 8192;
+// Share of control characters above which content is binary
+const MAX_CONTROL_SHARE = 0.01;
+
+// Byte order marks of UTF-16 text, whose ASCII characters carry NUL bytes
+const UTF16_BOMS = [
+  { bom: Buffer.from([0xff, 0xfe]), encoding: 'utf-16le' },
+  { bom: Buffer.from([0xfe, 0xff]), encoding: 'utf-16be' }
+];
+
+// Markdown syntax in a text file: headings, bold or italic text, links and
+// code fences. One "# " line alone does not make a file Markdown.
+const MARKDOWN_SIGNALS = [
+  /^#{1,6}[ \t]+\S/gm,
+  /(\*\*|__)\S[^\n]*?\S\1/g,
+  /\[[^\]\n]+\]\([^)\s]+\)/g,
+  /^(```|~~~)/gm
+];
+const MIN_MARKDOWN_SIGNALS = 2;
+
+class DocumentFormat {
+  /**
+   * Format of a file from its content
+   * @param {Buffer} buffer - File content
+   * @param {string} [fileName] - Original file name
+   * @returns {Promise<string|null>} Key of FORMATS, or null when unsupported
+   */
+  static async detect(buffer, fileName = '') {
+    // PDF allows anything before the header in the first kilobyte
+    if (buffer.subarray(0, 1024).includes('%PDF-')) {
+      return 'pdf';
+    }
+
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+      return this.detectPackage(buffer);
+    }
+
+    if (this.isLegacyWord(buffer) || !this.isText(buffer)) {
+      return null;
+    }
+
+    const text = this.decodeText(buffer.subarray(0, SNIFF_LENGTH));
+    if (/^\s*\{\\rtf/.test(text)) {
+      return 'rtf';
+    }
+
+    const extension = path.extname(fileName).toLowerCase();
+    if (FORMATS.markdown.extensions.includes(extension) || this.looksLikeMarkdown(text)) {
+      return 'markdown';
+    }
+    return 'text';
+  }
+
+  /**
+   * Tell DOCX from ODT by the parts inside the ZIP package
+   * @param {Buffer} buffer - ZIP content
+   * @returns {Promise<string|null>} 'docx', 'odt' or null
+   */
+  static async detectPackage(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      return null;
+    }
+
+    const mimetype = zip.file('mimetype');
+    if (mimetype && (await mimetype.async('string')).trim() === FORMATS.odt.mimeType) {
+      return 'odt';
+    }
+    if (zip.file('word/document.xml')) {
+      return 'docx';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a file named as a PDF has no PDF header and would be read as text
+   * Such a file is a broken or mislabeled upload rather than a text resume;
+   * other formats under a .pdf name are still recognised by their content.
+   * @param {string|null} format - Format from detect
+   * @param {string} [fileName] - Original file name
+   * @returns {boolean} Whether the file should be rejected as an invalid PDF
+   */
+  static isInvalidPdf(format, fileName = '') {
+    return FORMATS.pdf.extensions.includes(path.extname(fileName).toLowerCase())
+      && (format === 'text' || format === 'markdown');
+  }
+
+  /**
+   * Response status and error code for a parser error about the document,
+   * shared by the routes that accept uploads
+   * @param {Error} error - Error thrown by ResumeParser.extractText
+   * @returns {Object|null} { statusCode, code }, or null for other errors
+   */
+  static describeError(error) {
+    const known = DOCUMENT_ERRORS.find(({ message }) => error.message.includes(message));
+    return known ? { statusCode: known.statusCode, code: known.code } : null;
+  }
+
+  /**
+   * Whether text without a Markdown extension is written in Markdown
+   * @param {string} text - Start of the file
+   * @returns {boolean} Whether enough Markdown syntax was found
+   */
+  static looksLikeMarkdown(text) {
+    const signals = MARKDOWN_SIGNALS.reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+    return signals >= MIN_MARKDOWN_SIGNALS;
+  }
+
+  static isLegacyWord(buffer) {
+    return buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE);
+  }
+
+  /**
+   * Whether the content is text: no NUL bytes and hardly any control characters
+   * UTF-16 text is recognised by its byte order mark and checked once decoded.
+   * @param {Buffer} buffer - File content
+   * @returns {boolean} Whether the file is text
+   */
+  static isText(buffer) {
+    const sample = buffer.subarray(0, SNIFF_LENGTH);
+    if (sample.length === 0) {
+      return false;
+    }
+
+    let codes;
+    if (this.utf16Encoding(sample)) {
+      codes = Array.from(this.decodeText(sample), character => character.charCodeAt(0));
+    } else if (sample.includes(0)) {
+      return false;
+    } else {
+      codes = Array.from(sample);
+    }
+
+    // Tab, line feed, form feed, carriage return and escape appear in text files
+    const controls = codes.filter(code => code < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(code)).length;
+    return controls / Math.max(1, codes.length) <= MAX_CONTROL_SHARE;
+  }
+
+  /**
+   * @param {Buffer} buffer - File content
+   * @returns {string|null} 'utf-16le' or 'utf-16be' when the content starts with their byte order mark
+   */
+  static utf16Encoding(buffer) {
+    const match = UTF16_BOMS.find(({ bom }) => buffer.subarray(0, bom.length).equals(bom));
+    return match ? match.encoding : null;
+  }
+
+  /**
+   * Text of a text file: UTF-16 with a byte order mark, UTF-8 when valid,
+   * otherwise Latin-1
+   * @param {Buffer} buffer - File content
+   * @returns {string} Text without a byte order mark
+   */
+  static decodeText(buffer) {
+    const utf16 = this.utf16Encoding(buffer);
+    if (utf16) {
+      return new TextDecoder(utf16).decode(buffer);
+    }
+
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      text = buffer.toString('latin1');
+    }
+    return text.replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Extensions accepted for upload
+   * @returns {string[]} Extensions with their leading dot
+   */
+  static get extensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  /**
+   * MIME types accepted for upload
+   * @returns {string[]} MIME types
+   */
+  static get mimeTypes() {
+    return [...Object.values(FORMATS).map(format => format.mimeType), ...MIME_ALIASES];
+  }
+
+  /**
+   * Names of the supported formats, for error messages
+   * @returns {string[]} Format labels
+   */
+  static get labels() {
+    return Object.values(FORMATS).map(format => format.label);
+  }
+}
+
+DocumentFormat.FORMATS = FORMATS;
+
+module.exports = DocumentFormat;
@@ -0,0 +1,77 @@
+/**
+ * Server-Sent Events over an Express response
+ *
+ * Streaming endpoints are POST requests, so clients read them with fetch
+ * rather than EventSource; the wire format is the standard one either way.
+ */
+
+// Comment line sent while a long completion produces nothing to report
+const HEARTBEAT_INTERVAL = 15000;
+
+class EventStream {
+  /**
+   * Switch a response to an event stream
+   * @param {Object} res - Express response
+   */
+  constructor(res) {
+    this.res = res;
+    this.closed = false;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keep reverse proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    this.heartbeat = setInterval(() => this.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+    res.on('close', () => this.stop());
+  }
+
+  /**
+   * Send one event
+   * @param {string} event - Event name
+   * @param {*} data - JSON-serializable payload
+   */
+  send(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an error event in the API error format
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  sendError(message, code) {
+    this.send('error', {
+      message,
+      code,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * End the stream
+   */
+  end() {
+    if (!this.closed) {
+      this.stop();
+      this.res.end();
+    }
+  }
+
+  write(text) {
+    if (!this.closed) {
+      this.res.write(text);
+    }
+  }
+
+  stop() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,88 @@
+/**
+ * Follow-up questions: probing questions asked after an answer, built from
+ * what the answer did and did not cover
+ */
+
+const { EXAMPLE_CUES, QUANTIFIED, keywords } = require('../services/rubrics/signals');
+
+// Follow-ups returned for one answer
+const MAX_COUNT = 2;
+// Follow-ups that may be chained after one original question
+const MAX_DEPTH = 3;
+
+const OUTCOME_CUES = /\b(result(ed)?|outcome|impact|improv(ed|ing)|reduc(ed|ing)|increas(ed|ing)|saved|learn(ed|t))\b/i;
+const TRADEOFF_CUES = /\b(trade-?offs?|alternatives?|instead of|compared to|downside|pros and cons)\b/i;
+
+class FollowUps {
+  /**
+   * Check a requested follow-up count
+   * @param {*} count - Count from a request body
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateCount(count) {
+    if (count === undefined) {
+      return null;
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return `Count must be an integer from 1 to ${MAX_COUNT}.`;
+    }
+    return null;
+  }
+
+  /**
+   * Term the answer dwells on that the question did not ask about
+   * A term mentioned once is too weak a signal to build a question on.
+   * @param {string} question - Question text
+   * @param {string} answer - Answer text
+   * @returns {string|null} Most frequent new keyword used at least twice
+   */
+  static focusTerm(question, answer) {
+    const asked = new Set(keywords(question));
+    const counts = new Map();
+    keywords(answer)
+      .filter(word => !asked.has(word) && word.length >= 5)
+      .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+    let best = null;
+    counts.forEach((count, word) => {
+      if (count >= 2 && (!best || count > counts.get(best))) {
+        best = word;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Probing questions for the gaps in an answer, most useful first
+   * @param {string} question - Question that was answered
+   * @param {string} answer - Candidate's answer
+   * @param {number} [count] - Number of follow-ups, 1 to MAX_COUNT
+   * @returns {string[]} Follow-up questions
+   */
+  static fromAnswer(question, answer, count = MAX_COUNT) {
+    const text = (answer || '').trim();
+    const term = this.focusTerm(question, text);
+    const candidates = [];
+
+    if (term) {
+      candidates.push(`You mentioned ${term}. Can you go one level deeper on how it worked and why you chose it?`);
+    }
+    if (!EXAMPLE_CUES.test(text)) {
+      candidates.push('Can you give a specific example from your own experience where you did this?');
+    }
+    if (!QUANTIFIED.test(text) || !OUTCOME_CUES.test(text)) {
+      candidates.push('What was the measurable outcome, and how did you know it worked?');
+    }
+    if (!TRADEOFF_CUES.test(text)) {
+      candidates.push('What alternatives did you consider, and why did you rule them out?');
+    }
+    candidates.push('What was the hardest part of that, and what would you do differently next time?');
+
+    return candidates.slice(0, Math.min(MAX_COUNT, Math.max(1, count)));
+  }
+}
+
+FollowUps.MAX_COUNT = MAX_COUNT;
+FollowUps.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = FollowUps;
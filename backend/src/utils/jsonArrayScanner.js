@@ -0,0 +1,150 @@
+/**
+ * Incremental reader for streamed JSON replies
+ *
+ * Model replies are JSON objects whose interesting parts are arrays one level
+ * down, e.g. { "technical": ["...", "..."] } or { "feedback": [{...}, {...}] }.
+ * The scanner is fed the reply as it streams and returns every array element
+ * as soon as it is complete, long before the whole object can be parsed.
+ * Text before the first "{" (code fences, prose) is ignored.
+ */
+class JsonArrayScanner {
+  constructor() {
+    this.buffer = '';
+    this.position = 0;
+    this.stack = [];
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastString = null;
+    this.key = null;
+    this.arrayKey = null;
+    this.elementStart = -1;
+    this.counts = {};
+  }
+
+  /**
+   * Feed the next chunk of the reply
+   * @param {string} chunk - Streamed text
+   * @returns {Object[]} Completed elements: { key, index, value }
+   */
+  push(chunk) {
+    const elements = [];
+    this.buffer += chunk;
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          this.endString(elements);
+        }
+        continue;
+      }
+
+      // Nothing counts until the reply object opens
+      if (this.stack.length === 0 && char !== '{') {
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.startElement();
+          this.inString = true;
+          this.stringStart = this.position;
+          break;
+        case '{':
+        case '[':
+          this.startElement();
+          if (char === '[' && this.stack.length === 1) {
+            this.arrayKey = this.key;
+          }
+          this.stack.push(char);
+          break;
+        case '}':
+        case ']':
+          if (this.atElementLevel() && char === ']') {
+            // The watched array closes; a pending number or literal ends here
+            this.endElement(this.position - 1, elements);
+            this.arrayKey = null;
+          }
+          this.stack.pop();
+          if (this.atElementLevel()) {
+            this.endElement(this.position, elements);
+          }
+          break;
+        case ',':
+          if (this.atElementLevel()) {
+            this.endElement(this.position - 1, elements);
+          }
+          break;
+        case ':':
+          if (this.stack.length === 1) {
+            this.key = this.lastString;
+          }
+          break;
+        default:
+          if (!/\s/.test(char)) {
+            this.startElement();
+          }
+      }
+    }
+
+    return elements;
+  }
+
+  /**
+   * Whether the scanner is directly inside an array of the reply object
+   */
+  atElementLevel() {
+    return this.stack.length === 2 && this.stack[0] === '{' && this.stack[1] === '[';
+  }
+
+  startElement() {
+    if (this.atElementLevel() && this.elementStart === -1) {
+      this.elementStart = this.position;
+    }
+  }
+
+  endString(elements) {
+    const text = this.buffer.slice(this.stringStart, this.position + 1);
+
+    if (this.stack.length === 1) {
+      this.lastString = this.parse(text);
+    } else if (this.atElementLevel() && this.elementStart === this.stringStart) {
+      this.endElement(this.position, elements);
+    }
+  }
+
+  endElement(end, elements) {
+    if (this.elementStart === -1) {
+      return;
+    }
+
+    const text = this.buffer.slice(this.elementStart, end + 1).trim();
+    this.elementStart = -1;
+
+    const value = this.parse(text);
+    if (value === undefined || this.arrayKey === null) {
+      return;
+    }
+
+    const index = this.counts[this.arrayKey] || 0;
+    this.counts[this.arrayKey] = index + 1;
+    elements.push({ key: this.arrayKey, index, value });
+  }
+
+  parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
+
+module.exports = JsonArrayScanner;
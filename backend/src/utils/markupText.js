@@ -0,0 +1,297 @@
+/**
+ * Plain text from Markdown, RTF and OpenDocument markup
+ *
+ * Output keeps one line per paragraph, list items as "- " bullets and table
+ * rows on one line with cells separated by " | ", as the PDF and DOCX
+ * extractors do, so the parser reads every format the same way.
+ */
+
+const CELL_SEPARATOR = ' | ';
+
+// RTF groups whose text is not part of the document body
+const RTF_SKIPPED_DESTINATIONS = [
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'xmlnstbl', 'generator', 'filetbl', 'revtbl'
+];
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', tab: '\t', cell: CELL_SEPARATOR,
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+// Windows-1252 characters in the 0x80-0x9F range, where it differs from Latin-1
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// OpenDocument elements whose text is not part of the document body
+const ODT_SKIPPED_ELEMENTS = ['office:annotation', 'text:tracked-changes', 'text:note-citation', 'text:sequence-decls'];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+class MarkupText {
+  /**
+   * Plain text of a Markdown document
+   * Section headings keep their "#" markers so the parser can tell them from
+   * content. The section level is the highest level used more than once (a
+   * single "# Name" title is above it); deeper headings, such as one per role,
+   * become plain lines of their section.
+   * @param {string} markdown - Markdown source
+   * @returns {string} Text
+   */
+  static fromMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+
+      if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+        fence = fence ? null : fenceMatch[1];
+        continue;
+      }
+      if (fence) {
+        blocks.push(line);
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+      const underline = (lines[i + 1] || '').match(/^\s{0,3}(=+|-+)\s*$/);
+
+      if (heading) {
+        blocks.push({ level: heading[1].length, text: this.markdownInline(heading[2]) });
+      } else if (underline && line.trim() && !/^\s*([-*+]|\d+[.)])\s|^\s*\|/.test(line)) {
+        // Setext heading: text underlined with === or ---
+        blocks.push({ level: underline[1][0] === '=' ? 1 : 2, text: this.markdownInline(line.trim()) });
+        i++;
+      } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        blocks.push('');
+      } else if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) {
+        // Table header separator
+        continue;
+      } else if (/^\s*\|.*\|\s*$/.test(line)) {
+        const cells = line.trim().replace(/^\||\|$/g, '').split('|');
+        blocks.push(cells.map(cell => this.markdownInline(cell.trim())).join(CELL_SEPARATOR));
+      } else {
+        const text = line
+          .replace(/^\s*(>\s?)+/, '')
+          .replace(/^(\s*)[*+-]\s+(\[[ xX]\]\s+)?/, '$1- ');
+        blocks.push(this.markdownInline(text));
+      }
+    }
+
+    const levels = blocks.filter(block => typeof block === 'object').map(block => block.level);
+    const repeated = levels.filter((level, index) => levels.indexOf(level) !== index);
+    const sectionLevel = Math.min(...(repeated.length > 0 ? repeated : levels));
+
+    return blocks
+      .map(block => {
+        if (typeof block === 'string') {
+          return block;
+        }
+        return block.level > sectionLevel ? block.text : `${'#'.repeat(block.level)} ${block.text}`;
+      })
+      .join('\n');
+  }
+
+  static markdownInline(text) {
+    return text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(\s*(?:mailto:)?([^)\s]+)[^)]*\)/g, (match, label, url) => (
+        label === url || label === url.replace(/^https?:\/\//, '') ? label : `${label} (${url})`
+      ))
+      .replace(/<((?:https?:\/\/|mailto:)[^>]+)>/g, (match, url) => url.replace(/^mailto:/, ''))
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+      .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1$2')
+      .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1$2')
+      .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, '$1')
+      .replace(/\s+$/, '');
+  }
+
+  /**
+   * Plain text of an RTF document
+   * @param {string} rtf - RTF source
+   * @returns {string} Text
+   */
+  static fromRtf(rtf) {
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let output = '';
+    let pendingSkip = 0;
+    let i = 0;
+
+    const emit = (text) => {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+        return;
+      }
+      if (!state.skip) {
+        output += text;
+      }
+    };
+
+    while (i < rtf.length) {
+      const char = rtf[i];
+
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        i++;
+      } else if (char === '}') {
+        state = stack.pop() || state;
+        i++;
+      } else if (char === '\r' || char === '\n') {
+        i++;
+      } else if (char !== '\\') {
+        emit(char);
+        i++;
+      } else {
+        const next = rtf[i + 1];
+        const word = rtf.slice(i + 1).match(/^([a-z]{1,32})(-?\d{1,10})? ?/);
+
+        if (word) {
+          const [match, name, param] = word;
+          i += 1 + match.length;
+
+          if (name === 'u' && param !== undefined) {
+            const code = Number(param);
+            emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+            pendingSkip = state.unicodeSkip;
+          } else if (name === 'uc') {
+            state.unicodeSkip = Number(param || 0);
+          } else if (RTF_SKIPPED_DESTINATIONS.includes(name)) {
+            state.skip = true;
+          } else if (RTF_SYMBOLS[name]) {
+            if (pendingSkip > 0) {
+              pendingSkip--;
+            } else if (!state.skip) {
+              output += RTF_SYMBOLS[name];
+            }
+          }
+        } else if (next === '\'') {
+          const code = parseInt(rtf.substr(i + 2, 2), 16);
+          emit(CP1252[code] || String.fromCharCode(code));
+          i += 4;
+        } else if (next === '*') {
+          // Ignorable destination: readers that do not know it skip the group
+          state.skip = true;
+          i += 2;
+        } else if (next === '\r' || next === '\n') {
+          emit('\n');
+          i += 2;
+        } else {
+          const symbols = { '~': ' ', '-': '', _: '-' };
+          emit(next in symbols ? symbols[next] : next);
+          i += 2;
+        }
+      }
+    }
+
+    // The last cell of a row is followed by the row break, not another cell
+    return this.tidy(output.split(`${CELL_SEPARATOR}\n`).join('\n'));
+  }
+
+  /**
+   * Plain text of an OpenDocument text body (content.xml)
+   * @param {string} xml - content.xml source
+   * @returns {string} Text
+   */
+  static fromOdtXml(xml) {
+    const bodyStart = xml.indexOf('<office:body');
+    const body = bodyStart >= 0 ? xml.slice(bodyStart) : xml;
+    const tokens = body.match(/<[^>]*>|[^<]+/g) || [];
+    let output = '';
+    let skipDepth = 0;
+    let cellDepth = 0;
+    let bulletPending = false;
+
+    tokens.forEach(token => {
+      if (!token.startsWith('<')) {
+        if (skipDepth === 0) {
+          output += this.decodeXml(token);
+        }
+        return;
+      }
+
+      const tag = token.match(/^<(\/?)([\w:.-]+)([^>]*?)(\/?)>$/);
+      if (!tag) {
+        return;
+      }
+      const [, closing, name, attributes, selfClosing] = tag;
+
+      if (ODT_SKIPPED_ELEMENTS.includes(name)) {
+        if (!selfClosing) {
+          skipDepth += closing ? -1 : 1;
+        }
+        return;
+      }
+      if (skipDepth > 0) {
+        return;
+      }
+
+      if (!closing) {
+        if (name === 'text:list-item') {
+          bulletPending = true;
+        } else if ((name === 'text:p' || name === 'text:h') && bulletPending) {
+          output += '- ';
+          bulletPending = false;
+        } else if (name === 'text:tab') {
+          output += '\t';
+        } else if (name === 'text:line-break') {
+          output += '\n';
+        } else if (name === 'text:s') {
+          const count = attributes.match(/text:c="(\d+)"/);
+          output += ' '.repeat(count ? Number(count[1]) : 1);
+        } else if (name === 'table:table-cell' && !selfClosing) {
+          cellDepth++;
+        }
+      }
+
+      if (closing || selfClosing) {
+        if (name === 'text:p' || name === 'text:h') {
+          output += cellDepth > 0 ? ' ' : '\n';
+        } else if (name === 'table:table-cell' && closing) {
+          cellDepth--;
+          output = `${output.replace(/ +$/, '')}${CELL_SEPARATOR}`;
+        } else if (name === 'table:table-row') {
+          output = `${output.slice(0, output.length - (output.endsWith(CELL_SEPARATOR) ? CELL_SEPARATOR.length : 0))}\n`;
+        }
+      }
+    });
+
+    return this.tidy(output);
+  }
+
+  static decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[entity] || match;
+    });
+  }
+
+  /**
+   * Trim lines and collapse runs of blank lines
+   */
+  static tidy(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[ \t]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = MarkupText;
@@ -0,0 +1,137 @@
+/**
+ * How far the fields read from a resume can be trusted
+ *
+ * The parser never fails on a resume it can open: a scanned PDF or a resume
+ * without headings just comes back with few skills or "Experience level not
+ * specified". Each field gets a confidence from 0 to 1 (0 when nothing was
+ * found), and warnings say what probably went wrong, so the candidate can fix
+ * the results before questions are generated from them.
+ */
+
+// Text a page of a PDF with selectable text has at the least
+const MIN_CHARS_PER_PAGE = 200;
+// Less text than this is not a whole resume
+const MIN_CHARS = 150;
+
+// Skills a resume that lists its skills usually has at the least
+const MIN_LISTED_SKILLS = 5;
+
+// Education lines that stop on a connector or an open bracket were cut off
+const TRUNCATED_ENDING = /(?:\b(?:in|of|and|at|for|from|the|with)|[&,(/–—-])$/i;
+
+// Weights of the contact details and of the parts of a role
+const CONTACT_WEIGHTS = { name: 0.3, email: 0.4, phone: 0.3 };
+const ROLE_WEIGHTS = { title: 0.4, company: 0.3, startDate: 0.3 };
+
+class ParseQuality {
+  /**
+   * Confidence in each extracted field, and warnings about the extraction
+   * @param {Object} resume - Fields from ResumeParser.parseResume
+   * @param {Object} [source] - What is known about the document
+   * @param {string} [source.format] - DocumentFormat.FORMATS key
+   * @param {number} [source.pages] - Page count of a PDF
+   * @param {string[]} [source.layouts] - Kinds of side-by-side regions in a PDF
+   * @param {string[]} [source.sections] - Kinds of the section headings found
+   * @returns {Object} { confidence, warnings } with confidence keyed by field
+   *   and warnings as { code, field, message }, field null for the whole resume
+   */
+  static assess(resume, source = {}) {
+    const sections = source.sections || [];
+    const warnings = [];
+    const warn = (code, field, message) => warnings.push({ code, field, message });
+
+    const characters = (resume.text || '').replace(/\s/g, '').length;
+    let reading = 1;
+    if (source.format === 'pdf' && characters < MIN_CHARS_PER_PAGE * Math.max(1, source.pages || 1)) {
+      reading = 0.3;
+      warn('image-only', null, 'The PDF has almost no selectable text; it looks scanned or image-only. Upload a PDF exported from a text editor, or a DOCX.');
+    } else if (characters < MIN_CHARS) {
+      reading = 0.5;
+      warn('little-text', null, 'Very little text could be read from the resume.');
+    }
+    if (characters > 0 && sections.length === 0) {
+      reading *= 0.7;
+      warn('no-section-headings', null, 'No section headings (Experience, Education, Skills...) were detected, so sections could not be told apart.');
+    }
+    if ((source.layouts || []).includes('columns')) {
+      reading *= 0.9;
+      warn('multi-column-layout', null, 'The resume looks like it has two or more columns; check that entries from side-by-side columns were not mixed up.');
+    }
+
+    const skills = resume.skillDetails || [];
+    const workHistory = resume.workHistory || [];
+    const education = resume.education || [];
+    const truncated = education.filter(entry => this.looksTruncated(entry));
+    const projects = resume.projects || [];
+
+    if (skills.length === 0) {
+      warn('no-skills', 'skills', 'No skills were found.');
+    }
+    if (resume.experienceYears === null || resume.experienceYears === undefined) {
+      warn('no-experience', 'experience', 'The experience level could not be determined; add dates to your roles or enter your years of experience.');
+    }
+    if (workHistory.length === 0 && sections.includes('experience')) {
+      warn('no-work-history', 'workHistory', 'The experience section was found, but no roles could be read from it.');
+    }
+    if (truncated.length > 0) {
+      warn('truncated-education', 'education', `${truncated.length} education line(s) look truncated: ${truncated.map(entry => `"${entry}"`).join(', ')}`);
+    }
+
+    const score = value => Math.round(value * reading * 100) / 100;
+
+    return {
+      confidence: {
+        contact: score(this.weigh(resume.contact || {}, CONTACT_WEIGHTS)),
+        skills: score(skills.length === 0 ? 0 : 0.5
+          + (skills.some(skill => skill.sections.includes('skills')) ? 0.3 : 0)
+          + (skills.length >= MIN_LISTED_SKILLS ? 0.2 : 0)),
+        experience: score(this.experienceConfidence(resume.experienceYears, workHistory)),
+        workHistory: score(workHistory.length === 0 ? 0
+          : workHistory.reduce((sum, role) => sum + this.weigh(role, ROLE_WEIGHTS), 0) / workHistory.length),
+        education: score(education.length === 0 ? 0
+          : (1 - truncated.length / education.length) * (sections.includes('education') ? 1 : 0.7)),
+        projects: score(projects.length === 0 ? 0
+          : 0.6 + 0.4 * projects.filter(project => (project.technologies || []).length > 0).length / projects.length)
+      },
+      warnings
+    };
+  }
+
+  /**
+   * @param {number|null} years - Years of experience from the parser
+   * @param {Object[]} workHistory - Roles from the parser
+   * @returns {number} Confidence: dated roles are counted, a stated number is taken on trust
+   */
+  static experienceConfidence(years, workHistory) {
+    if (years === null || years === undefined) {
+      return 0;
+    }
+    if (workHistory.some(role => role.startDate && role.endDate)) {
+      return 0.9;
+    }
+    return years > 0 ? 0.6 : 0.5;
+  }
+
+  /**
+   * Whether an education line looks cut off: "Bachelor", "B.Sc. in", "MIT (2015 -"
+   * @param {string} line - Education entry
+   * @returns {boolean} Whether the line looks truncated
+   */
+  static looksTruncated(line) {
+    const text = String(line).trim();
+    const open = (text.match(/\(/g) || []).length;
+    const close = (text.match(/\)/g) || []).length;
+    return text.split(/\s+/).length < 2 || TRUNCATED_ENDING.test(text) || open > close;
+  }
+
+  /**
+   * @param {Object} fields - Object whose fields may be filled in
+   * @param {Object} weights - Weight of each field, adding up to 1
+   * @returns {number} Total weight of the fields filled in
+   */
+  static weigh(fields, weights) {
+    return Object.keys(weights).reduce((sum, field) => sum + (fields[field] ? weights[field] : 0), 0);
+  }
+}
+
+module.exports = ParseQuality;
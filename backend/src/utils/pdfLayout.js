@@ -0,0 +1,315 @@
+/**
+ * Layout-aware text extraction for PDF pages
+ *
+ * pdf-parse's default text follows the content stream, so a page drawn row by
+ * row reads two columns as one interleaved column. Here the positioned text
+ * items of a page are grouped into lines and horizontal segments, and runs of
+ * lines that share a vertical gap are read as one of:
+ * - columns: each column top to bottom, left column first
+ * - labels: a narrow column of section headings beside their content; each
+ *   heading is put on its own line right before the content it sits next to
+ * - a table: row by row, cells separated by " | "
+ */
+
+// Horizontal gap, in font sizes, that splits a line into separate segments
+const SEGMENT_GAP = 1.5;
+// Narrowest gutter, in font sizes, that can separate columns or table cells
+const MIN_GUTTER = 0.8;
+// Columns need this many rows in total and this many lines each
+const MIN_COLUMN_ROWS = 6;
+const MIN_COLUMN_LINES = 3;
+// Side-by-side text whose rows mostly line up is a table, not columns
+const TABLE_PAIRED_RATIO = 0.75;
+// A vertical gap this many font sizes wide starts a new paragraph
+const PARAGRAPH_GAP = 1.8;
+
+const CELL_SEPARATOR = ' | ';
+
+class PdfLayout {
+  /**
+   * Layout-aware text of one page, for pdf-parse's pagerender option
+   * @param {Object} pageData - pdf.js page
+   * @param {Object} [options] - See layoutText
+   * @returns {Promise<string>} Page text in reading order
+   */
+  static async renderPage(pageData, options = {}) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+    const items = content.items.map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: Math.hypot(item.transform[2], item.transform[3]) || item.height
+    }));
+
+    return this.layoutText(items, options);
+  }
+
+  /**
+   * Text of positioned items in reading order
+   * @param {Object[]} items - { text, x, y, width, size } with y growing upwards, as in PDF space
+   * @param {Object} [options]
+   * @param {Function} [options.isHeading] - Whether a line of text is a section heading
+   * @param {Function} [options.onRegion] - Called with the kind of each side-by-side region
+   * @returns {string} Text with one line per output line
+   */
+  static layoutText(items, options = {}) {
+    const isHeading = options.isHeading || (text => text.split(/\s+/).length <= 3);
+    const lines = this.groupLines(items.filter(item => item.text && item.text.trim().length > 0));
+    const output = [];
+    let previous = null;
+
+    const emit = (text, line) => {
+      if (previous && previous.y - line.y > PARAGRAPH_GAP * Math.max(previous.size, line.size)) {
+        output.push('');
+      }
+      output.push(text);
+      previous = line;
+    };
+
+    this.findRegions(lines).forEach(region => {
+      if (!region.gaps) {
+        emit(this.joinCells(region.lines[0].segments), region.lines[0]);
+        return;
+      }
+
+      const kind = this.classifyRegion(region, isHeading);
+      if (options.onRegion) {
+        options.onRegion(kind);
+      }
+      if (kind === 'columns') {
+        this.columnsOf(region).forEach(column => {
+          previous = null;
+          output.push('');
+          // Rows were merged across columns; each column keeps its own spacing
+          column.forEach(({ segments }) => emit(this.joinCells(segments), segments[0]));
+        });
+        output.push('');
+        previous = null;
+      } else if (kind === 'labels') {
+        region.lines.forEach(line => {
+          this.splitByGaps(line.segments, region.gaps).forEach(segments => {
+            if (segments.length > 0) {
+              emit(this.joinCells(segments), line);
+            }
+          });
+        });
+      } else {
+        region.lines.forEach(line => emit(this.joinCells(line.segments), line));
+      }
+    });
+
+    return output
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Group items into lines, top to bottom, each split into segments at wide gaps
+   * @param {Object[]} items - Positioned text items
+   * @returns {Object[]} Lines: { y, size, segments: [{ text, x0, x1, y, size }] }
+   */
+  static groupLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    sorted.forEach(item => {
+      const size = item.size || 10;
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= Math.min(line.size, size) * 0.5) {
+        line.items.push(item);
+        line.size = Math.max(line.size, size);
+      } else {
+        lines.push({ y: item.y, size, items: [item] });
+      }
+    });
+
+    return lines.map(line => ({
+      y: line.y,
+      size: line.size,
+      segments: this.segmentsOf(line.items.sort((a, b) => a.x - b.x), line.size)
+    }));
+  }
+
+  static segmentsOf(items, size) {
+    const segments = [];
+
+    items.forEach(item => {
+      const segment = segments[segments.length - 1];
+      const gap = segment ? item.x - segment.x1 : Infinity;
+
+      if (gap > size * SEGMENT_GAP) {
+        segments.push({ text: item.text, x0: item.x, x1: item.x + item.width, y: item.y, size: item.size || size });
+        return;
+      }
+
+      const needsSpace = gap > size * 0.1 && !/\s$/.test(segment.text) && !/^\s/.test(item.text);
+      segment.text += (needsSpace ? ' ' : '') + item.text;
+      segment.x1 = Math.max(segment.x1, item.x + item.width);
+    });
+
+    return segments
+      .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+      .filter(segment => segment.text.length > 0);
+  }
+
+  /**
+   * Split lines into single lines and regions of lines sharing vertical gaps
+   * A region starts at a line with several segments and takes in the lines
+   * around it that leave at least one of its gaps empty.
+   * @param {Object[]} lines - Lines from groupLines
+   * @returns {Object[]} Regions in page order: { lines, gaps }, gaps null for a single line
+   */
+  static findRegions(lines) {
+    const regions = [];
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.segments.length < 2) {
+        regions.push({ lines: [line], gaps: null });
+        index++;
+        continue;
+      }
+
+      let gaps = this.gapsOf(line);
+      let end = index + 1;
+      while (end < lines.length) {
+        const next = lines[end];
+        const narrowed = this.narrowGaps(gaps, next.segments, Math.min(line.size, next.size) * MIN_GUTTER);
+        if (narrowed.length === 0) {
+          break;
+        }
+        gaps = narrowed;
+        end++;
+      }
+
+      // Single lines just above may be the start of a column that begins higher
+      let start = index;
+      while (start > 0) {
+        const before = regions[regions.length - 1];
+        const narrowed = before && !before.gaps
+          ? this.narrowGaps(gaps, before.lines[0].segments, Math.min(line.size, before.lines[0].size) * MIN_GUTTER)
+          : [];
+        if (narrowed.length === 0) {
+          break;
+        }
+        gaps = narrowed;
+        regions.pop();
+        start--;
+      }
+
+      regions.push({ lines: lines.slice(start, end), gaps });
+      index = end;
+    }
+
+    return regions;
+  }
+
+  /**
+   * How a region should be read: 'columns', 'labels' or 'table'
+   * @param {Object} region - Region from findRegions
+   * @param {Function} isHeading - Section heading test
+   * @returns {string} Region kind
+   */
+  static classifyRegion(region, isHeading) {
+    const cells = region.lines.map(line => this.splitByGaps(line.segments, region.gaps));
+    const columnCount = region.gaps.length + 1;
+    const rowsPerColumn = Array.from({ length: columnCount }, (_, column) => (
+      cells.filter(row => row[column].length > 0).length
+    ));
+    const paired = cells.filter(row => row.filter(column => column.length > 0).length > 1).length;
+    // Column text runs on from line to line; a cell column such as right-aligned dates does not
+    const continuous = this.columnsOf(region).map(column => {
+      const runs = column.filter((entry, index) => {
+        const next = column[index + 1];
+        return next && entry.segments[0].y - next.segments[0].y <= PARAGRAPH_GAP * entry.segments[0].size;
+      }).length;
+      return runs / Math.max(1, column.length - 1) >= 0.5;
+    });
+
+    // Every entry of a narrow first column is a heading for several rows beside it
+    const labels = cells.map(row => row[0]).filter(column => column.length > 0);
+    const others = Math.max(...rowsPerColumn.slice(1));
+    if (labels.length > 0 && others >= labels.length * 2 && labels.every(column => isHeading(this.joinCells(column)))) {
+      return 'labels';
+    }
+
+    if (region.lines.length >= MIN_COLUMN_ROWS &&
+        rowsPerColumn.every(count => count >= MIN_COLUMN_LINES) &&
+        continuous.every(Boolean) &&
+        paired / region.lines.length < TABLE_PAIRED_RATIO) {
+      return 'columns';
+    }
+
+    return 'table';
+  }
+
+  /**
+   * Lines of each column, left to right
+   * @param {Object} region - Region from findRegions
+   * @returns {Object[][]} Per column: [{ line, segments }] top to bottom
+   */
+  static columnsOf(region) {
+    const columns = Array.from({ length: region.gaps.length + 1 }, () => []);
+
+    region.lines.forEach(line => {
+      this.splitByGaps(line.segments, region.gaps).forEach((segments, column) => {
+        if (segments.length > 0) {
+          columns[column].push({ line, segments });
+        }
+      });
+    });
+
+    return columns.filter(column => column.length > 0);
+  }
+
+  /**
+   * Segments of a line on each side of the gaps
+   * @param {Object[]} segments - Line segments
+   * @param {Array<number[]>} gaps - [start, end] gaps, left to right
+   * @returns {Object[][]} One list of segments per column
+   */
+  static splitByGaps(segments, gaps) {
+    const columns = Array.from({ length: gaps.length + 1 }, () => []);
+    segments.forEach(segment => {
+      const column = gaps.filter(gap => gap[1] <= segment.x0).length;
+      columns[column].push(segment);
+    });
+    return columns;
+  }
+
+  static gapsOf(line) {
+    const gaps = [];
+    for (let i = 1; i < line.segments.length; i++) {
+      gaps.push([line.segments[i - 1].x1, line.segments[i].x0]);
+    }
+    return gaps.filter(gap => gap[1] - gap[0] >= line.size * MIN_GUTTER);
+  }
+
+  /**
+   * Parts of the gaps that none of the segments cover
+   * @param {Array<number[]>} gaps - [start, end] gaps
+   * @param {Object[]} segments - Segments of another line
+   * @param {number} minWidth - Narrowest gap worth keeping
+   * @returns {Array<number[]>} Remaining gaps
+   */
+  static narrowGaps(gaps, segments, minWidth) {
+    return segments
+      .reduce((remaining, segment) => remaining.flatMap(gap => (
+        this.crosses(segment, gap) ? [[gap[0], segment.x0], [segment.x1, gap[1]]] : [gap]
+      )), gaps)
+      .filter(gap => gap[1] - gap[0] >= minWidth);
+  }
+
+  static crosses(segment, gap) {
+    return segment.x0 < gap[1] && segment.x1 > gap[0];
+  }
+
+  static joinCells(segments) {
+    return segments.map(segment => segment.text).join(CELL_SEPARATOR);
+  }
+}
+
+module.exports = PdfLayout;
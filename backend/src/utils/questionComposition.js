@@ -0,0 +1,184 @@
+/**
+ * Question set composition: how many questions of each category to generate
+ */
+
+const CATEGORIES = ['intro', 'technical', 'behavioral', 'situational', 'systemDesign'];
+
+// Accepted spellings in request bodies, mapped to the canonical category key
+const ALIASES = {
+  'system-design': 'systemDesign',
+  system_design: 'systemDesign'
+};
+
+// Question types stored by sessions created before categories existed
+const LEGACY_TYPES = {
+  role: 'technical',
+  openEnded: 'behavioral'
+};
+
+// Matches the original fixed set of 2 role questions and 1 open-ended question
+const DEFAULT_COMPOSITION = {
+  intro: 0,
+  technical: 2,
+  behavioral: 1,
+  situational: 0,
+  systemDesign: 0
+};
+
+const MAX_PER_CATEGORY = 5;
+const MAX_TOTAL = 10;
+
+const DESCRIPTIONS = {
+  intro: 'Introductory question to open the interview',
+  technical: 'Technical question based on candidate skills and the role',
+  behavioral: 'Behavioral/HR question about past experience',
+  situational: 'Situational "what would you do if" question',
+  systemDesign: 'System design question scoped to the level'
+};
+
+// Generic questions per category, used when the model is unavailable.
+// Each pool holds at least MAX_PER_CATEGORY questions.
+const GENERIC_QUESTIONS = {
+  intro: [
+    'Tell me about yourself and your background.',
+    'What attracted you to this role?',
+    'Walk me through your resume and the highlights of your career so far.',
+    'What are you looking for in your next position?',
+    'Which achievement are you most proud of, and why?'
+  ],
+  technical: [
+    'Which tools and technologies are you most comfortable with, and why?',
+    'How do you make sure the code you ship is correct and maintainable?',
+    'Explain a technical concept from your recent work as you would to a new teammate.',
+    'How do you approach debugging an issue you cannot reproduce locally?',
+    'How do you keep your technical skills up to date?'
+  ],
+  behavioral: [
+    'Tell me about a challenging project you worked on and how you overcame the difficulties.',
+    'Describe a time you disagreed with a teammate. How did you resolve it?',
+    'Tell me about a mistake you made at work and what you learned from it.',
+    'Describe a situation where you had to learn something new quickly.',
+    'Tell me about a time you went beyond what was expected of you.'
+  ],
+  situational: [
+    'What would you do if you realised a deadline could not be met a week before it?',
+    'How would you handle a production bug reported by an important customer late on a Friday?',
+    'What would you do if a stakeholder kept changing the requirements mid-sprint?',
+    'How would you respond if you disagreed with a technical decision made by your lead?',
+    'What would you do if you inherited a codebase with no tests and had to ship a change?'
+  ],
+  systemDesign: [
+    'How would you design a URL shortening service?',
+    'How would you design a notification system that sends email and push messages?',
+    'How would you design a rate limiter for a public API?',
+    'How would you design a file upload and processing pipeline?',
+    'How would you design a real-time chat application?'
+  ]
+};
+
+class QuestionComposition {
+  /**
+   * Check a composition spec from a request body
+   * @param {*} spec - Composition spec, e.g. { technical: 3, behavioral: 1 }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(spec) {
+    if (spec === undefined || spec === null) {
+      return null;
+    }
+
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      return 'Composition must be an object of question counts per category.';
+    }
+
+    for (const [key, count] of Object.entries(spec)) {
+      const category = ALIASES[key] || key;
+      if (!CATEGORIES.includes(category)) {
+        return `Unknown question category "${key}". Expected one of: ${CATEGORIES.join(', ')}.`;
+      }
+      if (!Number.isInteger(count) || count < 0 || count > MAX_PER_CATEGORY) {
+        return `Question count for ${key} must be an integer between 0 and ${MAX_PER_CATEGORY}.`;
+      }
+    }
+
+    const total = this.total(this.normalize(spec));
+    if (total < 1 || total > MAX_TOTAL) {
+      return `Total number of questions must be between 1 and ${MAX_TOTAL}.`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Expand a (validated) spec to counts for every category
+   * @param {Object} [spec] - Composition spec; the default set when omitted
+   * @returns {Object} Count per canonical category
+   */
+  static normalize(spec) {
+    if (!spec) {
+      return { ...DEFAULT_COMPOSITION };
+    }
+
+    const composition = {};
+    CATEGORIES.forEach(category => {
+      composition[category] = 0;
+    });
+
+    Object.entries(spec).forEach(([key, count]) => {
+      composition[ALIASES[key] || key] = count;
+    });
+
+    return composition;
+  }
+
+  /**
+   * Categories with at least one requested question, in interview order
+   * @param {Object} composition - Normalized composition
+   * @returns {string[]} Category keys
+   */
+  static activeCategories(composition) {
+    return CATEGORIES.filter(category => composition[category] > 0);
+  }
+
+  /**
+   * @param {Object} composition - Normalized composition
+   * @returns {number} Total number of questions
+   */
+  static total(composition) {
+    return CATEGORIES.reduce((sum, category) => sum + (composition[category] || 0), 0);
+  }
+
+  /**
+   * Category of a session question type, mapping legacy types
+   * @param {string} type - Question type
+   * @returns {string|null} Category key, or null when unknown
+   */
+  static categoryOf(type) {
+    const category = LEGACY_TYPES[type] || type;
+    return CATEGORIES.includes(category) ? category : null;
+  }
+
+  /**
+   * Legacy two-bucket view of generated questions for older clients:
+   * technical and system design are role questions, the rest open-ended
+   * @param {Object} categories - Questions per category
+   * @returns {Object} { roleQuestions, openEnded }
+   */
+  static toLegacy(categories) {
+    const pick = keys => keys.flatMap(key => categories[key] || []);
+
+    return {
+      roleQuestions: pick(['technical', 'systemDesign']),
+      openEnded: pick(['intro', 'behavioral', 'situational'])
+    };
+  }
+}
+
+QuestionComposition.CATEGORIES = CATEGORIES;
+QuestionComposition.DEFAULT_COMPOSITION = DEFAULT_COMPOSITION;
+QuestionComposition.DESCRIPTIONS = DESCRIPTIONS;
+QuestionComposition.GENERIC_QUESTIONS = GENERIC_QUESTIONS;
+QuestionComposition.MAX_PER_CATEGORY = MAX_PER_CATEGORY;
+QuestionComposition.MAX_TOTAL = MAX_TOTAL;
+
+module.exports = QuestionComposition;
@@ -0,0 +1,180 @@
+/**
+ * Entries of the certification, language, publication and award sections
+ *
+ * Each line of one of these sections is one entry, written in whatever order
+ * the candidate chose: "AWS Certified Developer | Amazon Web Services | 2022",
+ * "PMP (Project Management Institute), Mar 2020". The date is taken out
+ * first, then the rest is split at its separators into a name and a detail
+ * (issuer, venue).
+ */
+
+const DateParser = require('./dateParser');
+
+// Issuers of common certifications, for entries that do not name theirs
+const CERTIFICATION_ISSUERS = [
+  { pattern: /\bAWS\b|Amazon Web Services/i, issuer: 'Amazon Web Services' },
+  { pattern: /\b(CKA|CKAD|CKS|KCNA)\b|Kubernetes/, issuer: 'Cloud Native Computing Foundation' },
+  { pattern: /\b(PMP|CAPM|PMI-ACP)\b/, issuer: 'Project Management Institute' },
+  { pattern: /\bAzure\b|Microsoft/i, issuer: 'Microsoft' },
+  { pattern: /Google Cloud|\bGCP\b/i, issuer: 'Google Cloud' },
+  { pattern: /\b(CCNA|CCNP|CCIE)\b|Cisco/, issuer: 'Cisco' },
+  { pattern: /CompTIA|\b(Security|Network|A)\+/, issuer: 'CompTIA' },
+  { pattern: /\b(CISSP|CCSP|SSCP)\b/, issuer: 'ISC2' },
+  { pattern: /\b(CISA|CISM)\b/, issuer: 'ISACA' },
+  { pattern: /\bCEH\b|Certified Ethical Hacker/i, issuer: 'EC-Council' },
+  { pattern: /\b(CSM|CSPO)\b|Scrum Alliance/, issuer: 'Scrum Alliance' },
+  { pattern: /\b(PSM|PSPO)\b/, issuer: 'Scrum.org' },
+  { pattern: /\b(OCA|OCP)\b|Oracle/, issuer: 'Oracle' },
+  { pattern: /\b(RHCSA|RHCE)\b|Red Hat/, issuer: 'Red Hat' },
+  { pattern: /Terraform|HashiCorp/i, issuer: 'HashiCorp' },
+  { pattern: /Salesforce/i, issuer: 'Salesforce' }
+];
+
+const SPOKEN_LANGUAGES = [
+  'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Swedish', 'Norwegian',
+  'Danish', 'Finnish', 'Polish', 'Czech', 'Slovak', 'Hungarian', 'Romanian', 'Bulgarian', 'Serbian',
+  'Croatian', 'Greek', 'Russian', 'Ukrainian', 'Turkish', 'Arabic', 'Hebrew', 'Persian', 'Farsi',
+  'Hindi', 'Urdu', 'Bengali', 'Punjabi', 'Tamil', 'Telugu', 'Marathi', 'Gujarati', 'Kannada',
+  'Malayalam', 'Mandarin', 'Cantonese', 'Chinese', 'Japanese', 'Korean', 'Vietnamese', 'Thai',
+  'Indonesian', 'Malay', 'Tagalog', 'Filipino', 'Swahili', 'Amharic', 'Yoruba'
+];
+const SPOKEN_LANGUAGE_PATTERN = new RegExp(`\\b(${SPOKEN_LANGUAGES.join('|')})\\b`, 'g');
+
+// Proficiency wording, CEFR levels included, checked in this order so
+// "full professional" is fluent and "limited working" conversational
+const LANGUAGE_PROFICIENCY = [
+  { level: 'native', pattern: /\b(native|mother tongue|first language|bilingual)\b/i },
+  { level: 'fluent', pattern: /\b(fluent|fluency|full professional|advanced|proficient|C1|C2)\b/i },
+  { level: 'professional', pattern: /\b(professional|upper[- ]intermediate|B2)\b/i },
+  { level: 'conversational', pattern: /\b(conversational|intermediate|limited working|working knowledge|B1)\b/i },
+  { level: 'basic', pattern: /\b(basic|beginner|elementary|A1|A2)\b/i }
+];
+
+// Separators between the parts of an entry; a comma only when followed by a space
+const PART_SEPARATOR = /\s*[|–—]\s*|\s+-\s+|,\s+|\s+(?:issued by|awarded by|from|by)\s+/i;
+
+// Credential numbers and expiry dates say nothing about the entry itself
+const CREDENTIAL_ID = /\b(?:credential|license|licence|certificate|cert)\s*(?:id|no\.?|number|#)\s*:?\s*[\w-]+/gi;
+const EXPIRY = /\b(?:expires?|expiry|expiration|valid (?:until|through|till))\b\s*:?\s*[^|,;()]*/gi;
+const ISSUED = /\b(?:issued|awarded|earned|obtained|received|completed)(?:\s+(?:on|in))?\s*:?\s*$/i;
+
+// "AWS Certified Developer – Associate": the level is part of the name
+const CERTIFICATION_LEVEL = /\s+[-–—]\s+(Associate|Professional|Specialty|Foundational|Practitioner|Fundamentals|Expert)\b/;
+const LEVEL_MARK = '\u0000';
+
+const BULLET = /^[•·▪▫‣⁃◦*-]\s*/;
+
+class SectionEntries {
+  /**
+   * Split an entry into a name, a detail and a date
+   * @param {string} line - Line of a section
+   * @returns {Object|null} { name, detail, date } with detail and date null
+   *   when missing, or null for a line with no name
+   */
+  static parseEntry(line) {
+    let text = line.replace(BULLET, '').replace(CREDENTIAL_ID, ' ').replace(EXPIRY, ' ');
+
+    const found = DateParser.findDate(text);
+    if (found) {
+      const before = text.slice(0, found.index).replace(ISSUED, '');
+      text = `${before} | ${text.slice(found.index + found.matchedText.length)}`;
+    }
+
+    // "(Amazon Web Services)" is a part of its own, "(CKA)" stays with the name
+    text = text.replace(/\(([^)]*)\)/g, (match, inner) => (
+      /^[A-Z0-9+-]{2,8}$/.test(inner.trim()) ? match : ` | ${inner} | `
+    ));
+
+    const parts = text
+      .split(PART_SEPARATOR)
+      .map(part => part
+        .replace(/^[\s.:;,–—-]+|[\s:;,–—-]+$/g, '')
+        .replace(/^\(([^)]*)$/, '$1')
+        .replace(/^([^(]*)\)$/, '$1')
+        .trim())
+      .filter(part => part.length > 1);
+
+    if (parts.length === 0) {
+      return null;
+    }
+
+    return {
+      name: parts[0],
+      detail: parts.length > 1 ? parts.slice(1).join(', ') : null,
+      date: found ? DateParser.formatDate(found.date) : null
+    };
+  }
+
+  /**
+   * @param {string} line - Line of a certifications section
+   * @returns {Object|null} { name, issuer, date }; the issuer of a well-known
+   *   certification is filled in when the line does not name it
+   */
+  static parseCertification(line) {
+    const entry = this.parseEntry(line.replace(CERTIFICATION_LEVEL, `${LEVEL_MARK}$1`));
+    if (!entry) {
+      return null;
+    }
+
+    const name = entry.name.replace(LEVEL_MARK, ' – ');
+    const known = CERTIFICATION_ISSUERS.find(({ pattern }) => pattern.test(name));
+    return {
+      name,
+      issuer: entry.detail || (known ? known.issuer : null),
+      date: entry.date
+    };
+  }
+
+  /**
+   * @param {string} line - Line of an awards or achievements section
+   * @returns {Object|null} { title, issuer, date }
+   */
+  static parseAward(line) {
+    const entry = this.parseEntry(line);
+    return entry ? { title: entry.name, issuer: entry.detail, date: entry.date } : null;
+  }
+
+  /**
+   * A publication, with a quoted title preferred over the author list before it:
+   * 'J. Doe, A. Lee. "Fast Joins." VLDB 2021'
+   * @param {string} line - Line of a publications section
+   * @returns {Object|null} { title, venue, date }
+   */
+  static parsePublication(line) {
+    const quoted = line.match(/["“]([^"”]{3,})["”]/);
+    if (!quoted) {
+      const entry = this.parseEntry(line);
+      return entry ? { title: entry.name, venue: entry.detail, date: entry.date } : null;
+    }
+
+    const rest = this.parseEntry(line.slice(quoted.index + quoted[0].length));
+    const found = DateParser.findDate(line);
+    return {
+      title: quoted[1].replace(/[.,]+$/, '').trim(),
+      venue: rest ? [rest.name, rest.detail].filter(Boolean).join(', ') : null,
+      date: found ? DateParser.formatDate(found.date) : null
+    };
+  }
+
+  /**
+   * Spoken languages on a line, each with the proficiency written next to it:
+   * "English (native), Spanish - B2, conversational French"
+   * @param {string} line - Line of a languages section
+   * @returns {Object[]} { language, proficiency } with proficiency one of
+   *   LANGUAGE_LEVELS, or null when not stated
+   */
+  static parseLanguages(line) {
+    return line
+      .replace(BULLET, '')
+      .split(/\s*[,;|•·]\s*/)
+      .flatMap(item => {
+        const languages = item.match(SPOKEN_LANGUAGE_PATTERN) || [];
+        const level = LANGUAGE_PROFICIENCY.find(({ pattern }) => pattern.test(item));
+        return languages.map(language => ({ language, proficiency: level ? level.level : null }));
+      });
+  }
+}
+
+SectionEntries.LANGUAGE_LEVELS = LANGUAGE_PROFICIENCY.map(({ level }) => level);
+
+module.exports = SectionEntries;
@@ -0,0 +1,82 @@
+/**
+ * Skill gaps: job description skills the resume does not show, used to steer
+ * question generation towards weak areas
+ */
+
+// Gaps carried into a prompt or question set; required gaps come first
+const MAX_GAPS = 8;
+const MAX_SKILL_LENGTH = 50;
+
+class SkillGaps {
+  /**
+   * Check a skill gap spec from a request body
+   * @param {*} spec - e.g. { required: ['Docker'], niceToHave: ['GraphQL'] }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(spec) {
+    if (spec === undefined || spec === null) {
+      return null;
+    }
+
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      return 'Skill gaps must be an object with required and niceToHave skill lists.';
+    }
+
+    for (const key of ['required', 'niceToHave']) {
+      const skills = spec[key];
+      if (skills === undefined) {
+        continue;
+      }
+      const valid = Array.isArray(skills) && skills.every(skill =>
+        typeof skill === 'string' && skill.trim().length > 0 && skill.length <= MAX_SKILL_LENGTH
+      );
+      if (!valid) {
+        return `Skill gaps ${key} must be an array of skill names of at most ${MAX_SKILL_LENGTH} characters.`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Deduplicated gap lists with a skill listed under required dropped from niceToHave
+   * @param {Object} [spec] - Validated skill gap spec
+   * @returns {Object} { required, niceToHave }
+   */
+  static normalize(spec) {
+    const unique = skills => [...new Set((skills || []).map(skill => skill.trim()))];
+    const required = unique(spec && spec.required);
+    const niceToHave = unique(spec && spec.niceToHave).filter(skill => !required.includes(skill));
+
+    return { required, niceToHave };
+  }
+
+  /**
+   * Gaps to probe in one interview, required skills first
+   * @param {Object} [spec] - Skill gap spec
+   * @returns {Object[]} { skill, required }
+   */
+  static focusList(spec) {
+    const { required, niceToHave } = this.normalize(spec);
+
+    return [
+      ...required.map(skill => ({ skill, required: true })),
+      ...niceToHave.map(skill => ({ skill, required: false }))
+    ].slice(0, MAX_GAPS);
+  }
+
+  /**
+   * Technical questions that probe each gap, for the offline and fallback question sets
+   * @param {Object} [spec] - Skill gap spec
+   * @returns {string[]} Questions, required skills first
+   */
+  static toQuestions(spec) {
+    return this.focusList(spec).map(({ skill, required }) => (required
+      ? `This role requires ${skill}, which your resume does not mention. What is your experience with it, and how would you get productive with it quickly?`
+      : `Experience with ${skill} is a plus for this role. Have you worked with it or something similar, and how did you use it?`));
+  }
+}
+
+SkillGaps.MAX_GAPS = MAX_GAPS;
+
+module.exports = SkillGaps;
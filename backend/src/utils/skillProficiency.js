@@ -0,0 +1,233 @@
+/**
+ * Proficiency and recency estimates for resume skills
+ *
+ * A skill earns points for the years of work that mention it, for how
+ * recently that work ended, for how often and where the resume mentions it
+ * and for the words qualifying it ("expert in", "familiar with"). The score
+ * only ranks skills against each other; the level is what the candidate is
+ * told.
+ */
+
+const DateParser = require('./dateParser');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Lowest score for each level above beginner; a skill that is only listed
+// in the skills section is intermediate
+const LEVEL_THRESHOLDS = { intermediate: 20, advanced: 50, expert: 75 };
+
+// Points for each kind of evidence; they add up to 100 without qualifiers
+const POINTS = {
+  listed: 20,         // listed in the skills section
+  years: 35,          // at YEARS_FOR_FULL_POINTS years of use
+  recency: { current: 20, recent: 12, past: 4, unknown: 0 },
+  mentions: 10,       // at MENTIONS_FOR_FULL_POINTS mentions
+  experience: 10,     // mentioned in the work history
+  projects: 5,        // mentioned in a project
+  strongQualifier: 15,
+  weakQualifier: -25
+};
+
+const YEARS_FOR_FULL_POINTS = 5;
+const MENTIONS_FOR_FULL_POINTS = 6;
+
+// Work that ended this many months ago or less is recent
+const RECENT_MONTHS = 24;
+const RECENCY_ORDER = ['current', 'recent', 'past', 'unknown'];
+
+// Internships and training count for half their length
+const INTERNSHIP_WEIGHT = 0.5;
+const INTERNSHIP_PATTERN = /\b(intern|internship|trainee|apprentice|student)\b/i;
+
+const STRONG_QUALIFIERS = /\b(expert|expertise|advanced|proficient|proficiency|strong|extensive|in-depth|fluent|mastery|specialist|senior)\b/gi;
+const WEAK_QUALIFIERS = /\b(familiar|familiarity|basic|basics|exposure|beginner|novice|currently learning|learning to|some experience|working knowledge|elementary|introductory)\b/gi;
+
+class SkillProficiency {
+  /**
+   * Qualifier that applies to a skill mentioned at the end of some text
+   * The last qualifier in the same clause wins, so in "expert in Go; familiar
+   * with Rust" Go is strong and Rust is weak.
+   * @param {string} before - Text of the line before the skill
+   * @returns {string|null} 'strong', 'weak' or null
+   */
+  static qualifierBefore(before) {
+    const clause = before.split(/[.;|]|\s[-–—]\s/).pop();
+    const last = (pattern) => {
+      const matches = [...clause.matchAll(pattern)];
+      return matches.length > 0 ? matches[matches.length - 1].index : -1;
+    };
+
+    const strong = last(STRONG_QUALIFIERS);
+    const weak = last(WEAK_QUALIFIERS);
+    if (strong < 0 && weak < 0) {
+      return null;
+    }
+    return weak > strong ? 'weak' : 'strong';
+  }
+
+  /**
+   * Years of use stated next to a skill: "5+ years of Python", "Go (3 yrs)"
+   * @param {string} before - Text of the line before the skill
+   * @param {string} after - Text of the line after the skill
+   * @returns {number|null} Years, or null when none are stated
+   */
+  static statedYears(before, after) {
+    const prefix = before.match(/(\d+(?:\.\d+)?)\+?\s*(?:years?|yrs?)(?:\s+of)?(?:\s+(?:experience|exp\.?))?(?:\s+(?:with|in|using|of))?\s*$/i);
+    const suffix = after.match(/^\s*[(:,-]?\s*(\d+(?:\.\d+)?)\+?\s*(?:years?|yrs?)\b/i);
+    const match = prefix || suffix;
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Estimate how well and how recently a skill is used
+   * @param {Object} evidence
+   * @param {number} evidence.count - Mentions in the resume
+   * @param {string[]} evidence.sections - Sections mentioning the skill
+   * @param {Object[]} evidence.roles - Work history roles mentioning the skill
+   * @param {string[]} [evidence.qualifiers] - 'strong'/'weak' for each qualified mention
+   * @param {number|null} [evidence.statedYears] - Years the resume states for the skill
+   * @param {Date} [now] - Reference date for current roles and recency
+   * @returns {Object} { proficiency, score, years, lastUsed, recency }
+   */
+  static estimate({ count, sections, roles, qualifiers = [], statedYears = null }, now = new Date()) {
+    const current = { year: now.getFullYear(), month: now.getMonth() + 1, precision: 'month' };
+    const dated = roles
+      .map(role => ({
+        role,
+        start: DateParser.parseDate(role.startDate),
+        end: role.isCurrent ? current : DateParser.parseDate(role.endDate)
+      }))
+      .filter(range => range.start && range.end);
+
+    const isInternship = ({ role }) => INTERNSHIP_PATTERN.test(role.title || '');
+    const jobMonths = DateParser.totalMonths(dated.filter(range => !isInternship(range)));
+    const internshipMonths = DateParser.totalMonths(dated.filter(isInternship));
+
+    const workedYears = (jobMonths + internshipMonths) / 12;
+    const weightedYears = Math.max((jobMonths + internshipMonths * INTERNSHIP_WEIGHT) / 12, statedYears || 0);
+    const years = Math.max(workedYears, statedYears || 0);
+
+    const { lastUsed, recency } = this.recency(dated, current);
+
+    const strong = qualifiers.filter(qualifier => qualifier === 'strong').length;
+    const weak = qualifiers.filter(qualifier => qualifier === 'weak').length;
+    const qualifierPoints = strong > weak ? POINTS.strongQualifier : weak > strong ? POINTS.weakQualifier : 0;
+
+    const points = (sections.includes('skills') ? POINTS.listed : 0)
+      + POINTS.years * Math.min(weightedYears / YEARS_FOR_FULL_POINTS, 1)
+      + POINTS.recency[recency]
+      + POINTS.mentions * Math.min(count / MENTIONS_FOR_FULL_POINTS, 1)
+      + (sections.includes('experience') || roles.length > 0 ? POINTS.experience : 0)
+      + (sections.includes('projects') ? POINTS.projects : 0)
+      + qualifierPoints;
+    const score = Math.max(0, Math.min(100, Math.round(points)));
+
+    let proficiency = this.level(score);
+    // "Familiar with" is taken at its word unless the work history says otherwise
+    if (qualifierPoints < 0 && years < 1) {
+      proficiency = 'beginner';
+    } else if (qualifierPoints > 0 && proficiency === 'beginner') {
+      proficiency = 'intermediate';
+    }
+
+    return {
+      proficiency,
+      score,
+      years: years > 0 ? Math.round(years * 10) / 10 : null,
+      lastUsed,
+      recency
+    };
+  }
+
+  /**
+   * When the skill was last used at work
+   * @param {Object[]} dated - Role date ranges
+   * @param {Object} current - Today as a parsed date
+   * @returns {Object} { lastUsed, recency } with lastUsed "Present", a
+   *   formatted date or null, and recency current, recent, past or unknown
+   */
+  static recency(dated, current) {
+    if (dated.length === 0) {
+      return { lastUsed: null, recency: 'unknown' };
+    }
+    if (dated.some(range => range.role.isCurrent)) {
+      return { lastUsed: 'Present', recency: 'current' };
+    }
+
+    const latest = dated.reduce((a, b) => (DateParser.toMonthIndex(b.end) > DateParser.toMonthIndex(a.end) ? b : a));
+    const monthsAgo = DateParser.toMonthIndex(current) - DateParser.toMonthIndex(latest.end);
+    return {
+      lastUsed: DateParser.formatDate(latest.end),
+      recency: monthsAgo <= RECENT_MONTHS ? 'recent' : 'past'
+    };
+  }
+
+  /**
+   * Resume skills, strongest and most recent first
+   * Skills without estimates, such as those added during review, follow in
+   * their own order.
+   * @param {Array<string|Object>} [skills] - Resume skills, as names or { name }
+   * @param {Object[]} [details] - skillDetails from the parser
+   * @returns {Object[]} { name, proficiency, score, years, lastUsed, recency },
+   *   with proficiency and score null when nothing is known
+   */
+  static rank(skills, details) {
+    const estimates = new Map((Array.isArray(details) ? details : [])
+      .filter(detail => detail && typeof detail.name === 'string' && typeof detail.score === 'number')
+      .map(detail => [detail.name.toLowerCase(), detail]));
+
+    return (Array.isArray(skills) ? skills : [])
+      .map(skill => (typeof skill === 'string' ? skill : skill && skill.name))
+      .filter(name => typeof name === 'string' && name.trim())
+      .map(name => {
+        const detail = estimates.get(name.toLowerCase()) || {};
+        return {
+          name,
+          proficiency: detail.proficiency || null,
+          score: typeof detail.score === 'number' ? detail.score : null,
+          years: detail.years || null,
+          lastUsed: detail.lastUsed || null,
+          recency: detail.recency || 'unknown'
+        };
+      })
+      .sort((a, b) => {
+        if ((a.score === null) !== (b.score === null)) {
+          return a.score === null ? 1 : -1;
+        }
+        return (b.score || 0) - (a.score || 0) || RECENCY_ORDER.indexOf(a.recency) - RECENCY_ORDER.indexOf(b.recency);
+      });
+  }
+
+  /**
+   * A ranked skill for a prompt: "Python (expert, 4 years, current)"
+   * @param {Object} skill - Entry from rank()
+   * @returns {string} Name with what is known about it
+   */
+  static describe(skill) {
+    const facts = [];
+    if (skill.proficiency) {
+      facts.push(skill.proficiency);
+    }
+    if (skill.years) {
+      facts.push(`${skill.years} ${skill.years === 1 ? 'year' : 'years'}`);
+    }
+    if (skill.recency === 'current') {
+      facts.push('current');
+    } else if (skill.lastUsed) {
+      facts.push(`last used ${skill.lastUsed}`);
+    }
+    return facts.length > 0 ? `${skill.name} (${facts.join(', ')})` : skill.name;
+  }
+
+  /**
+   * @param {number} score - Score 0-100
+   * @returns {string} One of LEVELS
+   */
+  static level(score) {
+    return [...LEVELS].reverse().find(level => score >= (LEVEL_THRESHOLDS[level] || 0));
+  }
+}
+
+SkillProficiency.LEVELS = LEVELS;
+
+module.exports = SkillProficiency;
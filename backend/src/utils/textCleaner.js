@@ -2,6 +2,25 @@
  * Text cleaning and normalization utilities
  */
 
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+// Digit groups with an optional country code and area code in brackets:
+// "+1 (415) 555-0134", "+44 20 7946 0321". Separators stay on one line.
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g;
+const PHONE_DIGITS = { min: 10, max: 15, minWithCountryCode: 8 };
+
+// Links with a scheme or "www.", and bare lower-case links with a path such
+// as "github.com/jane" on common personal-site domains, so neither "ASP.NET"
+// nor "B.Com" is a link
+const URL_PATTERN = /(?<![@\w./-])(?:https?:\/\/|www\.)[^\s|,;<>()[\]]+|(?<![@\w./-])(?:[a-z0-9-]+\.)+(?:com|org|io|dev|me|app|co|ai|page|site|xyz)(?![\w@-])\/[^\s|,;<>()[\]]*/g;
+// A bare domain such as "jane.dev" is only a link among contact details:
+// elsewhere it is as likely a technology, such as "socket.io"
+const DOMAIN_PATTERN = /(?<![@\w./-])(?:[a-z0-9-]+\.)+(?:com|org|io|dev|me|app|co|ai|page|site|xyz)(?![\w@/-])/g;
+const LINK_OR_DOMAIN_PATTERN = new RegExp(`${URL_PATTERN.source}|${DOMAIN_PATTERN.source}`, 'g');
+
+// "221 Baker Street", "1600 Amphitheatre Pkwy"
+const ADDRESS_PATTERN = /\b\d{1,5}[ \t]+(?:[A-Z][A-Za-z.'-]*[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Parkway|Pkwy|Way|Court|Ct|Place|Pl)\b\.?/g;
+
 class TextCleaner {
   /**
    * Clean and normalize text for better processing
@@ -39,8 +58,7 @@ class TextCleaner {
    * @returns {string[]} Array of email addresses
    */
   static extractEmails(text) {
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-    return text.match(emailRegex) || [];
+    return text.match(EMAIL_PATTERN) || [];
   }
 
   /**
@@ -49,53 +67,102 @@ class TextCleaner {
    * @returns {string[]} Array of phone numbers
    */
   static extractPhoneNumbers(text) {
-    const phoneRegex = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
-    return text.match(phoneRegex) || [];
+    return (text.match(PHONE_PATTERN) || []).filter(match => this.isPhoneNumber(match));
+  }
+
+  /**
+   * Whether a run of digit groups is a phone number rather than a count,
+   * a date or a range of years
+   * @param {string} candidate - PHONE_PATTERN match
+   * @returns {boolean} True for a phone number
+   */
+  static isPhoneNumber(candidate) {
+    const digits = candidate.replace(/\D/g, '').length;
+    const min = candidate.startsWith('+') ? PHONE_DIGITS.minWithCountryCode : PHONE_DIGITS.min;
+    const years = candidate.split(/[ .()-]+/).filter(Boolean).every(group => /^(19|20)\d{2}$/.test(group));
+    return digits >= min && digits <= PHONE_DIGITS.max && !years;
   }
 
   /**
    * Extract URLs from text
+   * Bare domains are only taken from lines with other contact details.
    * @param {string} text - Text to search
-   * @returns {string[]} Array of URLs
+   * @param {Object} [options]
+   * @param {boolean} [options.domains] - Take bare domains from every line, as
+   *   in the header of a resume
+   * @returns {string[]} Array of URLs, as written and without trailing punctuation
+   */
+  static extractUrls(text, options = {}) {
+    return text.split('\n')
+      .flatMap(line => {
+        const pattern = options.domains || this.isContactLine(line) ? LINK_OR_DOMAIN_PATTERN : URL_PATTERN;
+        return line.match(pattern) || [];
+      })
+      .map(url => url.replace(/[.:!?'"]+$/, ''));
+  }
+
+  /**
+   * Whether a line holds contact details, or is nothing but bare domains
+   * @param {string} line - One line of text
+   * @returns {boolean} True for a line whose bare domains are links
    */
-  static extractUrls(text) {
-    const urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
-    return text.match(urlRegex) || [];
+  static isContactLine(line) {
+    return line.search(EMAIL_PATTERN) >= 0 || line.search(URL_PATTERN) >= 0
+      || (line.match(PHONE_PATTERN) || []).some(match => this.isPhoneNumber(match))
+      || (line.search(DOMAIN_PATTERN) >= 0 && !/[\p{L}\d]/u.test(line.replace(DOMAIN_PATTERN, '')));
   }
 
   /**
    * Remove personal information for privacy
+   * Email addresses, phone numbers, street addresses and links are replaced
+   * with placeholders, and so is each of the given names. Bare domains are
+   * only links in the header and on lines with other contact details.
    * @param {string} text - Text to sanitize
+   * @param {Object} [options]
+   * @param {string[]} [options.names] - Names to redact, such as the candidate's
+   * @param {number} [options.headerLines] - Non-empty lines at the top that hold contact details
    * @returns {string} Sanitized text
    */
-  static removePII(text) {
-    let sanitized = text;
-    
-    // Remove email addresses
-    sanitized = sanitized.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL]');
-    
-    // Remove phone numbers
-    sanitized = sanitized.replace(/(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g, '[PHONE]');
-    
-    // Remove potential addresses (basic pattern)
-    sanitized = sanitized.replace(/\d+\s+[A-Za-z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd)/gi, '[ADDRESS]');
-    
+  static removePII(text, options = {}) {
+    let nonEmpty = 0;
+    let sanitized = text
+      .split('\n')
+      .map(line => {
+        const inHeader = line.trim() && nonEmpty++ < (options.headerLines || 0);
+        return inHeader || this.isContactLine(line) ? line.replace(DOMAIN_PATTERN, '[LINK]') : line;
+      })
+      .join('\n')
+      .replace(EMAIL_PATTERN, '[EMAIL]')
+      .replace(URL_PATTERN, '[LINK]')
+      .replace(PHONE_PATTERN, match => (this.isPhoneNumber(match) ? '[PHONE]' : match))
+      .replace(ADDRESS_PATTERN, '[ADDRESS]');
+
+    (options.names || [])
+      .filter(name => typeof name === 'string' && name.trim())
+      .forEach(name => {
+        const words = name.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        sanitized = sanitized.replace(new RegExp(`(?<![\\p{L}])${words.join('\\s+')}(?![\\p{L}])`, 'giu'), '[NAME]');
+      });
+
     return sanitized;
   }
 
   /**
    * Normalize skill names for better matching
+   * Used for skills the taxonomy does not know. Symbols that are part of
+   * skill names (C++, C#, Node.js) are kept, and so is the spelling of words
+   * that are not all lower case (gRPC, LaTeX).
    * @param {string} skill - Skill name to normalize
    * @returns {string} Normalized skill name
    */
   static normalizeSkill(skill) {
     return skill
       .trim()
-      .toLowerCase()
-      .replace(/[^\w\s]/g, '')  // Remove special characters
+      .replace(/[^\w\s+#./-]/g, '')  // Remove special characters
+      .replace(/^[/-]+|[./-]+$/g, '')  // ...and punctuation around the name
       .replace(/\s+/g, ' ')     // Normalize spaces
       .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))  // Title case
+      .map(word => (word === word.toLowerCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word))  // Title case
       .join(' ');
   }
 
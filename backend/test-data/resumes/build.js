@@ -0,0 +1,258 @@
+/**
+ * Builds the sample resume PDFs and ODT used by the parser tests
+ *
+ * Run with `node test-data/resumes/build.js` after changing a sample. PDF text
+ * is drawn row by row across the page, as most resume builders do, so plain
+ * content-stream extraction interleaves side-by-side columns. The Markdown,
+ * text and RTF samples are kept as written. expected.json lists what the
+ * parser should read from each file.
+ */
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+
+const PAGE = { width: 612, height: 792 };
+
+const text = (x, y, value, { size = 10, bold = false } = {}) => ({ x, y, value, size, bold });
+
+// Lines going down from y; '' leaves a blank line; '#' marks a bold heading
+const block = (x, y, lines, { size = 10, leading = 14 } = {}) => lines
+  .map((line, index) => line && text(x, y - index * leading, line.replace(/^# /, ''), {
+    size: line.startsWith('# ') ? size + 1 : size,
+    bold: line.startsWith('# ')
+  }))
+  .filter(Boolean);
+
+const samples = {
+  'single-column.pdf': [[
+    text(50, 740, 'Alex Morgan', { size: 18, bold: true }),
+    ...block(50, 716, [
+      'alex.morgan@example.com | +1 206 555 0199 | github.com/alexmorgan',
+      '',
+      '# SUMMARY',
+      'Backend engineer with 4 years of experience building Java and Go services.',
+      '',
+      '# EXPERIENCE',
+      'Backend Engineer | Orbit Systems | Feb 2020 - Present',
+      '- Designed a Kafka event pipeline processing 3M events per day',
+      '- Reduced API latency by 30% by adding Redis caching in front of PostgreSQL',
+      '',
+      '# EDUCATION',
+      'B.S. Computer Science - Pacific University, 2019',
+      '',
+      '# SKILLS',
+      'Java, Go, Kafka, Redis, PostgreSQL, Docker, Kubernetes'
+    ])
+  ]],
+
+  'two-column-sidebar.pdf': [[
+    text(50, 740, 'Priya Sharma', { size: 18, bold: true }),
+    text(50, 722, 'Full Stack Developer', { size: 12 }),
+    text(50, 706, 'priya.sharma@example.com | +1 415 555 0134 | linkedin.com/in/priyasharma | github.com/priyasharma'),
+    ...block(50, 670, [
+      '# SKILLS',
+      'JavaScript, TypeScript',
+      'React, Redux, Node.js',
+      'PostgreSQL, MongoDB',
+      'Docker, AWS',
+      '',
+      '# EDUCATION',
+      'B.Tech Computer Science',
+      'State University, 2018',
+      '',
+      '# LANGUAGES',
+      'English, Hindi'
+    ], { size: 9, leading: 13 }),
+    ...block(230, 670, [
+      '# SUMMARY',
+      'Full stack developer with 5 years of experience',
+      'building web applications for fintech teams.',
+      '',
+      '# EXPERIENCE',
+      'Senior Developer | FinEdge | Jan 2021 - Present',
+      '- Led the migration of 40 services to Node.js 18',
+      '- Cut page load time by 35% with React code splitting',
+      'Developer | CodeCraft | Jun 2018 - Dec 2020',
+      '- Built payment APIs on PostgreSQL for 2M requests a day',
+      '- Automated deployments with Docker and GitHub Actions',
+      '',
+      '# PROJECTS',
+      'Budget Buddy',
+      '- Expense tracker built with React Native and Firebase'
+    ])
+  ]],
+
+  'right-sidebar.pdf': [[
+    text(50, 740, 'Daniel Okafor', { size: 18, bold: true }),
+    text(50, 722, 'daniel.okafor@example.com | +44 20 7946 0321 | linkedin.com/in/danielokafor'),
+    ...block(50, 690, [
+      '# PROFESSIONAL SUMMARY',
+      'DevOps engineer who automates cloud infrastructure',
+      'and keeps deployments boring.',
+      '',
+      '# WORK EXPERIENCE',
+      'DevOps Engineer | CloudNine | Mar 2019 - Present',
+      '- Moved 120 services from Jenkins to GitLab CI',
+      '- Wrote Terraform modules for 3 AWS accounts',
+      'Systems Administrator | NetServe | Jan 2016 - Feb 2019',
+      '- Ran Ansible playbooks across 400 Linux hosts',
+      '',
+      '# EDUCATION',
+      'B.Eng. Computer Engineering',
+      'Northern University, 2015'
+    ]),
+    ...block(420, 690, [
+      '# SKILLS',
+      'AWS, Azure',
+      'Terraform, Ansible',
+      'Docker, Kubernetes',
+      'Python, Shell',
+      '',
+      '# CERTIFICATIONS',
+      'AWS Solutions Architect',
+      'CKA'
+    ], { size: 9, leading: 16 })
+  ]],
+
+  'label-column.pdf': [[
+    text(50, 740, 'Maria Lopez', { size: 18, bold: true }),
+    text(50, 722, 'maria.lopez@example.com | +1 312 555 0148 | linkedin.com/in/marialopez'),
+    text(50, 690, 'SUMMARY', { bold: true }),
+    ...block(160, 690, [
+      'Product designer focused on accessible mobile apps.'
+    ]),
+    text(50, 660, 'EXPERIENCE', { bold: true }),
+    ...block(160, 660, [
+      'UX Designer | BrightApps | Apr 2020 - Present',
+      '- Redesigned onboarding in Figma, lifting activation by 18%',
+      '- Ran 25 usability sessions per quarter',
+      'UI Designer | PixelWorks | Sep 2017 - Mar 2020',
+      '- Built the design system used by 6 product teams'
+    ]),
+    text(50, 580, 'EDUCATION', { bold: true }),
+    ...block(160, 580, [
+      'B.A. Interaction Design',
+      'City College of Art, 2017'
+    ]),
+    text(50, 540, 'SKILLS', { bold: true }),
+    ...block(160, 540, [
+      'Figma, Sketch, Photoshop, Illustrator, HTML, CSS'
+    ])
+  ]],
+
+  'tables.pdf': [[
+    text(50, 740, 'Chen Wei', { size: 18, bold: true }),
+    text(50, 722, 'chen.wei@example.com | +1 646 555 0172 | github.com/chenwei'),
+    text(50, 690, 'EXPERIENCE', { size: 11, bold: true }),
+    text(50, 674, 'Data Scientist, Insight Labs'),
+    text(470, 674, 'Mar 2019 - Present'),
+    text(50, 660, '- Built churn models in Python'),
+    text(50, 646, '- Shipped a Tableau dashboard used by 200 account managers every week'),
+    text(50, 628, 'Data Analyst, Numbers Inc'),
+    text(470, 628, 'Jul 2017 - Feb 2019'),
+    text(50, 614, '- Automated weekly SQL reports'),
+    text(50, 582, 'SKILLS', { size: 11, bold: true }),
+    text(50, 566, 'Programming'), text(180, 566, 'Python, R, SQL'),
+    text(50, 552, 'Data'), text(180, 552, 'Pandas, NumPy, Scikit-learn, Spark'),
+    text(50, 538, 'Visualization'), text(180, 538, 'Tableau, Power BI'),
+    text(50, 506, 'EDUCATION', { size: 11, bold: true }),
+    text(50, 490, 'Degree', { bold: true }), text(220, 490, 'Institution', { bold: true }), text(430, 490, 'Year', { bold: true }),
+    text(50, 476, 'M.Sc. Data Science'), text(220, 476, 'Lakeside University'), text(430, 476, '2017'),
+    text(50, 462, 'B.Sc. Statistics'), text(220, 462, 'Hill College'), text(430, 462, '2015')
+  ]]
+};
+
+const escape = value => value.replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Minimal PDF with Helvetica text; items are drawn top to bottom, left to right
+ */
+const buildPdf = pages => {
+  const objects = [];
+  const add = body => objects.push(body);
+
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>');
+  add(null);
+  const pagesId = objects.length;
+
+  const kids = pages.map(items => {
+    const content = [...items]
+      .sort((a, b) => b.y - a.y || a.x - b.x)
+      .map(item => `BT /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${item.x} ${item.y} Td (${escape(item.value)}) Tj ET`)
+      .join('\n');
+    add(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font << /F1 1 0 R /F2 2 0 R >> >> /Contents ${objects.length} 0 R >>`);
+  });
+
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output);
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(output);
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return output;
+};
+
+// ODT body: [element, text] pairs; 'li' items are grouped into one list
+const odtSample = [
+  ['p', 'Tom Becker'],
+  ['p', 'tom.becker@example.com | +1 617 555 0163'],
+  ['h', 'Summary'],
+  ['p', 'Frontend developer who builds accessible design systems.'],
+  ['h', 'Experience'],
+  ['p', 'Frontend Developer | Brightline | Sep 2020 - Present'],
+  ['li', 'Rebuilt the component library in React and TypeScript'],
+  ['li', 'Raised the accessibility audit score from 62 to 95'],
+  ['h', 'Skills'],
+  ['table', [['Frameworks', 'React, Angular'], ['Styling', 'CSS, Tailwind']]],
+  ['h', 'Education'],
+  ['p', 'B.A. Media Informatics, Northshore College, 2020']
+];
+
+const escapeXml = value => value.replace(/[<>&]/g, match => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;' })[match]);
+
+const buildOdt = body => {
+  const xml = body.map(([element, value], index) => {
+    if (element === 'h') {
+      return `<text:h text:outline-level="1">${escapeXml(value)}</text:h>`;
+    }
+    if (element === 'li') {
+      const opens = !body[index - 1] || body[index - 1][0] !== 'li';
+      const closes = !body[index + 1] || body[index + 1][0] !== 'li';
+      return `${opens ? '<text:list>' : ''}<text:list-item><text:p>${escapeXml(value)}</text:p></text:list-item>${closes ? '</text:list>' : ''}`;
+    }
+    if (element === 'table') {
+      const rows = value.map(cells => `<table:table-row>${cells
+        .map(cell => `<table:table-cell><text:p>${escapeXml(cell)}</text:p></table:table-cell>`)
+        .join('')}</table:table-row>`);
+      return `<table:table>${rows.join('')}</table:table>`;
+    }
+    return `<text:p>${escapeXml(value)}</text:p>`;
+  }).join('');
+
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, as ODF requires
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.text', { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml', '<?xml version="1.0" encoding="UTF-8"?><manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0"><manifest:file-entry manifest:full-path="/" manifest:media-type="application/vnd.oasis.opendocument.text"/><manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/></manifest:manifest>');
+  zip.file('content.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" office:version="1.2"><office:body><office:text>${xml}</office:text></office:body></office:document-content>`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+Object.entries(samples).forEach(([file, pages]) => {
+  fs.writeFileSync(path.join(__dirname, file), buildPdf(pages));
+  console.log(`Wrote ${file}`);
+});
+
+buildOdt(odtSample).then(buffer => {
+  fs.writeFileSync(path.join(__dirname, 'open-document.odt'), buffer);
+  console.log('Wrote open-document.odt');
+});
@@ -1,28 +1,35 @@
 import React from 'react'
-import { Container, AppBar, Toolbar, Typography, Box, Alert, Snackbar } from '@mui/material'
+import { Container, AppBar, Toolbar, Typography, Box, Alert, Snackbar, Button } from '@mui/material'
+import { History } from '@mui/icons-material'
 import { useApp } from './context/AppContext'
 import UploadPage from './pages/UploadPage'
+import ResumeReviewPage from './pages/ResumeReviewPage'
 import QuestionsPage from './pages/QuestionsPage'
 import InterviewPage from './pages/InterviewPage'
 import ResultsPage from './pages/ResultsPage'
+import HistoryPage from './pages/HistoryPage'
 import LoadingOverlay from './components/LoadingOverlay'
 import MobileViewport from './components/MobileViewport'
 import NetworkStatus from './components/NetworkStatus'
 
 function App() {
-  const { state, clearError } = useApp()
-  const { currentStep, error, loading } = state
+  const { state, clearError, setCurrentStep } = useApp()
+  const { currentStep, error, loading, analysisProgress } = state
 
   const renderCurrentStep = () => {
     switch (currentStep) {
       case 'upload':
         return <UploadPage />
+      case 'review':
+        return <ResumeReviewPage />
       case 'questions':
         return <QuestionsPage />
       case 'interview':
         return <InterviewPage />
       case 'results':
         return <ResultsPage />
+      case 'history':
+        return <HistoryPage />
       default:
         return <UploadPage />
     }
@@ -52,6 +59,17 @@ function App() {
           >
             Step: {currentStep.charAt(0).toUpperCase() + currentStep.slice(1)}
           </Typography>
+          {/* Leaving mid-interview would lose the current question's progress */}
+          {currentStep !== 'interview' && currentStep !== 'history' && (
+            <Button
+              color="inherit"
+              startIcon={<History />}
+              onClick={() => setCurrentStep('history')}
+              sx={{ ml: 2 }}
+            >
+              History
+            </Button>
+          )}
         </Toolbar>
       </AppBar>
       
@@ -67,7 +85,7 @@ function App() {
         {renderCurrentStep()}
         
         {/* Loading overlay */}
-        {loading && <LoadingOverlay />}
+        {loading && <LoadingOverlay progress={analysisProgress} />}
         
         {/* Error snackbar */}
         <Snackbar
@@ -0,0 +1,38 @@
+import apiClient from './client'
+
+/**
+ * Match a job description against the parsed resume
+ * @param {Object} data - Match data
+ * @param {string} [data.jobDescription] - Pasted job description text
+ * @param {File} [data.file] - PDF, DOCX, ODT or RTF job description, used instead of the text
+ * @param {Object} data.resumeSummary - Parsed resume data
+ * @returns {Promise<Object>} Gap report: matched, missing and extra skills and matchScore
+ */
+export async function matchJobDescription({ jobDescription, file, resumeSummary }) {
+  try {
+    let response
+
+    if (file) {
+      const formData = new FormData()
+      formData.append('jobDescription', file)
+      formData.append('resumeSummary', JSON.stringify({ skills: resumeSummary.skills || [] }))
+
+      response = await apiClient.post('/api/job-description/match', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 30000,
+      })
+    } else {
+      response = await apiClient.post('/api/job-description/match', {
+        jobDescription,
+        resumeSummary: { skills: resumeSummary.skills || [] }
+      })
+    }
+
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to match job description'
+    throw new Error(message)
+  }
+}
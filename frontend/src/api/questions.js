@@ -1,4 +1,5 @@
 import apiClient from './client'
+import { postEventStream } from './stream'
 
 /**
  * Generate interview questions based on resume and role
@@ -25,6 +26,34 @@ export async function generateQuestions(data) {
   }
 }
 
+/**
+ * Generate interview questions, receiving each question as it is written
+ * @param {Object} data - Question generation data (see generateQuestions)
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onQuestion] - Called with { category, index, text }
+ * @param {Function} [handlers.onProgress] - Called with { stage, completed, total }
+ * @param {AbortSignal} [handlers.signal] - Cancels generation
+ * @returns {Promise<Object>} Generated questions, as from generateQuestions
+ */
+export async function streamQuestions(data, { onQuestion, onProgress, signal } = {}) {
+  const summary = await postEventStream('/api/questions/stream', data, {
+    signal,
+    onEvent: (event, payload) => {
+      if (event === 'question' && onQuestion) {
+        onQuestion(payload)
+      } else if (event === 'progress' && onProgress) {
+        onProgress(payload)
+      }
+    }
+  })
+
+  if (summary.fallback) {
+    console.log('Using fallback questions:', summary.message)
+  }
+
+  return summary.data
+}
+
 /**
  * Analyze user answers and get feedback
  * @param {Object} data - Analysis data
@@ -32,7 +61,9 @@ export async function generateQuestions(data) {
  * @param {string[]} data.answers - User answers
  * @param {string} data.role - Target role
  * @param {string} data.level - Experience level
- * @returns {Promise<Object>} Analysis results
+ * @param {string[]} [data.questionTypes] - Question type per question, selecting its scoring rubric
+ * @param {Object} [data.resumeSummary] - Resume skills and projects, for resume relevance
+ * @returns {Promise<Object>} Analysis results with a rubric breakdown per answer
  */
 export async function analyzeAnswers(data) {
   try {
@@ -44,25 +75,72 @@ export async function analyzeAnswers(data) {
   }
 }
 
+/**
+ * Analyze user answers, receiving each answer's feedback as it is scored
+ * @param {Object} data - Analysis data (see analyzeAnswers)
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onFeedback] - Called with each scored feedback item
+ * @param {Function} [handlers.onProgress] - Called with { stage, completed, total }
+ * @param {AbortSignal} [handlers.signal] - Cancels the analysis
+ * @returns {Promise<Object>} Analysis results, as from analyzeAnswers
+ */
+export async function streamAnalysis(data, { onFeedback, onProgress, signal } = {}) {
+  const summary = await postEventStream('/api/analyze-answers/stream', data, {
+    signal,
+    onEvent: (event, payload) => {
+      if (event === 'feedback' && onFeedback) {
+        onFeedback(payload)
+      } else if (event === 'progress' && onProgress) {
+        onProgress(payload)
+      }
+    }
+  })
+
+  return summary.data
+}
+
 /**
  * Analyze a single question-answer pair
  * @param {string} question - Single interview question
  * @param {string} answer - User's answer
  * @param {string} role - Target role
  * @param {string} level - Experience level
- * @returns {Promise<Object>} Individual analysis result
+ * @param {Object} [options] - Rubric inputs
+ * @param {string} [options.questionType] - Question type selecting the scoring rubric
+ * @param {Object} [options.resumeSummary] - Resume skills and projects
+ * @returns {Promise<Object>} Individual analysis result with a rubric breakdown
  */
-export async function analyzeIndividualAnswer(question, answer, role, level) {
+export async function analyzeIndividualAnswer(question, answer, role, level, options = {}) {
   try {
     const response = await apiClient.post('/api/analyze-individual', {
       question,
       answer,
       role,
-      level
+      level,
+      ...options
     })
     return response.data.data
   } catch (error) {
     const message = error.response?.data?.error?.message || 'Failed to analyze answer'
     throw new Error(message)
   }
-}
\ No newline at end of file
+}
+/**
+ * Generate probing follow-up questions for an answer
+ * @param {Object} data - Follow-up request
+ * @param {string} data.question - Question that was answered
+ * @param {string} data.answer - User's answer
+ * @param {string} data.role - Target role
+ * @param {string} data.level - Experience level
+ * @param {number} [data.count] - Number of follow-ups (1-2)
+ * @returns {Promise<string[]>} Follow-up questions
+ */
+export async function generateFollowUps(data) {
+  try {
+    const response = await apiClient.post('/api/questions/follow-up', data)
+    return response.data.data.followUps
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to generate follow-up questions'
+    throw new Error(message)
+  }
+}
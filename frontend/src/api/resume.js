@@ -22,4 +22,19 @@ export async function uploadResume(file) {
     const message = error.response?.data?.error?.message || 'Failed to upload resume'
     throw new Error(message)
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the quality and ATS-readiness report for a parsed resume
+ * @param {Object} resumeSummary - Parsed resume data, including its text
+ * @returns {Promise<Object>} Report: score, summary, stats and findings
+ */
+export async function reviewResume(resumeSummary) {
+  try {
+    const response = await apiClient.post('/api/resume/review', { resumeSummary })
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to review resume'
+    throw new Error(message)
+  }
+}
@@ -0,0 +1,86 @@
+import apiClient from './client'
+
+/**
+ * Create a persisted interview session
+ * @param {Object} data - Session data
+ * @param {string} data.role - Target role
+ * @param {string} data.level - Experience level
+ * @param {string} data.mode - Interview mode
+ * @param {Object} data.resume - Parsed resume data
+ * @param {Object[]} data.questions - Session questions
+ * @returns {Promise<Object>} Stored session
+ */
+export async function createSession(data) {
+  try {
+    const response = await apiClient.post('/api/sessions', data)
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to save session'
+    throw new Error(message)
+  }
+}
+
+/**
+ * Update fields of a persisted session
+ * @param {string} id - Session id
+ * @param {Object} changes - Fields to replace (answers, analysis, status, ...)
+ * @returns {Promise<Object>} Updated session
+ */
+export async function updateSession(id, changes) {
+  try {
+    const response = await apiClient.patch(`/api/sessions/${id}`, changes)
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to update session'
+    throw new Error(message)
+  }
+}
+
+/**
+ * Fetch a persisted session
+ * @param {string} id - Session id
+ * @returns {Promise<Object>} Session
+ */
+export async function getSession(id) {
+  try {
+    const response = await apiClient.get(`/api/sessions/${id}`)
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to load session'
+    throw new Error(message)
+  }
+}
+
+/**
+ * List session summaries, most recently updated first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - in_progress or completed
+ * @param {number} [filters.limit] - Maximum number of sessions
+ * @returns {Promise<Object[]>} Session summaries
+ */
+export async function listSessions(filters = {}) {
+  try {
+    const response = await apiClient.get('/api/sessions', { params: filters })
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to load sessions'
+    throw new Error(message)
+  }
+}
+
+/**
+ * Score trends and recurring improvements across completed sessions
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.role] - Only sessions for this role
+ * @param {string} [filters.level] - Only sessions at this level
+ * @returns {Promise<Object>} History report
+ */
+export async function getSessionHistory(filters = {}) {
+  try {
+    const response = await apiClient.get('/api/sessions/history', { params: filters })
+    return response.data.data
+  } catch (error) {
+    const message = error.response?.data?.error?.message || 'Failed to load practice history'
+    throw new Error(message)
+  }
+}
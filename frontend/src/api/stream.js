@@ -0,0 +1,76 @@
+import { API_BASE_URL } from './client'
+import { createEventParser } from '../utils/eventStream'
+
+/**
+ * POST to a streaming endpoint and dispatch its Server-Sent Events
+ * Resolves with the payload of the final `summary` event; an `error` event or
+ * an error status rejects with the server's message.
+ * @param {string} path - Endpoint path, e.g. '/api/questions/stream'
+ * @param {Object} body - JSON request body
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Called with (event, data) for every event
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Summary event payload
+ */
+export async function postEventStream(path, body, { onEvent, signal } = {}) {
+  let response
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream'
+      },
+      body: JSON.stringify(body),
+      signal
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error
+    }
+    throw new Error('Network connection failed')
+  }
+
+  // Validation errors are answered with plain JSON before the stream opens
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error?.message || `Request failed with status ${response.status}`)
+  }
+
+  let summary = null
+  let failure = null
+  const parser = createEventParser(({ event, data }) => {
+    if (event === 'summary') {
+      summary = data
+    } else if (event === 'error') {
+      failure = data
+    }
+    if (onEvent) {
+      onEvent(event, data)
+    }
+  })
+
+  if (response.body?.getReader) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) {
+        break
+      }
+      parser.push(decoder.decode(value, { stream: true }))
+    }
+    parser.push(decoder.decode())
+  } else {
+    parser.push(await response.text())
+  }
+  parser.flush()
+
+  if (failure) {
+    throw new Error(failure.message || 'Streaming request failed')
+  }
+  if (!summary) {
+    throw new Error('The stream ended before the results arrived')
+  }
+  return summary
+}
@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react'
+import { Box, Typography } from '@mui/material'
+import audioStore from '../services/audioStore'
+
+/**
+ * Playback of a spoken answer's recording, kept in this browser
+ */
+function AnswerAudio({ audioKey }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    if (!audioKey) {
+      return undefined
+    }
+
+    let objectUrl = null
+    let cancelled = false
+
+    audioStore.getRecording(audioKey)
+      .then(recording => {
+        if (recording && !cancelled) {
+          objectUrl = URL.createObjectURL(recording.blob)
+          setUrl(objectUrl)
+        }
+      })
+      .catch(error => console.warn('Could not load answer audio:', error.message))
+
+    return () => {
+      cancelled = true
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl)
+      }
+      setUrl(null)
+    }
+  }, [audioKey])
+
+  // Recordings from another browser or a cleared storage are simply absent
+  if (!url) {
+    return null
+  }
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+        Your Recording
+      </Typography>
+      <audio controls preload="metadata" src={url} style={{ width: '100%' }} />
+    </Box>
+  )
+}
+
+export default AnswerAudio
@@ -0,0 +1,79 @@
+import React from 'react'
+import { Box, Typography, Chip, Tooltip } from '@mui/material'
+import { RecordVoiceOver } from '@mui/icons-material'
+import { PACE_RANGE } from '../utils/speechAnalytics'
+
+const PACE_COLORS = {
+  good: 'success',
+  slow: 'warning',
+  fast: 'warning'
+}
+
+/**
+ * Pace, filler words, pauses and hedging of a spoken answer
+ */
+function DeliveryMetrics({ delivery }) {
+  if (!delivery) {
+    return null
+  }
+
+  const { wordsPerMinute, pace, fillers, pauses, hedging, tips = [] } = delivery
+  const fillerList = Object.entries(fillers.words || {})
+    .map(([word, count]) => `${word} ×${count}`)
+    .join(', ')
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+        Delivery
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        {wordsPerMinute !== null && (
+          <Tooltip title={`A comfortable pace is ${PACE_RANGE.min}-${PACE_RANGE.max} words per minute`} placement="top">
+            <Chip
+              size="small"
+              icon={<RecordVoiceOver />}
+              label={`${wordsPerMinute} wpm${pace === 'good' ? '' : ` (${pace})`}`}
+              color={PACE_COLORS[pace] || 'default'}
+            />
+          </Tooltip>
+        )}
+        <Tooltip title={fillerList || 'No filler words'} placement="top">
+          <Chip
+            size="small"
+            variant="outlined"
+            label={`${fillers.count} filler word${fillers.count === 1 ? '' : 's'}`}
+            color={fillers.per100Words > 3 ? 'warning' : 'default'}
+          />
+        </Tooltip>
+        {pauses && (
+          <Chip
+            size="small"
+            variant="outlined"
+            label={pauses.count > 0
+              ? `${pauses.count} long pause${pauses.count === 1 ? '' : 's'} (longest ${Math.round(pauses.longestMs / 1000)}s)`
+              : 'No long pauses'}
+            color={pauses.count >= 2 ? 'warning' : 'default'}
+          />
+        )}
+        <Tooltip title={Object.keys(hedging.phrases || {}).join(', ') || 'No hedging phrases'} placement="top">
+          <Chip
+            size="small"
+            variant="outlined"
+            label={`Hedging ${hedging.share}%`}
+            color={hedging.share > 3 ? 'warning' : 'default'}
+          />
+        </Tooltip>
+      </Box>
+
+      {tips.map((tip, index) => (
+        <Typography key={index} variant="body2" color="text.secondary">
+          {tip}
+        </Typography>
+      ))}
+    </Box>
+  )
+}
+
+export default DeliveryMetrics
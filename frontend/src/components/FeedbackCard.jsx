@@ -0,0 +1,139 @@
+import React from 'react'
+import {
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Box,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material'
+import { TipsAndUpdates, Timer } from '@mui/icons-material'
+import { getScoreColor } from '../utils/results'
+import { formatClock } from '../utils/timedMode'
+import { getQuestionTypeInfo } from '../utils/questionCategories'
+import RubricBreakdown from './RubricBreakdown'
+import StarCoverage from './StarCoverage'
+import DeliveryMetrics from './DeliveryMetrics'
+import AnswerAudio from './AnswerAudio'
+
+/**
+ * Shows one question with the candidate's answer and the AI feedback for it,
+ * plus its recording and delivery metrics when the answer was spoken
+ */
+function FeedbackCard({ question, answer, feedback, index, total }) {
+  const typeInfo = getQuestionTypeInfo(question.type)
+  const transcription = answer?.transcription?.trim()
+  const suggestions = feedback?.suggestions || []
+  // Analyses without time reporting still have the answer's own record
+  const timeUsed = feedback?.timeUsed || answer?.timeUsed
+
+  return (
+    <Card variant="outlined" sx={{ mb: 2 }}>
+      <CardContent>
+        {/* Header with question type, number and score */}
+        <Box sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          mb: 2
+        }}>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <Chip label={typeInfo.label} color={typeInfo.color} size="small" />
+            {total && (
+              <Typography variant="caption" color="text.secondary">
+                {index + 1} of {total}
+              </Typography>
+            )}
+            {timeUsed && (
+              <Chip
+                icon={<Timer />}
+                label={`${formatClock(timeUsed.answerSeconds)}${timeUsed.limitSeconds ? ` / ${formatClock(timeUsed.limitSeconds)}` : ''}${timeUsed.autoSubmitted ? ' · time ran out' : ''}`}
+                color={timeUsed.autoSubmitted ? 'warning' : 'default'}
+                size="small"
+                variant="outlined"
+              />
+            )}
+          </Box>
+
+          {typeof feedback?.score === 'number' && (
+            <Chip
+              label={`${feedback.score}/10`}
+              color={getScoreColor(feedback.score)}
+              sx={{ fontWeight: 600 }}
+            />
+          )}
+        </Box>
+
+        <Typography variant="h6" sx={{ lineHeight: 1.6, mb: 2, fontSize: { xs: '1.1rem', sm: '1.25rem' } }}>
+          {question.text}
+        </Typography>
+
+        {/* Candidate answer */}
+        <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+          Your Answer
+        </Typography>
+        <Box sx={{
+          p: 2,
+          mb: 2,
+          bgcolor: 'grey.50',
+          border: 1,
+          borderColor: 'divider',
+          borderRadius: 1
+        }}>
+          <Typography
+            variant="body2"
+            sx={{ fontStyle: transcription ? 'normal' : 'italic', whiteSpace: 'pre-wrap' }}
+            color={transcription ? 'text.primary' : 'text.secondary'}
+          >
+            {transcription || 'No answer recorded'}
+          </Typography>
+        </Box>
+
+        <AnswerAudio audioKey={answer?.audioKey} />
+
+        <DeliveryMetrics delivery={answer?.delivery} />
+
+        {/* Feedback */}
+        {feedback ? (
+          <>
+            <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+              Feedback
+            </Typography>
+            <Typography variant="body1" sx={{ mb: 2 }}>
+              {feedback.feedback}
+            </Typography>
+
+            <RubricBreakdown criteria={feedback.criteria} />
+
+            <StarCoverage star={feedback.star} />
+
+            {suggestions.length > 0 && (
+              <List dense sx={{ py: 0 }}>
+                {suggestions.map((suggestion, suggestionIndex) => (
+                  <ListItem key={suggestionIndex} sx={{ py: 0.25, px: 0 }}>
+                    <ListItemIcon sx={{ minWidth: 32 }}>
+                      <TipsAndUpdates color="warning" fontSize="small" />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={suggestion}
+                      primaryTypographyProps={{ variant: 'body2' }}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </>
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            Feedback is not available for this question.
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default FeedbackCard
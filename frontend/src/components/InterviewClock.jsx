@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react'
+import { Paper, Box, Typography, Button, LinearProgress, Chip } from '@mui/material'
+import { Timer, HourglassTop, PlayArrow } from '@mui/icons-material'
+import { formatClock } from '../utils/timedMode'
+
+/**
+ * Countdown for the current question and the total interview clock of a timed interview
+ * @param {Object} props
+ * @param {Object} props.timer - State from useQuestionTimer
+ * @param {Date|string} props.startTime - When the interview started
+ * @param {number} props.budgetSeconds - Longest the interview can take
+ */
+function InterviewClock({ timer, startTime, budgetSeconds }) {
+  const [elapsed, setElapsed] = useState(0)
+
+  useEffect(() => {
+    const start = new Date(startTime).getTime()
+    const tick = () => setElapsed((Date.now() - start) / 1000)
+    tick()
+    const interval = setInterval(tick, 1000)
+    return () => clearInterval(interval)
+  }, [startTime])
+
+  if (timer.phase === 'idle') {
+    return null
+  }
+
+  const thinking = timer.phase === 'thinking'
+  const urgent = !thinking && timer.remaining <= 10
+  const value = timer.limit > 0 ? (timer.remaining / timer.limit) * 100 : 0
+
+  return (
+    <Paper elevation={2} sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {thinking ? <HourglassTop color="info" /> : <Timer color={urgent ? 'error' : 'primary'} />}
+          <Typography variant="subtitle1">
+            {thinking ? 'Thinking time' : 'Time to answer'}
+          </Typography>
+          <Typography variant="h6" color={urgent ? 'error.main' : 'text.primary'}>
+            {formatClock(Math.ceil(timer.remaining))}
+          </Typography>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Chip
+            size="small"
+            variant="outlined"
+            label={`Total ${formatClock(elapsed)} / ${formatClock(budgetSeconds)}`}
+            color={elapsed > budgetSeconds ? 'warning' : 'default'}
+          />
+          {thinking && (
+            <Button size="small" variant="outlined" startIcon={<PlayArrow />} onClick={timer.startAnswering}>
+              Start answering now
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <LinearProgress
+        variant="determinate"
+        value={value}
+        color={thinking ? 'info' : urgent ? 'error' : 'primary'}
+        sx={{ height: 6, borderRadius: 3 }}
+      />
+      {!thinking && timer.timeUp && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', mt: 1 }}>
+          Time is up. Your answer is being submitted.
+        </Typography>
+      )}
+    </Paper>
+  )
+}
+
+export default InterviewClock
@@ -0,0 +1,154 @@
+import React, { useRef, useState } from 'react'
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip
+} from '@mui/material'
+import { CompareArrows, UploadFile, Clear } from '@mui/icons-material'
+import { useApp } from '../context/AppContext'
+import { matchJobDescription } from '../api/jobDescription'
+import SkillGapReport from './SkillGapReport'
+
+// Plain text files are read in the browser; documents are parsed by the backend
+const TEXT_EXTENSIONS = ['.txt', '.md']
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.odt', '.rtf']
+
+/**
+ * Paste or upload a job description and show the skills gap report
+ */
+function JobDescriptionPanel() {
+  const { state, setJobMatch } = useApp()
+  const { resumeData, jobMatch } = state
+  const [text, setText] = useState(jobMatch?.jobDescriptionText || '')
+  const [file, setFile] = useState(null)
+  const [matching, setMatching] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0]
+    event.target.value = ''
+    if (!selected) return
+
+    const extension = selected.name.slice(selected.name.lastIndexOf('.')).toLowerCase()
+    setError(null)
+
+    if (TEXT_EXTENSIONS.includes(extension)) {
+      setFile(null)
+      setText(await selected.text())
+    } else if (DOCUMENT_EXTENSIONS.includes(extension)) {
+      setFile(selected)
+    } else {
+      setError('Please choose a PDF, DOCX, ODT, RTF, TXT or Markdown file.')
+    }
+  }
+
+  const handleMatch = async () => {
+    setMatching(true)
+    setError(null)
+
+    try {
+      const report = await matchJobDescription({
+        jobDescription: text,
+        file,
+        resumeSummary: resumeData
+      })
+      setJobMatch(report)
+      setText(report.jobDescriptionText)
+      setFile(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setMatching(false)
+    }
+  }
+
+  const handleClear = () => {
+    setText('')
+    setFile(null)
+    setError(null)
+    setJobMatch(null)
+  }
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>
+        Job Description (optional)
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Paste or upload the job posting to see how your skills match and to focus the interview on the gaps.
+      </Typography>
+
+      <TextField
+        multiline
+        minRows={4}
+        maxRows={12}
+        fullWidth
+        placeholder="Paste the job description here..."
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value)
+          setFile(null)
+        }}
+        disabled={Boolean(file)}
+      />
+
+      {file && (
+        <Chip
+          label={file.name}
+          onDelete={() => setFile(null)}
+          sx={{ mt: 1 }}
+        />
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={[...DOCUMENT_EXTENSIONS, ...TEXT_EXTENSIONS].join(',')}
+          hidden
+          onChange={handleFileChange}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<UploadFile />}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={matching}
+        >
+          Upload File
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<CompareArrows />}
+          onClick={handleMatch}
+          disabled={matching || (!file && !text.trim())}
+        >
+          {matching ? 'Matching...' : 'Match Skills'}
+        </Button>
+        {(jobMatch || text || file) && (
+          <Button startIcon={<Clear />} onClick={handleClear} disabled={matching}>
+            Clear
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {jobMatch && (
+        <Box sx={{ mt: 3 }}>
+          <SkillGapReport report={jobMatch} />
+        </Box>
+      )}
+    </Paper>
+  )
+}
+
+export default JobDescriptionPanel
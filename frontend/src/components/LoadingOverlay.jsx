@@ -1,7 +1,16 @@
 import React from 'react'
-import { Box, CircularProgress, Typography, Backdrop } from '@mui/material'
+import { Box, CircularProgress, Typography, Backdrop, LinearProgress, Chip } from '@mui/material'
+import { getScoreColor } from '../utils/results'
+
+/**
+ * @param {Object} props
+ * @param {string} [props.message] - Text under the spinner
+ * @param {Object} [props.progress] - Streamed analysis { completed, total, feedback }
+ */
+function LoadingOverlay({ message = 'Loading...', progress }) {
+  const total = progress?.total || 0
+  const completed = progress?.completed || 0
 
-function LoadingOverlay({ message = 'Loading...' }) {
   return (
     <Backdrop
       sx={{
@@ -26,11 +35,26 @@ function LoadingOverlay({ message = 'Loading...' }) {
       >
         <CircularProgress size={60} />
         <Typography variant="h6" color="text.primary">
-          {message}
+          {progress ? `Scoring your answers (${completed} of ${total})` : message}
         </Typography>
+        {progress && total > 0 && (
+          <Box sx={{ width: 280 }}>
+            <LinearProgress variant="determinate" value={(completed / total) * 100} />
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2, justifyContent: 'center' }}>
+              {(progress.feedback || []).map(item => (
+                <Chip
+                  key={item.questionId}
+                  label={`Q${item.questionId}: ${item.score}/10`}
+                  color={getScoreColor(item.score)}
+                  size="small"
+                />
+              ))}
+            </Box>
+          </Box>
+        )}
       </Box>
     </Backdrop>
   )
 }
 
-export default LoadingOverlay
\ No newline at end of file
+export default LoadingOverlay
@@ -12,7 +12,14 @@ import {
   ListItem,
   ListItemIcon,
   ListItemText,
-  Divider
+  Divider,
+  Paper,
+  FormControlLabel,
+  Switch,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material'
 import {
   TextFields,
@@ -20,13 +27,26 @@ import {
   Check,
   Close,
   Edit,
-  Mic
+  Mic,
+  Timer
 } from '@mui/icons-material'
+import {
+  THINKING_TIME_OPTIONS,
+  ANSWER_TIME_OPTIONS,
+  DEFAULT_TIMING,
+  formatClock
+} from '../utils/timedMode'
 
 /**
  * Mode selection component for choosing between text-only and interactive interview
+ * Timed interview settings are shown when onTimingChange is given; timing is
+ * null for an untimed interview.
  */
-function ModeSelector({ onModeSelect, speechSupport }) {
+function ModeSelector({ onModeSelect, speechSupport, timing = null, onTimingChange }) {
+  const handleTimingChange = (field, value) => {
+    onTimingChange({ ...(timing || DEFAULT_TIMING), [field]: value })
+  }
+
   const modes = [
     {
       id: 'text',
@@ -212,6 +232,65 @@ function ModeSelector({ onModeSelect, speechSupport }) {
         ))}
       </Grid>
 
+      {/* Timed Interview */}
+      {onTimingChange && (
+        <Paper variant="outlined" sx={{ mt: 3, p: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={Boolean(timing)}
+                  onChange={(e) => onTimingChange(e.target.checked ? DEFAULT_TIMING : null)}
+                />
+              }
+              label={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Timer fontSize="small" />
+                  Timed interview
+                </Box>
+              }
+            />
+            {timing && (
+              <>
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                  <InputLabel>Thinking time</InputLabel>
+                  <Select
+                    value={timing.thinkingSeconds}
+                    label="Thinking time"
+                    onChange={(e) => handleTimingChange('thinkingSeconds', e.target.value)}
+                  >
+                    {THINKING_TIME_OPTIONS.map((seconds) => (
+                      <MenuItem key={seconds} value={seconds}>
+                        {seconds === 0 ? 'None' : `${seconds} seconds`}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                  <InputLabel>Time per answer</InputLabel>
+                  <Select
+                    value={timing.answerSeconds}
+                    label="Time per answer"
+                    onChange={(e) => handleTimingChange('answerSeconds', e.target.value)}
+                  >
+                    {ANSWER_TIME_OPTIONS.map((seconds) => (
+                      <MenuItem key={seconds} value={seconds}>
+                        {formatClock(seconds)} min
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </>
+            )}
+          </Box>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            {timing
+              ? 'Each question starts with a thinking countdown; when the answer time runs out your answer is submitted as it stands.'
+              : 'Practice under pressure with a thinking countdown and a time limit for every answer.'}
+          </Typography>
+        </Paper>
+      )}
+
       {/* Additional Info */}
       <Box sx={{ mt: 4, textAlign: 'center' }}>
         <Typography variant="body2" color="text.secondary">
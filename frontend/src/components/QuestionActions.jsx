@@ -25,6 +25,7 @@ import {
   CheckCircle,
   RadioButtonUnchecked
 } from '@mui/icons-material'
+import { getQuestionTypeInfo } from '../utils/questionCategories'
 
 /**
  * Question actions component with regenerate, copy, and practice tracking
@@ -52,7 +53,7 @@ function QuestionActions({
   const handleCopyAll = async () => {
     try {
       const questionsText = questions.map((q, index) => 
-        `${index + 1}. ${q.text} [${q.type?.toUpperCase()}]`
+        `${index + 1}. ${q.text} [${getQuestionTypeInfo(q.type).label.toUpperCase()}]`
       ).join('\n\n')
       
       const content = `Interview Questions - ${role} (${level})\n${'='.repeat(50)}\n\n${questionsText}\n\nGenerated on: ${new Date().toLocaleString()}`
@@ -67,7 +68,7 @@ function QuestionActions({
 
   const handleExport = () => {
     const questionsText = questions.map((q, index) => 
-      `${index + 1}. ${q.text} [${q.type?.toUpperCase()}]`
+      `${index + 1}. ${q.text} [${getQuestionTypeInfo(q.type).label.toUpperCase()}]`
     ).join('\n\n')
     
     const content = `Interview Questions - ${role} (${level})\n${'='.repeat(50)}\n\n${questionsText}\n\nGenerated on: ${new Date().toLocaleString()}`
@@ -201,7 +202,7 @@ function QuestionActions({
                 
                 {question.type && (
                   <Chip
-                    label={question.type.replace(/([A-Z])/g, ' $1').trim()}
+                    label={getQuestionTypeInfo(question.type).label}
                     size="small"
                     variant="outlined"
                     sx={{ fontSize: '0.75rem' }}
@@ -17,6 +17,7 @@ import {
 } from '@mui/icons-material'
 import { useClipboard } from '../hooks/useClipboard'
 import speechService from '../services/speechService'
+import { getQuestionTypeInfo } from '../utils/questionCategories'
 
 /**
  * Enhanced question card component with copy and speech features
@@ -31,19 +32,6 @@ function QuestionCard({
 }) {
   const { copyToClipboard, copied, error } = useClipboard()
 
-  const getQuestionTypeInfo = (type) => {
-    switch (type) {
-      case 'intro':
-        return { label: 'Introduction', color: 'info' }
-      case 'role':
-        return { label: 'Technical', color: 'primary' }
-      case 'openEnded':
-        return { label: 'Behavioral', color: 'secondary' }
-      default:
-        return { label: 'Question', color: 'default' }
-    }
-  }
-
   const handleCopyQuestion = async () => {
     const success = await copyToClipboard(question.text)
     if (!success && error) {
@@ -82,6 +70,9 @@ function QuestionCard({
                 color={typeInfo.color}
                 size="small"
               />
+              {question.followUpOf && (
+                <Chip label="Follow-up" size="small" variant="outlined" />
+              )}
               {total && (
                 <Typography variant="caption" color="text.secondary">
                   {index + 1} of {total}
@@ -0,0 +1,80 @@
+import React from 'react'
+import { Box, Typography, Chip, LinearProgress, Alert } from '@mui/material'
+import { getScoreColor } from '../utils/results'
+
+const SEVERITY_ALERTS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'info'
+}
+
+/**
+ * Resume quality report: score plus findings with suggestions, most severe first
+ */
+function ResumeQualityReport({ report }) {
+  const { score, summary, stats, findings } = report
+  const scoreColor = getScoreColor(score, 100)
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          ATS readiness
+        </Typography>
+        <Typography variant="h5" sx={{ fontWeight: 600 }}>
+          {score}/100
+        </Typography>
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={score}
+        color={scoreColor}
+        sx={{ height: 8, borderRadius: 4, mb: 1 }}
+      />
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        {summary.high > 0 && <Chip label={`${summary.high} important`} color="error" size="small" />}
+        {summary.medium > 0 && <Chip label={`${summary.medium} worth fixing`} color="warning" size="small" />}
+        {summary.low > 0 && <Chip label={`${summary.low} minor`} color="info" size="small" />}
+        <Chip
+          label={`${stats.quantifiedBullets} of ${stats.bulletCount} bullets quantified`}
+          variant="outlined"
+          size="small"
+        />
+        {stats.readability !== null && (
+          <Chip label={`Reading ease ${stats.readability}`} variant="outlined" size="small" />
+        )}
+      </Box>
+
+      {findings.length === 0 ? (
+        <Alert severity="success">
+          No issues found. Your resume covers every check.
+        </Alert>
+      ) : (
+        findings.map((finding, index) => (
+          <Alert key={index} severity={SEVERITY_ALERTS[finding.severity]} sx={{ mb: 1 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              {finding.message}
+            </Typography>
+            {finding.excerpt && (
+              <Typography variant="body2" sx={{ fontStyle: 'italic' }}>
+                “{finding.excerpt}”
+              </Typography>
+            )}
+            {finding.items && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, my: 0.5 }}>
+                {finding.items.map(item => (
+                  <Chip key={item} label={item} size="small" variant="outlined" />
+                ))}
+              </Box>
+            )}
+            <Typography variant="body2">
+              {finding.suggestion}
+            </Typography>
+          </Alert>
+        ))
+      )}
+    </Box>
+  )
+}
+
+export default ResumeQualityReport
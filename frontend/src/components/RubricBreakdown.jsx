@@ -0,0 +1,63 @@
+import React from 'react'
+import { Box, Typography, LinearProgress, Tooltip } from '@mui/material'
+import { getScoreColor } from '../utils/results'
+
+/**
+ * Per-criterion rubric scores behind an answer's overall score
+ */
+function RubricBreakdown({ criteria }) {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return null
+  }
+
+  const estimated = criteria.some(criterion => criterion.source === 'heuristic')
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+        Score Breakdown
+      </Typography>
+
+      {criteria.map(criterion => {
+        const color = getScoreColor(criterion.score)
+
+        return (
+          <Box key={criterion.key} sx={{ mb: 1 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: 1 }}>
+              <Tooltip title={criterion.description || ''} placement="top-start">
+                <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                  {criterion.label}
+                  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 0.5 }}>
+                    ({criterion.weight}%)
+                  </Typography>
+                </Typography>
+              </Tooltip>
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                {criterion.score}/10
+              </Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={criterion.score * 10}
+              color={color === 'default' ? 'primary' : color}
+              sx={{ height: 6, borderRadius: 3 }}
+            />
+            {criterion.comment && (
+              <Typography variant="caption" color="text.secondary">
+                {criterion.comment}
+              </Typography>
+            )}
+          </Box>
+        )
+      })}
+
+      {estimated && (
+        <Typography variant="caption" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+          Some criteria were estimated from the answer text because the AI did not score them.
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+export default RubricBreakdown
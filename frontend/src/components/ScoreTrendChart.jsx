@@ -0,0 +1,112 @@
+import React from 'react'
+import { Box, Typography, useTheme } from '@mui/material'
+
+const WIDTH = 600
+const HEIGHT = 220
+const PADDING = { top: 10, right: 16, bottom: 24, left: 32 }
+const GRID_LINES = [0, 25, 50, 75, 100]
+
+/**
+ * Line chart of scores (0-100) across sessions, drawn as plain SVG
+ */
+function ScoreTrendChart({ series, sessionCount, labels = [] }) {
+  const theme = useTheme()
+
+  if (!series.length || sessionCount === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+        Complete a few interviews to see your score trend.
+      </Typography>
+    )
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const x = (index) => PADDING.left + (sessionCount === 1 ? plotWidth / 2 : (index / (sessionCount - 1)) * plotWidth)
+  const y = (value) => PADDING.top + plotHeight - (value / 100) * plotHeight
+  const colorOf = (color) => theme.palette[color]?.main || theme.palette.text.secondary
+
+  return (
+    <Box>
+      <Box
+        component="svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label="Score trend across sessions"
+        sx={{ width: '100%', height: 'auto', display: 'block' }}
+      >
+        {GRID_LINES.map(value => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(value)}
+              y2={y(value)}
+              stroke={theme.palette.divider}
+              strokeDasharray={value === 0 ? undefined : '4 4'}
+            />
+            <text
+              x={PADDING.left - 6}
+              y={y(value) + 4}
+              textAnchor="end"
+              fontSize="10"
+              fill={theme.palette.text.secondary}
+            >
+              {value}
+            </text>
+          </g>
+        ))}
+
+        {labels.map((label, index) => (
+          <text
+            key={index}
+            x={x(index)}
+            y={HEIGHT - 6}
+            textAnchor="middle"
+            fontSize="10"
+            fill={theme.palette.text.secondary}
+          >
+            {label}
+          </text>
+        ))}
+
+        {series.map(item => (
+          <g key={item.key}>
+            <polyline
+              fill="none"
+              stroke={colorOf(item.color)}
+              strokeWidth={item.key === 'overall' ? 3 : 1.5}
+              strokeDasharray={item.key === 'overall' ? undefined : '6 3'}
+              points={item.points.map(point => `${x(point.index)},${y(point.value)}`).join(' ')}
+            />
+            {item.points.map(point => (
+              <circle
+                key={point.index}
+                cx={x(point.index)}
+                cy={y(point.value)}
+                r={item.key === 'overall' ? 4 : 2.5}
+                fill={colorOf(item.color)}
+              >
+                <title>{`${item.label}: ${Math.round(point.value)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </Box>
+
+      {/* Legend */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 1, justifyContent: 'center' }}>
+        {series.map(item => (
+          <Box key={item.key} sx={{ display: 'flex', alignItems: 'center', gap: 0.75 }}>
+            <Box sx={{ width: 14, height: 3, bgcolor: colorOf(item.color), borderRadius: 1 }} />
+            <Typography variant="caption" color="text.secondary">
+              {item.label}{item.key === 'overall' ? '' : ' (x10)'}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  )
+}
+
+export default ScoreTrendChart
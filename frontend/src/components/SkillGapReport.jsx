@@ -0,0 +1,98 @@
+import React from 'react'
+import { Box, Typography, Chip, LinearProgress } from '@mui/material'
+import { getScoreColor } from '../utils/results'
+
+function SkillGroup({ title, skills, color, variant = 'filled', emptyText }) {
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+        {title} ({skills.length})
+      </Typography>
+      {skills.length > 0 ? (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+          {skills.map(skill => (
+            <Chip key={skill} label={skill} color={color} variant={variant} size="small" />
+          ))}
+        </Box>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+          {emptyText}
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+/**
+ * Job description match: score plus matched, missing and extra skills
+ */
+function SkillGapReport({ report }) {
+  const { matchScore, matched, missing, extra } = report
+  const scoreColor = getScoreColor(matchScore, 100)
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', mb: 1 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            Match score
+          </Typography>
+          <Typography variant="h5" sx={{ fontWeight: 600 }}>
+            {matchScore === null ? '–' : `${matchScore}%`}
+          </Typography>
+        </Box>
+        {matchScore === null ? (
+          <Typography variant="body2" color="text.secondary">
+            No known skills were found in the job description.
+          </Typography>
+        ) : (
+          <>
+            <LinearProgress
+              variant="determinate"
+              value={matchScore}
+              color={scoreColor === 'default' ? 'primary' : scoreColor}
+              sx={{ height: 8, borderRadius: 4 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              Required skills count twice as much as nice-to-have ones.
+            </Typography>
+          </>
+        )}
+      </Box>
+
+      <SkillGroup
+        title="Missing required skills"
+        skills={missing.required}
+        color="error"
+        emptyText="Your resume covers every required skill."
+      />
+      <SkillGroup
+        title="Missing nice-to-have skills"
+        skills={missing.niceToHave}
+        color="warning"
+        emptyText="No nice-to-have skills are missing."
+      />
+      <SkillGroup
+        title="Matched skills"
+        skills={[...matched.required, ...matched.niceToHave]}
+        color="success"
+        emptyText="None of the requested skills appear on your resume."
+      />
+      <SkillGroup
+        title="Other skills on your resume"
+        skills={extra}
+        color="default"
+        variant="outlined"
+        emptyText="Every skill on your resume is relevant to this job."
+      />
+
+      {missing.required.length + missing.niceToHave.length > 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Generated technical questions will probe the missing skills first.
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+export default SkillGapReport
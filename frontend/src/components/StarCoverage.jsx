@@ -0,0 +1,53 @@
+import React from 'react'
+import { Box, Typography, Chip, Tooltip } from '@mui/material'
+import { CheckCircle, RadioButtonUnchecked } from '@mui/icons-material'
+
+const COMPONENT_LABELS = {
+  situation: 'Situation',
+  task: 'Task',
+  action: 'Action',
+  result: 'Result'
+}
+
+/**
+ * Which STAR parts a behavioral answer covered, with tips for the missing ones
+ */
+function StarCoverage({ star }) {
+  if (!star || !star.components) {
+    return null
+  }
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+        STAR Structure ({star.coverage}%)
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        {Object.entries(COMPONENT_LABELS).map(([key, label]) => {
+          const component = star.components[key] || {}
+
+          return (
+            <Tooltip key={key} title={component.excerpt || 'Not found in your answer'} placement="top">
+              <Chip
+                size="small"
+                label={label}
+                icon={component.present ? <CheckCircle /> : <RadioButtonUnchecked />}
+                color={component.present ? 'success' : 'default'}
+                variant={component.present ? 'filled' : 'outlined'}
+              />
+            </Tooltip>
+          )
+        })}
+      </Box>
+
+      {star.suggestions?.map((suggestion, index) => (
+        <Typography key={index} variant="caption" color="text.secondary" component="div">
+          • {suggestion}
+        </Typography>
+      ))}
+    </Box>
+  )
+}
+
+export default StarCoverage
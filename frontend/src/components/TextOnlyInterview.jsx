@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import {
   Paper,
   Typography,
@@ -18,19 +18,60 @@ import {
 } from '@mui/icons-material'
 import { useApp } from '../context/AppContext'
 import QuestionCard from './QuestionCard'
+import { useAnswerAnalysis } from '../hooks/useAnswerAnalysis'
 import { useMobile } from '../hooks/useMobile'
+import { useFollowUps } from '../hooks/useFollowUps'
+import { useQuestionTimer } from '../hooks/useQuestionTimer'
+import InterviewClock from './InterviewClock'
+import { buildTimings, getInterviewBudget } from '../utils/timedMode'
+import { firstUnansweredIndex } from '../utils/sessionAnswers'
 
 /**
  * Text-only interview mode for users who prefer typing or don't have speech support
  */
 function TextOnlyInterview() {
-  const { state, addAnswer, completeInterview, setError, setLoading } = useApp()
+  const { state, addAnswer, insertFollowUps, completeInterview, setError, setLoading } = useApp()
   const { interviewSession } = state
   const { isMobile } = useMobile()
+  const { getFollowUps, generatingFollowUp } = useFollowUps()
+  const { analyze } = useAnswerAnalysis()
   
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0)
-  const [answers, setAnswers] = useState({})
-  const [currentAnswer, setCurrentAnswer] = useState('')
+  // A resumed session starts with its saved answers at the first unanswered question
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(() =>
+    Math.min(
+      firstUnansweredIndex(interviewSession?.questions, interviewSession?.answers),
+      Math.max(0, (interviewSession?.questions.length || 1) - 1)
+    )
+  )
+  const [answers, setAnswers] = useState(() =>
+    Object.fromEntries((interviewSession?.answers || []).map(a => [a.questionId, a.transcription]))
+  )
+  const [currentAnswer, setCurrentAnswer] = useState(() =>
+    answers[interviewSession?.questions[currentQuestionIndex]?.id] || ''
+  )
+  // Set when the answer time runs out; the answer is submitted on the next render
+  const [autoSubmitPending, setAutoSubmitPending] = useState(false)
+  // Set once the last answer is submitted, while it is analyzed
+  const completingRef = useRef(false)
+
+  const timing = interviewSession?.timing || null
+  const timer = useQuestionTimer(
+    timing,
+    `${interviewSession?.id}-${interviewSession?.questions[currentQuestionIndex]?.id}`,
+    {
+      // An answer already being saved is not submitted twice
+      onTimeUp: () => {
+        if (!generatingFollowUp && !completingRef.current) setAutoSubmitPending(true)
+      }
+    }
+  )
+
+  useEffect(() => {
+    if (autoSubmitPending) {
+      setAutoSubmitPending(false)
+      handleSaveAnswer({ autoSubmitted: true })
+    }
+  })
 
   if (!interviewSession) {
     return (
@@ -46,12 +87,21 @@ function TextOnlyInterview() {
   const isLastQuestion = currentQuestionIndex >= totalQuestions - 1
   const answeredQuestions = Object.keys(answers).length
 
-  const handleSaveAnswer = () => {
-    if (!currentAnswer.trim()) {
+  // In a timed interview an answer cut off by the time limit may be empty
+  const handleSaveAnswer = async ({ autoSubmitted = false } = {}) => {
+    if (!currentAnswer.trim() && !autoSubmitted) {
       setError('Please provide an answer before continuing')
       return
     }
 
+    const timeUsed = timer.getTimeUsed(autoSubmitted)
+
+    // A follow-up goes right after this question; an answer edited after
+    // going back keeps the follow-up it already has
+    const followUps = currentAnswer.trim()
+      ? await getFollowUps(currentQuestionIndex, currentAnswer.trim())
+      : []
+
     // Save answer to local state
     setAnswers(prev => ({
       ...prev,
@@ -63,16 +113,20 @@ function TextOnlyInterview() {
       questionId: currentQuestion.id,
       transcription: currentAnswer.trim(),
       timestamp: new Date(),
-      mode: 'text-only'
+      mode: 'text-only',
+      ...(timeUsed && { timeUsed })
     }
     addAnswer(answer)
+    if (followUps.length > 0) {
+      insertFollowUps(currentQuestionIndex, followUps)
+    }
 
     // Clear current answer
     setCurrentAnswer('')
 
     // Move to next question or complete
-    if (isLastQuestion) {
-      handleCompleteInterview()
+    if (isLastQuestion && followUps.length === 0) {
+      handleCompleteInterview(answer)
     } else {
       setCurrentQuestionIndex(prev => prev + 1)
     }
@@ -114,7 +168,10 @@ function TextOnlyInterview() {
     }
   }
 
-  const handleCompleteInterview = async () => {
+  const handleCompleteInterview = async (finalAnswer) => {
+    // The page stays mounted during the analysis; its time must not run out and resubmit
+    completingRef.current = true
+    timer.stop()
     setLoading(true)
     
     try {
@@ -128,17 +185,27 @@ function TextOnlyInterview() {
       const questions = interviewSession.questions.map(q => q.text)
       const answerTexts = interviewSession.questions.map(q => allAnswers[q.id] || '')
 
-      // For now, complete without AI analysis in text-only mode
-      // You could add AI analysis here if needed
-      completeInterview({
-        questions: questions,
+      const analysis = await analyze({
+        questions,
         answers: answerTexts,
-        mode: 'text-only',
-        completedAt: new Date()
+        role: interviewSession.role,
+        level: interviewSession.level,
+        questionTypes: interviewSession.questions.map(q => q.type),
+        ...(timing && {
+          timings: buildTimings(interviewSession.questions, [...interviewSession.answers, finalAnswer].filter(Boolean))
+        }),
+        // Skills and projects are all the rubrics use from the resume
+        resumeSummary: state.resumeData && {
+          skills: state.resumeData.skills,
+          projects: state.resumeData.projects
+        }
       })
+
+      completeInterview(analysis)
       
     } catch (error) {
-      setError('Failed to complete interview. Your answers have been saved.')
+      setError('Failed to analyze answers. You can still view your responses.')
+      completeInterview(null)
     } finally {
       setLoading(false)
     }
@@ -175,6 +242,15 @@ function TextOnlyInterview() {
         </Box>
       </Paper>
 
+      {/* Timed Interview Clock */}
+      {timing && (
+        <InterviewClock
+          timer={timer}
+          startTime={interviewSession.startTime}
+          budgetSeconds={getInterviewBudget(timing, totalQuestions)}
+        />
+      )}
+
       {/* Current Question */}
       <QuestionCard
         question={currentQuestion}
@@ -195,7 +271,8 @@ function TextOnlyInterview() {
           rows={isMobile ? 6 : 4}
           fullWidth
           variant="outlined"
-          placeholder="Type your answer here..."
+          placeholder={timer.phase === 'thinking' ? 'Plan your answer. Typing opens when thinking time ends.' : 'Type your answer here...'}
+          disabled={timer.phase === 'thinking'}
           value={currentAnswer}
           onChange={(e) => setCurrentAnswer(e.target.value)}
           sx={{ 
@@ -220,25 +297,27 @@ function TextOnlyInterview() {
           flexDirection: { xs: 'column', sm: 'row' },
           gap: 2
         }}>
-          {/* Previous Button */}
-          <Button
-            variant="outlined"
-            startIcon={<NavigateBefore />}
-            onClick={handlePreviousQuestion}
-            disabled={currentQuestionIndex === 0}
-            sx={{ 
-              width: { xs: '100%', sm: 'auto' },
-              order: { xs: 2, sm: 1 }
-            }}
-          >
-            Previous
-          </Button>
+          {/* Previous Button (timed interviews move forward only) */}
+          {!timing && (
+            <Button
+              variant="outlined"
+              startIcon={<NavigateBefore />}
+              onClick={handlePreviousQuestion}
+              disabled={currentQuestionIndex === 0}
+              sx={{ 
+                width: { xs: '100%', sm: 'auto' },
+                order: { xs: 2, sm: 1 }
+              }}
+            >
+              Previous
+            </Button>
+          )}
 
           {/* Save & Continue / Complete */}
           <Button
             variant="contained"
-            onClick={handleSaveAnswer}
-            disabled={!currentAnswer.trim()}
+            onClick={() => handleSaveAnswer()}
+            disabled={!currentAnswer.trim() || generatingFollowUp || autoSubmitPending}
             startIcon={isLastQuestion ? <Save /> : <NavigateNext />}
             size="large"
             sx={{ 
@@ -246,11 +325,13 @@ function TextOnlyInterview() {
               order: { xs: 1, sm: 2 }
             }}
           >
-            {isLastQuestion ? 'Complete Interview' : 'Save & Continue'}
+            {generatingFollowUp
+              ? 'Preparing follow-up...'
+              : isLastQuestion ? 'Complete Interview' : 'Save & Continue'}
           </Button>
 
           {/* Next Button (for navigation without saving) */}
-          {!isLastQuestion && (
+          {!isLastQuestion && !timing && (
             <Button
               variant="text"
               endIcon={<NavigateNext />}
@@ -269,7 +350,9 @@ function TextOnlyInterview() {
         <Divider sx={{ my: 2 }} />
         <Box sx={{ textAlign: 'center' }}>
           <Typography variant="body2" color="text.secondary">
-            You can navigate between questions and come back to edit your answers
+            {timing
+              ? 'When the answer time runs out your answer is submitted as it stands'
+              : 'You can navigate between questions and come back to edit your answers'}
           </Typography>
         </Box>
       </Paper>
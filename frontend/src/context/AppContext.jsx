@@ -1,12 +1,18 @@
 import React, { createContext, useContext, useReducer } from 'react'
+import { useSessionPersistence, clearActiveSessionId } from '../hooks/useSessionPersistence'
+import { insertFollowUps } from '../utils/followUps'
+import { upsertAnswer, firstUnansweredIndex } from '../utils/sessionAnswers'
 
 // Initial state
 const initialState = {
   resumeData: null,
   questions: null,
+  jobMatch: null,
   interviewSession: null,
-  currentStep: 'upload', // upload, questions, interview, results
+  currentStep: 'upload', // upload, review, questions, interview, results
   loading: false,
+  // Answers scored so far while an analysis streams: { completed, total, feedback }
+  analysisProgress: null,
   error: null
 }
 
@@ -16,10 +22,16 @@ export const ActionTypes = {
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_RESUME_DATA: 'SET_RESUME_DATA',
+  CONFIRM_RESUME_DATA: 'CONFIRM_RESUME_DATA',
   SET_QUESTIONS: 'SET_QUESTIONS',
+  SET_JOB_MATCH: 'SET_JOB_MATCH',
   SET_CURRENT_STEP: 'SET_CURRENT_STEP',
   START_INTERVIEW: 'START_INTERVIEW',
+  SET_SESSION_ID: 'SET_SESSION_ID',
+  RESTORE_SESSION: 'RESTORE_SESSION',
   ADD_ANSWER: 'ADD_ANSWER',
+  INSERT_FOLLOW_UPS: 'INSERT_FOLLOW_UPS',
+  SET_ANALYSIS_PROGRESS: 'SET_ANALYSIS_PROGRESS',
   COMPLETE_INTERVIEW: 'COMPLETE_INTERVIEW',
   RESET_APP: 'RESET_APP'
 }
@@ -40,11 +52,24 @@ function appReducer(state, action) {
       return { 
         ...state, 
         resumeData: action.payload, 
-        currentStep: 'questions',
+        // A match report belongs to the resume it was computed against
+        jobMatch: null,
+        // Parsed data is checked by the user before it reaches any prompt
+        currentStep: 'review',
         loading: false,
         error: null 
       }
     
+    case ActionTypes.CONFIRM_RESUME_DATA:
+      return {
+        ...state,
+        resumeData: action.payload,
+        // Questions and the match report were built from the uncorrected resume
+        questions: null,
+        jobMatch: null,
+        currentStep: 'questions'
+      }
+    
     case ActionTypes.SET_QUESTIONS:
       return { 
         ...state, 
@@ -53,6 +78,9 @@ function appReducer(state, action) {
         error: null 
       }
     
+    case ActionTypes.SET_JOB_MATCH:
+      return { ...state, jobMatch: action.payload }
+    
     case ActionTypes.SET_CURRENT_STEP:
       return { ...state, currentStep: action.payload }
     
@@ -65,6 +93,9 @@ function appReducer(state, action) {
           answers: [],
           role: action.payload.role,
           level: action.payload.level,
+          mode: action.payload.mode,
+          followUpDepth: action.payload.followUpDepth || 0,
+          timing: action.payload.timing || null,
           startTime: new Date(),
           currentQuestionIndex: 0,
           isActive: true
@@ -72,19 +103,87 @@ function appReducer(state, action) {
         currentStep: 'interview'
       }
     
-    case ActionTypes.ADD_ANSWER:
+    case ActionTypes.SET_SESSION_ID:
+      // Ignore a late response for a session that has since been replaced
+      if (state.interviewSession?.id !== action.payload.localId) {
+        return state
+      }
+      return {
+        ...state,
+        interviewSession: {
+          ...state.interviewSession,
+          sessionId: action.payload.sessionId
+        }
+      }
+    
+    case ActionTypes.RESTORE_SESSION: {
+      const session = action.payload
+      // Sessions saved before answers were replaced may hold one question's answer twice
+      const answers = session.answers.reduce(upsertAnswer, [])
+      return {
+        ...state,
+        resumeData: session.resume,
+        interviewSession: {
+          id: session.id,
+          sessionId: session.id,
+          questions: session.questions,
+          answers,
+          role: session.role,
+          level: session.level,
+          mode: session.mode,
+          followUpDepth: session.followUpDepth || 0,
+          timing: session.timing || null,
+          startTime: new Date(session.createdAt),
+          currentQuestionIndex: firstUnansweredIndex(session.questions, answers),
+          isActive: true,
+          resumed: true
+        },
+        currentStep: 'interview',
+        loading: false,
+        error: null
+      }
+    }
+    
+    case ActionTypes.ADD_ANSWER: {
+      // An answer saved again after going back replaces the earlier one
+      const answers = upsertAnswer(state.interviewSession.answers, action.payload)
+      return {
+        ...state,
+        interviewSession: {
+          ...state.interviewSession,
+          answers,
+          currentQuestionIndex: firstUnansweredIndex(state.interviewSession.questions, answers)
+        }
+      }
+    }
+    
+    case ActionTypes.INSERT_FOLLOW_UPS: {
+      const questions = insertFollowUps(
+        state.interviewSession.questions,
+        action.payload.index,
+        action.payload.followUps
+      )
       return {
         ...state,
         interviewSession: {
           ...state.interviewSession,
-          answers: [...state.interviewSession.answers, action.payload],
-          currentQuestionIndex: state.interviewSession.currentQuestionIndex + 1
+          questions,
+          currentQuestionIndex: firstUnansweredIndex(questions, state.interviewSession.answers)
         }
       }
+    }
+    
+    case ActionTypes.SET_ANALYSIS_PROGRESS:
+      // Updates merge into the current progress; null clears it
+      return {
+        ...state,
+        analysisProgress: action.payload && { ...state.analysisProgress, ...action.payload }
+      }
     
     case ActionTypes.COMPLETE_INTERVIEW:
       return {
         ...state,
+        analysisProgress: null,
         interviewSession: {
           ...state.interviewSession,
           endTime: new Date(),
@@ -109,6 +208,8 @@ const AppContext = createContext()
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState)
 
+  useSessionPersistence(state, dispatch)
+
   const value = {
     state,
     dispatch,
@@ -117,12 +218,19 @@ export function AppProvider({ children }) {
     setError: (error) => dispatch({ type: ActionTypes.SET_ERROR, payload: error }),
     clearError: () => dispatch({ type: ActionTypes.CLEAR_ERROR }),
     setResumeData: (data) => dispatch({ type: ActionTypes.SET_RESUME_DATA, payload: data }),
+    confirmResumeData: (data) => dispatch({ type: ActionTypes.CONFIRM_RESUME_DATA, payload: data }),
     setQuestions: (questions) => dispatch({ type: ActionTypes.SET_QUESTIONS, payload: questions }),
+    setJobMatch: (jobMatch) => dispatch({ type: ActionTypes.SET_JOB_MATCH, payload: jobMatch }),
     setCurrentStep: (step) => dispatch({ type: ActionTypes.SET_CURRENT_STEP, payload: step }),
     startInterview: (data) => dispatch({ type: ActionTypes.START_INTERVIEW, payload: data }),
     addAnswer: (answer) => dispatch({ type: ActionTypes.ADD_ANSWER, payload: answer }),
+    insertFollowUps: (index, followUps) => dispatch({ type: ActionTypes.INSERT_FOLLOW_UPS, payload: { index, followUps } }),
+    setAnalysisProgress: (progress) => dispatch({ type: ActionTypes.SET_ANALYSIS_PROGRESS, payload: progress }),
     completeInterview: (analysis) => dispatch({ type: ActionTypes.COMPLETE_INTERVIEW, payload: analysis }),
-    resetApp: () => dispatch({ type: ActionTypes.RESET_APP })
+    resetApp: () => {
+      clearActiveSessionId()
+      dispatch({ type: ActionTypes.RESET_APP })
+    }
   }
 
   return (
@@ -0,0 +1,47 @@
+import { renderHook, act } from '@testing-library/react'
+import { useQuestionTimer } from '../useQuestionTimer'
+
+describe('useQuestionTimer', () => {
+  const timing = { thinkingSeconds: 0, answerSeconds: 5 }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should call onTimeUp once when the answer time runs out', () => {
+    const onTimeUp = jest.fn()
+    const { result } = renderHook(() => useQuestionTimer(timing, 'session-q1', { onTimeUp }))
+
+    expect(result.current.phase).toBe('answering')
+    act(() => {
+      jest.advanceTimersByTime(7000)
+    })
+
+    expect(onTimeUp).toHaveBeenCalledTimes(1)
+    expect(result.current.timeUp).toBe(true)
+  })
+
+  test('should not run out after being stopped, even when re-rendered', () => {
+    const onTimeUp = jest.fn()
+    const { result, rerender } = renderHook(
+      ({ settings }) => useQuestionTimer(settings, 'session-q1', { onTimeUp }),
+      { initialProps: { settings: timing } }
+    )
+
+    act(() => {
+      jest.advanceTimersByTime(2000)
+      result.current.stop()
+    })
+    rerender({ settings: { ...timing } })
+    act(() => {
+      jest.advanceTimersByTime(10000)
+    })
+
+    expect(result.current.phase).toBe('idle')
+    expect(onTimeUp).not.toHaveBeenCalled()
+  })
+})
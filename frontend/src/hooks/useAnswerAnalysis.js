@@ -0,0 +1,37 @@
+import { useCallback } from 'react'
+import { useApp } from '../context/AppContext'
+import { streamAnalysis } from '../api/questions'
+
+/**
+ * Analyze interview answers over the streaming endpoint
+ * Each answer's feedback is published to analysisProgress as it is scored,
+ * so the loading overlay can show results before the whole analysis is done.
+ */
+export function useAnswerAnalysis() {
+  const { setAnalysisProgress } = useApp()
+
+  /**
+   * @param {Object} data - Analysis data, as for analyzeAnswers
+   * @returns {Promise<Object>} Complete analysis
+   */
+  const analyze = useCallback(async (data) => {
+    const feedback = []
+    setAnalysisProgress({ completed: 0, total: data.questions.length, feedback })
+
+    try {
+      return await streamAnalysis(data, {
+        onProgress: ({ completed, total }) => setAnalysisProgress({ completed, total }),
+        onFeedback: (item) => {
+          feedback.push(item)
+          setAnalysisProgress({ feedback: [...feedback] })
+        }
+      })
+    } finally {
+      setAnalysisProgress(null)
+    }
+  }, [setAnalysisProgress])
+
+  return { analyze }
+}
+
+export default useAnswerAnalysis
@@ -135,7 +135,7 @@ export function useApiErrorHandler() {
     } else if (error.response?.status === 413) {
       handleError(new Error('File too large. Please upload a file smaller than 10MB.'), endpoint)
     } else if (error.response?.status === 415) {
-      handleError(new Error('Unsupported file format. Please upload a PDF or DOCX file.'), endpoint)
+      handleError(new Error('Unsupported file format. Please upload a PDF, DOCX, ODT, RTF, Markdown or TXT file.'), endpoint)
     } else if (error.response?.data?.error?.message) {
       handleError(new Error(error.response.data.error.message), endpoint)
     } else {
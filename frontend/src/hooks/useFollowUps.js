@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react'
+import { useApp } from '../context/AppContext'
+import { generateFollowUps } from '../api/questions'
+import { canAskFollowUp, buildFollowUpQuestions } from '../utils/followUps'
+
+/**
+ * Ask follow-up questions after answers, up to the session's follow-up depth
+ * Follow-ups are best effort: when generation fails the interview simply
+ * moves on to the next planned question.
+ */
+export function useFollowUps() {
+  const { state } = useApp()
+  const { interviewSession } = state
+  const [generatingFollowUp, setGeneratingFollowUp] = useState(false)
+
+  /**
+   * Follow-up questions for an answer, when the session allows one
+   * Callers insert them (insertFollowUps) together with the answer so the
+   * session never renders with only one of the two applied.
+   * @param {number} index - Position of the answered question
+   * @param {string} answer - The answer given
+   * @returns {Promise<Object[]>} Follow-up questions, possibly none
+   */
+  const getFollowUps = useCallback(async (index, answer) => {
+    const { questions, followUpDepth, role, level } = interviewSession || {}
+    if (!canAskFollowUp(questions, index, followUpDepth)) {
+      return []
+    }
+
+    const question = questions[index]
+    setGeneratingFollowUp(true)
+
+    try {
+      // One follow-up per answer; deeper probing comes from chaining
+      const texts = await generateFollowUps({
+        question: question.text,
+        answer,
+        role,
+        level,
+        count: 1
+      })
+      return buildFollowUpQuestions(question, texts)
+    } catch (error) {
+      console.warn('Could not generate a follow-up question:', error.message)
+      return []
+    } finally {
+      setGeneratingFollowUp(false)
+    }
+  }, [interviewSession])
+
+  return { getFollowUps, generatingFollowUp }
+}
+
+export default useFollowUps
@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+/**
+ * Countdown for one question of a timed interview
+ * Each question starts with thinking time, then the answer time limit runs;
+ * when it runs out onTimeUp is called once so the answer can be submitted.
+ * With no timing settings, or once stopped, the timer stays idle.
+ * @param {Object|null} timing - Session timing settings ({ thinkingSeconds, answerSeconds })
+ * @param {string} questionKey - Changes whenever a new question is shown
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onAnswerStart] - Thinking time ended, on time or early
+ * @param {Function} [handlers.onTimeUp] - Answer time ran out
+ */
+export function useQuestionTimer(timing, questionKey, handlers = {}) {
+  const [phase, setPhase] = useState('idle')
+  const [remaining, setRemaining] = useState(0)
+  const phaseRef = useRef('idle')
+  const phaseStartRef = useRef(0)
+  const thinkingUsedRef = useRef(0)
+  const timeUpRef = useRef(false)
+  // Question whose timer was stopped; it is not restarted until the question changes
+  const stoppedKeyRef = useRef(null)
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  const thinkingSeconds = timing?.thinkingSeconds || 0
+  const answerSeconds = timing?.answerSeconds || 0
+
+  const enterPhase = useCallback((next, seconds) => {
+    phaseRef.current = next
+    phaseStartRef.current = Date.now()
+    setPhase(next)
+    setRemaining(seconds)
+  }, [])
+
+  /**
+   * End thinking time early
+   */
+  const startAnswering = useCallback(() => {
+    if (phaseRef.current !== 'thinking') return
+
+    thinkingUsedRef.current = (Date.now() - phaseStartRef.current) / 1000
+    enterPhase('answering', answerSeconds)
+    handlersRef.current.onAnswerStart?.()
+  }, [answerSeconds, enterPhase])
+
+  /**
+   * Stop the countdown for the current question, e.g. once the last answer
+   * is submitted; onTimeUp is not called after this
+   */
+  const stop = useCallback(() => {
+    stoppedKeyRef.current = questionKey
+    timeUpRef.current = true
+    enterPhase('idle', 0)
+  }, [questionKey, enterPhase])
+
+  // Restart for every question
+  useEffect(() => {
+    if (!timing || stoppedKeyRef.current === questionKey) {
+      enterPhase('idle', 0)
+      return
+    }
+
+    thinkingUsedRef.current = 0
+    timeUpRef.current = false
+    if (thinkingSeconds > 0) {
+      enterPhase('thinking', thinkingSeconds)
+    } else {
+      enterPhase('answering', answerSeconds)
+    }
+  }, [timing, questionKey, thinkingSeconds, answerSeconds, enterPhase])
+
+  useEffect(() => {
+    if (phase === 'idle') return undefined
+
+    const tick = () => {
+      const elapsed = (Date.now() - phaseStartRef.current) / 1000
+      const limit = phase === 'thinking' ? thinkingSeconds : answerSeconds
+      const left = Math.max(0, limit - elapsed)
+      setRemaining(left)
+
+      if (left > 0) return
+      if (phase === 'thinking') {
+        startAnswering()
+      } else if (!timeUpRef.current) {
+        timeUpRef.current = true
+        handlersRef.current.onTimeUp?.()
+      }
+    }
+
+    const interval = setInterval(tick, 250)
+    return () => clearInterval(interval)
+  }, [phase, thinkingSeconds, answerSeconds, startAnswering])
+
+  /**
+   * Time used on the current question so far
+   * @param {boolean} [autoSubmitted] - Whether the limit forced the submission
+   * @returns {Object|null} timeUsed for the answer, or null when untimed
+   */
+  const getTimeUsed = useCallback((autoSubmitted = false) => {
+    if (!timing) return null
+
+    const elapsed = (Date.now() - phaseStartRef.current) / 1000
+    const answering = phaseRef.current === 'answering'
+    return {
+      thinkingSeconds: Math.round(answering ? thinkingUsedRef.current : elapsed),
+      answerSeconds: answering ? Math.min(answerSeconds, Math.round(elapsed)) : 0,
+      limitSeconds: answerSeconds,
+      autoSubmitted
+    }
+  }, [timing, answerSeconds])
+
+  return {
+    phase,
+    remaining,
+    limit: phase === 'thinking' ? thinkingSeconds : answerSeconds,
+    timeUp: phase === 'answering' && remaining === 0,
+    startAnswering,
+    getTimeUsed,
+    stop
+  }
+}
+
+export default useQuestionTimer
@@ -0,0 +1,151 @@
+import { useEffect, useRef } from 'react'
+import { ActionTypes } from '../context/AppContext'
+import { createSession, updateSession, getSession } from '../api/sessions'
+import { createProgressSaver } from '../utils/progressSaver'
+
+const ACTIVE_SESSION_KEY = 'smartInterviewPrep.activeSessionId'
+
+export function getActiveSessionId() {
+  try {
+    return localStorage.getItem(ACTIVE_SESSION_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function setActiveSessionId(id) {
+  try {
+    localStorage.setItem(ACTIVE_SESSION_KEY, id)
+  } catch {
+    // Storage unavailable (private mode); the session just won't resume
+  }
+}
+
+export function clearActiveSessionId() {
+  try {
+    localStorage.removeItem(ACTIVE_SESSION_KEY)
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * The parts of a session that change during an interview
+ * @param {Object} session - Local interview session
+ * @returns {Object} Fields sent to the sessions API
+ */
+function getProgress(session) {
+  return {
+    // Follow-up questions are inserted as the interview goes
+    questions: session.questions,
+    answers: session.answers,
+    currentQuestionIndex: session.currentQuestionIndex,
+    analysis: session.analysis ?? null,
+    status: session.isActive === false ? 'completed' : 'in_progress'
+  }
+}
+
+/**
+ * The resume as stored with a session: contact details and the original
+ * text (when the server returns it) stay in the browser
+ * @param {Object|null} resumeData - Parsed resume data
+ * @returns {Object|null} Resume without personal information
+ */
+function getStoredResume(resumeData) {
+  if (!resumeData) return null
+  const { contact, raw, ...resume } = resumeData
+  return resume
+}
+
+/**
+ * Mirror the interview session to the backend and resume an unfinished
+ * one after a page reload. Persistence is best effort: failures are logged
+ * and the interview carries on in memory.
+ * @param {Object} state - App state
+ * @param {Function} dispatch - App reducer dispatch
+ */
+export function useSessionPersistence(state, dispatch) {
+  const { interviewSession, resumeData } = state
+  const creatingRef = useRef(false)
+  const lastSyncedRef = useRef(null)
+  // Updates are sent one at a time, the latest progress last
+  const saveProgressRef = useRef(null)
+  if (!saveProgressRef.current) {
+    saveProgressRef.current = createProgressSaver((sessionId, progress) =>
+      updateSession(sessionId, progress).then(() => {
+        if (progress.status === 'completed') {
+          clearActiveSessionId()
+        }
+      })
+    )
+  }
+
+  // Resume an unfinished session after a reload
+  useEffect(() => {
+    const id = getActiveSessionId()
+    if (!id) return
+
+    let cancelled = false
+    dispatch({ type: ActionTypes.SET_LOADING, payload: true })
+
+    getSession(id)
+      .then(session => {
+        if (cancelled) return
+
+        if (session.status === 'in_progress') {
+          lastSyncedRef.current = JSON.stringify(getProgress({ ...session, isActive: true }))
+          dispatch({ type: ActionTypes.RESTORE_SESSION, payload: session })
+        } else {
+          clearActiveSessionId()
+          dispatch({ type: ActionTypes.SET_LOADING, payload: false })
+        }
+      })
+      .catch(error => {
+        if (cancelled) return
+        console.warn('Could not resume session:', error.message)
+        dispatch({ type: ActionTypes.SET_LOADING, payload: false })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [dispatch])
+
+  // Save the session when it starts and whenever its progress changes
+  useEffect(() => {
+    if (!interviewSession) return
+
+    if (!interviewSession.sessionId) {
+      if (creatingRef.current) return
+      creatingRef.current = true
+
+      const localId = interviewSession.id
+      createSession({
+        role: interviewSession.role,
+        level: interviewSession.level,
+        mode: interviewSession.mode,
+        followUpDepth: interviewSession.followUpDepth,
+        timing: interviewSession.timing,
+        resume: getStoredResume(resumeData),
+        ...getProgress(interviewSession)
+      })
+        .then(session => {
+          setActiveSessionId(session.id)
+          lastSyncedRef.current = JSON.stringify(getProgress(interviewSession))
+          dispatch({ type: ActionTypes.SET_SESSION_ID, payload: { localId, sessionId: session.id } })
+        })
+        .catch(error => console.warn('Could not save session:', error.message))
+        .finally(() => {
+          creatingRef.current = false
+        })
+      return
+    }
+
+    const progress = getProgress(interviewSession)
+    const snapshot = JSON.stringify(progress)
+    if (snapshot === lastSyncedRef.current) return
+    lastSyncedRef.current = snapshot
+
+    saveProgressRef.current(interviewSession.sessionId, progress)
+  }, [interviewSession, resumeData, dispatch])
+}
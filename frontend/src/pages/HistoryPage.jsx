@@ -0,0 +1,283 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import {
+  Typography,
+  Paper,
+  Box,
+  Button,
+  Alert,
+  Chip,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  CircularProgress
+} from '@mui/material'
+import { ArrowBack, Repeat, TrendingUp, TrendingDown } from '@mui/icons-material'
+import { useApp } from '../context/AppContext'
+import { getSessionHistory } from '../api/sessions'
+import ScoreTrendChart from '../components/ScoreTrendChart'
+import { QUESTION_CATEGORIES, getQuestionTypeInfo } from '../utils/questionCategories'
+import { buildTrendSeries, describeTrend, formatSessionDate } from '../utils/history'
+import { getScoreColor } from '../utils/results'
+
+function StatCard({ label, value, caption }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h4" sx={{ fontWeight: 600 }}>
+        {value ?? '–'}
+      </Typography>
+      {caption && (
+        <Typography variant="caption" color="text.secondary">
+          {caption}
+        </Typography>
+      )}
+    </Paper>
+  )
+}
+
+/**
+ * Practice history across stored sessions: score trend, category averages
+ * and improvements that keep coming up
+ */
+function HistoryPage() {
+  const { state, setCurrentStep } = useApp()
+  const [filters, setFilters] = useState({ role: '', level: '' })
+  const [history, setHistory] = useState(null)
+  const [groups, setGroups] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    getSessionHistory({
+      ...(filters.role && { role: filters.role }),
+      ...(filters.level && { level: filters.level })
+    })
+      .then(data => {
+        if (cancelled) return
+        setHistory(data)
+        // Filter options come from the unfiltered report
+        if (!filters.role && !filters.level) {
+          setGroups(data.groups)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [filters])
+
+  const roles = useMemo(() => [...new Set(groups.map(group => group.role))], [groups])
+  const levels = useMemo(() => [...new Set(groups.map(group => group.level))], [groups])
+  const sessions = history?.sessions || []
+  const series = useMemo(() => buildTrendSeries(sessions, QUESTION_CATEGORIES), [sessions])
+  const trend = history?.trend
+
+  const handleBack = () => {
+    setCurrentStep(state.resumeData ? 'questions' : 'upload')
+  }
+
+  return (
+    <Box>
+      <Paper elevation={2} sx={{ p: { xs: 2, sm: 3 }, mb: 3 }}>
+        <Box sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: { xs: 'flex-start', sm: 'center' },
+          flexDirection: { xs: 'column', sm: 'row' },
+          gap: 2
+        }}>
+          <Box>
+            <Typography variant="h4" gutterBottom>
+              Practice History
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Track your scores across completed mock interviews.
+            </Typography>
+          </Box>
+          <Button startIcon={<ArrowBack />} onClick={handleBack}>
+            Back
+          </Button>
+        </Box>
+
+        <Grid container spacing={2} sx={{ mt: 1 }}>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Role</InputLabel>
+              <Select
+                value={filters.role}
+                label="Role"
+                onChange={(e) => setFilters(prev => ({ ...prev, role: e.target.value }))}
+              >
+                <MenuItem value="">All roles</MenuItem>
+                {roles.map(role => (
+                  <MenuItem key={role} value={role}>{role}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Level</InputLabel>
+              <Select
+                value={filters.level}
+                label="Level"
+                onChange={(e) => setFilters(prev => ({ ...prev, level: e.target.value }))}
+              >
+                <MenuItem value="">All levels</MenuItem>
+                {levels.map(level => (
+                  <MenuItem key={level} value={level}>{level}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && !history && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {history && history.sessionCount === 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          No completed interviews yet{filters.role || filters.level ? ' for these filters' : ''}.
+          Finish a mock interview to start tracking your progress.
+        </Alert>
+      )}
+
+      {history && history.sessionCount > 0 && (
+        <>
+          {/* Summary */}
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={6} md={3}>
+              <StatCard label="Sessions" value={history.sessionCount} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <StatCard label="Latest score" value={trend?.latest} caption={describeTrend(trend)} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <StatCard label="Best score" value={trend?.best} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <StatCard label="Average score" value={trend?.average} />
+            </Grid>
+          </Grid>
+
+          {/* Trend chart */}
+          <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              {trend && trend.change < 0 ? <TrendingDown color="error" /> : <TrendingUp color="success" />}
+              <Typography variant="h5">
+                Score Trend
+              </Typography>
+            </Box>
+            <ScoreTrendChart
+              series={series}
+              sessionCount={sessions.length}
+              labels={sessions.map(session => formatSessionDate(session.completedAt))}
+            />
+
+            {Object.keys(history.categoryAverages).length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                {Object.entries(history.categoryAverages).map(([category, average]) => (
+                  <Chip
+                    key={category}
+                    label={`${getQuestionTypeInfo(category).label}: ${average}/10 avg`}
+                    color={getScoreColor(average)}
+                    variant="outlined"
+                    size="small"
+                  />
+                ))}
+              </Box>
+            )}
+          </Paper>
+
+          {/* Recurring improvements */}
+          <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h5" gutterBottom>
+              Recurring Improvements
+            </Typography>
+            {history.recurringImprovements.length > 0 ? (
+              <List dense>
+                {history.recurringImprovements.map(item => (
+                  <ListItem key={item.text} sx={{ px: 0 }}>
+                    <ListItemIcon sx={{ minWidth: 36 }}>
+                      <Repeat color="warning" />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={item.text}
+                      secondary={`Suggested in ${item.count} sessions, last on ${formatSessionDate(item.lastSeen)}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+                No improvement has come up in more than one session.
+              </Typography>
+            )}
+          </Paper>
+
+          {/* Past sessions */}
+          <Paper elevation={2} sx={{ p: 3 }}>
+            <Typography variant="h5" gutterBottom>
+              Past Sessions
+            </Typography>
+            <List>
+              {[...sessions].reverse().map(session => (
+                <ListItem
+                  key={session.id}
+                  divider
+                  sx={{ px: 0, gap: 1, flexWrap: 'wrap' }}
+                  secondaryAction={
+                    typeof session.overallScore === 'number' && (
+                      <Chip
+                        label={`${session.overallScore}/100`}
+                        color={getScoreColor(session.overallScore, 100)}
+                        sx={{ fontWeight: 600 }}
+                      />
+                    )
+                  }
+                >
+                  <ListItemText
+                    primary={`${session.role} · ${session.level}`}
+                    secondary={`${formatSessionDate(session.completedAt)} · ${session.questionCount} questions${
+                      session.mode ? ` · ${session.mode}` : ''
+                    }`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        </>
+      )}
+    </Box>
+  )
+}
+
+export default HistoryPage
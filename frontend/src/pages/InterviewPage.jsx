@@ -27,27 +27,93 @@ import {
 } from '@mui/icons-material'
 import { useApp } from '../context/AppContext'
 import speechService from '../services/speechService'
-import { analyzeAnswers } from '../api/questions'
+import audioStore from '../services/audioStore'
+import { useAnswerAnalysis } from '../hooks/useAnswerAnalysis'
 import { useMobile, useMobileUI } from '../hooks/useMobile'
 import TextOnlyInterview from '../components/TextOnlyInterview'
+import { getQuestionTypeInfo } from '../utils/questionCategories'
+import { useFollowUps } from '../hooks/useFollowUps'
+import { analyzeDelivery } from '../utils/speechAnalytics'
+import { useQuestionTimer } from '../hooks/useQuestionTimer'
+import InterviewClock from '../components/InterviewClock'
+import { buildTimings, getInterviewBudget } from '../utils/timedMode'
+import { firstUnansweredIndex } from '../utils/sessionAnswers'
+
+// Dictation keeps going through pauses, so cap runaway recordings instead
+const MAX_DICTATION_MS = 5 * 60 * 1000
 
 function InterviewPage() {
-  const { state, addAnswer, completeInterview, setError, setLoading } = useApp()
+  const { state, addAnswer, insertFollowUps, completeInterview, setError, setLoading } = useApp()
   const { interviewSession } = state
   const { isMobile, getResponsiveSpacing } = useMobile()
   const { getMobileStyles } = useMobileUI()
+  const { getFollowUps, generatingFollowUp } = useFollowUps()
+  const { analyze } = useAnswerAnalysis()
   
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0)
+  // A resumed session continues at the first unanswered question
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(() =>
+    Math.min(
+      firstUnansweredIndex(interviewSession?.questions, interviewSession?.answers),
+      Math.max(0, (interviewSession?.questions.length || 1) - 1)
+    )
+  )
   const [isPlaying, setIsPlaying] = useState(false)
   const [isRecording, setIsRecording] = useState(false)
   const [currentAnswer, setCurrentAnswer] = useState('')
+  // Words still being recognized, shown after the final text while dictating
+  const [interimText, setInterimText] = useState('')
   const [recordingTime, setRecordingTime] = useState(0)
   const [speechSupport, setSpeechSupport] = useState(null)
   const [showManualInput, setShowManualInput] = useState(false)
   const [manualAnswer, setManualAnswer] = useState('')
+  // Delivery metrics of the current spoken answer; typed answers have none
+  const [delivery, setDelivery] = useState(null)
   
   const recordingTimerRef = useRef(null)
   const recognitionTimeoutRef = useRef(null)
+  // Audio recorder running alongside dictation, and the recording of the
+  // current answer once it stops (a Promise<Blob>)
+  const audioRecorderRef = useRef(null)
+  const pendingAudioRef = useRef(null)
+  // Set when the answer time runs out mid-recording: the answer is submitted
+  // once dictation has delivered the transcript
+  const autoSubmitRef = useRef(false)
+  const [autoSubmitPending, setAutoSubmitPending] = useState(false)
+  // Whether the current question is past its thinking time, for callbacks
+  // scheduled from earlier renders
+  const answeringRef = useRef(false)
+  // Set once the last answer is submitted, while it is analyzed
+  const completingRef = useRef(false)
+
+  // TextOnlyInterview runs its own timer
+  const timing = interviewSession?.mode === 'text-only' ? null : interviewSession?.timing || null
+  const timer = useQuestionTimer(
+    timing,
+    `${interviewSession?.id}-${interviewSession?.questions[currentQuestionIndex]?.id}`,
+    {
+      onAnswerStart: () => {
+        if (!isPlaying && !isRecording) handleStartRecording()
+      },
+      onTimeUp: () => {
+        // An answer already being saved is not submitted twice
+        if (generatingFollowUp || completingRef.current) return
+        if (isRecording) {
+          autoSubmitRef.current = true
+          handleStopRecording()
+        } else {
+          setAutoSubmitPending(true)
+        }
+      }
+    }
+  )
+  answeringRef.current = timer.phase === 'answering'
+
+  useEffect(() => {
+    if (autoSubmitPending) {
+      setAutoSubmitPending(false)
+      handleSaveAnswer({ autoSubmitted: true })
+    }
+  })
 
   useEffect(() => {
     // Check speech support on component mount
@@ -63,6 +129,11 @@ function InterviewPage() {
     checkSupport()
   }, [setError])
 
+  // Release the microphone if the page is left mid-answer
+  useEffect(() => () => {
+    audioRecorderRef.current?.stop().catch(() => {})
+  }, [])
+
   useEffect(() => {
     // Auto-start first question
     if (interviewSession && currentQuestionIndex === 0) {
@@ -90,10 +161,13 @@ function InterviewPage() {
         volume: 1
       })
       
-      // Auto-start recording after question is spoken
-      setTimeout(() => {
-        handleStartRecording()
-      }, 500)
+      // Auto-start recording after question is spoken; in a timed interview
+      // only once the thinking time is over
+      if (!timing || answeringRef.current) {
+        setTimeout(() => {
+          handleStartRecording()
+        }, 500)
+      }
       
     } catch (error) {
       console.error('Speech error:', error)
@@ -131,8 +205,19 @@ function InterviewPage() {
       return
     }
 
+    // Audio is best effort; the transcript is the answer
+    pendingAudioRef.current = null
+    if (speechSupport.mediaRecorder) {
+      try {
+        audioRecorderRef.current = await speechService.recordAudio(MAX_DICTATION_MS)
+      } catch (error) {
+        console.warn('Could not record answer audio:', error.message)
+      }
+    }
+
     setIsRecording(true)
     setCurrentAnswer('')
+    setDelivery(null)
     setRecordingTime(0)
     
     // Start recording timer
@@ -140,21 +225,23 @@ function InterviewPage() {
       setRecordingTime(prev => prev + 1)
     }, 1000)
 
-    // Set timeout for recording (30 seconds max)
     recognitionTimeoutRef.current = setTimeout(() => {
       handleStopRecording()
-    }, 30000)
+    }, MAX_DICTATION_MS)
 
     try {
-      const transcript = await speechService.startRecognition({
-        continuous: true,
-        interimResults: true,
+      const transcript = await speechService.startDictation({
         onProgress: (result) => {
-          setCurrentAnswer(result.final + (result.interim ? ` ${result.interim}` : ''))
+          setCurrentAnswer(result.final)
+          setInterimText(result.interim)
         }
       })
       
       setCurrentAnswer(transcript)
+      setDelivery(analyzeDelivery({
+        transcript,
+        timing: speechService.getLastRecognitionTiming()
+      }))
       
     } catch (error) {
       console.error('Recognition error:', error)
@@ -162,12 +249,24 @@ function InterviewPage() {
       setShowManualInput(true)
     } finally {
       setIsRecording(false)
+      setInterimText('')
+      if (audioRecorderRef.current) {
+        pendingAudioRef.current = audioRecorderRef.current.stop().catch(error => {
+          console.warn('Answer audio recording failed:', error.message)
+          return null
+        })
+        audioRecorderRef.current = null
+      }
       if (recordingTimerRef.current) {
         clearInterval(recordingTimerRef.current)
       }
       if (recognitionTimeoutRef.current) {
         clearTimeout(recognitionTimeoutRef.current)
       }
+      if (autoSubmitRef.current) {
+        autoSubmitRef.current = false
+        setAutoSubmitPending(true)
+      }
     }
   }
 
@@ -183,28 +282,75 @@ function InterviewPage() {
     }
   }
 
-  const handleSaveAnswer = () => {
-    const answerText = currentAnswer.trim()
-    if (!answerText) {
+  /**
+   * Keep the recording of the current answer in IndexedDB
+   * @param {string} questionId - Answered question
+   * @returns {Promise<string|null>} Audio key, or null without a recording
+   */
+  const storeAnswerAudio = async (questionId) => {
+    const pendingAudio = pendingAudioRef.current
+    pendingAudioRef.current = null
+    if (!pendingAudio) {
+      return null
+    }
+
+    try {
+      const blob = await pendingAudio
+      if (!blob || blob.size === 0) {
+        return null
+      }
+      return await audioStore.saveRecording({
+        sessionKey: interviewSession.id,
+        questionId,
+        blob,
+        durationSeconds: recordingTime
+      })
+    } catch (error) {
+      console.warn('Could not save answer audio:', error.message)
+      return null
+    }
+  }
+
+  // In a timed interview an answer cut off by the time limit may be empty;
+  // text still in the manual input dialog is submitted with it
+  const handleSaveAnswer = async ({ autoSubmitted = false } = {}) => {
+    const answerText = currentAnswer.trim() || (autoSubmitted && showManualInput ? manualAnswer.trim() : '')
+    if (!answerText && !autoSubmitted) {
       setError('Please provide an answer before continuing')
       return
     }
+    if (autoSubmitted) {
+      setShowManualInput(false)
+      setManualAnswer('')
+    }
 
+    const timeUsed = timer.getTimeUsed(autoSubmitted)
+    const audioKey = await storeAnswerAudio(currentQuestion.id)
     const answer = {
       questionId: currentQuestion.id,
       transcription: answerText,
       timestamp: new Date(),
-      recordingTime: recordingTime
+      recordingTime: recordingTime,
+      ...(delivery && { delivery }),
+      ...(audioKey && { audioKey }),
+      ...(timeUsed && { timeUsed })
     }
 
+    // A follow-up goes right after this question
+    const followUps = answerText ? await getFollowUps(currentQuestionIndex, answerText) : []
+    
     addAnswer(answer)
+    if (followUps.length > 0) {
+      insertFollowUps(currentQuestionIndex, followUps)
+    }
     
     // Move to next question or complete interview
-    if (isLastQuestion) {
-      handleCompleteInterview()
+    if (isLastQuestion && followUps.length === 0) {
+      handleCompleteInterview(answer)
     } else {
       setCurrentQuestionIndex(prev => prev + 1)
       setCurrentAnswer('')
+      setDelivery(null)
       setRecordingTime(0)
       
       // Auto-play next question after a short delay
@@ -221,22 +367,41 @@ function InterviewPage() {
     }
 
     setCurrentAnswer(manualAnswer)
+    setDelivery(null)
+    pendingAudioRef.current = null
     setShowManualInput(false)
     setManualAnswer('')
   }
 
-  const handleCompleteInterview = async () => {
+  const handleCompleteInterview = async (finalAnswer) => {
+    // The page stays mounted during the analysis; its time must not run out and resubmit
+    completingRef.current = true
+    timer.stop()
     setLoading(true)
     
     try {
+      // The session in state does not include the answer dispatched just before this call
+      const answersById = {}
+      ;[...interviewSession.answers, finalAnswer].forEach(a => {
+        answersById[a.questionId] = a.transcription
+      })
       const questions = interviewSession.questions.map(q => q.text)
-      const answers = interviewSession.answers.map(a => a.transcription)
+      const answers = interviewSession.questions.map(q => answersById[q.id] || '')
       
-      const analysis = await analyzeAnswers({
+      const analysis = await analyze({
         questions,
         answers,
         role: interviewSession.role,
-        level: interviewSession.level
+        level: interviewSession.level,
+        questionTypes: interviewSession.questions.map(q => q.type),
+        ...(timing && {
+          timings: buildTimings(interviewSession.questions, [...interviewSession.answers, finalAnswer])
+        }),
+        // Skills and projects are all the rubrics use from the resume
+        resumeSummary: state.resumeData && {
+          skills: state.resumeData.skills,
+          projects: state.resumeData.projects
+        }
       })
       
       completeInterview(analysis)
@@ -265,13 +430,26 @@ function InterviewPage() {
     )
   }
 
+  const resumeNotice = interviewSession.resumed && (
+    <Alert severity="info" sx={{ mb: 2 }}>
+      Resumed your unfinished {interviewSession.role} interview
+      ({interviewSession.answers.length} of {interviewSession.questions.length} answered).
+    </Alert>
+  )
+
   // Render text-only mode if specified
   if (interviewSession.mode === 'text-only') {
-    return <TextOnlyInterview />
+    return (
+      <>
+        {resumeNotice}
+        <TextOnlyInterview />
+      </>
+    )
   }
 
   return (
     <Box>
+      {resumeNotice}
       {/* Progress Header */}
       <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
@@ -300,17 +478,29 @@ function InterviewPage() {
         </Box>
       </Paper>
 
+      {/* Timed Interview Clock */}
+      {timing && (
+        <InterviewClock
+          timer={timer}
+          startTime={interviewSession.startTime}
+          budgetSeconds={getInterviewBudget(timing, interviewSession.questions.length)}
+        />
+      )}
+
       {/* Current Question */}
       <Card elevation={2} sx={{ mb: 3 }}>
         <CardContent>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
-            <Chip 
-              label={currentQuestion?.type === 'intro' ? 'Introduction' : 
-                    currentQuestion?.type === 'role' ? 'Technical' : 'Behavioral'}
-              color={currentQuestion?.type === 'intro' ? 'info' : 
-                    currentQuestion?.type === 'role' ? 'primary' : 'secondary'}
-              size="small"
-            />
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Chip 
+                label={getQuestionTypeInfo(currentQuestion?.type).label}
+                color={getQuestionTypeInfo(currentQuestion?.type).color}
+                size="small"
+              />
+              {currentQuestion?.followUpOf && (
+                <Chip label="Follow-up" size="small" variant="outlined" />
+              )}
+            </Box>
             
             <Box>
               {speechSupport?.synthesis && (
@@ -339,7 +529,7 @@ function InterviewPage() {
           
           {isPlaying && (
             <Alert severity="info" sx={{ mb: 2 }}>
-              🔊 Speaking question... Recording will start automatically when finished.
+              🔊 Speaking question... Recording will start automatically {timing && timer.phase === 'thinking' ? 'after your thinking time' : 'when finished'}.
             </Alert>
           )}
         </CardContent>
@@ -370,7 +560,7 @@ function InterviewPage() {
                   variant={isRecording ? "contained" : "outlined"}
                   color={isRecording ? "error" : "primary"}
                   startIcon={isRecording ? <MicOff /> : <Mic />}
-                  onClick={isRecording ? handleStopRecording : handleStartRecording}
+                  onClick={isRecording ? handleStopRecording : timer.phase === 'thinking' ? timer.startAnswering : handleStartRecording}
                   disabled={isPlaying}
                   size={isMobile ? "large" : "medium"}
                   sx={{ 
@@ -419,8 +609,8 @@ function InterviewPage() {
             </Button>
           </Box>
           
-          {/* Answer Display */}
-          {currentAnswer && (
+          {/* Live transcript while dictating */}
+          {isRecording && (currentAnswer || interimText) && (
             <Box sx={{ 
               p: 2, 
               bgcolor: 'background.paper', 
@@ -431,9 +621,33 @@ function InterviewPage() {
             }}>
               <Typography variant="body1">
                 {currentAnswer}
+                {interimText && (
+                  <Typography component="span" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+                    {currentAnswer ? ' ' : ''}{interimText}
+                  </Typography>
+                )}
               </Typography>
             </Box>
           )}
+
+          {/* Transcript, editable before saving (stays open if cleared while editing) */}
+          {!isRecording && (currentAnswer || delivery) && (
+            <TextField
+              multiline
+              minRows={3}
+              fullWidth
+              value={currentAnswer}
+              onChange={(e) => setCurrentAnswer(e.target.value)}
+              helperText="Fix any misheard words before continuing"
+              sx={{ 
+                mb: 2,
+                '& .MuiInputBase-root': {
+                  fontSize: isMobile ? '16px' : '14px', // Prevent zoom on iOS
+                  lineHeight: 1.5
+                }
+              }}
+            />
+          )}
           
           {/* Action Buttons */}
           <Box sx={{ 
@@ -444,8 +658,8 @@ function InterviewPage() {
           }}>
             <Button
               variant="contained"
-              onClick={handleSaveAnswer}
-              disabled={!currentAnswer.trim() || isRecording || isPlaying}
+              onClick={() => handleSaveAnswer()}
+              disabled={!currentAnswer.trim() || isRecording || isPlaying || generatingFollowUp || autoSubmitPending}
               startIcon={isLastQuestion ? <Stop /> : <SkipNext />}
               size={isMobile ? "large" : "medium"}
               sx={{ 
@@ -455,7 +669,9 @@ function InterviewPage() {
                 width: { xs: '100%', sm: 'auto' }
               }}
             >
-              {isLastQuestion ? 
+              {generatingFollowUp ?
+                'Preparing follow-up...' :
+                isLastQuestion ? 
                 (isMobile ? 'Finish' : 'Complete Interview') : 
                 (isMobile ? 'Next' : 'Next Question')
               }
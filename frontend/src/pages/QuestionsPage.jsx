@@ -11,14 +11,27 @@ import {
   Chip,
   Grid,
   Alert,
+  TextField,
+  LinearProgress,
 } from "@mui/material";
-import { PlayArrow, Refresh, TextFields, Upload } from "@mui/icons-material";
+import { Edit, PlayArrow, Refresh, TextFields, Upload } from "@mui/icons-material";
 import { useApp } from "../context/AppContext";
-import { generateQuestions } from "../api/questions";
+import { streamQuestions } from "../api/questions";
 import QuestionCard from "../components/QuestionCard";
 import QuestionActions from "../components/QuestionActions";
 import ModeSelector from "../components/ModeSelector";
+import JobDescriptionPanel from "../components/JobDescriptionPanel";
 import { useMobile } from "../hooks/useMobile";
+import {
+  QUESTION_CATEGORIES,
+  DEFAULT_COMPOSITION,
+  MAX_PER_CATEGORY,
+  MAX_TOTAL,
+  buildSessionQuestions,
+  getCompositionTotal,
+} from "../utils/questionCategories";
+import { FOLLOW_UP_DEPTH_OPTIONS } from "../utils/followUps";
+import { groupSkills, describeEntry, describeLanguage } from "../utils/resumeReview";
 
 const jobRoles = [
   "Frontend Developer",
@@ -39,20 +52,50 @@ const experienceLevels = [
   { value: "experienced", label: "Experienced (5+ years)" },
 ];
 
+// Skill chips shown per category before the rest are summed up as "+N more"
+const MAX_SKILLS_PER_GROUP = 8;
+
+/**
+ * Suggest an experience level from the years computed from work history
+ * @param {number|null|undefined} years - Total years of experience
+ * @returns {string} Level value, or "" when unknown
+ */
+function getSuggestedLevel(years) {
+  if (typeof years !== "number") return "";
+  if (years < 2) return "fresher";
+  if (years < 5) return "intermediate";
+  return "experienced";
+}
+
 function QuestionsPage() {
   const {
     state,
-    setLoading,
     setError,
     setQuestions,
     startInterview,
-    resetToUpload,
+    setCurrentStep,
+    resetApp,
   } = useApp();
-  const { resumeData, questions } = state;
+  const { resumeData, questions, interviewSession, jobMatch } = state;
 
-  const [selectedRole, setSelectedRole] = useState("");
-  const [selectedLevel, setSelectedLevel] = useState("");
+  const suggestedLevel = getSuggestedLevel(resumeData?.experienceYears);
+
+  // Keep the previous selection when returning from the results page
+  const [selectedRole, setSelectedRole] = useState(interviewSession?.role || "");
+  const [selectedLevel, setSelectedLevel] = useState(
+    interviewSession?.level || suggestedLevel
+  );
+  const [composition, setComposition] = useState(
+    questions?.composition || DEFAULT_COMPOSITION
+  );
+  const [followUpDepth, setFollowUpDepth] = useState(
+    interviewSession?.followUpDepth || 0
+  );
+  // Timed interview settings, null for an untimed interview
+  const [timing, setTiming] = useState(interviewSession?.timing || null);
   const [generatingQuestions, setGeneratingQuestions] = useState(false);
+  // Questions received so far while generation streams: { categories, completed, total }
+  const [streamed, setStreamed] = useState(null);
   const [showModeSelector, setShowModeSelector] = useState(false);
   const [practicedQuestions, setPracticedQuestions] = useState([]);
   const [speechSupport] = useState({
@@ -61,21 +104,64 @@ function QuestionsPage() {
       "webkitSpeechRecognition" in window || "SpeechRecognition" in window,
   });
 
+  const compositionTotal = getCompositionTotal(composition);
+  const compositionValid = compositionTotal > 0 && compositionTotal <= MAX_TOTAL;
+  const sessionQuestions = buildSessionQuestions(questions);
+  const streamedQuestions = streamed
+    ? buildSessionQuestions({ categories: streamed.categories })
+    : [];
+
+  const handleCompositionChange = (category, value) => {
+    const count = Math.max(
+      0,
+      Math.min(MAX_PER_CATEGORY, parseInt(value, 10) || 0)
+    );
+    setComposition((prev) => ({ ...prev, [category]: count }));
+  };
+
   const handleGenerateQuestions = async () => {
     if (!selectedRole || !selectedLevel) {
       setError("Please select both role and experience level");
       return;
     }
 
+    if (!compositionValid) {
+      setError(`Choose between 1 and ${MAX_TOTAL} questions`);
+      return;
+    }
+
+    // Questions are shown as they stream in, so no blocking overlay here
     setGeneratingQuestions(true);
-    setLoading(true);
+    setStreamed({ categories: {}, completed: 0, total: compositionTotal });
 
     try {
-      const questionsData = await generateQuestions({
-        role: selectedRole,
-        level: selectedLevel,
-        resumeSummary: resumeData,
-      });
+      const questionsData = await streamQuestions(
+        {
+          role: selectedRole,
+          level: selectedLevel,
+          resumeSummary: resumeData,
+          composition,
+          ...(jobMatch && { skillGaps: jobMatch.missing }),
+        },
+        {
+          onQuestion: ({ category, index, text }) =>
+            setStreamed((prev) => {
+              const texts = [...(prev.categories[category] || [])];
+              texts[index] = text;
+              return {
+                ...prev,
+                categories: { ...prev.categories, [category]: texts },
+              };
+            }),
+          // Default questions replace whatever streamed before a failure
+          onProgress: ({ stage, completed, total }) =>
+            setStreamed((prev) => ({
+              categories: stage === "fallback" ? {} : prev.categories,
+              completed,
+              total,
+            })),
+        }
+      );
 
       setQuestions(questionsData);
       setPracticedQuestions([]); // Reset practiced questions
@@ -83,7 +169,7 @@ function QuestionsPage() {
       setError(error.message || "Failed to generate questions");
     } finally {
       setGeneratingQuestions(false);
-      setLoading(false);
+      setStreamed(null);
     }
   };
 
@@ -95,32 +181,20 @@ function QuestionsPage() {
 
   const handleModeSelect = (mode) => {
     setShowModeSelector(false);
-    handleStartInterview(mode);
+    // ModeSelector identifies the text mode as "text"
+    handleStartInterview(mode === "text" ? "text-only" : mode);
   };
 
   const handleStartInterview = (mode = "interactive") => {
-    if (!questions) return;
-
-    const allQuestions = [
-      ...questions.roleQuestions.map((q, i) => ({
-        id: `role-${i}`,
-        type: "role",
-        text: q,
-        order: i,
-      })),
-      ...questions.openEnded.map((q, i) => ({
-        id: `open-${i}`,
-        type: "openEnded",
-        text: q,
-        order: i + questions.roleQuestions.length,
-      })),
-    ];
+    if (sessionQuestions.length === 0) return;
 
     startInterview({
-      questions: allQuestions,
+      questions: sessionQuestions,
       role: selectedRole,
       level: selectedLevel,
       mode: mode,
+      followUpDepth,
+      timing,
     });
   };
 
@@ -129,7 +203,7 @@ function QuestionsPage() {
   };
 
   const handleNewResume = () => {
-    resetToUpload();
+    resetApp();
   };
 
   if (!resumeData) {
@@ -142,6 +216,13 @@ function QuestionsPage() {
     );
   }
 
+  const achievementGroups = [
+    { label: "Certifications", entries: (resumeData.certifications || []).map(describeEntry) },
+    { label: "Awards", entries: (resumeData.awards || []).map(describeEntry) },
+    { label: "Publications", entries: (resumeData.publications || []).map(describeEntry) },
+    { label: "Languages", entries: (resumeData.languages || []).map(describeLanguage) },
+  ].filter((group) => group.entries.length > 0);
+
   return (
     <Box>
       {/* Resume Summary */}
@@ -157,6 +238,13 @@ function QuestionsPage() {
           <Typography variant="h4" sx={{ fontWeight: 600, color: "#1976d2" }}>
             📄 Resume Analysis
           </Typography>
+          <Button
+            startIcon={<Edit />}
+            onClick={() => setCurrentStep("review")}
+            sx={{ ml: "auto" }}
+          >
+            Edit
+          </Button>
         </Box>
 
         <Grid container spacing={3}>
@@ -176,7 +264,7 @@ function QuestionsPage() {
                   variant="h6"
                   sx={{ fontWeight: 600, color: "#2e7d32" }}
                 >
-                  🛠️ Technical Skills
+                  🛠️ Skills
                 </Typography>
                 <Chip
                   label={resumeData.skills?.length || 0}
@@ -188,32 +276,43 @@ function QuestionsPage() {
 
               {resumeData.skills?.length > 0 ? (
                 <Box sx={{ mt: 2 }}>
-                  {resumeData.skills.slice(0, 12).map((skill, index) => (
-                    <Chip
-                      key={index}
-                      label={skill}
-                      size="small"
-                      sx={{
-                        mr: 0.5,
-                        mb: 0.5,
-                        backgroundColor: "#e8f5e8",
-                        color: "#2e7d32",
-                        fontWeight: 500,
-                        "&:hover": {
-                          backgroundColor: "#c8e6c9",
-                        },
-                      }}
-                    />
+                  {groupSkills(resumeData).map(({ category, skills }) => (
+                    <Box key={category} sx={{ mb: 1.5 }}>
+                      <Typography
+                        variant="caption"
+                        color="text.secondary"
+                        sx={{ display: "block", fontWeight: 600, mb: 0.5 }}
+                      >
+                        {category}
+                      </Typography>
+                      {skills.slice(0, MAX_SKILLS_PER_GROUP).map((skill) => (
+                        <Chip
+                          key={skill}
+                          label={skill}
+                          size="small"
+                          sx={{
+                            mr: 0.5,
+                            mb: 0.5,
+                            backgroundColor: "#e8f5e8",
+                            color: "#2e7d32",
+                            fontWeight: 500,
+                            "&:hover": {
+                              backgroundColor: "#c8e6c9",
+                            },
+                          }}
+                        />
+                      ))}
+                      {skills.length > MAX_SKILLS_PER_GROUP && (
+                        <Chip
+                          label={`+${skills.length - MAX_SKILLS_PER_GROUP} more`}
+                          size="small"
+                          variant="outlined"
+                          color="success"
+                          sx={{ fontWeight: 500, mb: 0.5 }}
+                        />
+                      )}
+                    </Box>
                   ))}
-                  {resumeData.skills.length > 12 && (
-                    <Chip
-                      label={`+${resumeData.skills.length - 12} more`}
-                      size="small"
-                      variant="outlined"
-                      color="success"
-                      sx={{ fontWeight: 500 }}
-                    />
-                  )}
                 </Box>
               ) : (
                 <Typography
@@ -256,6 +355,40 @@ function QuestionsPage() {
                 >
                   {resumeData.experience || "Experience level not detected"}
                 </Typography>
+
+                {resumeData.workHistory?.length > 0 && (
+                  <Box sx={{ mt: 1 }}>
+                    {resumeData.workHistory.slice(0, 3).map((role, index) => (
+                      <Box
+                        key={index}
+                        sx={{
+                          mb: 0.5,
+                          p: 1,
+                          backgroundColor: "#fff3e0",
+                          borderRadius: 1,
+                        }}
+                      >
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {[role.title, role.company].filter(Boolean).join(" · ")}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {[
+                            role.startDate &&
+                              `${role.startDate} – ${role.endDate}`,
+                            role.location,
+                          ]
+                            .filter(Boolean)
+                            .join(" | ")}
+                        </Typography>
+                      </Box>
+                    ))}
+                    {resumeData.workHistory.length > 3 && (
+                      <Typography variant="caption" color="text.secondary">
+                        +{resumeData.workHistory.length - 3} more roles
+                      </Typography>
+                    )}
+                  </Box>
+                )}
               </Box>
 
               {/* Education */}
@@ -435,9 +568,51 @@ function QuestionsPage() {
               )}
             </Box>
           </Grid>
+
+          {/* Certifications, languages, publications and awards */}
+          {achievementGroups.length > 0 && (
+            <Grid item xs={12}>
+              <Box
+                sx={{
+                  p: 3,
+                  borderRadius: 2,
+                  backgroundColor: "rgba(255, 255, 255, 0.9)",
+                  boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+                }}
+              >
+                <Typography
+                  variant="h6"
+                  sx={{ fontWeight: 600, color: "#ed6c02", mb: 2 }}
+                >
+                  🏅 Certifications & Achievements
+                </Typography>
+                {achievementGroups.map((group) => (
+                  <Box key={group.label} sx={{ mb: 1.5 }}>
+                    <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+                      {group.label}
+                    </Typography>
+                    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+                      {group.entries.map((entry, index) => (
+                        <Chip
+                          key={index}
+                          label={entry}
+                          size="small"
+                          variant="outlined"
+                          color="warning"
+                        />
+                      ))}
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+            </Grid>
+          )}
         </Grid>
       </Paper>
 
+      {/* Job Description Match */}
+      <JobDescriptionPanel />
+
       {/* Role and Level Selection */}
       <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
         <Typography variant="h5" gutterBottom>
@@ -475,14 +650,92 @@ function QuestionsPage() {
                 ))}
               </Select>
             </FormControl>
+            {suggestedLevel && (
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ display: "block", mt: 0.5 }}
+              >
+                Suggested from your resume (
+                {resumeData.experienceYears} years):{" "}
+                {
+                  experienceLevels.find(
+                    (level) => level.value === suggestedLevel
+                  ).label
+                }
+              </Typography>
+            )}
           </Grid>
         </Grid>
 
+        {/* Question Composition */}
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            Questions per category
+          </Typography>
+          <Grid container spacing={2}>
+            {QUESTION_CATEGORIES.map((category) => (
+              <Grid item xs={6} sm={4} md={2.4} key={category.key}>
+                <TextField
+                  type="number"
+                  label={category.label}
+                  value={composition[category.key] || 0}
+                  onChange={(e) =>
+                    handleCompositionChange(category.key, e.target.value)
+                  }
+                  inputProps={{ min: 0, max: MAX_PER_CATEGORY }}
+                  size="small"
+                  fullWidth
+                />
+              </Grid>
+            ))}
+          </Grid>
+          <Typography
+            variant="caption"
+            color={compositionValid ? "text.secondary" : "error"}
+            sx={{ display: "block", mt: 1 }}
+          >
+            {compositionTotal} question{compositionTotal === 1 ? "" : "s"}{" "}
+            (1-{MAX_TOTAL} total, up to {MAX_PER_CATEGORY} per category)
+          </Typography>
+        </Box>
+
+        {/* Adaptive Follow-ups */}
+        <Box sx={{ mt: 3 }}>
+          <FormControl sx={{ minWidth: 260 }} size="small">
+            <InputLabel>Follow-up questions</InputLabel>
+            <Select
+              value={followUpDepth}
+              label="Follow-up questions"
+              onChange={(e) => setFollowUpDepth(e.target.value)}
+            >
+              {FOLLOW_UP_DEPTH_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            sx={{ display: "block", mt: 0.5 }}
+          >
+            The interviewer digs deeper into your answers with probing
+            questions, added as you go.
+          </Typography>
+        </Box>
+
         <Box sx={{ mt: 3 }}>
           <Button
             variant="contained"
             onClick={handleGenerateQuestions}
-            disabled={!selectedRole || !selectedLevel || generatingQuestions}
+            disabled={
+              !selectedRole ||
+              !selectedLevel ||
+              !compositionValid ||
+              generatingQuestions
+            }
             startIcon={<Refresh />}
             size="large"
           >
@@ -499,6 +752,8 @@ function QuestionsPage() {
           <ModeSelector
             onModeSelect={handleModeSelect}
             speechSupport={speechSupport}
+            timing={timing}
+            onTimingChange={setTiming}
           />
           <Box sx={{ display: "flex", justifyContent: "center", mt: 2 }}>
             <Button
@@ -511,8 +766,35 @@ function QuestionsPage() {
         </Paper>
       )}
 
+      {/* Questions arriving while generation streams */}
+      {streamed && (
+        <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h5" gutterBottom>
+            Writing your questions...
+          </Typography>
+          <LinearProgress
+            variant={streamed.completed > 0 ? "determinate" : "indeterminate"}
+            value={
+              streamed.total ? (streamed.completed / streamed.total) * 100 : 0
+            }
+            sx={{ mb: 1 }}
+          />
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {streamed.completed} of {streamed.total} questions ready
+          </Typography>
+          {streamedQuestions.map((question, index) => (
+            <QuestionCard
+              key={question.id}
+              question={question}
+              index={index}
+              total={streamed.total}
+            />
+          ))}
+        </Paper>
+      )}
+
       {/* Generated Questions */}
-      {questions && !showModeSelector && (
+      {questions && !showModeSelector && !streamed && (
         <Paper elevation={2} sx={{ p: 3 }}>
           <Typography variant="h5" gutterBottom>
             Generated Questions
@@ -520,18 +802,7 @@ function QuestionsPage() {
 
           {/* Enhanced Question Actions */}
           <QuestionActions
-            questions={[
-              ...questions.roleQuestions.map((q, i) => ({
-                id: `role-${i}`,
-                type: "role",
-                text: q,
-              })),
-              ...questions.openEnded.map((q, i) => ({
-                id: `open-${i}`,
-                type: "openEnded",
-                text: q,
-              })),
-            ]}
+            questions={sessionQuestions}
             onRegenerate={handleGenerateQuestions}
             onMarkPracticed={handleMarkPracticed}
             practicedQuestions={practicedQuestions}
@@ -543,43 +814,15 @@ function QuestionsPage() {
           {/* Questions organized by type */}
           <Box sx={{ mb: 3, mt: 3 }}>
             <Typography variant="h6" gutterBottom sx={{ mb: 2 }}>
-              Interview Questions (
-              {(questions.roleQuestions?.length || 0) +
-                (questions.openEnded?.length || 0)}{" "}
-              total)
+              Interview Questions ({sessionQuestions.length} total)
             </Typography>
 
-            {/* Technical Questions */}
-            {questions.roleQuestions?.map((questionText, index) => (
+            {sessionQuestions.map((question, index) => (
               <QuestionCard
-                key={`role-${index}`}
-                question={{
-                  id: `role-${index}`,
-                  type: "role",
-                  text: questionText,
-                }}
+                key={question.id}
+                question={question}
                 index={index}
-                total={
-                  (questions.roleQuestions?.length || 0) +
-                  (questions.openEnded?.length || 0)
-                }
-              />
-            ))}
-
-            {/* Behavioral Questions */}
-            {questions.openEnded?.map((questionText, index) => (
-              <QuestionCard
-                key={`open-${index}`}
-                question={{
-                  id: `open-${index}`,
-                  type: "openEnded",
-                  text: questionText,
-                }}
-                index={index + (questions.roleQuestions?.length || 0)}
-                total={
-                  (questions.roleQuestions?.length || 0) +
-                  (questions.openEnded?.length || 0)
-                }
+                total={sessionQuestions.length}
               />
             ))}
           </Box>
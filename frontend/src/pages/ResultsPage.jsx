@@ -1,19 +1,303 @@
-import React from 'react'
-import { Typography, Paper, Box } from '@mui/material'
+import React, { useMemo, useState } from 'react'
+import {
+  Typography,
+  Paper,
+  Box,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material'
+import {
+  Replay,
+  RestartAlt,
+  Upload,
+  TrendingUp,
+  PlaylistPlay,
+  Timeline,
+  Download
+} from '@mui/icons-material'
+import { useApp } from '../context/AppContext'
+import FeedbackCard from '../components/FeedbackCard'
+import { buildResultItems, getWeakQuestions, getScoreColor } from '../utils/results'
+import { withoutFollowUps } from '../utils/followUps'
+import { buildArchiveFiles } from '../utils/sessionArchive'
+import { createZip } from '../utils/zip'
+import { formatClock } from '../utils/timedMode'
+import audioStore from '../services/audioStore'
 
 function ResultsPage() {
+  const { state, startInterview, setCurrentStep, resetApp, setError } = useApp()
+  const { interviewSession } = state
+  const [archiving, setArchiving] = useState(false)
+
+  const resultItems = useMemo(() => buildResultItems(interviewSession), [interviewSession])
+  const weakQuestions = useMemo(() => getWeakQuestions(resultItems), [resultItems])
+
+  if (!interviewSession) {
+    return (
+      <Paper elevation={3} sx={{ p: 4 }}>
+        <Alert severity="error">
+          No interview results found. Please complete an interview first.
+        </Alert>
+      </Paper>
+    )
+  }
+
+  const analysis = interviewSession.analysis
+  const hasFeedback = Array.isArray(analysis?.feedback) && analysis.feedback.length > 0
+  const overallScore = typeof analysis?.overallScore === 'number' ? Math.round(analysis.overallScore) : null
+  const improvements = analysis?.improvements || []
+  const isFallback = analysis?.metadata?.model === 'fallback'
+  const isOffline = analysis?.metadata?.provider === 'offline'
+
+  // Follow-ups are generated afresh from the new answers
+  const restartWith = (questions) => {
+    startInterview({
+      questions: withoutFollowUps(questions),
+      role: interviewSession.role,
+      level: interviewSession.level,
+      mode: interviewSession.mode,
+      followUpDepth: interviewSession.followUpDepth,
+      timing: interviewSession.timing
+    })
+  }
+
+  // Transcript, session data and recordings in one zip file
+  const handleDownloadArchive = async () => {
+    setArchiving(true)
+
+    try {
+      const recordings = {}
+      for (const { question, answer } of resultItems) {
+        const recording = answer?.audioKey && await audioStore.getRecording(answer.audioKey).catch(() => null)
+        if (recording) {
+          recordings[question.id] = {
+            data: new Uint8Array(await recording.blob.arrayBuffer()),
+            mimeType: recording.mimeType
+          }
+        }
+      }
+
+      const archive = createZip(buildArchiveFiles(interviewSession, resultItems, recordings))
+      const url = URL.createObjectURL(new Blob([archive], { type: 'application/zip' }))
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `interview-${interviewSession.role.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}.zip`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to create session archive:', error)
+      setError('Failed to create the session archive')
+    } finally {
+      setArchiving(false)
+    }
+  }
+
   return (
-    <Paper elevation={3} sx={{ p: 4 }}>
-      <Box textAlign="center">
-        <Typography variant="h4" gutterBottom>
-          Interview Results
-        </Typography>
-        <Typography variant="body1" color="text.secondary">
-          Results component will be implemented in subsequent tasks
+    <Box>
+      {/* Summary Header */}
+      <Paper elevation={2} sx={{ p: { xs: 2, sm: 4 }, mb: 3 }}>
+        <Box sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 3,
+          flexDirection: { xs: 'column', sm: 'row' },
+          textAlign: { xs: 'center', sm: 'left' }
+        }}>
+          {overallScore !== null && (
+            <Box sx={{ position: 'relative', display: 'inline-flex' }}>
+              <CircularProgress
+                variant="determinate"
+                value={overallScore}
+                size={110}
+                thickness={5}
+                color={getScoreColor(overallScore, 100)}
+              />
+              <Box sx={{
+                position: 'absolute',
+                inset: 0,
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}>
+                <Typography variant="h4" sx={{ fontWeight: 600 }}>
+                  {overallScore}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  / 100
+                </Typography>
+              </Box>
+            </Box>
+          )}
+
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="h4" gutterBottom>
+              Interview Results
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, mb: 1, flexWrap: 'wrap', justifyContent: { xs: 'center', sm: 'flex-start' } }}>
+              <Chip label={interviewSession.role} color="primary" size="small" />
+              <Chip label={interviewSession.level} size="small" variant="outlined" />
+              <Chip
+                label={`${resultItems.filter(item => item.answer?.transcription?.trim()).length}/${resultItems.length} answered`}
+                size="small"
+                variant="outlined"
+              />
+              {analysis?.timing && (
+                <Chip
+                  label={`${formatClock(analysis.timing.totalSeconds)} total, ${formatClock(analysis.timing.averageAnswerSeconds)} per answer`}
+                  size="small"
+                  variant="outlined"
+                />
+              )}
+            </Box>
+            {analysis?.summary && (
+              <Typography variant="body1" color="text.secondary">
+                {analysis.summary}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+
+        {!hasFeedback && (
+          <Alert severity="info" sx={{ mt: 3 }}>
+            Detailed feedback is not available for this session. Your answers are shown below.
+          </Alert>
+        )}
+        {hasFeedback && isFallback && (
+          <Alert severity="warning" sx={{ mt: 3 }}>
+            AI analysis was unavailable, so these scores are placeholders rather than a real assessment.
+          </Alert>
+        )}
+        {analysis?.timing?.advice && (
+          <Alert severity="warning" sx={{ mt: 3 }}>
+            {analysis.timing.advice}
+          </Alert>
+        )}
+        {hasFeedback && isOffline && (
+          <Alert severity="info" sx={{ mt: 3 }}>
+            Scored by the offline analyzer, which checks length, examples, numbers and relevance rather than content quality.
+          </Alert>
+        )}
+      </Paper>
+
+      {/* Improvement Plan */}
+      {improvements.length > 0 && (
+        <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h5" gutterBottom>
+            Improvement Plan
+          </Typography>
+          <List dense>
+            {improvements.map((improvement, index) => (
+              <ListItem key={index} sx={{ px: 0 }}>
+                <ListItemIcon sx={{ minWidth: 36 }}>
+                  <TrendingUp color="primary" />
+                </ListItemIcon>
+                <ListItemText primary={improvement} />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Per-question Feedback */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h5" gutterBottom>
+          Question Breakdown
         </Typography>
-      </Box>
-    </Paper>
+
+        {resultItems.map((item, index) => (
+          <FeedbackCard
+            key={item.question.id}
+            question={item.question}
+            answer={item.answer}
+            feedback={item.feedback}
+            index={index}
+            total={resultItems.length}
+          />
+        ))}
+      </Paper>
+
+      {/* Actions */}
+      <Paper elevation={2} sx={{ p: 3 }}>
+        <Box sx={{
+          display: 'flex',
+          gap: 2,
+          justifyContent: 'center',
+          flexDirection: { xs: 'column', sm: 'row' },
+          alignItems: 'center'
+        }}>
+          <Button
+            variant="contained"
+            size="large"
+            startIcon={<Replay />}
+            onClick={() => restartWith(weakQuestions)}
+            disabled={weakQuestions.length === 0}
+            sx={{ minWidth: { xs: '100%', sm: '220px' } }}
+          >
+            {weakQuestions.length > 0
+              ? `Retry Weak Questions (${weakQuestions.length})`
+              : 'No Weak Questions'}
+          </Button>
+
+          <Button
+            variant="outlined"
+            size="large"
+            startIcon={<PlaylistPlay />}
+            onClick={() => restartWith(interviewSession.questions)}
+            sx={{ minWidth: { xs: '100%', sm: '180px' } }}
+          >
+            Retake Interview
+          </Button>
+
+          <Button
+            variant="outlined"
+            size="large"
+            startIcon={<RestartAlt />}
+            onClick={() => setCurrentStep('questions')}
+            sx={{ minWidth: { xs: '100%', sm: '160px' } }}
+          >
+            New Session
+          </Button>
+        </Box>
+
+        <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mt: 2 }}>
+          <Button
+            variant="text"
+            startIcon={<Timeline />}
+            onClick={() => setCurrentStep('history')}
+            size="small"
+          >
+            View Progress
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<Download />}
+            onClick={handleDownloadArchive}
+            disabled={archiving}
+            size="small"
+          >
+            {archiving ? 'Preparing Archive...' : 'Download Archive'}
+          </Button>
+          <Button
+            variant="text"
+            startIcon={<Upload />}
+            onClick={resetApp}
+            size="small"
+          >
+            Upload New Resume
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
   )
 }
 
-export default ResultsPage
\ No newline at end of file
+export default ResultsPage
@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Grid,
+  IconButton,
+  MenuItem,
+  Menu,
+  Select,
+  FormControl,
+  InputLabel,
+  Tooltip,
+  LinearProgress
+} from '@mui/material'
+import { Add, Delete, CheckCircle } from '@mui/icons-material'
+import { useApp } from '../context/AppContext'
+import { reviewResume } from '../api/resume'
+import ResumeQualityReport from '../components/ResumeQualityReport'
+import {
+  SKILL_CATEGORIES,
+  MAX_EXPERIENCE_YEARS,
+  addSkills,
+  splitList,
+  createReviewDraft,
+  validateReviewDraft,
+  describeEntry,
+  describeLanguage,
+  applyReviewDraft
+} from '../utils/resumeReview'
+
+const EMPTY_ROLE = { title: '', company: '', location: '', startDate: '', endDate: '', isCurrent: false, bullets: [] }
+const EMPTY_PROJECT = { title: '', summary: '', technologies: [] }
+const EMPTY_CERTIFICATION = { name: '', issuer: '', date: '' }
+
+/**
+ * Review and correct the parsed resume before questions are generated
+ */
+function ResumeReviewPage() {
+  const { state, confirmResumeData, setCurrentStep } = useApp()
+  const { resumeData } = state
+  const [draft, setDraft] = useState(() => createReviewDraft(resumeData))
+  const [newSkill, setNewSkill] = useState('')
+  const [newSkillCategory, setNewSkillCategory] = useState('')
+  const [newTechnologies, setNewTechnologies] = useState({})
+  // Skill chip whose group menu is open: { anchor, name }
+  const [skillMenu, setSkillMenu] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [qualityReport, setQualityReport] = useState(null)
+  const [qualityError, setQualityError] = useState(null)
+
+  useEffect(() => {
+    if (!resumeData) return
+    let cancelled = false
+
+    reviewResume(resumeData)
+      .then(report => {
+        if (!cancelled) setQualityReport(report)
+      })
+      .catch(error => {
+        if (!cancelled) setQualityError(error.message)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [resumeData])
+
+  if (!resumeData) {
+    return (
+      <Paper elevation={3} sx={{ p: 4 }}>
+        <Alert severity="error">
+          No resume data found. Please upload a resume first.
+        </Alert>
+      </Paper>
+    )
+  }
+
+  const errors = submitted ? validateReviewDraft(draft) : {}
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }))
+
+  const updateEntry = (field, index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      [field]: prev[field].map((entry, i) => (
+        i === index ? (typeof entry === 'string' ? changes : { ...entry, ...changes }) : entry
+      ))
+    }))
+  }
+
+  const removeEntry = (field, index) => {
+    setDraft(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }))
+    if (field === 'projects') {
+      // Pending input is keyed by position, which just shifted
+      setNewTechnologies({})
+    }
+  }
+
+  const handleAddSkill = () => {
+    update('skills', addSkills(draft.skills, newSkill, newSkillCategory))
+    setNewSkill('')
+  }
+
+  const handleRecategorize = (category) => {
+    update('skills', draft.skills.map(skill => (
+      skill.name === skillMenu.name ? { ...skill, category } : skill
+    )))
+    setSkillMenu(null)
+  }
+
+  const handleAddTechnologies = (index) => {
+    const project = draft.projects[index]
+    const existing = project.technologies.map(tech => tech.toLowerCase())
+    const added = splitList(newTechnologies[index]).filter(tech => !existing.includes(tech.toLowerCase()))
+    updateEntry('projects', index, { technologies: [...project.technologies, ...added] })
+    setNewTechnologies(prev => ({ ...prev, [index]: '' }))
+  }
+
+  const handleConfirm = () => {
+    setSubmitted(true)
+    if (Object.keys(validateReviewDraft(draft)).length > 0) return
+    confirmResumeData(applyReviewDraft(resumeData, draft))
+  }
+
+  const addOnEnter = (handler) => (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault()
+      handler()
+    }
+  }
+
+  const groupedSkills = SKILL_CATEGORIES
+    .map(category => ({ category, skills: draft.skills.filter(skill => skill.category === category) }))
+    .filter(group => group.skills.length > 0)
+
+  return (
+    <Box>
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h4" gutterBottom color="primary">
+          Review Your Resume
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          This is what we read from your resume. Fix anything that is wrong or missing;
+          your interview questions are generated from this summary.
+        </Typography>
+      </Paper>
+
+      {/* Quality report */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Resume Quality
+        </Typography>
+        {qualityReport ? (
+          <ResumeQualityReport report={qualityReport} />
+        ) : qualityError ? (
+          <Alert severity="warning">
+            Could not check your resume: {qualityError}
+          </Alert>
+        ) : (
+          <LinearProgress />
+        )}
+      </Paper>
+
+      {/* Experience */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Experience
+        </Typography>
+        {resumeData.experience && !resumeData.reviewed && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Detected: {resumeData.experience}
+          </Typography>
+        )}
+        <TextField
+          label="Years of experience"
+          type="number"
+          value={draft.experienceYears}
+          onChange={(e) => update('experienceYears', e.target.value)}
+          inputProps={{ min: 0, max: MAX_EXPERIENCE_YEARS, step: 0.5 }}
+          error={!!errors.experienceYears}
+          helperText={errors.experienceYears || 'Leave empty if you would rather not say'}
+          sx={{ width: { xs: '100%', sm: 260 } }}
+        />
+      </Paper>
+
+      {/* Skills */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Skills
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Click a skill to move it to another group.
+        </Typography>
+
+        {groupedSkills.map(group => (
+          <Box key={group.category} sx={{ mb: 2 }}>
+            <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+              {group.category}
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {group.skills.map(skill => (
+                <Chip
+                  key={skill.name}
+                  label={skill.name}
+                  color="primary"
+                  variant="outlined"
+                  onClick={(e) => setSkillMenu({ anchor: e.currentTarget, name: skill.name })}
+                  onDelete={() => update('skills', draft.skills.filter(item => item.name !== skill.name))}
+                />
+              ))}
+            </Box>
+          </Box>
+        ))}
+
+        <Menu
+          anchorEl={skillMenu?.anchor}
+          open={!!skillMenu}
+          onClose={() => setSkillMenu(null)}
+        >
+          {SKILL_CATEGORIES.map(category => (
+            <MenuItem key={category} onClick={() => handleRecategorize(category)}>
+              {category}
+            </MenuItem>
+          ))}
+        </Menu>
+
+        {errors.skills && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {errors.skills}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <TextField
+            label="Add skills"
+            placeholder="e.g. GraphQL, Terraform"
+            size="small"
+            value={newSkill}
+            onChange={(e) => setNewSkill(e.target.value)}
+            onKeyDown={addOnEnter(handleAddSkill)}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Group</InputLabel>
+            <Select
+              value={newSkillCategory}
+              label="Group"
+              onChange={(e) => setNewSkillCategory(e.target.value)}
+            >
+              <MenuItem value="">Guess for me</MenuItem>
+              {SKILL_CATEGORIES.map(category => (
+                <MenuItem key={category} value={category}>{category}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button startIcon={<Add />} onClick={handleAddSkill} disabled={!newSkill.trim()}>
+            Add
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Work history */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Work History
+        </Typography>
+        {draft.workHistory.map((role, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'flex-start' }}>
+            <Grid container spacing={1}>
+              <Grid item xs={12} sm={6} md={3}>
+                <TextField fullWidth size="small" label="Title" value={role.title}
+                  onChange={(e) => updateEntry('workHistory', index, { title: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={6} md={3}>
+                <TextField fullWidth size="small" label="Company" value={role.company}
+                  onChange={(e) => updateEntry('workHistory', index, { company: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={4} md={2}>
+                <TextField fullWidth size="small" label="Location" value={role.location}
+                  onChange={(e) => updateEntry('workHistory', index, { location: e.target.value })} />
+              </Grid>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField fullWidth size="small" label="Start" placeholder="Jan 2020" value={role.startDate}
+                  onChange={(e) => updateEntry('workHistory', index, { startDate: e.target.value })} />
+              </Grid>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField fullWidth size="small" label="End" placeholder="Present" value={role.endDate}
+                  onChange={(e) => updateEntry('workHistory', index, { endDate: e.target.value })} />
+              </Grid>
+            </Grid>
+            <Tooltip title="Remove role">
+              <IconButton onClick={() => removeEntry('workHistory', index)}>
+                <Delete />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+        <Button startIcon={<Add />} onClick={() => update('workHistory', [...draft.workHistory, EMPTY_ROLE])}>
+          Add role
+        </Button>
+      </Paper>
+
+      {/* Education */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Education
+        </Typography>
+        {draft.education.map((entry, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <TextField fullWidth size="small" value={entry}
+              onChange={(e) => updateEntry('education', index, e.target.value)} />
+            <Tooltip title="Remove entry">
+              <IconButton onClick={() => removeEntry('education', index)}>
+                <Delete />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+        <Button startIcon={<Add />} onClick={() => update('education', [...draft.education, ''])}>
+          Add entry
+        </Button>
+      </Paper>
+
+      {/* Projects */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Projects
+        </Typography>
+        {draft.projects.map((project, index) => (
+          <Box key={index} sx={{ mb: 3, display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+            <Box sx={{ flex: 1 }}>
+              <TextField fullWidth size="small" label="Title" value={project.title}
+                onChange={(e) => updateEntry('projects', index, { title: e.target.value })} sx={{ mb: 1 }} />
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
+                {project.technologies.map(tech => (
+                  <Chip
+                    key={tech}
+                    label={tech}
+                    size="small"
+                    variant="outlined"
+                    onDelete={() => updateEntry('projects', index, {
+                      technologies: project.technologies.filter(item => item !== tech)
+                    })}
+                  />
+                ))}
+                <TextField
+                  size="small"
+                  placeholder="Add technologies"
+                  value={newTechnologies[index] || ''}
+                  onChange={(e) => setNewTechnologies(prev => ({ ...prev, [index]: e.target.value }))}
+                  onKeyDown={addOnEnter(() => handleAddTechnologies(index))}
+                  onBlur={() => handleAddTechnologies(index)}
+                  sx={{ minWidth: 180 }}
+                />
+              </Box>
+            </Box>
+            <Tooltip title="Remove project">
+              <IconButton onClick={() => removeEntry('projects', index)}>
+                <Delete />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+        <Button startIcon={<Add />} onClick={() => update('projects', [...draft.projects, EMPTY_PROJECT])}>
+          Add project
+        </Button>
+      </Paper>
+
+      {/* Certifications */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Certifications
+        </Typography>
+        {draft.certifications.map((entry, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'flex-start' }}>
+            <Grid container spacing={1}>
+              <Grid item xs={12} sm={6} md={5}>
+                <TextField fullWidth size="small" label="Certification" value={entry.name}
+                  onChange={(e) => updateEntry('certifications', index, { name: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} sm={6} md={4}>
+                <TextField fullWidth size="small" label="Issuer" value={entry.issuer}
+                  onChange={(e) => updateEntry('certifications', index, { issuer: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField fullWidth size="small" label="Date" placeholder="2022-05" value={entry.date}
+                  onChange={(e) => updateEntry('certifications', index, { date: e.target.value })} />
+              </Grid>
+            </Grid>
+            <Tooltip title="Remove certification">
+              <IconButton onClick={() => removeEntry('certifications', index)}>
+                <Delete />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+        <Button startIcon={<Add />} onClick={() => update('certifications', [...draft.certifications, EMPTY_CERTIFICATION])}>
+          Add certification
+        </Button>
+      </Paper>
+
+      {/* Languages, awards and publications: only removed here, not edited */}
+      {(draft.languages.length > 0 || draft.awards.length > 0 || draft.publications.length > 0) && (
+        <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Languages, Awards & Publications
+          </Typography>
+          {[
+            { field: 'languages', label: 'Spoken languages', describe: describeLanguage },
+            { field: 'awards', label: 'Awards', describe: describeEntry },
+            { field: 'publications', label: 'Publications', describe: describeEntry }
+          ].filter(({ field }) => draft[field].length > 0).map(({ field, label, describe }) => (
+            <Box key={field} sx={{ mb: 2 }}>
+              <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+                {label}
+              </Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {draft[field].map((entry, index) => (
+                  <Chip
+                    key={index}
+                    label={describe(entry)}
+                    variant="outlined"
+                    onDelete={() => removeEntry(field, index)}
+                  />
+                ))}
+              </Box>
+            </Box>
+          ))}
+        </Paper>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+        {/* A reviewed resume can be left as it was, keeping its generated questions */}
+        {resumeData.reviewed && (
+          <Button onClick={() => setCurrentStep('questions')}>
+            Cancel
+          </Button>
+        )}
+        <Button variant="contained" size="large" startIcon={<CheckCircle />} onClick={handleConfirm}>
+          Confirm and continue
+        </Button>
+      </Box>
+    </Box>
+  )
+}
+
+export default ResumeReviewPage
@@ -11,15 +11,18 @@ import {
   Card,
   CardContent
 } from '@mui/material'
-import { CloudUpload, Description, CheckCircle } from '@mui/icons-material'
+import { CloudUpload, Description, CheckCircle, WarningAmber } from '@mui/icons-material'
 import { useDropzone } from 'react-dropzone'
 import { useApp } from '../context/AppContext'
 import { uploadResume } from '../api/resume'
+import { lowConfidenceFields } from '../utils/resumeReview'
 
 function UploadPage() {
   const { setLoading, setError, setResumeData } = useApp()
   const [uploading, setUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState(0)
+  // A parsed resume the parser warned about, held back until the user has seen the warnings
+  const [flagged, setFlagged] = useState(null)
 
   const onDrop = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles[0]
@@ -28,6 +31,7 @@ function UploadPage() {
     setUploading(true)
     setLoading(true)
     setUploadProgress(0)
+    setFlagged(null)
 
     try {
       // Simulate upload progress
@@ -46,9 +50,13 @@ function UploadPage() {
       clearInterval(progressInterval)
       setUploadProgress(100)
       
-      setTimeout(() => {
-        setResumeData(resumeData)
-      }, 500)
+      if (resumeData.warnings?.length > 0) {
+        setFlagged(resumeData)
+      } else {
+        setTimeout(() => {
+          setResumeData(resumeData)
+        }, 500)
+      }
 
     } catch (error) {
       setError(error.message || 'Failed to upload resume')
@@ -70,7 +78,11 @@ function UploadPage() {
     onDrop,
     accept: {
       'application/pdf': ['.pdf'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'application/vnd.oasis.opendocument.text': ['.odt'],
+      'application/rtf': ['.rtf'],
+      'text/markdown': ['.md', '.markdown'],
+      'text/plain': ['.txt']
     },
     maxFiles: 1,
     maxSize: 10 * 1024 * 1024, // 10MB
@@ -143,7 +155,7 @@ function UploadPage() {
           </Typography>
           
           <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            Supported formats: PDF, DOCX (Max size: 10MB)
+            Supported formats: PDF, DOCX, ODT, RTF, Markdown, TXT (Max size: 10MB)
           </Typography>
           
           <Button
@@ -176,8 +188,49 @@ function UploadPage() {
           </Alert>
         )}
 
+        {/* Parse warnings */}
+        {flagged && (
+          <Alert severity="warning" icon={<WarningAmber />} sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Some of your resume may not have been read correctly
+            </Typography>
+            <Box component="ul" sx={{ pl: 2, my: 1 }}>
+              {flagged.warnings.map(warning => (
+                <li key={warning.code}>
+                  <Typography variant="body2">{warning.message}</Typography>
+                </li>
+              ))}
+            </Box>
+            {lowConfidenceFields(flagged).length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 1 }}>
+                <Typography variant="body2">Check these fields:</Typography>
+                {lowConfidenceFields(flagged).map(({ field, label, confidence }) => (
+                  <Chip
+                    key={field}
+                    label={confidence === 0 ? `${label}: not found` : `${label}: ${Math.round(confidence * 100)}% sure`}
+                    size="small"
+                    color="warning"
+                    variant="outlined"
+                  />
+                ))}
+              </Box>
+            )}
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Fix the results on the next step before generating questions, or upload a different file.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="contained" size="small" onClick={() => setResumeData(flagged)}>
+                Review and fix
+              </Button>
+              <Button size="small" onClick={() => setFlagged(null)}>
+                Upload a different file
+              </Button>
+            </Box>
+          </Alert>
+        )}
+
         {/* Accepted Files */}
-        {acceptedFiles.length > 0 && !uploading && (
+        {acceptedFiles.length > 0 && !uploading && !flagged && (
           <Box sx={{ mt: 2 }}>
             <Alert severity="success" icon={<CheckCircle />}>
               File ready for upload: {acceptedFiles[0].name}
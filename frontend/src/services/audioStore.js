@@ -0,0 +1,113 @@
+/**
+ * Audio Store for keeping recorded answers in IndexedDB
+ *
+ * Recordings are too large for localStorage and are never uploaded, so they
+ * stay in the browser. Each recording is stored under a key that the answer
+ * keeps in `audioKey`, which survives session persistence and resuming.
+ */
+
+const DB_NAME = 'smartInterviewPrep'
+const DB_VERSION = 1
+const STORE_NAME = 'answerAudio'
+
+class AudioStore {
+  constructor() {
+    this.isSupported = typeof indexedDB !== 'undefined'
+    this.dbPromise = null
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.isSupported) {
+      return Promise.reject(new Error('Audio storage not supported in this browser'))
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(new Error(`Failed to open audio storage: ${request.error?.message}`))
+      })
+      // Allow another attempt after a failure, e.g. storage blocked in private mode
+      this.dbPromise.catch(() => {
+        this.dbPromise = null
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * Run one request in a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(new Error(`Audio storage error: ${transaction.error?.message}`))
+      transaction.onabort = () => reject(new Error(`Audio storage error: ${transaction.error?.message || 'aborted'}`))
+    })
+  }
+
+  /**
+   * Key for the recording of one answer
+   * @param {string} sessionKey - Interview session id
+   * @param {string} questionId - Question id
+   * @returns {string} Audio key
+   */
+  getKey(sessionKey, questionId) {
+    return `${sessionKey}:${questionId}`
+  }
+
+  /**
+   * Store the recording of an answer, replacing an earlier take
+   * @param {Object} recording
+   * @param {string} recording.sessionKey - Interview session id
+   * @param {string} recording.questionId - Question id
+   * @param {Blob} recording.blob - Recorded audio
+   * @param {number} [recording.durationSeconds] - Recording length
+   * @returns {Promise<string>} Audio key
+   */
+  async saveRecording({ sessionKey, questionId, blob, durationSeconds }) {
+    const key = this.getKey(sessionKey, questionId)
+
+    await this.run('readwrite', store => store.put({
+      key,
+      sessionKey,
+      questionId,
+      blob,
+      mimeType: blob.type,
+      durationSeconds: durationSeconds || null,
+      createdAt: new Date().toISOString()
+    }))
+
+    return key
+  }
+
+  /**
+   * @param {string} key - Audio key
+   * @returns {Promise<Object|null>} Stored recording
+   */
+  async getRecording(key) {
+    return (await this.run('readonly', store => store.get(key))) || null
+  }
+}
+
+// Create singleton instance
+const audioStore = new AudioStore()
+
+export default audioStore
@@ -2,11 +2,18 @@
  * Speech Service for handling text-to-speech and speech recognition
  */
 
+import { stitchSegments } from '../utils/transcript'
+
+// Recognition errors after which dictation cannot continue
+const FATAL_RECOGNITION_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported']
+
 class SpeechService {
   constructor() {
     this.synthesis = window.speechSynthesis
     this.recognition = null
     this.currentUtterance = null
+    this.lastRecognitionTiming = null
+    this.dictating = false
     this.isSupported = this.checkBrowserSupport()
     
     // Initialize speech recognition if available
@@ -149,9 +156,14 @@ class SpeechService {
       let finalTranscript = ''
       let isResolved = false
 
+      // Results arrive while the user speaks, so gaps between them are pauses
+      const timing = { startedAt: Date.now(), resultTimes: [] }
+      this.lastRecognitionTiming = timing
+
       // Event handlers
       this.recognition.onresult = (event) => {
         let interimTranscript = ''
+        timing.resultTimes.push(Date.now())
         
         for (let i = event.resultIndex; i < event.results.length; i++) {
           const transcript = event.results[i][0].transcript
@@ -187,6 +199,7 @@ class SpeechService {
       }
 
       this.recognition.onend = () => {
+        timing.endedAt = Date.now()
         if (!isResolved) {
           isResolved = true
           resolve(finalTranscript.trim())
@@ -194,6 +207,7 @@ class SpeechService {
       }
 
       this.recognition.onstart = () => {
+        timing.startedAt = Date.now()
         console.log('Speech recognition started')
         if (options.onStart) {
           options.onStart()
@@ -209,10 +223,120 @@ class SpeechService {
     })
   }
 
+  /**
+   * Start continuous dictation
+   * Browsers end recognition after a pause or a time limit; dictation restarts
+   * it on every end until stopRecognition is called, so long answers are not
+   * cut off. Final segments are stitched into punctuated text.
+   * @param {Object} options - Dictation options
+   * @param {string} [options.lang] - Recognition language
+   * @param {Function} [options.onProgress] - Called with { final, interim } on every result
+   * @param {Function} [options.onStart] - Called when recognition first starts
+   * @returns {Promise<string>} Transcript once dictation is stopped
+   */
+  async startDictation(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.isSupported.recognition || !this.recognition) {
+        reject(new Error('Speech recognition not supported in this browser'))
+        return
+      }
+
+      try {
+        this.recognition.stop()
+      } catch (e) {
+        // Ignore errors when stopping
+      }
+
+      this.recognition.continuous = true
+      this.recognition.interimResults = true
+      this.recognition.lang = options.lang || 'en-US'
+
+      const segments = []
+      let started = false
+      let failure = null
+      const timing = { startedAt: Date.now(), resultTimes: [] }
+      this.lastRecognitionTiming = timing
+      this.dictating = true
+
+      this.recognition.onresult = (event) => {
+        let interimTranscript = ''
+        timing.resultTimes.push(Date.now())
+
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          if (event.results[i].isFinal) {
+            segments.push(event.results[i][0].transcript)
+          } else {
+            interimTranscript += event.results[i][0].transcript
+          }
+        }
+
+        if (options.onProgress) {
+          options.onProgress({
+            final: stitchSegments(segments),
+            interim: interimTranscript.trim()
+          })
+        }
+      }
+
+      this.recognition.onerror = (event) => {
+        // "no-speech" and "aborted" just end this round; onend restarts it
+        if (FATAL_RECOGNITION_ERRORS.includes(event.error)) {
+          failure = new Error(`Speech recognition error: ${event.error}`)
+          this.dictating = false
+        }
+      }
+
+      this.recognition.onend = () => {
+        if (this.dictating) {
+          try {
+            this.recognition.start()
+            return
+          } catch (error) {
+            this.dictating = false
+          }
+        }
+
+        timing.endedAt = Date.now()
+        if (failure && segments.length === 0) {
+          reject(failure)
+        } else {
+          resolve(stitchSegments(segments))
+        }
+      }
+
+      this.recognition.onstart = () => {
+        if (!started) {
+          started = true
+          timing.startedAt = Date.now()
+          if (options.onStart) {
+            options.onStart()
+          }
+        }
+      }
+
+      try {
+        this.recognition.start()
+      } catch (error) {
+        this.dictating = false
+        reject(new Error(`Failed to start speech recognition: ${error.message}`))
+      }
+    })
+  }
+
+  /**
+   * Timing of the most recent recognition, for delivery analytics
+   * @returns {Object|null} { startedAt, endedAt, resultTimes } in ms since epoch
+   */
+  getLastRecognitionTiming() {
+    return this.lastRecognitionTiming
+  }
+
   /**
    * Stop speech recognition
    */
   stopRecognition() {
+    // Also ends dictation, which would otherwise restart on the end event
+    this.dictating = false
     if (this.recognition) {
       this.recognition.stop()
     }
@@ -311,54 +435,66 @@ class SpeechService {
   }
 
   /**
-   * Record audio using MediaRecorder (fallback for speech recognition)
+   * Record audio using MediaRecorder
+   * Resolves as soon as recording has started, with a handle to stop it;
+   * the recording also stops by itself after maxDuration.
    * @param {number} maxDuration - Maximum recording duration in ms
-   * @returns {Promise<Blob>} Audio blob
+   * @returns {Promise<Object>} { mediaRecorder, stop(): Promise<Blob>, result: Promise<Blob> }
    */
   async recordAudio(maxDuration = 30000) {
-    return new Promise(async (resolve, reject) => {
-      if (!this.isSupported.mediaRecorder) {
-        reject(new Error('Audio recording not supported in this browser'))
-        return
-      }
-
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-        const mediaRecorder = new MediaRecorder(stream)
-        const audioChunks = []
+    if (!this.isSupported.mediaRecorder) {
+      throw new Error('Audio recording not supported in this browser')
+    }
 
-        mediaRecorder.ondataavailable = (event) => {
-          audioChunks.push(event.data)
-        }
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    } catch (error) {
+      throw new Error(`Failed to start recording: ${error.message}`)
+    }
 
-        mediaRecorder.onstop = () => {
-          const audioBlob = new Blob(audioChunks, { type: 'audio/wav' })
-          stream.getTracks().forEach(track => track.stop())
-          resolve(audioBlob)
-        }
+    const mediaRecorder = new MediaRecorder(stream)
+    const audioChunks = []
+    let timeout = null
 
-        mediaRecorder.onerror = (event) => {
-          stream.getTracks().forEach(track => track.stop())
-          reject(new Error(`Recording error: ${event.error}`))
+    const result = new Promise((resolve, reject) => {
+      mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          audioChunks.push(event.data)
         }
+      }
 
-        // Start recording
-        mediaRecorder.start()
+      mediaRecorder.onstop = () => {
+        clearTimeout(timeout)
+        stream.getTracks().forEach(track => track.stop())
+        // Browsers record webm or mp4, never wav; keep the actual type for playback
+        resolve(new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' }))
+      }
 
-        // Stop recording after maxDuration
-        setTimeout(() => {
-          if (mediaRecorder.state === 'recording') {
-            mediaRecorder.stop()
-          }
-        }, maxDuration)
+      mediaRecorder.onerror = (event) => {
+        clearTimeout(timeout)
+        stream.getTracks().forEach(track => track.stop())
+        reject(new Error(`Recording error: ${event.error?.message || event.error}`))
+      }
+    })
 
-        // Return recorder instance for manual control
-        return mediaRecorder
+    mediaRecorder.start()
+    timeout = setTimeout(() => {
+      if (mediaRecorder.state === 'recording') {
+        mediaRecorder.stop()
+      }
+    }, maxDuration)
 
-      } catch (error) {
-        reject(new Error(`Failed to start recording: ${error.message}`))
+    return {
+      mediaRecorder,
+      result,
+      stop: () => {
+        if (mediaRecorder.state !== 'inactive') {
+          mediaRecorder.stop()
+        }
+        return result
       }
-    })
+    }
   }
 
   /**
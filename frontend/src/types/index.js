@@ -8,6 +8,11 @@ export const ExperienceLevel = {
 
 export const QuestionType = {
   INTRO: 'intro',
+  TECHNICAL: 'technical',
+  BEHAVIORAL: 'behavioral',
+  SITUATIONAL: 'situational',
+  SYSTEM_DESIGN: 'systemDesign',
+  // Legacy types from sessions created before configurable composition
   ROLE: 'role',
   OPEN_ENDED: 'openEnded'
 }
@@ -19,11 +24,24 @@ export const QuestionType = {
  * @property {string} text - Full extracted text
  * @property {string[]} skills - Identified skills
  * @property {string} experience - Experience level/duration
+ * @property {number|null} experienceYears - Total years from merged work history ranges
+ * @property {WorkHistoryEntry[]} workHistory - Roles found in the experience section
  * @property {string[]} education - Education information
  * @property {Project[]} projects - Project information
  * @property {Object} [raw] - Raw parsing data
  */
 
+/**
+ * @typedef {Object} WorkHistoryEntry
+ * @property {string} title - Job title
+ * @property {string} company - Employer
+ * @property {string} location - Location, if stated
+ * @property {string|null} startDate - "YYYY-MM" or "YYYY"
+ * @property {string|null} endDate - "YYYY-MM", "YYYY" or "Present"
+ * @property {boolean} isCurrent - Whether the role is ongoing
+ * @property {string[]} bullets - Responsibilities and achievements
+ */
+
 /**
  * @typedef {Object} Project
  * @property {string} title - Project title
@@ -34,7 +52,7 @@ export const QuestionType = {
 /**
  * @typedef {Object} Question
  * @property {string} id - Unique question ID
- * @property {string} type - Question type (intro|role|openEnded)
+ * @property {string} type - Question type (intro|technical|behavioral|situational|systemDesign)
  * @property {string} text - Question text
  * @property {number} order - Question order
  */
@@ -50,12 +68,25 @@ export const QuestionType = {
 /**
  * @typedef {Object} InterviewSession
  * @property {string} id - Session ID
+ * @property {string} [sessionId] - ID of the persisted session, once saved
+ * @property {boolean} [resumed] - Restored from storage after a reload
  * @property {Question[]} questions - Session questions
  * @property {Answer[]} answers - User answers
  * @property {string} role - Target role
  * @property {string} level - Experience level
+ * @property {string} [mode] - Interview mode (interactive|text-only)
  * @property {Date} startTime - Session start time
  * @property {Date} [endTime] - Session end time
+ * @property {InterviewAnalysis} [analysis] - Analysis returned when the interview completes
+ */
+
+/**
+ * @typedef {Object} InterviewAnalysis
+ * @property {QuestionFeedback[]} feedback - Per-question feedback
+ * @property {number} overallScore - Overall score (0-100)
+ * @property {string} summary - Short summary of the performance
+ * @property {string[]} improvements - Areas to work on
+ * @property {Object} [metadata] - Provider, model and timing information
  */
 
 /**
@@ -0,0 +1,49 @@
+import { parseEventBlock, createEventParser } from '../eventStream'
+
+describe('eventStream utils', () => {
+  const stream = [
+    'event: progress\ndata: {"stage":"started","completed":0,"total":2}\n\n',
+    ': keep-alive\n\n',
+    'event: question\ndata: {"category":"technical","index":0,"text":"What is a closure?"}\n\n',
+    'event: summary\ndata: {"data":{"technical":["What is a closure?"]}}\n\n'
+  ].join('')
+
+  test('parses named events with JSON data', () => {
+    expect(parseEventBlock('event: progress\ndata: {"completed":1}')).toEqual({
+      event: 'progress',
+      data: { completed: 1 }
+    })
+  })
+
+  test('ignores comments and keeps plain text data', () => {
+    expect(parseEventBlock(': keep-alive')).toBeNull()
+    expect(parseEventBlock('data: hello\ndata: world')).toEqual({
+      event: 'message',
+      data: 'hello\nworld'
+    })
+  })
+
+  test.each([1, 5, 40, stream.length])('emits the same events for chunks of %i characters', size => {
+    const events = []
+    const parser = createEventParser(event => events.push(event))
+
+    for (let start = 0; start < stream.length; start += size) {
+      parser.push(stream.slice(start, start + size))
+    }
+    parser.flush()
+
+    expect(events.map(({ event }) => event)).toEqual(['progress', 'question', 'summary'])
+    expect(events[1].data.text).toBe('What is a closure?')
+    expect(events[2].data.data.technical).toHaveLength(1)
+  })
+
+  test('flushes a final event without a trailing blank line', () => {
+    const events = []
+    const parser = createEventParser(event => events.push(event))
+
+    parser.push('event: summary\r\ndata: {"data":[]}')
+    parser.flush()
+
+    expect(events).toEqual([{ event: 'summary', data: { data: [] } }])
+  })
+})
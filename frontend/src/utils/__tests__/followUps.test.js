@@ -0,0 +1,59 @@
+import {
+  canAskFollowUp,
+  buildFollowUpQuestions,
+  insertFollowUps,
+  withoutFollowUps
+} from '../followUps'
+
+describe('followUps utils', () => {
+  const questions = [
+    { id: 'technical-0', type: 'technical', text: 'What is a closure?', order: 0 },
+    { id: 'behavioral-0', type: 'behavioral', text: 'Describe a conflict', order: 1 }
+  ]
+
+  test('builds follow-ups that point at the original question', () => {
+    const [first] = buildFollowUpQuestions(questions[0], ['Where have you used one?'])
+    const [second] = buildFollowUpQuestions(first, ['Any memory issues?'])
+
+    expect(first).toEqual({
+      id: 'technical-0-f1',
+      type: 'technical',
+      text: 'Where have you used one?',
+      followUpOf: 'technical-0',
+      depth: 1
+    })
+    expect(second.id).toBe('technical-0-f2')
+    expect(second.followUpOf).toBe('technical-0')
+    expect(second.depth).toBe(2)
+  })
+
+  test('numbers several follow-ups for the same answer', () => {
+    const followUps = buildFollowUpQuestions(questions[0], ['One?', 'Two?'])
+
+    expect(followUps.map(q => q.id)).toEqual(['technical-0-f1-1', 'technical-0-f1-2'])
+  })
+
+  test('inserts follow-ups after the answered question and renumbers the order', () => {
+    const followUps = buildFollowUpQuestions(questions[0], ['Where have you used one?'])
+    const result = insertFollowUps(questions, 0, followUps)
+
+    expect(result.map(q => q.id)).toEqual(['technical-0', 'technical-0-f1', 'behavioral-0'])
+    expect(result.map(q => q.order)).toEqual([0, 1, 2])
+    expect(withoutFollowUps(result)).toEqual(questions)
+  })
+
+  test('stops at the configured depth', () => {
+    const [followUp] = buildFollowUpQuestions(questions[0], ['Where have you used one?'])
+
+    expect(canAskFollowUp(questions, 0, 0)).toBe(false)
+    expect(canAskFollowUp(questions, 0, 1)).toBe(true)
+    expect(canAskFollowUp([questions[0], followUp], 1, 1)).toBe(false)
+    expect(canAskFollowUp([questions[0], followUp], 1, 2)).toBe(true)
+  })
+
+  test('does not follow up an answer twice', () => {
+    const [followUp] = buildFollowUpQuestions(questions[0], ['Where have you used one?'])
+
+    expect(canAskFollowUp([questions[0], followUp, questions[1]], 0, 2)).toBe(false)
+  })
+})
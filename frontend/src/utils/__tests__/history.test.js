@@ -0,0 +1,30 @@
+import { buildTrendSeries, describeTrend } from '../history'
+import { QUESTION_CATEGORIES } from '../questionCategories'
+
+describe('history utils', () => {
+  const sessions = [
+    { id: 'a', overallScore: 50, categoryScores: { technical: 5 } },
+    { id: 'b', overallScore: null, categoryScores: {} },
+    { id: 'c', overallScore: 80, categoryScores: { technical: 8, behavioral: 7.5 } }
+  ]
+
+  test('builds an overall series and one series per scored category', () => {
+    const series = buildTrendSeries(sessions, QUESTION_CATEGORIES)
+
+    expect(series.map(s => s.key)).toEqual(['overall', 'technical', 'behavioral'])
+    expect(series[0].points).toEqual([{ index: 0, value: 50 }, { index: 2, value: 80 }])
+    expect(series[1].points).toEqual([{ index: 0, value: 50 }, { index: 2, value: 80 }])
+    expect(series[2].points).toEqual([{ index: 2, value: 75 }])
+  })
+
+  test('returns no series without scores', () => {
+    expect(buildTrendSeries([], QUESTION_CATEGORIES)).toEqual([])
+  })
+
+  test('describes score changes', () => {
+    expect(describeTrend(null)).toBe('No scored sessions yet')
+    expect(describeTrend({ change: 12 })).toBe('+12 since first session')
+    expect(describeTrend({ change: -4 })).toBe('-4 since first session')
+    expect(describeTrend({ change: 0 })).toBe('No change since first session')
+  })
+})
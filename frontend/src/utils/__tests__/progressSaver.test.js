@@ -0,0 +1,49 @@
+import { createProgressSaver } from '../progressSaver'
+
+describe('progressSaver utils', () => {
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  test('should send one snapshot at a time and only the latest after it', async () => {
+    const requests = []
+    const send = jest.fn((sessionId, progress) => new Promise(resolve => {
+      requests.push({ progress, resolve })
+    }))
+    const save = createProgressSaver(send)
+
+    save('s1', { answers: 1 })
+    save('s1', { answers: 2 })
+    save('s1', { answers: 3, status: 'completed' })
+    await flush()
+
+    expect(send).toHaveBeenCalledTimes(1)
+
+    requests[0].resolve()
+    await flush()
+
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(send).toHaveBeenLastCalledWith('s1', { answers: 3, status: 'completed' })
+
+    requests[1].resolve()
+    await flush()
+
+    expect(send).toHaveBeenCalledTimes(2)
+  })
+
+  test('should carry on with the latest snapshot after a failed request', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockResolvedValue({})
+    const save = createProgressSaver(send)
+
+    save('s1', { answers: 1 })
+    save('s1', { answers: 2 })
+    await flush()
+    await flush()
+
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(send).toHaveBeenLastCalledWith('s1', { answers: 2 })
+    expect(warn).toHaveBeenCalledWith('Could not update session:', 'Network Error')
+    warn.mockRestore()
+  })
+})
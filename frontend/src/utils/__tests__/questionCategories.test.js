@@ -0,0 +1,55 @@
+import {
+  buildSessionQuestions,
+  getQuestionTypeInfo,
+  getCompositionTotal,
+  DEFAULT_COMPOSITION
+} from '../questionCategories'
+
+describe('questionCategories utils', () => {
+  test('builds ordered session questions from any returned categories', () => {
+    const questions = buildSessionQuestions({
+      categories: {
+        systemDesign: ['Design a URL shortener'],
+        intro: ['Tell me about yourself'],
+        technical: ['What is a closure?', 'Explain the event loop']
+      }
+    })
+
+    expect(questions.map(q => q.type)).toEqual(['intro', 'technical', 'technical', 'systemDesign'])
+    expect(questions.map(q => q.order)).toEqual([0, 1, 2, 3])
+    expect(questions[2]).toEqual({
+      id: 'technical-1',
+      type: 'technical',
+      text: 'Explain the event loop',
+      order: 2
+    })
+  })
+
+  test('falls back to legacy role and open-ended lists', () => {
+    const questions = buildSessionQuestions({
+      roleQuestions: ['What is React?'],
+      openEnded: ['Describe a challenge']
+    })
+
+    expect(questions).toEqual([
+      { id: 'role-0', type: 'role', text: 'What is React?', order: 0 },
+      { id: 'openEnded-0', type: 'openEnded', text: 'Describe a challenge', order: 1 }
+    ])
+  })
+
+  test('returns no questions without data', () => {
+    expect(buildSessionQuestions(null)).toEqual([])
+  })
+
+  test('labels new and legacy question types', () => {
+    expect(getQuestionTypeInfo('systemDesign').label).toBe('System Design')
+    expect(getQuestionTypeInfo('role').label).toBe('Technical')
+    expect(getQuestionTypeInfo('openEnded').label).toBe('Behavioral')
+    expect(getQuestionTypeInfo('unknown')).toEqual({ label: 'Question', color: 'default' })
+  })
+
+  test('totals a composition', () => {
+    expect(getCompositionTotal(DEFAULT_COMPOSITION)).toBe(3)
+    expect(getCompositionTotal({ intro: 1, situational: 2 })).toBe(3)
+  })
+})
@@ -0,0 +1,91 @@
+import { buildResultItems, getWeakQuestions, getScoreColor } from '../results'
+
+describe('results utils', () => {
+  const session = {
+    role: 'Frontend Developer',
+    level: 'intermediate',
+    questions: [
+      { id: 'role-0', type: 'role', text: 'What is React?', order: 0 },
+      { id: 'role-1', type: 'role', text: 'Explain closures', order: 1 },
+      { id: 'open-0', type: 'openEnded', text: 'Describe a challenge', order: 2 }
+    ],
+    answers: [
+      { questionId: 'role-0', transcription: 'A UI library' },
+      { questionId: 'role-1', transcription: 'Functions remember scope' }
+    ],
+    analysis: {
+      feedback: [
+        { questionId: '1', score: 8, feedback: 'Good', suggestions: [] },
+        { questionId: '2', score: 4, feedback: 'Too brief', suggestions: ['Add an example'] }
+      ],
+      overallScore: 60,
+      summary: 'Decent start',
+      improvements: ['Give examples']
+    }
+  }
+
+  test('pairs questions with answers and feedback', () => {
+    const items = buildResultItems(session)
+
+    expect(items).toHaveLength(3)
+    expect(items[0].answer.transcription).toBe('A UI library')
+    expect(items[0].feedback.score).toBe(8)
+    expect(items[1].feedback.feedback).toBe('Too brief')
+    expect(items[2].answer).toBeNull()
+    expect(items[2].feedback).toBeNull()
+  })
+
+  test('uses the latest answer when a question was answered twice', () => {
+    const items = buildResultItems({
+      ...session,
+      answers: [...session.answers, { questionId: 'role-0', transcription: 'Edited answer' }]
+    })
+
+    expect(items[0].answer.transcription).toBe('Edited answer')
+  })
+
+  test('falls back to feedback position when questionId does not match', () => {
+    const items = buildResultItems({
+      ...session,
+      analysis: { feedback: [{ questionId: 'q-a', score: 7, feedback: 'Fine' }] }
+    })
+
+    expect(items[0].feedback.score).toBe(7)
+  })
+
+  test('handles sessions without analysis', () => {
+    const items = buildResultItems({ ...session, analysis: null })
+
+    expect(items.every(item => item.feedback === null)).toBe(true)
+    expect(buildResultItems(null)).toEqual([])
+  })
+
+  test('treats low scores and unanswered questions as weak', () => {
+    const weak = getWeakQuestions(buildResultItems(session))
+
+    expect(weak.map(q => q.id)).toEqual(['role-1', 'open-0'])
+  })
+
+  test('maps scores to colors', () => {
+    expect(getScoreColor(9)).toBe('success')
+    expect(getScoreColor(6)).toBe('warning')
+    expect(getScoreColor(3)).toBe('error')
+    expect(getScoreColor(85, 100)).toBe('success')
+    expect(getScoreColor(undefined)).toBe('default')
+  })
+
+  test('retries the original question of a weak follow-up once', () => {
+    const items = buildResultItems({
+      ...session,
+      questions: [
+        session.questions[0],
+        { id: 'role-0-f1', type: 'role', text: 'Why React?', followUpOf: 'role-0', depth: 1, order: 1 },
+        { id: 'role-0-f2', type: 'role', text: 'And hooks?', followUpOf: 'role-0', depth: 2, order: 2 }
+      ],
+      answers: [{ questionId: 'role-0', transcription: 'A UI library' }],
+      analysis: { feedback: [{ questionId: '1', score: 8 }] }
+    })
+
+    expect(getWeakQuestions(items)).toEqual([session.questions[0]])
+  })
+})
@@ -0,0 +1,198 @@
+import {
+  categorizeSkill,
+  addSkills,
+  createReviewDraft,
+  groupSkills,
+  validateReviewDraft,
+  describeExperience,
+  describeEntry,
+  describeLanguage,
+  lowConfidenceFields,
+  applyReviewDraft
+} from '../resumeReview'
+
+describe('resumeReview utils', () => {
+  const parsed = {
+    text: 'resume text',
+    skills: ['React', 'Docker', 'react', 'Leadership'],
+    experience: 'Approximately 25 years of experience',
+    experienceYears: 25,
+    workHistory: [
+      { title: 'Engineer', company: 'Acme', location: '', startDate: 'Jan 2020', endDate: 'Present', isCurrent: true, bullets: ['Built things'] },
+      { title: 'Skills', company: '', location: '', startDate: null, endDate: null, isCurrent: false, bullets: [] }
+    ],
+    education: ['BSc Computer Science'],
+    projects: [{ title: 'Shop', summary: 'An online shop', technologies: ['Vue.js'] }, 'Side project']
+  }
+
+  test('guesses skill groups and skips duplicate skills', () => {
+    expect(categorizeSkill('PostgreSQL')).toBe('Databases')
+    expect(categorizeSkill('Negotiation')).toBe('Soft Skills')
+    expect(categorizeSkill('COBOL')).toBe('Other')
+
+    const skills = addSkills([{ name: 'React', category: 'Frameworks' }], 'react, Kubernetes,  , Go', 'Languages')
+    expect(skills).toEqual([
+      { name: 'React', category: 'Frameworks' },
+      { name: 'Kubernetes', category: 'Languages' },
+      { name: 'Go', category: 'Languages' }
+    ])
+    expect(addSkills([], 'Jest')).toEqual([{ name: 'Jest', category: 'Frameworks' }])
+  })
+
+  test('builds an editable draft from the parser output', () => {
+    const draft = createReviewDraft(parsed)
+
+    expect(draft.skills).toEqual([
+      { name: 'React', category: 'Frameworks' },
+      { name: 'Docker', category: 'Cloud & DevOps' },
+      { name: 'Leadership', category: 'Soft Skills' }
+    ])
+    expect(draft.experienceYears).toBe('25')
+    expect(draft.workHistory[1]).toMatchObject({ title: 'Skills', startDate: '', endDate: '' })
+    expect(draft.projects[1]).toEqual({ title: 'Side project', summary: '', technologies: [] })
+
+    const reviewed = createReviewDraft({ skills: ['Leadership'], skillDetails: [{ name: 'Leadership', category: 'tool' }] })
+    expect(reviewed.skills).toEqual([{ name: 'Leadership', category: 'Tools' }])
+    expect(reviewed.experienceYears).toBe('')
+  })
+
+  test('groups skills by their category, then guess', () => {
+    const resume = {
+      skills: ['Kotlin', 'Hadoop', 'Acme DSL', 'Vue'],
+      skillDetails: [
+        { name: 'Kotlin', category: 'language' },
+        { name: 'Hadoop', category: 'database' },
+        { name: 'Vue', category: 'web' }
+      ]
+    }
+
+    expect(createReviewDraft(resume).skills.map(skill => skill.category))
+      .toEqual(['Languages', 'Databases', 'Other', 'Frameworks'])
+    expect(groupSkills(resume)).toEqual([
+      { category: 'Languages', skills: ['Kotlin'] },
+      { category: 'Frameworks', skills: ['Vue'] },
+      { category: 'Databases', skills: ['Hadoop'] },
+      { category: 'Other', skills: ['Acme DSL'] }
+    ])
+    expect(groupSkills({})).toEqual([])
+  })
+
+  test('rejects impossible years and an empty skill list', () => {
+    const draft = createReviewDraft(parsed)
+
+    expect(validateReviewDraft(draft)).toEqual({})
+    expect(validateReviewDraft({ ...draft, experienceYears: '' })).toEqual({})
+    expect(Object.keys(validateReviewDraft({ ...draft, experienceYears: '75', skills: [] })))
+      .toEqual(['experienceYears', 'skills'])
+    expect(validateReviewDraft({ ...draft, experienceYears: 'lots' }).experienceYears).toMatch(/0 to 50/)
+  })
+
+  test('describes years of experience in the parser wording', () => {
+    expect(describeExperience(null)).toBe('Experience level not specified')
+    expect(describeExperience(0)).toBe('Fresher/Entry Level')
+    expect(describeExperience(1)).toBe('1 year of experience')
+    expect(describeExperience(3.5)).toBe('3 years 6 months of experience')
+    expect(describeExperience(0.01)).toBe('Less than a month of experience')
+  })
+
+  test('applies the corrections and drops blank entries', () => {
+    const draft = createReviewDraft(parsed)
+    draft.skills[2].category = 'Tools'
+    draft.experienceYears = '4'
+    draft.workHistory[0].endDate = 'Dec 2023'
+    draft.education.push('  ')
+    draft.projects[0].title = ' Shop v2 '
+
+    const corrected = applyReviewDraft(parsed, draft)
+
+    expect(corrected).toMatchObject({
+      text: 'resume text',
+      skills: ['React', 'Docker', 'Leadership'],
+      skillDetails: [
+        { name: 'React', category: 'framework' },
+        { name: 'Docker', category: 'cloud' },
+        { name: 'Leadership', category: 'tool' }
+      ],
+      experienceYears: 4,
+      experience: '4 years of experience',
+      education: ['BSc Computer Science'],
+      reviewed: true
+    })
+    expect(corrected.workHistory).toHaveLength(2)
+    expect(corrected.workHistory[0]).toMatchObject({ endDate: 'Dec 2023', isCurrent: false, bullets: ['Built things'] })
+    expect(corrected.workHistory[1].startDate).toBeNull()
+    expect(corrected.projects.map(project => project.title)).toEqual(['Shop v2', 'Side project'])
+
+    draft.workHistory[1].title = ''
+    expect(applyReviewDraft(parsed, draft).workHistory).toHaveLength(1)
+  })
+
+  test('rebuilds skill details from the edited skills', () => {
+    const resume = {
+      ...parsed,
+      skills: ['React', 'Docker'],
+      skillDetails: [
+        { name: 'React', category: 'framework', proficiency: 'advanced', score: 80, sections: ['experience'] },
+        { name: 'Docker', category: 'cloud', proficiency: 'beginner', score: 30, sections: ['skills'] }
+      ],
+      skillCategories: { React: 'Frameworks' }
+    }
+    const draft = createReviewDraft(resume)
+    draft.skills = addSkills(draft.skills.filter(skill => skill.name !== 'Docker'), 'COBOL')
+    draft.skills[0].category = 'Languages'
+
+    const corrected = applyReviewDraft(resume, draft)
+
+    expect(corrected.skills).toEqual(['React', 'COBOL'])
+    expect(corrected.skillDetails).toEqual([
+      { name: 'React', category: 'language', proficiency: 'advanced', score: 80, sections: ['experience'] },
+      { name: 'COBOL', category: 'other' }
+    ])
+    expect(corrected).not.toHaveProperty('skillCategories')
+    expect(createReviewDraft(corrected).skills).toEqual([
+      { name: 'React', category: 'Languages' },
+      { name: 'COBOL', category: 'Other' }
+    ])
+  })
+
+  test('edits certifications and keeps languages, publications and awards', () => {
+    const resume = {
+      ...parsed,
+      certifications: [{ name: 'CKA', issuer: 'Cloud Native Computing Foundation', date: '2021' }, { name: 'PMP', issuer: null, date: null }],
+      languages: [{ language: 'Spanish', proficiency: 'fluent' }, { language: 'Hindi', proficiency: null }],
+      awards: [{ title: 'Hackathon winner', issuer: null, date: '2019' }]
+    }
+    const draft = createReviewDraft(resume)
+    expect(draft.certifications[1]).toEqual({ name: 'PMP', issuer: '', date: '' })
+    expect(draft.publications).toEqual([])
+
+    draft.certifications[1].issuer = ' PMI '
+    draft.certifications.push({ name: ' ', issuer: 'Nobody', date: '' })
+    draft.languages = draft.languages.slice(1)
+    const corrected = applyReviewDraft(resume, draft)
+
+    expect(corrected.certifications).toEqual([
+      { name: 'CKA', issuer: 'Cloud Native Computing Foundation', date: '2021' },
+      { name: 'PMP', issuer: 'PMI', date: null }
+    ])
+    expect(corrected.languages).toEqual([{ language: 'Hindi', proficiency: null }])
+    expect(corrected.awards).toEqual(resume.awards)
+  })
+
+  test('lists the fields the parser was unsure about, least confident first', () => {
+    const resume = { confidence: { contact: 0.9, skills: 0.3, experience: 0, education: 0.5, extra: 0.1 } }
+
+    expect(lowConfidenceFields(resume)).toEqual([
+      { field: 'experience', label: 'Experience', confidence: 0 },
+      { field: 'skills', label: 'Skills', confidence: 0.3 }
+    ])
+    expect(lowConfidenceFields(parsed)).toEqual([])
+  })
+
+  test('describes certifications, publications, awards and languages', () => {
+    expect(describeEntry({ name: 'CKA', issuer: 'CNCF', date: '2021-03' })).toBe('CKA · CNCF · 2021-03')
+    expect(describeEntry({ title: 'Fast Joins', venue: 'VLDB', date: null })).toBe('Fast Joins · VLDB')
+    expect(describeLanguage({ language: 'Spanish', proficiency: 'fluent' })).toBe('Spanish (fluent)')
+    expect(describeLanguage({ language: 'Hindi', proficiency: null })).toBe('Hindi')
+  })
+})
@@ -0,0 +1,26 @@
+import { upsertAnswer, firstUnansweredIndex } from '../sessionAnswers'
+
+describe('sessionAnswers utils', () => {
+  const questions = [{ id: 'intro-0' }, { id: 'technical-0' }, { id: 'technical-0-f1' }, { id: 'behavioral-0' }]
+
+  test('replaces an answer saved again instead of adding a duplicate', () => {
+    const answers = [
+      { questionId: 'intro-0', transcription: 'Hello' },
+      { questionId: 'technical-0', transcription: 'First try' }
+    ]
+
+    expect(upsertAnswer(answers, { questionId: 'technical-0', transcription: 'Second try' })).toEqual([
+      { questionId: 'intro-0', transcription: 'Hello' },
+      { questionId: 'technical-0', transcription: 'Second try' }
+    ])
+    expect(upsertAnswer(answers, { questionId: 'behavioral-0', transcription: 'A conflict' })).toHaveLength(3)
+  })
+
+  test('resumes at the first question without an answer', () => {
+    const answers = [{ questionId: 'intro-0' }, { questionId: 'technical-0-f1' }, { questionId: 'intro-0' }]
+
+    expect(firstUnansweredIndex(questions, answers)).toBe(1)
+    expect(firstUnansweredIndex(questions, [])).toBe(0)
+    expect(firstUnansweredIndex(questions, questions.map(q => ({ questionId: q.id })))).toBe(4)
+  })
+})
@@ -0,0 +1,61 @@
+import { getAudioExtension, buildTranscript, buildArchiveFiles } from '../sessionArchive'
+
+describe('sessionArchive utils', () => {
+  const session = {
+    id: '42',
+    role: 'Backend Developer',
+    level: 'intermediate',
+    startTime: '2024-05-01T10:00:00Z',
+    answers: [{ questionId: 'technical-0', transcription: 'With an index.', audioKey: '42:technical-0' }],
+    analysis: { overallScore: 72.4, improvements: ['Add numbers'], feedback: [] }
+  }
+  const items = [
+    {
+      question: { id: 'technical-0', type: 'technical', text: 'How do you speed up a query?' },
+      answer: session.answers[0],
+      feedback: { score: 7, feedback: 'Solid.' }
+    },
+    {
+      question: { id: 'behavioral-0', type: 'behavioral', text: 'Describe a conflict' },
+      answer: null,
+      feedback: null
+    }
+  ]
+
+  test('maps recorded audio types to file extensions', () => {
+    expect(getAudioExtension('audio/webm;codecs=opus')).toBe('webm')
+    expect(getAudioExtension('audio/mp4')).toBe('m4a')
+    expect(getAudioExtension('')).toBe('webm')
+  })
+
+  test('writes a readable transcript', () => {
+    const transcript = buildTranscript(session, items, { 'technical-0': 'audio/01-technical-0.webm' })
+
+    expect(transcript).toContain('# Interview Practice - Backend Developer (intermediate)')
+    expect(transcript).toContain('Overall score: 72/100')
+    expect(transcript).toContain('## 1. How do you speed up a query?')
+    expect(transcript).toContain('Recording: audio/01-technical-0.webm')
+    expect(transcript).toContain('Score: 7/10')
+    expect(transcript).toContain('_No answer recorded_')
+  })
+
+  test('lists the transcript, session data and recordings', () => {
+    const audio = new Uint8Array([1, 2, 3])
+    const files = buildArchiveFiles(session, items, {
+      'technical-0': { data: audio, mimeType: 'audio/webm' }
+    })
+
+    expect(files.map(file => file.name)).toEqual([
+      'transcript.md',
+      'session.json',
+      'audio/01-technical-0.webm'
+    ])
+    expect(files[2].data).toBe(audio)
+
+    const data = JSON.parse(files[1].data)
+    expect(data.questions[0].recording).toBe('audio/01-technical-0.webm')
+    expect(data.questions[1].answer).toBeNull()
+    expect(data.overallScore).toBe(72.4)
+    expect(data.answers).toBeUndefined()
+  })
+})
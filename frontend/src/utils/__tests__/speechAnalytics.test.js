@@ -0,0 +1,84 @@
+import {
+  tokenize,
+  countFillers,
+  countHedging,
+  detectPauses,
+  analyzeDelivery,
+  getDeliveryTips
+} from '../speechAnalytics'
+
+describe('speechAnalytics utils', () => {
+  test('counts filler words, including drawn-out ones', () => {
+    const fillers = countFillers(tokenize('Umm so basically we, uh, you know, moved it uhh to the cache'))
+
+    expect(fillers.words).toEqual({ um: 1, uh: 2, 'you know': 1, basically: 1 })
+    expect(fillers.count).toBe(5)
+  })
+
+  test('does not count "like" and "you know" used as words', () => {
+    const fillers = countFillers(tokenize(
+      'I like Redis, it looks like a map and I would like to use it. Do you know it? It was, like, fast'
+    ))
+
+    expect(fillers.words).toEqual({ like: 1 })
+  })
+
+  test('counts hedging phrases', () => {
+    const hedging = countHedging(tokenize('I think it was maybe the cache, I guess'))
+
+    expect(hedging.phrases).toEqual({ 'i think': 1, 'i guess': 1, maybe: 1 })
+    expect(hedging.wordCount).toBe(5)
+  })
+
+  test('finds long gaps between recognition results', () => {
+    expect(detectPauses([0, 500, 900, 3900, 4200, 7000])).toEqual({
+      count: 2,
+      longestMs: 3000,
+      totalMs: 5800
+    })
+    expect(detectPauses([0, 100])).toEqual({ count: 0, longestMs: 0, totalMs: 0 })
+  })
+
+  test('measures pace up to the last result', () => {
+    const transcript = Array(60).fill('word').join(' ')
+    const delivery = analyzeDelivery({
+      transcript,
+      // 30 seconds of speech, then silence until stop
+      timing: { startedAt: 1000, resultTimes: [2000, 16000, 31000], endedAt: 45000 }
+    })
+
+    expect(delivery.wordsPerMinute).toBe(120)
+    expect(delivery.pace).toBe('good')
+    expect(delivery.durationSeconds).toBe(30)
+    expect(delivery.pauses.count).toBe(2)
+  })
+
+  test('falls back to the recording time without result timing', () => {
+    const delivery = analyzeDelivery({
+      transcript: Array(100).fill('word').join(' '),
+      durationSeconds: 30
+    })
+
+    expect(delivery.wordsPerMinute).toBe(200)
+    expect(delivery.pace).toBe('fast')
+    expect(delivery.pauses).toBeNull()
+  })
+
+  test('returns null for an empty transcript', () => {
+    expect(analyzeDelivery({ transcript: '  ' })).toBeNull()
+  })
+
+  test('suggests fixes for weak delivery only', () => {
+    const tips = getDeliveryTips({
+      wordsPerMinute: 190,
+      pace: 'fast',
+      fillers: { count: 5, per100Words: 10, words: { um: 4, like: 1 } },
+      pauses: { count: 0, longestMs: 0, totalMs: 0 },
+      hedging: { count: 0, share: 0, phrases: {} }
+    })
+
+    expect(tips).toHaveLength(2)
+    expect(tips[0]).toContain('190 words per minute')
+    expect(tips[1]).toContain('"um"')
+  })
+})
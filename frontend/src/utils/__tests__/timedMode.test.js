@@ -0,0 +1,30 @@
+import { formatClock, getInterviewBudget, buildTimings } from '../timedMode'
+
+describe('timedMode utils', () => {
+  test('formats durations as a clock', () => {
+    expect(formatClock(0)).toBe('0:00')
+    expect(formatClock(65)).toBe('1:05')
+    expect(formatClock(600.4)).toBe('10:00')
+    expect(formatClock(-3)).toBe('0:00')
+  })
+
+  test('budgets thinking and answer time for every question', () => {
+    expect(getInterviewBudget({ thinkingSeconds: 30, answerSeconds: 90 }, 4)).toBe(480)
+    expect(getInterviewBudget(null, 4)).toBeNull()
+  })
+
+  test('lines up the time used with the questions', () => {
+    const questions = [{ id: 'intro-0' }, { id: 'technical-0' }, { id: 'technical-1' }]
+    const answers = [
+      { questionId: 'technical-0', timeUsed: { answerSeconds: 40 } },
+      { questionId: 'intro-0', transcription: 'typed before the timer existed' },
+      { questionId: 'technical-0', timeUsed: { answerSeconds: 50, autoSubmitted: true } }
+    ]
+
+    expect(buildTimings(questions, answers)).toEqual([
+      null,
+      { answerSeconds: 50, autoSubmitted: true },
+      null
+    ])
+  })
+})
@@ -0,0 +1,38 @@
+import { cleanSegment, stitchSegments } from '../transcript'
+
+describe('transcript utils', () => {
+  test('cleans whitespace and capitalizes the pronoun I', () => {
+    expect(cleanSegment('  i think   i\'m right ')).toBe('I think I\'m right')
+    expect(cleanSegment('it is in the index')).toBe('it is in the index')
+    expect(cleanSegment('caches, i.e. redis')).toBe('caches, i.e. redis')
+  })
+
+  test('turns each segment into a sentence', () => {
+    expect(stitchSegments(['we used redis', ' the latency dropped'])).toBe(
+      'We used redis. The latency dropped.'
+    )
+  })
+
+  test('joins segments that continue with a conjunction', () => {
+    expect(stitchSegments(['we added a cache', 'and then the latency dropped', 'it was great'])).toBe(
+      'We added a cache, and then the latency dropped. It was great.'
+    )
+  })
+
+  test('ends questions with a question mark', () => {
+    expect(stitchSegments(['how do we measure that', 'we looked at p95'])).toBe(
+      'How do we measure that? We looked at p95.'
+    )
+  })
+
+  test('keeps punctuation the recognizer already added', () => {
+    expect(stitchSegments(['We shipped it!', 'but it was late'])).toBe(
+      'We shipped it! But it was late.'
+    )
+  })
+
+  test('skips empty segments', () => {
+    expect(stitchSegments(['', '  ', 'done'])).toBe('Done.')
+    expect(stitchSegments([])).toBe('')
+  })
+})
@@ -0,0 +1,41 @@
+import { crc32, createZip } from '../zip'
+
+describe('zip utils', () => {
+  const readUint32 = (bytes, offset) => new DataView(bytes.buffer).getUint32(offset, true)
+  const readUint16 = (bytes, offset) => new DataView(bytes.buffer).getUint16(offset, true)
+
+  test('computes the standard CRC-32 check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+
+  test('stores each file after a local header', () => {
+    const archive = createZip([
+      { name: 'transcript.md', data: 'hello' },
+      { name: 'audio/01-intro-0.webm', data: new Uint8Array([1, 2, 3]) }
+    ])
+
+    expect(readUint32(archive, 0)).toBe(0x04034b50)
+    expect(readUint32(archive, 18)).toBe(5)
+    expect(new TextDecoder().decode(archive.slice(30, 43))).toBe('transcript.md')
+    expect(new TextDecoder().decode(archive.slice(43, 48))).toBe('hello')
+
+    const second = 48
+    expect(readUint32(archive, second)).toBe(0x04034b50)
+    expect(Array.from(archive.slice(second + 30 + 21, second + 30 + 24))).toEqual([1, 2, 3])
+  })
+
+  test('ends with a directory listing every file', () => {
+    const archive = createZip([
+      { name: 'a.txt', data: 'a' },
+      { name: 'b.txt', data: 'bb' }
+    ])
+    const end = archive.length - 22
+
+    expect(readUint32(archive, end)).toBe(0x06054b50)
+    expect(readUint16(archive, end + 10)).toBe(2)
+
+    const directoryOffset = readUint32(archive, end + 16)
+    expect(readUint32(archive, directoryOffset)).toBe(0x02014b50)
+    expect(directoryOffset + readUint32(archive, end + 12)).toBe(end)
+  })
+})
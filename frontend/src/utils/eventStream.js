@@ -0,0 +1,75 @@
+/**
+ * Parser for Server-Sent Events read from a fetch response
+ *
+ * The streaming endpoints are POST requests, which EventSource cannot make,
+ * so the response body is read by hand and split into events here.
+ */
+
+/**
+ * Parse one event block ("event: ...\ndata: ..." lines)
+ * @param {string} block - Text between blank lines
+ * @returns {Object|null} { event, data }, or null for comments and empty blocks
+ */
+export function parseEventBlock(block) {
+  let event = 'message'
+  const data = []
+
+  block.split(/\r?\n/).forEach(line => {
+    // Lines starting with ":" are comments, e.g. keep-alive heartbeats
+    if (!line || line.startsWith(':')) {
+      return
+    }
+    const separator = line.indexOf(':')
+    const field = separator === -1 ? line : line.slice(0, separator)
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '')
+
+    if (field === 'event') {
+      event = value
+    } else if (field === 'data') {
+      data.push(value)
+    }
+  })
+
+  if (data.length === 0) {
+    return null
+  }
+
+  const text = data.join('\n')
+  try {
+    return { event, data: JSON.parse(text) }
+  } catch (error) {
+    return { event, data: text }
+  }
+}
+
+/**
+ * Incremental parser fed with chunks of the response text
+ * @param {Function} onEvent - Called with { event, data } for each complete event
+ * @returns {Object} { push(chunk), flush() }
+ */
+export function createEventParser(onEvent) {
+  let buffer = ''
+
+  const emit = block => {
+    const parsed = parseEventBlock(block)
+    if (parsed) {
+      onEvent(parsed)
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      // The last piece may be an event still being received
+      buffer = blocks.pop()
+      blocks.forEach(emit)
+    },
+    flush() {
+      if (buffer.trim()) {
+        emit(buffer)
+      }
+      buffer = ''
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Helpers for inserting follow-up questions into an interview session
+ *
+ * A follow-up keeps the type of the question it probes, records the original
+ * question in `followUpOf` and its place in the chain in `depth`, so scoring,
+ * results and retries can treat it as part of that question.
+ */
+
+// Follow-ups that may be chained after one original question (matches the backend)
+export const MAX_FOLLOW_UP_DEPTH = 3
+
+export const FOLLOW_UP_DEPTH_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 1, label: '1 follow-up per question' },
+  { value: 2, label: 'Up to 2 follow-ups' },
+  { value: 3, label: 'Up to 3 follow-ups' }
+]
+
+/**
+ * @param {Object} question - Session question
+ * @returns {number} 0 for original questions, 1+ for follow-ups
+ */
+export function getFollowUpDepth(question) {
+  return question?.depth || 0
+}
+
+/**
+ * Whether the answer to a question may be followed up
+ * A question already followed by its follow-up (the user went back to edit
+ * the answer) is not followed up again.
+ * @param {Object[]} questions - Session questions
+ * @param {number} index - Position of the answered question
+ * @param {number} maxDepth - Session follow-up depth
+ * @returns {boolean} True when a follow-up should be requested
+ */
+export function canAskFollowUp(questions, index, maxDepth) {
+  const question = questions?.[index]
+  if (!question || getFollowUpDepth(question) >= Math.min(maxDepth || 0, MAX_FOLLOW_UP_DEPTH)) {
+    return false
+  }
+
+  const next = questions[index + 1]
+  const rootId = question.followUpOf || question.id
+  return !(next?.followUpOf === rootId && getFollowUpDepth(next) > getFollowUpDepth(question))
+}
+
+/**
+ * Session questions for generated follow-up texts
+ * @param {Object} parent - Question that was answered
+ * @param {string[]} texts - Follow-up question texts
+ * @returns {Object[]} Follow-up questions
+ */
+export function buildFollowUpQuestions(parent, texts) {
+  const rootId = parent.followUpOf || parent.id
+  const depth = getFollowUpDepth(parent) + 1
+
+  return texts.map((text, index) => ({
+    id: `${rootId}-f${depth}${texts.length > 1 ? `-${index + 1}` : ''}`,
+    type: parent.type,
+    text,
+    followUpOf: rootId,
+    depth
+  }))
+}
+
+/**
+ * Insert follow-ups right after a question, renumbering the order
+ * @param {Object[]} questions - Session questions
+ * @param {number} index - Position of the answered question
+ * @param {Object[]} followUps - Follow-up questions
+ * @returns {Object[]} New question list
+ */
+export function insertFollowUps(questions, index, followUps) {
+  return [
+    ...questions.slice(0, index + 1),
+    ...followUps,
+    ...questions.slice(index + 1)
+  ].map((question, order) => ({ ...question, order }))
+}
+
+/**
+ * Original questions only, e.g. to retake an interview with fresh follow-ups
+ * The order is renumbered back to what it was before follow-ups were inserted.
+ * @param {Object[]} questions - Session questions
+ * @returns {Object[]} Questions that are not follow-ups
+ */
+export function withoutFollowUps(questions) {
+  return questions
+    .filter(question => !question.followUpOf)
+    .map((question, order) => ({ ...question, order }))
+}
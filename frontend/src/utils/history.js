@@ -0,0 +1,61 @@
+/**
+ * Helpers for charting practice history
+ */
+
+/**
+ * Chart series for the overall score and each category present in the history
+ * Category scores (1-10) are scaled to the 0-100 range of the overall score.
+ * @param {Object[]} sessions - History sessions, oldest first
+ * @param {Object[]} categories - QUESTION_CATEGORIES entries ({ key, label, color })
+ * @returns {Object[]} Series ({ key, label, color, points: [{ index, value }] })
+ */
+export function buildTrendSeries(sessions, categories) {
+  const overall = {
+    key: 'overall',
+    label: 'Overall',
+    color: 'primary',
+    points: sessions
+      .map((session, index) => ({ index, value: session.overallScore }))
+      .filter(point => typeof point.value === 'number')
+  }
+
+  const categorySeries = categories
+    .map(category => ({
+      key: category.key,
+      label: category.label,
+      color: category.color,
+      points: sessions
+        .map((session, index) => ({ index, value: session.categoryScores?.[category.key] }))
+        .filter(point => typeof point.value === 'number')
+        .map(point => ({ ...point, value: point.value * 10 }))
+    }))
+    .filter(series => series.points.length > 0)
+
+  return [overall, ...categorySeries].filter(series => series.points.length > 0)
+}
+
+/**
+ * Describe a score change between the first and latest session
+ * @param {Object|null} trend - trend from the history report
+ * @returns {string} e.g. "+12 since first session"
+ */
+export function describeTrend(trend) {
+  if (!trend) return 'No scored sessions yet'
+  if (trend.change === 0) return 'No change since first session'
+  const sign = trend.change > 0 ? '+' : ''
+  return `${sign}${trend.change} since first session`
+}
+
+/**
+ * Format an ISO date for the history list
+ * @param {string} value - ISO date string
+ * @returns {string} Localized date
+ */
+export function formatSessionDate(value) {
+  if (!value) return ''
+  return new Date(value).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  })
+}
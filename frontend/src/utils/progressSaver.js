@@ -0,0 +1,39 @@
+/**
+ * Ordered saving of session progress
+ *
+ * Each update replaces the whole progress of a session, so a slow older
+ * request must not land after a newer one: while one is in flight, only the
+ * latest snapshot is kept, and it is sent once that request settles.
+ */
+
+/**
+ * Send progress snapshots one at a time
+ * @param {Function} send - Sends one snapshot: (sessionId, progress) => Promise
+ * @returns {Function} save(sessionId, progress)
+ */
+export function createProgressSaver(send) {
+  let inFlight = false
+  let pending = null
+
+  const save = (sessionId, progress) => {
+    if (inFlight) {
+      pending = { sessionId, progress }
+      return
+    }
+
+    inFlight = true
+    Promise.resolve()
+      .then(() => send(sessionId, progress))
+      .catch(error => console.warn('Could not update session:', error.message))
+      .finally(() => {
+        inFlight = false
+        if (pending) {
+          const next = pending
+          pending = null
+          save(next.sessionId, next.progress)
+        }
+      })
+  }
+
+  return save
+}
@@ -0,0 +1,82 @@
+/**
+ * Question categories and helpers for turning generated questions into a session
+ */
+
+// Interview order; keys match the backend composition categories
+export const QUESTION_CATEGORIES = [
+  { key: 'intro', label: 'Introduction', color: 'info' },
+  { key: 'technical', label: 'Technical', color: 'primary' },
+  { key: 'behavioral', label: 'Behavioral', color: 'secondary' },
+  { key: 'situational', label: 'Situational', color: 'warning' },
+  { key: 'systemDesign', label: 'System Design', color: 'success' }
+]
+
+// Question types used by sessions created before categories existed
+const LEGACY_TYPES = {
+  role: 'technical',
+  openEnded: 'behavioral'
+}
+
+export const DEFAULT_COMPOSITION = {
+  intro: 0,
+  technical: 2,
+  behavioral: 1,
+  situational: 0,
+  systemDesign: 0
+}
+
+export const MAX_PER_CATEGORY = 5
+export const MAX_TOTAL = 10
+
+/**
+ * Label and MUI color for a question type
+ * @param {string} type - Category key or legacy type
+ * @returns {Object} { label, color }
+ */
+export function getQuestionTypeInfo(type) {
+  const category = QUESTION_CATEGORIES.find(item => item.key === (LEGACY_TYPES[type] || type))
+  return category
+    ? { label: category.label, color: category.color }
+    : { label: 'Question', color: 'default' }
+}
+
+/**
+ * @param {Object} composition - Question count per category
+ * @returns {number} Total number of questions
+ */
+export function getCompositionTotal(composition) {
+  return QUESTION_CATEGORIES.reduce((sum, { key }) => sum + (composition[key] || 0), 0)
+}
+
+/**
+ * Flatten a /api/questions response into ordered session questions
+ * Uses whichever categories came back; responses without `categories`
+ * fall back to the legacy roleQuestions/openEnded lists.
+ * @param {Object} questionsData - Generated questions
+ * @returns {Object[]} Questions with id, type, text and order
+ */
+export function buildSessionQuestions(questionsData) {
+  if (!questionsData) return []
+
+  const categories = questionsData.categories || {
+    role: questionsData.roleQuestions || [],
+    openEnded: questionsData.openEnded || []
+  }
+
+  const knownOrder = QUESTION_CATEGORIES.map(({ key }) => key)
+  const keys = Object.keys(categories).sort((a, b) => {
+    const rank = key => {
+      const index = knownOrder.indexOf(LEGACY_TYPES[key] || key)
+      return index === -1 ? knownOrder.length : index
+    }
+    return rank(a) - rank(b)
+  })
+
+  return keys
+    .flatMap(key => (categories[key] || []).map((text, index) => ({
+      id: `${key}-${index}`,
+      type: key,
+      text
+    })))
+    .map((question, order) => ({ ...question, order }))
+}
@@ -0,0 +1,78 @@
+/**
+ * Helpers for turning a completed interview session into displayable results
+ */
+
+// Answers scoring below this (out of 10) are offered for another attempt
+export const WEAK_SCORE_THRESHOLD = 6
+
+/**
+ * Pick a MUI color for a score
+ * @param {number} score - Score value
+ * @param {number} max - Maximum possible score (10 per question, 100 overall)
+ * @returns {string} MUI palette color name
+ */
+export function getScoreColor(score, max = 10) {
+  if (typeof score !== 'number') return 'default'
+
+  const ratio = score / max
+  if (ratio >= 0.8) return 'success'
+  if (ratio >= 0.6) return 'warning'
+  return 'error'
+}
+
+/**
+ * Find the feedback entry for a question
+ * The analysis prompt numbers questions from 1, so match on that first and
+ * fall back to position for responses that omit or renumber questionId.
+ * @param {Object[]} feedbackList - analysis.feedback
+ * @param {number} index - Question position in the session
+ * @returns {Object|null} Feedback entry
+ */
+function findFeedback(feedbackList, index) {
+  const byId = feedbackList.find(item => String(item.questionId) === String(index + 1))
+  return byId || feedbackList[index] || null
+}
+
+/**
+ * Pair every session question with its answer and feedback
+ * @param {Object} session - Interview session from AppContext
+ * @returns {Object[]} Result items ({ question, answer, feedback })
+ */
+export function buildResultItems(session) {
+  if (!session?.questions) return []
+
+  const feedbackList = Array.isArray(session.analysis?.feedback) ? session.analysis.feedback : []
+
+  // Later answers win so edits made while navigating back are respected
+  const answersById = {}
+  ;(session.answers || []).forEach(answer => {
+    answersById[answer.questionId] = answer
+  })
+
+  return session.questions.map((question, index) => ({
+    question,
+    answer: answersById[question.id] || null,
+    feedback: findFeedback(feedbackList, index)
+  }))
+}
+
+/**
+ * Questions worth another attempt: unanswered or scored below the threshold
+ * A weak follow-up makes its original question worth retrying, since the
+ * follow-up only makes sense after that question.
+ * @param {Object[]} items - Result items from buildResultItems
+ * @param {number} threshold - Minimum acceptable score
+ * @returns {Object[]} Questions to retry
+ */
+export function getWeakQuestions(items, threshold = WEAK_SCORE_THRESHOLD) {
+  const questionsById = Object.fromEntries(items.map(({ question }) => [question.id, question]))
+
+  const weak = items
+    .filter(({ answer, feedback }) => {
+      if (!answer?.transcription?.trim()) return true
+      return typeof feedback?.score === 'number' && feedback.score < threshold
+    })
+    .map(({ question }) => questionsById[question.followUpOf] || question)
+
+  return [...new Set(weak)]
+}
@@ -0,0 +1,302 @@
+/**
+ * Helpers for the resume review step
+ *
+ * The parser's output is turned into an editable draft, and the confirmed
+ * draft back into the resume summary the rest of the app sends to the API.
+ * `skills` stays a list of names; `skillDetails` is rebuilt to match it, with
+ * the chosen groups as taxonomy categories.
+ */
+
+// Groups follow the categories of the backend skill taxonomy
+export const SKILL_CATEGORIES = [
+  'Languages',
+  'Frameworks',
+  'Databases',
+  'Cloud & DevOps',
+  'Tools',
+  'Soft Skills',
+  'Other'
+]
+
+// Taxonomy category keys the parser reports in `skillDetails`; skills the
+// taxonomy does not know are 'other' once reviewed
+export const CATEGORY_LABELS = {
+  language: 'Languages',
+  framework: 'Frameworks',
+  database: 'Databases',
+  cloud: 'Cloud & DevOps',
+  tool: 'Tools',
+  'soft-skill': 'Soft Skills',
+  other: 'Other'
+}
+
+const CATEGORY_KEYS = Object.fromEntries(Object.entries(CATEGORY_LABELS).map(([key, label]) => [label, key]))
+
+// For skills added during review, which the parser has not categorized
+const KNOWN_SKILLS = {
+  Languages: ['javascript', 'js', 'typescript', 'ts', 'python', 'java', 'c', 'c++', 'c#', 'php', 'ruby', 'go', 'golang', 'rust', 'swift', 'objective-c', 'kotlin', 'scala', 'r', 'matlab', 'perl', 'shell', 'bash', 'powershell', 'sql', 'html', 'css', 'sass', 'dart', 'elixir', 'haskell', 'solidity'],
+  Frameworks: ['react', 'reactjs', 'redux', 'next.js', 'angular', 'vue.js', 'vue', 'nuxt.js', 'svelte', 'node.js', 'nodejs', 'express', 'nestjs', 'django', 'flask', 'fastapi', 'spring', 'spring boot', 'hibernate', 'laravel', 'rails', 'asp.net', '.net', 'jquery', 'bootstrap', 'tailwind', 'graphql', 'rest api', 'react native', 'flutter', 'ios', 'android', 'xamarin', 'ionic', 'cordova', 'pandas', 'numpy', 'scikit-learn', 'tensorflow', 'pytorch', 'keras', 'spark', 'hadoop', 'jest', 'mocha', 'cypress', 'selenium', 'junit', 'pytest', 'testng', 'playwright'],
+  Databases: ['mysql', 'postgresql', 'postgres', 'mongodb', 'redis', 'sqlite', 'oracle', 'sql server', 'cassandra', 'dynamodb', 'firebase', 'elasticsearch', 'mariadb', 'neo4j', 'snowflake', 'bigquery'],
+  'Cloud & DevOps': ['aws', 'azure', 'google cloud', 'gcp', 'docker', 'kubernetes', 'k8s', 'helm', 'jenkins', 'gitlab ci', 'github actions', 'ci/cd', 'terraform', 'ansible', 'chef', 'puppet', 'nginx', 'apache', 'linux', 'heroku', 'vercel'],
+  Tools: ['git', 'github', 'svn', 'jira', 'confluence', 'slack', 'trello', 'figma', 'sketch', 'photoshop', 'illustrator', 'indesign', 'canva', 'postman', 'swagger', 'webpack', 'vite', 'tableau', 'power bi', 'excel', 'google analytics', 'kafka', 'rabbitmq', 'airflow', 'agile', 'scrum'],
+  'Soft Skills': ['leadership', 'communication', 'teamwork', 'collaboration', 'problem solving', 'critical thinking', 'mentoring', 'project management', 'stakeholder management', 'time management', 'presentation', 'public speaking', 'negotiation']
+}
+
+// Nobody preparing for an interview has worked longer than this
+export const MAX_EXPERIENCE_YEARS = 50
+
+// Fields the parser reports a confidence for, with their names on screen
+export const CONFIDENCE_FIELDS = {
+  contact: 'Contact details',
+  skills: 'Skills',
+  experience: 'Experience',
+  workHistory: 'Work history',
+  education: 'Education',
+  projects: 'Projects'
+}
+
+// Below this the parser's reading of a field is worth checking
+export const LOW_CONFIDENCE = 0.5
+
+/**
+ * Best guess at a skill's group
+ * @param {string} skill - Skill name
+ * @returns {string} One of SKILL_CATEGORIES
+ */
+export function categorizeSkill(skill) {
+  const key = String(skill || '').trim().toLowerCase()
+  const match = Object.keys(KNOWN_SKILLS).find(category => KNOWN_SKILLS[category].includes(key))
+  return match || 'Other'
+}
+
+/**
+ * Group of a skill on a resume summary
+ * The category in `skillDetails`, from the parser or chosen during review,
+ * wins over the guess; unknown categories are ignored.
+ * @param {Object} resumeData - Resume summary
+ * @param {string} name - Skill name
+ * @returns {string} One of SKILL_CATEGORIES
+ */
+export function skillCategory(resumeData, name) {
+  const detail = (resumeData.skillDetails || []).find(skill => skill.name === name)
+  return (detail && CATEGORY_LABELS[detail.category]) || categorizeSkill(name)
+}
+
+/**
+ * Skills of a resume summary by group, in SKILL_CATEGORIES order
+ * @param {Object} resumeData - Resume summary
+ * @returns {Object[]} { category, skills } for each group with skills
+ */
+export function groupSkills(resumeData) {
+  const data = resumeData || {}
+  const skills = (data.skills || []).map(skill => String(skill))
+
+  return SKILL_CATEGORIES
+    .map(category => ({ category, skills: skills.filter(name => skillCategory(data, name) === category) }))
+    .filter(group => group.skills.length > 0)
+}
+
+/**
+ * Split comma or newline separated text into trimmed entries
+ * @param {string} text - User input
+ * @returns {string[]} Non-empty entries
+ */
+export function splitList(text) {
+  return String(text || '')
+    .split(/[,\n]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Add skills to the draft list, skipping names already present
+ * @param {Object[]} skills - Draft skills: { name, category }
+ * @param {string} text - One or more comma separated names
+ * @param {string} [category] - Group for the new skills; guessed when omitted
+ * @returns {Object[]} Updated list
+ */
+export function addSkills(skills, text, category) {
+  const names = new Set(skills.map(skill => skill.name.toLowerCase()))
+  const added = []
+
+  splitList(text).forEach(name => {
+    if (names.has(name.toLowerCase())) return
+    names.add(name.toLowerCase())
+    added.push({ name, category: category || categorizeSkill(name) })
+  })
+
+  return [...skills, ...added]
+}
+
+/**
+ * Build the editable draft from parsed (or previously reviewed) resume data
+ * @param {Object} resumeData - Resume summary
+ * @returns {Object} { skills, experienceYears, workHistory, education, projects,
+ *   certifications, languages, publications, awards }
+ */
+export function createReviewDraft(resumeData) {
+  const data = resumeData || {}
+  const seen = new Set()
+  const skills = (data.skills || [])
+    .map(skill => String(skill).trim())
+    .filter(name => name && !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()))
+    .map(name => ({ name, category: skillCategory(data, name) }))
+
+  return {
+    skills,
+    experienceYears: typeof data.experienceYears === 'number' ? String(data.experienceYears) : '',
+    workHistory: (data.workHistory || []).map(role => ({
+      title: role.title || '',
+      company: role.company || '',
+      location: role.location || '',
+      startDate: role.startDate || '',
+      endDate: role.endDate || '',
+      isCurrent: !!role.isCurrent,
+      bullets: role.bullets || []
+    })),
+    education: (data.education || []).map(entry => String(entry)),
+    projects: (data.projects || []).map(project => (
+      typeof project === 'string'
+        ? { title: project, summary: '', technologies: [] }
+        : { title: project.title || '', summary: project.summary || '', technologies: project.technologies || [] }
+    )),
+    certifications: (data.certifications || []).map(entry => ({
+      name: entry.name || '',
+      issuer: entry.issuer || '',
+      date: entry.date || ''
+    })),
+    languages: data.languages || [],
+    publications: data.publications || [],
+    awards: data.awards || []
+  }
+}
+
+/**
+ * Check a draft before it replaces the resume summary
+ * @param {Object} draft - Review draft
+ * @returns {Object} Messages keyed by field; empty when the draft is valid
+ */
+export function validateReviewDraft(draft) {
+  const errors = {}
+
+  if (draft.experienceYears.trim() !== '') {
+    const years = Number(draft.experienceYears)
+    if (!Number.isFinite(years) || years < 0 || years > MAX_EXPERIENCE_YEARS) {
+      errors.experienceYears = `Enter a number of years from 0 to ${MAX_EXPERIENCE_YEARS}`
+    }
+  }
+  if (draft.skills.length === 0) {
+    errors.skills = 'Add at least one skill'
+  }
+
+  return errors
+}
+
+/**
+ * Experience text for a number of years, in the parser's wording
+ * @param {number|null} years - Years of experience
+ * @returns {string} Experience summary
+ */
+export function describeExperience(years) {
+  if (years === null) return 'Experience level not specified'
+  if (years === 0) return 'Fresher/Entry Level'
+
+  const months = Math.round(years * 12)
+  const whole = Math.floor(months / 12)
+  const remainder = months % 12
+  const parts = []
+  if (whole > 0) parts.push(`${whole} ${whole === 1 ? 'year' : 'years'}`)
+  if (remainder > 0) parts.push(`${remainder} ${remainder === 1 ? 'month' : 'months'}`)
+
+  return `${parts.join(' ') || 'Less than a month'} of experience`
+}
+
+/**
+ * One line for a certification, publication or award: "PMP · Project Management Institute · 2020-06"
+ * @param {Object} entry - Entry with a name or title, and optionally an issuer or venue and a date
+ * @returns {string} Entry description
+ */
+export function describeEntry(entry) {
+  return [entry.name || entry.title, entry.issuer || entry.venue, entry.date]
+    .filter(Boolean)
+    .join(' · ')
+}
+
+/**
+ * @param {Object} entry - Spoken language: { language, proficiency }
+ * @returns {string} "Spanish (fluent)", or the language alone when no proficiency is stated
+ */
+export function describeLanguage(entry) {
+  return entry.proficiency ? `${entry.language} (${entry.proficiency})` : entry.language
+}
+
+/**
+ * Fields the parser was unsure about, least confident first
+ * @param {Object} resumeData - Parsed resume data with its `confidence`
+ * @returns {Object[]} { field, label, confidence } below LOW_CONFIDENCE
+ */
+export function lowConfidenceFields(resumeData) {
+  const confidence = (resumeData && resumeData.confidence) || {}
+
+  return Object.keys(CONFIDENCE_FIELDS)
+    .filter(field => typeof confidence[field] === 'number' && confidence[field] < LOW_CONFIDENCE)
+    .map(field => ({ field, label: CONFIDENCE_FIELDS[field], confidence: confidence[field] }))
+    .sort((a, b) => a.confidence - b.confidence)
+}
+
+/**
+ * Apply a confirmed draft to the resume summary
+ * Entries left blank are dropped; fields the review does not cover are kept.
+ * Skills keep the parser's estimates while their name is unchanged.
+ * @param {Object} resumeData - Resume summary the draft was created from
+ * @param {Object} draft - Review draft
+ * @returns {Object} Corrected resume summary
+ */
+export function applyReviewDraft(resumeData, draft) {
+  const experienceYears = draft.experienceYears.trim() === '' ? null : Number(draft.experienceYears)
+  const details = new Map((resumeData.skillDetails || []).map(detail => [detail.name.toLowerCase(), detail]))
+  // Groups chosen in earlier reviews, before they were kept in skillDetails
+  const { skillCategories, ...summary } = resumeData
+
+  return {
+    ...summary,
+    skills: draft.skills.map(skill => skill.name),
+    skillDetails: draft.skills.map(skill => ({
+      ...details.get(skill.name.toLowerCase()),
+      name: skill.name,
+      category: CATEGORY_KEYS[skill.category] || 'other'
+    })),
+    experienceYears,
+    experience: describeExperience(experienceYears),
+    workHistory: draft.workHistory
+      .map(role => ({
+        ...role,
+        title: role.title.trim(),
+        company: role.company.trim(),
+        location: role.location.trim(),
+        startDate: role.startDate.trim() || null,
+        endDate: role.endDate.trim() || null,
+        isCurrent: /^(present|current|now)$/i.test(role.endDate.trim())
+      }))
+      .filter(role => role.title || role.company),
+    education: draft.education.map(entry => entry.trim()).filter(Boolean),
+    projects: draft.projects
+      .map(project => ({
+        title: project.title.trim(),
+        summary: project.summary.trim(),
+        technologies: project.technologies
+      }))
+      .filter(project => project.title),
+    certifications: draft.certifications
+      .map(entry => ({
+        name: entry.name.trim(),
+        issuer: entry.issuer.trim() || null,
+        date: entry.date.trim() || null
+      }))
+      .filter(entry => entry.name),
+    languages: draft.languages,
+    publications: draft.publications,
+    awards: draft.awards,
+    reviewed: true
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Answer bookkeeping for interview sessions
+ *
+ * A session keeps one answer per question: an answer saved again after going
+ * back replaces the first one. Where to resume is derived from which
+ * questions have an answer, since answers need not be given in order.
+ */
+
+/**
+ * Add an answer, replacing an earlier answer to the same question in place
+ * @param {Object[]} answers - Session answers
+ * @param {Object} answer - Answer with its questionId
+ * @returns {Object[]} New answer list
+ */
+export function upsertAnswer(answers, answer) {
+  const index = answers.findIndex(existing => existing.questionId === answer.questionId)
+  if (index < 0) return [...answers, answer]
+
+  return answers.map((existing, i) => (i === index ? answer : existing))
+}
+
+/**
+ * Position of the first question without an answer
+ * @param {Object[]} questions - Session questions
+ * @param {Object[]} answers - Session answers
+ * @returns {number} Question index, or the question count when all are answered
+ */
+export function firstUnansweredIndex(questions, answers) {
+  const answered = new Set((answers || []).map(answer => answer.questionId))
+  const index = (questions || []).findIndex(question => !answered.has(question.id))
+  return index < 0 ? (questions || []).length : index
+}
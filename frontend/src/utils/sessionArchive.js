@@ -0,0 +1,112 @@
+/**
+ * Contents of a downloadable interview session archive: a readable
+ * transcript, the session data as JSON and the recorded audio of each answer
+ */
+
+import { getQuestionTypeInfo } from './questionCategories'
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+}
+
+/**
+ * File extension for a recorded audio type
+ * @param {string} mimeType - e.g. "audio/webm;codecs=opus"
+ * @returns {string} Extension without the dot
+ */
+export function getAudioExtension(mimeType) {
+  return AUDIO_EXTENSIONS[(mimeType || '').split(';')[0].trim()] || 'webm'
+}
+
+/**
+ * Archive path of an answer's recording
+ * @param {number} index - Question position
+ * @param {Object} question - Session question
+ * @param {string} mimeType - Recorded audio type
+ * @returns {string} Path inside the archive
+ */
+export function getAudioPath(index, question, mimeType) {
+  const number = String(index + 1).padStart(2, '0')
+  return `audio/${number}-${question.id}.${getAudioExtension(mimeType)}`
+}
+
+/**
+ * Markdown transcript of a session
+ * @param {Object} session - Interview session
+ * @param {Object[]} items - Result items from buildResultItems
+ * @param {Object} audioPaths - Archive audio path by question id
+ * @returns {string} Transcript
+ */
+export function buildTranscript(session, items, audioPaths = {}) {
+  const lines = [
+    `# Interview Practice - ${session.role} (${session.level})`,
+    '',
+    `Date: ${new Date(session.startTime || Date.now()).toLocaleString()}`
+  ]
+  if (typeof session.analysis?.overallScore === 'number') {
+    lines.push(`Overall score: ${Math.round(session.analysis.overallScore)}/100`)
+  }
+
+  items.forEach(({ question, answer, feedback }, index) => {
+    lines.push(
+      '',
+      `## ${index + 1}. ${question.text}`,
+      '',
+      `Type: ${getQuestionTypeInfo(question.type).label}`,
+      '',
+      answer?.transcription?.trim() || '_No answer recorded_'
+    )
+    if (audioPaths[question.id]) {
+      lines.push('', `Recording: ${audioPaths[question.id]}`)
+    }
+    if (feedback) {
+      lines.push('', `Score: ${feedback.score}/10`, '', feedback.feedback)
+    }
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Files of a session archive
+ * @param {Object} session - Interview session
+ * @param {Object[]} items - Result items from buildResultItems
+ * @param {Object} recordings - { data: Uint8Array, mimeType } by question id
+ * @returns {Object[]} { name, data } entries for createZip
+ */
+export function buildArchiveFiles(session, items, recordings = {}) {
+  const audioFiles = []
+  const audioPaths = {}
+
+  items.forEach(({ question }, index) => {
+    const recording = recordings[question.id]
+    if (recording) {
+      const path = getAudioPath(index, question, recording.mimeType)
+      audioPaths[question.id] = path
+      audioFiles.push({ name: path, data: recording.data })
+    }
+  })
+
+  const { analysis, answers, ...details } = session
+  const sessionData = {
+    ...details,
+    questions: items.map(({ question, answer, feedback }) => ({
+      ...question,
+      answer: answer || null,
+      feedback: feedback || null,
+      recording: audioPaths[question.id] || null
+    })),
+    overallScore: analysis?.overallScore ?? null,
+    improvements: analysis?.improvements || []
+  }
+
+  return [
+    { name: 'transcript.md', data: buildTranscript(session, items, audioPaths) },
+    { name: 'session.json', data: JSON.stringify(sessionData, null, 2) },
+    ...audioFiles
+  ]
+}
@@ -0,0 +1,232 @@
+/**
+ * Delivery analytics for spoken answers
+ *
+ * Measures how an answer was said rather than what it said: speaking pace,
+ * filler words, long pauses and hedging. Pauses come from the timing of
+ * speech recognition results, which arrive continuously while the candidate
+ * speaks and stop during silence.
+ */
+
+export const FILLER_WORDS = ['um', 'uh', 'like', 'you know', 'basically']
+
+export const HEDGING_PHRASES = [
+  'i think',
+  'i guess',
+  'i believe',
+  'i feel like',
+  'not sure',
+  'sort of',
+  'kind of',
+  'maybe',
+  'probably',
+  'perhaps',
+  'might'
+]
+
+// Silence between recognition results that counts as a long pause
+export const LONG_PAUSE_MS = 2000
+
+// Comfortable interview pace in words per minute
+export const PACE_RANGE = { min: 110, max: 160 }
+
+// Words before "like" that make it a verb or comparison rather than a filler
+const LIKE_NOT_FILLER_BEFORE = new Set([
+  'i', 'we', 'you', 'they', 'would', "i'd", "we'd", "you'd", "they'd", 'really',
+  'look', 'looks', 'looked', 'seem', 'seems', 'seemed', 'feel', 'feels', 'felt',
+  'sound', 'sounds', 'something', 'things', 'just', 'more', 'much', 'exactly'
+])
+// Words before "you know" that make it a question or statement
+const YOU_KNOW_NOT_FILLER_BEFORE = new Set(['do', 'did', 'if', 'as', "don't", 'would'])
+
+/**
+ * Lowercase words of a transcript, keeping apostrophes
+ * @param {string} text - Transcript
+ * @returns {string[]} Words
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9']+/g) || []
+}
+
+/**
+ * Count occurrences of multi-word phrases in a word list
+ * @param {string[]} words - Tokenized transcript
+ * @param {string} phrase - Phrase to find
+ * @param {Function} [accept] - Called with the match position; false skips it
+ * @returns {number} Occurrences
+ */
+function countPhrase(words, phrase, accept = () => true) {
+  const parts = phrase.split(' ')
+  let count = 0
+
+  for (let i = 0; i <= words.length - parts.length; i++) {
+    if (parts.every((part, offset) => words[i + offset] === part) && accept(i)) {
+      count++
+    }
+  }
+  return count
+}
+
+/**
+ * Filler words used in a transcript
+ * Drawn-out variants ("umm", "uhh") count as "um" and "uh".
+ * @param {string[]} words - Tokenized transcript
+ * @returns {Object} { count, words: { filler: count } }
+ */
+export function countFillers(words) {
+  const normalized = words.map(word => {
+    if (/^u+m+$/.test(word)) return 'um'
+    if (/^u+h+$/.test(word)) return 'uh'
+    return word
+  })
+
+  const counts = {}
+  FILLER_WORDS.forEach(filler => {
+    const count = countPhrase(normalized, filler, index => {
+      if (filler === 'like') {
+        return !LIKE_NOT_FILLER_BEFORE.has(normalized[index - 1]) && normalized[index + 1] !== 'to'
+      }
+      if (filler === 'you know') {
+        return !YOU_KNOW_NOT_FILLER_BEFORE.has(normalized[index - 1])
+      }
+      return true
+    })
+    if (count > 0) {
+      counts[filler] = count
+    }
+  })
+
+  return {
+    count: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    words: counts
+  }
+}
+
+/**
+ * Hedging phrases used in a transcript
+ * @param {string[]} words - Tokenized transcript
+ * @returns {Object} { count, wordCount, phrases: { phrase: count } }
+ */
+export function countHedging(words) {
+  const phrases = {}
+  let wordCount = 0
+
+  HEDGING_PHRASES.forEach(phrase => {
+    const count = countPhrase(words, phrase)
+    if (count > 0) {
+      phrases[phrase] = count
+      wordCount += count * phrase.split(' ').length
+    }
+  })
+
+  return {
+    count: Object.values(phrases).reduce((sum, count) => sum + count, 0),
+    wordCount,
+    phrases
+  }
+}
+
+/**
+ * Long silences between recognition results
+ * Silence before the first and after the last result is not a pause: it is
+ * the time before the candidate started and before they pressed stop.
+ * @param {number[]} resultTimes - Arrival times of recognition results (ms)
+ * @param {number} [threshold] - Minimum gap counted as a long pause
+ * @returns {Object} { count, longestMs, totalMs }
+ */
+export function detectPauses(resultTimes, threshold = LONG_PAUSE_MS) {
+  const gaps = []
+  for (let i = 1; i < resultTimes.length; i++) {
+    const gap = resultTimes[i] - resultTimes[i - 1]
+    if (gap >= threshold) {
+      gaps.push(gap)
+    }
+  }
+
+  return {
+    count: gaps.length,
+    longestMs: gaps.length > 0 ? Math.max(...gaps) : 0,
+    totalMs: gaps.reduce((sum, gap) => sum + gap, 0)
+  }
+}
+
+/**
+ * Rate per 100 words, to one decimal
+ */
+function per100(count, wordCount) {
+  return wordCount > 0 ? Math.round((count / wordCount) * 1000) / 10 : 0
+}
+
+/**
+ * Delivery metrics for a spoken answer
+ * @param {Object} input
+ * @param {string} input.transcript - Recognized answer
+ * @param {Object} [input.timing] - Recognition timing ({ startedAt, resultTimes }) from speechService
+ * @param {number} [input.durationSeconds] - Recording time, used when timing is unavailable
+ * @returns {Object|null} Metrics, or null for an empty transcript
+ */
+export function analyzeDelivery({ transcript, timing, durationSeconds }) {
+  const words = tokenize(transcript)
+  if (words.length === 0) {
+    return null
+  }
+
+  const resultTimes = timing?.resultTimes || []
+  // Speaking time runs to the last result, leaving out silence before stop
+  const speakingMs = timing?.startedAt && resultTimes.length > 0
+    ? resultTimes[resultTimes.length - 1] - timing.startedAt
+    : (durationSeconds || 0) * 1000
+  const wordsPerMinute = speakingMs > 0 ? Math.round(words.length / (speakingMs / 60000)) : null
+
+  let pace = null
+  if (wordsPerMinute !== null) {
+    if (wordsPerMinute < PACE_RANGE.min) pace = 'slow'
+    else if (wordsPerMinute > PACE_RANGE.max) pace = 'fast'
+    else pace = 'good'
+  }
+
+  const fillers = countFillers(words)
+  const hedging = countHedging(words)
+  const metrics = {
+    wordCount: words.length,
+    durationSeconds: Math.round(speakingMs / 1000),
+    wordsPerMinute,
+    pace,
+    fillers: { ...fillers, per100Words: per100(fillers.count, words.length) },
+    // Without result timing pauses cannot be told apart from speech
+    pauses: resultTimes.length > 0 ? detectPauses(resultTimes) : null,
+    hedging: {
+      count: hedging.count,
+      phrases: hedging.phrases,
+      share: per100(hedging.wordCount, words.length)
+    }
+  }
+
+  return { ...metrics, tips: getDeliveryTips(metrics) }
+}
+
+/**
+ * Coaching tips for the weak spots in a delivery
+ * @param {Object} metrics - Metrics from analyzeDelivery
+ * @returns {string[]} Tips, empty when the delivery was fine
+ */
+export function getDeliveryTips(metrics) {
+  const tips = []
+
+  if (metrics.pace === 'fast') {
+    tips.push(`You spoke at ${metrics.wordsPerMinute} words per minute. Slow down to around ${PACE_RANGE.max} so the interviewer can follow.`)
+  } else if (metrics.pace === 'slow') {
+    tips.push(`You spoke at ${metrics.wordsPerMinute} words per minute. Aim for at least ${PACE_RANGE.min} to sound confident.`)
+  }
+  if (metrics.fillers.per100Words > 3) {
+    const top = Object.entries(metrics.fillers.words).sort((a, b) => b[1] - a[1])[0][0]
+    tips.push(`Cut down on filler words such as "${top}"; a short silent pause works better.`)
+  }
+  if (metrics.pauses && metrics.pauses.count >= 2) {
+    tips.push('Several long pauses broke up your answer. Outline your main points before you start speaking.')
+  }
+  if (metrics.hedging.share > 3) {
+    tips.push('Hedging phrases like "I think" or "maybe" undersell your experience. State what you did directly.')
+  }
+
+  return tips
+}
@@ -0,0 +1,46 @@
+/**
+ * Settings and reporting helpers for timed interviews
+ *
+ * A timed session stores `timing: { thinkingSeconds, answerSeconds }`; each
+ * answer records `timeUsed: { thinkingSeconds, answerSeconds, limitSeconds, autoSubmitted }`.
+ */
+
+export const THINKING_TIME_OPTIONS = [0, 15, 30, 60]
+export const ANSWER_TIME_OPTIONS = [60, 90, 120, 180, 300]
+
+export const DEFAULT_TIMING = { thinkingSeconds: 30, answerSeconds: 120 }
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} Clock text
+ */
+export function formatClock(seconds) {
+  const whole = Math.max(0, Math.round(seconds || 0))
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`
+}
+
+/**
+ * Longest a timed interview can take, thinking time included
+ * @param {Object|null} timing - Session timing settings
+ * @param {number} questionCount - Questions in the session
+ * @returns {number|null} Seconds, or null for untimed sessions
+ */
+export function getInterviewBudget(timing, questionCount) {
+  if (!timing) return null
+  return (timing.thinkingSeconds + timing.answerSeconds) * questionCount
+}
+
+/**
+ * Time used per question, for the analysis request
+ * @param {Object[]} questions - Session questions
+ * @param {Object[]} answers - Session answers; later answers win
+ * @returns {Array<Object|null>} One entry per question, null when untimed or unanswered
+ */
+export function buildTimings(questions, answers) {
+  const timeUsedById = {}
+  ;(answers || []).forEach(answer => {
+    timeUsedById[answer.questionId] = answer.timeUsed || null
+  })
+  return questions.map(question => timeUsedById[question.id] || null)
+}
@@ -0,0 +1,79 @@
+/**
+ * Punctuation heuristics for dictated answers
+ *
+ * Speech recognition returns unpunctuated, lowercase segments, one per
+ * stretch of speech between pauses. A segment usually ends a sentence, unless
+ * the next one carries on with a conjunction ("...the cache" + "and then we").
+ */
+
+// Words that continue the previous segment's sentence rather than start one
+const CONTINUATION_WORDS = new Set([
+  'and', 'but', 'so', 'or', 'because', 'which', 'then', 'that', 'while',
+  'although', 'though', 'since', 'unless', 'until', 'plus', 'also', 'except'
+])
+
+// Words that open a question
+const QUESTION_WORDS = new Set([
+  'what', 'why', 'how', 'when', 'where', 'who', 'which', 'do', 'does', 'did',
+  'is', 'are', 'can', 'could', 'would', 'should', 'will', 'shall'
+])
+
+/**
+ * Tidy one recognized segment: whitespace and the pronoun "I"
+ * @param {string} segment - Recognized text
+ * @returns {string} Cleaned text, possibly empty
+ */
+export function cleanSegment(segment) {
+  return (segment || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\bi\b(?![.-]\w)/g, 'I')
+}
+
+/**
+ * Close a sentence with a period, or a question mark when it asks something
+ * @param {string} sentence - Sentence without terminal punctuation
+ * @returns {string} Punctuated sentence
+ */
+function endSentence(sentence) {
+  if (/[.!?]$/.test(sentence)) {
+    return sentence
+  }
+  const firstWord = sentence.split(' ')[0].toLowerCase()
+  return `${sentence}${QUESTION_WORDS.has(firstWord) ? '?' : '.'}`
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * Join final recognition segments into punctuated text
+ * @param {string[]} segments - Final segments in the order they were spoken
+ * @returns {string} Transcript
+ */
+export function stitchSegments(segments) {
+  const sentences = []
+  let current = ''
+
+  segments.map(cleanSegment).filter(Boolean).forEach(segment => {
+    const firstWord = segment.split(' ')[0].toLowerCase()
+
+    // A segment the recognizer already ended with punctuation stands alone
+    if (current && CONTINUATION_WORDS.has(firstWord) && !/[.!?]$/.test(current)) {
+      current = `${current.replace(/,$/, '')}, ${segment}`
+      return
+    }
+
+    if (current) {
+      sentences.push(endSentence(current))
+    }
+    current = capitalize(segment)
+  })
+
+  if (current) {
+    sentences.push(endSentence(current))
+  }
+
+  return sentences.join(' ')
+}
@@ -0,0 +1,105 @@
+/**
+ * Minimal ZIP writer for downloadable archives
+ *
+ * Files are stored without compression: recorded audio is already
+ * compressed, and the text files are small.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * CRC-32 checksum as used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Object[]} files - { name, data } with data as a string or Uint8Array
+ * @param {Date} [modified] - Modification time recorded for every file
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // UTF-8 file names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), name, data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const archive = new Uint8Array(offset + centralSize + 22)
+  let position = 0
+  parts.forEach(part => {
+    archive.set(part, position)
+    position += part.length
+  })
+  return archive
+}